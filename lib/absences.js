@@ -0,0 +1,247 @@
+// backend/lib/absences.js
+// Bajas y alineaciones: estima cuánto aporta cada jugador ausente a los goles de su equipo
+// (goles + asistencias de la temporada en /players) y escala los goles esperados en consecuencia.
+// Solo cuentan los jugadores de la plantilla actual (/players/squads): los que se fueron del club
+// siguen en /players de la temporada, y de la anterior si es la que se usa.
+const { cachedApiCall } = require('./apiFootball');
+const { buildScoreMatrix, summarizeScoreMatrix } = require('./scoreMatrix');
+
+// Una asistencia cuenta como media participación en el gol
+const ASSIST_WEIGHT = 0.5;
+// El sustituto aporta parte de lo que aportaba el ausente: solo se pierde esta fracción
+const REPLACEMENT_LOSS = 0.5;
+// Reducción máxima de los goles esperados de un equipo por bajas
+const MAX_ATTACK_REDUCTION = 0.35;
+// Participación mínima en los goles del equipo para que una baja se tenga en cuenta
+const MIN_GOAL_SHARE = 0.02;
+// Grado de ausencia según la situación del jugador (1 = no juega)
+const ABSENCE_LEVELS = {
+    missing: 1,        // Lesionado/sancionado ("Missing Fixture") o fuera de la convocatoria
+    questionable: 0.5, // Duda ("Questionable")
+    bench: 0.7,        // En el banquillo: jugaría solo una parte del partido
+};
+// Páginas máximas de /players por equipo (20 jugadores por página)
+const MAX_PLAYER_PAGES = 4;
+
+/**
+ * Bajas anunciadas para un partido.
+ * Endpoint: /injuries?fixture=
+ * @param {number} fixtureId
+ * @returns {Promise<object[]>}
+ */
+async function fetchFixtureInjuries(fixtureId) {
+    const data = await cachedApiCall('/injuries', { fixture: fixtureId }, 60 * 60 * 1000);
+    return data.response || [];
+}
+
+/**
+ * Alineaciones de un partido (vacío hasta que se publican, ~1 hora antes del inicio).
+ * Endpoint: /fixtures/lineups?fixture=
+ * @param {number} fixtureId
+ * @returns {Promise<object[]>}
+ */
+async function fetchFixtureLineups(fixtureId) {
+    const data = await cachedApiCall('/fixtures/lineups', { fixture: fixtureId }, 10 * 60 * 1000);
+    return data.response || [];
+}
+
+/**
+ * Estadísticas de temporada de la plantilla de un equipo (todas las páginas).
+ * Endpoint: /players?team=&season=&page=
+ * @param {number} teamId
+ * @param {number} season
+ * @returns {Promise<object[]>}
+ */
+async function fetchTeamPlayers(teamId, season) {
+    const players = [];
+    for (let page = 1; page <= MAX_PLAYER_PAGES; page++) {
+        const data = await cachedApiCall('/players', { team: teamId, season, page }, 24 * 3600 * 1000);
+        players.push(...(data.response || []));
+        if (!data.paging || page >= data.paging.total) break;
+    }
+    return players;
+}
+
+/**
+ * IDs de los jugadores de la plantilla actual de un equipo.
+ * Endpoint: /players/squads?team=
+ * @param {number} teamId
+ * @returns {Promise<Set<number>|null>} null si no se conoce la plantilla (no se filtra).
+ */
+async function fetchTeamSquad(teamId) {
+    try {
+        const data = await cachedApiCall('/players/squads', { team: teamId }, 24 * 3600 * 1000);
+        const players = data.response?.[0]?.players || [];
+        return players.length > 0 ? new Set(players.map(p => p.id)) : null;
+    } catch (error) {
+        console.warn(`⚠️ No se pudo obtener la plantilla del equipo ${teamId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Participación de cada jugador en los goles del equipo (goles + asistencias ponderadas).
+ * Solo cuentan las estadísticas jugando para ese equipo y, si se conoce, los jugadores de su
+ * plantilla actual (las participaciones se reparten entre ellos).
+ * @param {object[]} players - Respuesta de /players.
+ * @param {number} teamId
+ * @param {Set<number>|null} [squadIds] - Ver fetchTeamSquad.
+ * @returns {Map<number, {name:string, goals:number, assists:number, share:number}>}
+ */
+function computeGoalShares(players, teamId, squadIds = null) {
+    const contributions = new Map();
+    let total = 0;
+    for (const item of players) {
+        if (squadIds && !squadIds.has(item.player.id)) continue;
+        let goals = 0;
+        let assists = 0;
+        for (const stat of item.statistics || []) {
+            if (stat.team?.id !== teamId) continue;
+            goals += stat.goals?.total || 0;
+            assists += stat.goals?.assists || 0;
+        }
+        const involvement = goals + assists * ASSIST_WEIGHT;
+        if (involvement <= 0) continue;
+        contributions.set(item.player.id, { name: item.player.name, goals, assists, involvement });
+        total += involvement;
+    }
+    const shares = new Map();
+    for (const [playerId, c] of contributions) {
+        shares.set(playerId, { name: c.name, goals: c.goals, assists: c.assists, share: c.involvement / total });
+    }
+    return shares;
+}
+
+/**
+ * Ausencias de un equipo con su grado y motivo. Con alineación publicada manda la alineación
+ * (titular = juega, suplente = juega en parte, fuera = no juega); si no, las bajas anunciadas.
+ * @param {number} teamId
+ * @param {object[]} injuries - Respuesta de /injuries.
+ * @param {object|undefined} lineup - Entrada del equipo en /fixtures/lineups.
+ * @param {Map} shares - Ver computeGoalShares.
+ * @returns {Array<{player_id:number, name:string, status:string, reason:string|null, absence:number, goal_share:number}>}
+ */
+function teamAbsences(teamId, injuries, lineup, shares) {
+    const injuryByPlayer = new Map(injuries
+        .filter(item => item.team?.id === teamId)
+        .map(item => [item.player.id, item.player]));
+    const absences = [];
+
+    for (const [playerId, info] of shares) {
+        if (info.share < MIN_GOAL_SHARE) continue;
+        const injury = injuryByPlayer.get(playerId);
+        let status = null;
+
+        if (lineup) {
+            const starter = (lineup.startXI || []).some(p => p.player?.id === playerId);
+            const substitute = (lineup.substitutes || []).some(p => p.player?.id === playerId);
+            if (!starter) status = substitute ? 'bench' : 'missing';
+        } else if (injury) {
+            status = /questionable/i.test(injury.type || '') ? 'questionable' : 'missing';
+        }
+        if (!status) continue;
+
+        absences.push({
+            player_id: playerId,
+            name: info.name,
+            status,
+            reason: injury?.reason || (status === 'bench' ? 'Suplente' : lineup ? 'No convocado' : null),
+            absence: ABSENCE_LEVELS[status],
+            goal_share: info.share,
+        });
+    }
+    return absences.sort((a, b) => b.absence * b.goal_share - a.absence * a.goal_share);
+}
+
+/**
+ * Bajas de ambos equipos para un partido.
+ * @param {number} fixtureId
+ * @param {number} homeTeamId
+ * @param {number} awayTeamId
+ * @param {number} season - Temporada de las estadísticas de jugadores.
+ * @returns {Promise<{source:string, home:object[], away:object[]}|null>} null si no hay bajas ni alineaciones.
+ */
+async function getMatchAbsences(fixtureId, homeTeamId, awayTeamId, season) {
+    const injuries = await fetchFixtureInjuries(fixtureId);
+    const lineups = await fetchFixtureLineups(fixtureId);
+    const homeLineup = lineups.find(l => l.team?.id === homeTeamId);
+    const awayLineup = lineups.find(l => l.team?.id === awayTeamId);
+    const hasLineups = Boolean(homeLineup && awayLineup);
+    if (injuries.length === 0 && !hasLineups) return null;
+
+    const homeShares = computeGoalShares(await fetchTeamPlayers(homeTeamId, season), homeTeamId, await fetchTeamSquad(homeTeamId));
+    const awayShares = computeGoalShares(await fetchTeamPlayers(awayTeamId, season), awayTeamId, await fetchTeamSquad(awayTeamId));
+    return {
+        source: hasLineups ? 'lineups' : 'injuries',
+        home: teamAbsences(homeTeamId, injuries, hasLineups ? homeLineup : undefined, homeShares),
+        away: teamAbsences(awayTeamId, injuries, hasLineups ? awayLineup : undefined, awayShares),
+    };
+}
+
+/**
+ * Factor sobre los goles esperados de un equipo por sus bajas.
+ * @param {object[]} absences
+ * @returns {number} Entre 1 - MAX_ATTACK_REDUCTION y 1.
+ */
+function attackFactor(absences) {
+    const lost = absences.reduce((sum, a) => sum + a.absence * a.goal_share * REPLACEMENT_LOSS, 0);
+    return 1 - Math.min(MAX_ATTACK_REDUCTION, lost);
+}
+
+/**
+ * Escala los goles esperados por las bajas y mueve el 1X2 en la misma proporción que lo haría
+ * el modelo de marcador (Dixon-Coles) con los goles esperados ajustados.
+ * @param {{probabilities:object, expectedGoals:object}} result - Salida de runModel.
+ * @param {{source:string, home:object[], away:object[]}|null} absences - Ver getMatchAbsences.
+ * @param {number} rho
+ * @returns {{probabilities:object, expectedGoals:object, adjustments:object|null}}
+ */
+function applyAbsences(result, absences, rho) {
+    if (!absences || (absences.home.length === 0 && absences.away.length === 0)) {
+        return { probabilities: result.probabilities, expectedGoals: result.expectedGoals, adjustments: null };
+    }
+
+    const before = result.expectedGoals;
+    const factors = { home: attackFactor(absences.home), away: attackFactor(absences.away) };
+    const after = { home: before.home * factors.home, away: before.away * factors.away };
+
+    const original = summarizeScoreMatrix(buildScoreMatrix(before.home, before.away, { rho }).matrix);
+    const adjusted = summarizeScoreMatrix(buildScoreMatrix(after.home, after.away, { rho }).matrix);
+    const ratio = (key, o, a) => result.probabilities[key] * (o > 0 ? a / o : 1);
+    const home = ratio('home', original.homeWin, adjusted.homeWin);
+    const draw = ratio('draw', original.draw, adjusted.draw);
+    const away = ratio('away', original.awayWin, adjusted.awayWin);
+    const total = home + draw + away;
+
+    const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+    const describe = (side) => ({
+        factor: round(factors[side], 4),
+        expected_goals_before: round(before[side]),
+        expected_goals_after: round(after[side]),
+        absences: absences[side].map(a => ({
+            player_id: a.player_id,
+            name: a.name,
+            status: a.status,
+            reason: a.reason,
+            goal_share: round(a.goal_share),
+            // Goles esperados que resta esta baja (antes del tope)
+            impact_goals: round(-before[side] * a.absence * a.goal_share * REPLACEMENT_LOSS),
+        })),
+    });
+
+    return {
+        probabilities: { home: home / total, draw: draw / total, away: away / total },
+        expectedGoals: after,
+        adjustments: { source: absences.source, home: describe('home'), away: describe('away') },
+    };
+}
+
+module.exports = {
+    fetchFixtureInjuries,
+    fetchFixtureLineups,
+    fetchTeamPlayers,
+    fetchTeamSquad,
+    computeGoalShares,
+    getMatchAbsences,
+    applyAbsences,
+};
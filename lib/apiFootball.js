@@ -0,0 +1,153 @@
+// backend/lib/apiFootball.js
+// Acceso a los datos (formato API-Football) con cache persistente y stale-while-revalidate.
+// La fuente la elige DATA_PROVIDER (ver dataProvider.js); las peticiones a APIs con cuota
+// pasan por el planificador (ver quota.js).
+const axios = require('axios');
+const { createCacheStore } = require('./cache');
+const { createRequestScheduler, currentPriority } = require('./quota');
+const { RAPIDAPI_KEY, apiFootball, createDataProvider } = require('./dataProvider');
+
+// Proveedor de datos activo
+const dataProvider = createDataProvider();
+
+// --- CONFIGURACIÓN DE LA CACHE ---
+// CACHE_BACKEND=file guarda las respuestas en disco (CACHE_DIR) para no gastar cuota tras cada deploy
+const cache = createCacheStore({
+    backend: process.env.CACHE_BACKEND || 'memory',
+    dirPath: process.env.CACHE_DIR,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || 2000),
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES || 100 * 1024 * 1024),
+});
+
+// Tiempo máximo (tras expirar) durante el que una entrada se sirve como "stale" mientras se refresca.
+// Corto por defecto: los datos que cambian rápido (cuotas, resultados) pasan su propio staleMs
+const STALE_WHILE_REVALIDATE_MS = parseInt(process.env.CACHE_STALE_MS || 15 * 60 * 1000);
+
+// --- PRESUPUESTO DE LA API ---
+// Límites del plan; las cabeceras de RapidAPI los actualizan en cada respuesta
+const scheduler = createRequestScheduler({
+    perMinute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || 30),
+    daily: parseInt(process.env.API_DAILY_QUOTA || 7500),
+    maxConcurrent: parseInt(process.env.API_MAX_CONCURRENT || 6),
+});
+
+// Peticiones en curso por clave, para no lanzar la misma llamada dos veces a la vez
+const inFlight = new Map();
+
+/**
+ * Pide los datos al proveedor (a través del planificador si tiene cuota) con reintentos ante 429
+ * y guarda el resultado en cache. Tras un 429 el planificador retiene las peticiones hasta que se
+ * libera el presupuesto.
+ * @param {string} endpoint
+ * @param {object} params
+ * @param {number} ttl
+ * @param {string} cacheKey
+ * @param {string} priority - 'live', 'user' o 'background'.
+ * @returns {Promise<object>}
+ */
+const fetchAndStore = async (endpoint, params, ttl, cacheKey, priority) => {
+    if (!dataProvider.supports(endpoint)) {
+        const error = new Error(`El proveedor ${dataProvider.name} no sirve ${endpoint}`);
+        error.status = 501;
+        throw error;
+    }
+    const request = () => dataProvider.request(endpoint, params);
+    const MAX_RETRIES = 3;
+    let currentRetry = 0;
+    while (currentRetry < MAX_RETRIES) {
+        try {
+            const response = dataProvider.metered ? await scheduler.schedule(request, priority) : await request();
+
+            // Si la API devuelve un objeto 'errors' no vacío, lo tratamos como un error y no lo cacheamos
+            if (response.data.errors && Object.keys(response.data.errors).length > 0) {
+                const apiErrorMessage = Object.values(response.data.errors).join(', ');
+                throw new Error(`API-Football Error: ${apiErrorMessage}`);
+            }
+
+            // Almacenar la respuesta exitosa en cache
+            cache.set(cacheKey, {
+                data: response.data,
+                timestamp: Date.now(),
+                ttl: ttl,
+            });
+            return response.data;
+
+        } catch (error) {
+            if (axios.isAxiosError(error) && error.response && error.response.status === 429) {
+                currentRetry++;
+                console.warn(`⚠️ Rate limit exceeded (429) for ${endpoint}. Reintento en cola (Attempt ${currentRetry}/${MAX_RETRIES})`);
+            } else {
+                // Otro tipo de error, lanzar directamente
+                console.error(`❌ Error en cachedApiCall para ${endpoint}:`, error.message);
+                throw error;
+            }
+        }
+    }
+    throw new Error(`Failed to fetch from ${endpoint} after ${MAX_RETRIES} retries due to rate limits.`);
+};
+
+/**
+ * Lanza (o reutiliza) la petición en curso para una clave de cache.
+ * @returns {Promise<object>}
+ */
+const fetchDeduplicated = (endpoint, params, ttl, cacheKey, priority) => {
+    if (inFlight.has(cacheKey)) return inFlight.get(cacheKey);
+    const promise = fetchAndStore(endpoint, params, ttl, cacheKey, priority)
+        .finally(() => inFlight.delete(cacheKey));
+    inFlight.set(cacheKey, promise);
+    return promise;
+};
+
+/**
+ * Función genérica para manejar llamadas a la API-Football con cache.
+ * Si la entrada expiró hace poco se sirve de inmediato y se refresca en segundo plano;
+ * si la API falla y existe una copia antigua, se devuelve esa copia.
+ * @param {string} endpoint - El endpoint de la API-Football (ej: '/fixtures').
+ * @param {object} params - Los parámetros de la solicitud.
+ * @param {number} ttl - Tiempo de vida de la cache en milisegundos.
+ * @param {object} [options]
+ * @param {number} [options.staleMs] - Ventana stale-while-revalidate (ej: corta para datos en vivo).
+ * @param {string} [options.priority] - Prioridad en la cola de la API (por defecto la del contexto, ver quota.js).
+ * @returns {Promise<object>} La respuesta de la API-Football (desde cache o nueva).
+ */
+const cachedApiCall = async (endpoint, params, ttl = 3600 * 1000, options = {}) => { // TTL por defecto: 1 hora
+    const cacheKey = `${endpoint}-${JSON.stringify(params)}`; // Clave única para esta petición
+    const now = Date.now();
+    const cached = cache.get(cacheKey);
+
+    // Comprobar si los datos están en cache y no han expirado
+    if (cached && (now - cached.timestamp < cached.ttl)) {
+        return cached.data;
+    }
+
+    // Stale-while-revalidate: servir la copia expirada y refrescar en segundo plano
+    const staleMs = options.staleMs ?? STALE_WHILE_REVALIDATE_MS;
+    const priority = options.priority || currentPriority();
+    if (cached && (now - cached.timestamp < cached.ttl + staleMs)) {
+        // El usuario ya tiene respuesta: el refresco va con prioridad de fondo (salvo datos en vivo)
+        fetchDeduplicated(endpoint, params, ttl, cacheKey, priority === 'live' ? 'live' : 'background').catch(error => {
+            console.warn(`⚠️ Refresco en segundo plano fallido para ${endpoint}:`, error.message);
+        });
+        return cached.data;
+    }
+
+    try {
+        return await fetchDeduplicated(endpoint, params, ttl, cacheKey, priority);
+    } catch (error) {
+        // Fallback: cualquier copia antigua es mejor que un error
+        if (cached) {
+            console.warn(`⚠️ Sirviendo datos antiguos de ${endpoint} (${Math.round((now - cached.timestamp) / 60000)} min) por error de la API.`);
+            return cached.data;
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    RAPIDAPI_KEY,
+    apiFootball,
+    dataProvider,
+    cache,
+    cachedApiCall,
+    getQuotaState: scheduler.getState,
+};
@@ -0,0 +1,197 @@
+// backend/lib/apiKeys.js
+// Acceso de clientes (config/access.json): claves de API guardadas en un archivo local (solo su hash),
+// niveles de suscripción que deciden qué endpoints puede usar cada clave y límite de peticiones
+// por clave (por minuto y por día). También la lista de orígenes permitidos por CORS.
+//   { "tiers": { "free": { "requestsPerMinute": 20, "requestsPerDay": 500, "endpoints": ["/api/parley-del-dia"] } } }
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const ACCESS_CONFIG_FILE = process.env.ACCESS_CONFIG || path.join(__dirname, '..', 'config', 'access.json');
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json');
+
+const accessConfig = readJsonFile(ACCESS_CONFIG_FILE, {});
+// REQUIRE_API_KEY=false abre la API (desarrollo local)
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY !== undefined
+    ? process.env.REQUIRE_API_KEY !== 'false'
+    : accessConfig.requireApiKey !== false;
+// CORS_ORIGINS=https://a.com,https://b.com sustituye la lista del archivo; "*" permite cualquiera
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+    : accessConfig.corsOrigins || [];
+const PUBLIC_ENDPOINTS = accessConfig.publicEndpoints || [];
+const TIERS = accessConfig.tiers || {};
+
+// Contadores por clave: id -> { minute, minuteCount, day, dayCount }. En memoria: se reinician al arrancar
+const usage = new Map();
+
+let keyStore = null;
+
+/**
+ * Claves emitidas (se cargan del archivo la primera vez).
+ * @returns {{keys: object}} keys: id -> { id, name, tier, key_hash, created_at, revoked_at }
+ */
+function loadKeys() {
+    if (!keyStore) keyStore = readJsonFile(API_KEYS_FILE, { keys: {} });
+    return keyStore;
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Hash SHA-256 de la clave (lo único que se guarda).
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Datos públicos de una clave (sin el hash).
+ * @param {object} entry
+ * @returns {object}
+ */
+function describeKey(entry) {
+    const { key_hash, ...info } = entry;
+    return info;
+}
+
+/**
+ * Indica si una ruta cumple alguno de los patrones: "*" (todas), "/api/x/*" (prefijo) o ruta exacta.
+ * @param {string[]} patterns
+ * @param {string} routePath
+ * @returns {boolean}
+ */
+function matchesEndpoint(patterns, routePath) {
+    return patterns.some(pattern => {
+        if (pattern === '*') return true;
+        if (pattern.endsWith('/*')) return routePath.startsWith(pattern.slice(0, -1));
+        return routePath === pattern;
+    });
+}
+
+/**
+ * Emite una clave nueva. La clave en claro solo se devuelve aquí.
+ * @param {string} name - A quién pertenece.
+ * @param {string} tier - Nivel de suscripción (de config/access.json).
+ * @returns {object} Datos de la clave con `key`.
+ */
+function issueApiKey(name, tier) {
+    if (!TIERS[tier]) {
+        const error = new Error(`Nivel desconocido: ${tier} (usa ${Object.keys(TIERS).join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+    const store = loadKeys();
+    const key = `pk_${crypto.randomBytes(24).toString('hex')}`;
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        tier,
+        key_hash: hashKey(key),
+        created_at: new Date().toISOString(),
+        revoked_at: null,
+    };
+    store.keys[entry.id] = entry;
+    writeJsonFile(API_KEYS_FILE, store, true);
+    return { ...describeKey(entry), key };
+}
+
+/**
+ * Revoca una clave (queda en el archivo marcada como revocada).
+ * @param {string} id
+ * @returns {object|null} Datos de la clave, o null si no existe.
+ */
+function revokeApiKey(id) {
+    const store = loadKeys();
+    const entry = store.keys[id];
+    if (!entry) return null;
+    if (!entry.revoked_at) {
+        entry.revoked_at = new Date().toISOString();
+        usage.delete(id);
+        writeJsonFile(API_KEYS_FILE, store, true);
+    }
+    return describeKey(entry);
+}
+
+/**
+ * Claves emitidas (sin hashes), con el uso actual de las activas.
+ * @returns {object[]}
+ */
+function listApiKeys() {
+    return Object.values(loadKeys().keys).map(entry => ({ ...describeKey(entry), usage: usage.get(entry.id) || null }));
+}
+
+/**
+ * Cuenta una petición de la clave y comprueba sus límites (ventanas fijas de un minuto y un día UTC).
+ * @param {string} id
+ * @param {{requestsPerMinute:number, requestsPerDay:number}} tier
+ * @returns {{allowed:boolean, limit:number, remaining:number, retryAfter:number}} retryAfter en segundos.
+ */
+function consumeRateLimit(id, tier) {
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const day = new Date(now).toISOString().slice(0, 10);
+    const counters = usage.get(id) || { minute, minuteCount: 0, day, dayCount: 0 };
+    if (counters.minute !== minute) Object.assign(counters, { minute, minuteCount: 0 });
+    if (counters.day !== day) Object.assign(counters, { day, dayCount: 0 });
+    usage.set(id, counters);
+
+    const perMinute = tier.requestsPerMinute || Infinity;
+    const perDay = tier.requestsPerDay || Infinity;
+    if (counters.dayCount >= perDay) {
+        const tomorrow = Date.parse(`${day}T00:00:00Z`) + 24 * 3600 * 1000;
+        return { allowed: false, limit: perDay, remaining: 0, retryAfter: Math.ceil((tomorrow - now) / 1000) };
+    }
+    if (counters.minuteCount >= perMinute) {
+        return { allowed: false, limit: perMinute, remaining: 0, retryAfter: Math.ceil(((minute + 1) * 60000 - now) / 1000) };
+    }
+    counters.minuteCount++;
+    counters.dayCount++;
+    return { allowed: true, limit: perMinute, remaining: perMinute - counters.minuteCount, retryAfter: 0 };
+}
+
+/**
+ * Decide si una petición puede pasar: endpoints públicos, clave válida y no revocada, endpoint
+ * incluido en su nivel y límite de peticiones.
+ * @param {string|undefined} key - Clave enviada por el cliente.
+ * @param {string} routePath - Ruta pedida (ej: /api/prediction/123).
+ * @returns {{status:number, error?:string, client?:object, rateLimit?:object}} status 200 si pasa.
+ */
+function checkAccess(key, routePath) {
+    if (!REQUIRE_API_KEY || matchesEndpoint(PUBLIC_ENDPOINTS, routePath)) return { status: 200 };
+    if (!key) return { status: 401, error: 'Falta la clave de API (cabecera X-API-Key)' };
+
+    const keyHash = hashKey(key);
+    const entry = Object.values(loadKeys().keys).find(k => k.key_hash === keyHash);
+    if (!entry || entry.revoked_at) return { status: 401, error: 'Clave de API inválida o revocada' };
+
+    const tier = TIERS[entry.tier];
+    if (!tier) return { status: 403, error: `El nivel ${entry.tier} de esta clave ya no existe` };
+    if (!matchesEndpoint(tier.endpoints || [], routePath)) {
+        return { status: 403, error: `Tu nivel (${entry.tier}) no incluye este endpoint` };
+    }
+
+    const rateLimit = consumeRateLimit(entry.id, tier);
+    const client = describeKey(entry);
+    if (!rateLimit.allowed) return { status: 429, error: 'Límite de peticiones superado', client, rateLimit };
+    return { status: 200, client, rateLimit };
+}
+
+/**
+ * Indica si un origen está en la lista de CORS.
+ * @param {string|undefined} origin
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin) {
+    return CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+}
+
+module.exports = {
+    REQUIRE_API_KEY,
+    CORS_ORIGINS,
+    TIERS,
+    issueApiKey,
+    revokeApiKey,
+    listApiKeys,
+    checkAccess,
+    isAllowedOrigin,
+};
@@ -0,0 +1,270 @@
+// backend/lib/backtest.js
+// Backtesting: reproduce una temporada pasada con el mismo modelo que getMatchPrediction,
+// usando solo la información disponible antes de cada partido.
+const { cachedApiCall } = require('./apiFootball');
+const { computePrediction, fetchHeadToHeadStats, fetchFixtureOdds, DEFAULT_MODEL_PARAMS } = require('./prediction');
+const { resolveModelParams } = require('./models');
+const { FORM_LAST_FIXTURES } = require('./models/form');
+
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+/**
+ * Obtiene todos los partidos terminados de una liga y temporada, ordenados por fecha.
+ * @param {number} leagueId
+ * @param {number} season
+ * @returns {Promise<object[]>}
+ */
+async function fetchSeasonResults(leagueId, season) {
+    const data = await cachedApiCall('/fixtures', { league: leagueId, season: season }, 24 * 3600 * 1000);
+    return (data.response || [])
+        .filter(f => FINISHED_STATUSES.includes(f.fixture?.status?.short) &&
+            f.score?.fulltime?.home !== null && f.score?.fulltime?.away !== null)
+        .sort((a, b) => new Date(a.fixture.date) - new Date(b.fixture.date));
+}
+
+/**
+ * Acumulados de local/visitante por equipo y de la liga, actualizados partido a partido.
+ * Sustituyen a /teams/statistics y /standings, que son agregados de toda la temporada.
+ */
+function createSeasonTable() {
+    const teams = new Map();
+    const league = { goals: 0, matches: 0 };
+    const team = (id) => {
+        if (!teams.has(id)) {
+            teams.set(id, { playedHome: 0, goalsForHome: 0, goalsAgainstHome: 0, playedAway: 0, goalsForAway: 0, goalsAgainstAway: 0, results: [], fixtures: [] });
+        }
+        return teams.get(id);
+    };
+
+    return {
+        team,
+        league,
+        addResult(fixture) {
+            const homeGoals = fixture.score.fulltime.home;
+            const awayGoals = fixture.score.fulltime.away;
+            const home = team(fixture.teams.home.id);
+            const away = team(fixture.teams.away.id);
+            home.playedHome++;
+            home.goalsForHome += homeGoals;
+            home.goalsAgainstHome += awayGoals;
+            away.playedAway++;
+            away.goalsForAway += awayGoals;
+            away.goalsAgainstAway += homeGoals;
+            home.results.push(homeGoals > awayGoals ? 'W' : homeGoals < awayGoals ? 'L' : 'D');
+            away.results.push(awayGoals > homeGoals ? 'W' : awayGoals < homeGoals ? 'L' : 'D');
+            home.fixtures.push(fixture);
+            away.fixtures.push(fixture);
+            league.goals += homeGoals + awayGoals;
+            league.matches++;
+        },
+    };
+}
+
+/**
+ * Lee los parámetros del modelo de un objeto plano (query string o argumentos de consola).
+ * Solo incluye los que vienen informados y son numéricos.
+ * @param {object} source - Ej: { homeAdvantage: '1.3', h2hWeight: '0.2' }.
+ * @returns {object}
+ */
+function parseModelParams(source = {}) {
+    const params = {};
+    for (const key of Object.keys(DEFAULT_MODEL_PARAMS)) {
+        if (source[key] === undefined || source[key] === '') continue;
+        const value = parseFloat(source[key]);
+        if (!isNaN(value)) params[key] = value;
+    }
+    return params;
+}
+
+/**
+ * Recorre una temporada en orden y prepara las entradas del modelo de cada partido,
+ * usando solo la información disponible antes de su inicio.
+ * @param {object} options
+ * @param {number} options.league
+ * @param {number} options.season
+ * @param {number} [options.minMatches] - Partidos mínimos de local/visitante antes de predecir (por defecto 3).
+ * @param {boolean} [options.useH2H] - Usar el historial H2H previo a cada partido (por defecto true).
+ * @param {boolean} [options.useOdds] - Consultar las cuotas de cada partido (por defecto false).
+ * @returns {Promise<{fixtures:number, skipped:number, samples:Array<{fixture:object, inputs:object, homeGoals:number, awayGoals:number, outcome:string}>}>}
+ */
+async function collectSeasonSamples(options) {
+    const league = parseInt(options.league);
+    const season = parseInt(options.season);
+    const minMatches = options.minMatches ?? 3;
+    const useH2H = options.useH2H !== false;
+    const useOdds = options.useOdds === true;
+
+    const results = await fetchSeasonResults(league, season);
+    const table = createSeasonTable();
+    const samples = [];
+    let skipped = 0;
+
+    for (const fixture of results) {
+        const homeId = fixture.teams.home.id;
+        const awayId = fixture.teams.away.id;
+        const home = table.team(homeId);
+        const away = table.team(awayId);
+        const kickoff = new Date(fixture.fixture.date).getTime();
+
+        if (home.playedHome < minMatches || away.playedAway < minMatches) {
+            skipped++;
+            table.addResult(fixture);
+            continue;
+        }
+
+        // H2H solo con partidos anteriores al inicio del partido
+        const h2hFixtures = useH2H
+            ? (await fetchHeadToHeadStats(homeId, awayId))
+                .filter(f => new Date(f.fixture.date).getTime() < kickoff)
+                .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date))
+            : [];
+        const marketOdds = useOdds ? await fetchFixtureOdds(fixture.fixture.id) : null;
+
+        const homeGoals = fixture.score.fulltime.home;
+        const awayGoals = fixture.score.fulltime.away;
+        samples.push({
+            fixture,
+            inputs: {
+                homeTeamId: homeId,
+                awayTeamId: awayId,
+                homeTeamName: fixture.teams.home.name,
+                awayTeamName: fixture.teams.away.name,
+                statsSeasonUsed: season,
+                homePlayedHome: home.playedHome,
+                homeGoalsForHome: home.goalsForHome,
+                homeGoalsAgainstHome: home.goalsAgainstHome,
+                awayPlayedAway: away.playedAway,
+                awayGoalsForAway: away.goalsForAway,
+                awayGoalsAgainstAway: away.goalsAgainstAway,
+                leagueAvgGoalsPerMatch: table.league.matches > 0 ? table.league.goals / table.league.matches : 2.5,
+                homeForm: home.results.slice(-5).join(''),
+                awayForm: away.results.slice(-5).join(''),
+                h2hFixtures,
+                // Forma: últimos partidos de la temporada ya jugados (sin ratings de rivales, serían del futuro)
+                recentFixtures: {
+                    home: home.fixtures.slice(-FORM_LAST_FIXTURES),
+                    away: away.fixtures.slice(-FORM_LAST_FIXTURES),
+                },
+                kickoff: fixture.fixture.date,
+                marketOdds,
+            },
+            homeGoals,
+            awayGoals,
+            outcome: homeGoals > awayGoals ? 'home' : homeGoals < awayGoals ? 'away' : 'draw',
+        });
+
+        // Solo después de preparar la predicción se incorpora el resultado a los acumulados
+        table.addResult(fixture);
+    }
+
+    return { fixtures: results.length, skipped, samples };
+}
+
+/**
+ * Reproduce una temporada completa y mide precisión, log loss y ROI simulado.
+ * @param {object} options
+ * @param {number} options.league - ID de la liga.
+ * @param {number} options.season - Temporada a reproducir.
+ * @param {object} [options.params] - Parámetros del modelo (homeAdvantage, formWeight, h2hWeight, marketWeight, rho).
+ * @param {number} [options.minMatches] - Partidos mínimos de local/visitante antes de predecir (por defecto 3).
+ * @param {boolean} [options.useH2H] - Usar el historial H2H previo a cada partido (por defecto true).
+ * @param {boolean} [options.useOdds] - Consultar cuotas para la mezcla con el mercado y el ROI (por defecto false).
+ * @param {number} [options.minEdge] - Ventaja mínima (EV) para apostar en la simulación (por defecto 0).
+ * @param {boolean} [options.includeMatches] - Incluir el detalle partido a partido.
+ * @returns {Promise<object>} Informe del backtest.
+ */
+async function runBacktest(options) {
+    const league = parseInt(options.league);
+    const season = parseInt(options.season);
+    const params = resolveModelParams(league, options.params);
+    const minMatches = options.minMatches ?? 3;
+    const useH2H = options.useH2H !== false;
+    const useOdds = options.useOdds === true;
+    const minEdge = options.minEdge ?? 0;
+
+    const { fixtures, skipped, samples } = await collectSeasonSamples({ league, season, minMatches, useH2H, useOdds });
+    const metrics = { predicted: 0, skipped, correct1X2: 0, logLoss: 0, brier: 0, bttsCorrect: 0, overCorrect: 0 };
+    const betting = { fixturesWithOdds: 0, bets: 0, staked: 0, profit: 0, wins: 0 };
+    const matches = [];
+
+    for (const { fixture, inputs, homeGoals, awayGoals, outcome } of samples) {
+        const marketOdds = inputs.marketOdds;
+        const prediction = computePrediction(inputs, params);
+
+        const p = prediction.predictions.probabilities;
+        const predicted = ['home', 'draw', 'away'].reduce((best, key) => p[key] > p[best] ? key : best, 'home');
+
+        metrics.predicted++;
+        if (predicted === outcome) metrics.correct1X2++;
+        metrics.logLoss += -Math.log(Math.max(p[outcome], 1e-15));
+        metrics.brier += ['home', 'draw', 'away'].reduce((sum, key) => sum + Math.pow(p[key] - (key === outcome ? 1 : 0), 2), 0);
+        if ((p.btts > 0.5) === (homeGoals > 0 && awayGoals > 0)) metrics.bttsCorrect++;
+        if ((p.over_2_5 > 0.5) === (homeGoals + awayGoals > 2.5)) metrics.overCorrect++;
+
+        // Apuesta simulada: 1 unidad a la selección 1X2 con mayor valor esperado
+        let bet = null;
+        if (marketOdds && marketOdds.home && marketOdds.draw && marketOdds.away) {
+            betting.fixturesWithOdds++;
+            const best = ['home', 'draw', 'away']
+                .map(key => ({ selection: key, odd: marketOdds[key], ev: p[key] * marketOdds[key] - 1 }))
+                .reduce((a, b) => b.ev > a.ev ? b : a);
+            if (best.ev > minEdge) {
+                const won = best.selection === outcome;
+                const profit = won ? best.odd - 1 : -1;
+                betting.bets++;
+                betting.staked += 1;
+                betting.profit += profit;
+                if (won) betting.wins++;
+                bet = { ...best, ev: parseFloat(best.ev.toFixed(3)), won, profit: parseFloat(profit.toFixed(2)) };
+            }
+        }
+
+        if (options.includeMatches) {
+            matches.push({
+                fixture_id: fixture.fixture.id,
+                date: fixture.fixture.date,
+                home_team: fixture.teams.home.name,
+                away_team: fixture.teams.away.name,
+                score: `${homeGoals} - ${awayGoals}`,
+                probabilities: p,
+                predicted,
+                outcome,
+                bet,
+            });
+        }
+    }
+
+    const n = metrics.predicted;
+    return {
+        league,
+        season,
+        params,
+        options: { minMatches, useH2H, useOdds, minEdge },
+        fixtures,
+        predicted: n,
+        skipped: metrics.skipped,
+        metrics: {
+            accuracy_1x2: n > 0 ? parseFloat((metrics.correct1X2 / n * 100).toFixed(1)) : null,
+            log_loss_1x2: n > 0 ? parseFloat((metrics.logLoss / n).toFixed(4)) : null,
+            brier_1x2: n > 0 ? parseFloat((metrics.brier / n).toFixed(4)) : null,
+            btts_accuracy: n > 0 ? parseFloat((metrics.bttsCorrect / n * 100).toFixed(1)) : null,
+            over_2_5_accuracy: n > 0 ? parseFloat((metrics.overCorrect / n * 100).toFixed(1)) : null,
+        },
+        betting: {
+            fixtures_with_odds: betting.fixturesWithOdds,
+            bets: betting.bets,
+            wins: betting.wins,
+            staked: betting.staked,
+            profit: parseFloat(betting.profit.toFixed(2)),
+            roi_percent: betting.staked > 0 ? parseFloat((betting.profit / betting.staked * 100).toFixed(1)) : null,
+        },
+        ...(options.includeMatches ? { matches } : {}),
+    };
+}
+
+module.exports = {
+    fetchSeasonResults,
+    collectSeasonSamples,
+    parseModelParams,
+    runBacktest,
+};
@@ -0,0 +1,144 @@
+// backend/lib/batch.js
+// Predicciones por lote: varios partidos (por ID o por fecha y liga) con concurrencia acotada.
+// Las llamadas compartidas (estadísticas de un mismo equipo, clasificación de la liga, cuotas)
+// se resuelven una sola vez: cachedApiCall reutiliza la petición en curso con la misma clave.
+const { cachedApiCall } = require('./apiFootball');
+const { getMatchPrediction } = require('./prediction');
+const { ENSEMBLE } = require('./models');
+const { recordPrediction } = require('./ledger');
+const { ledgerFixture } = require('./parley');
+const { DEFAULT_CONCURRENCY, mapWithConcurrency } = require('./concurrency');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+// Partidos máximos por lote y tareas simultáneas permitidas
+const MAX_BATCH_FIXTURES = parseInt(process.env.MAX_BATCH_FIXTURES) || 50;
+const MAX_BATCH_CONCURRENCY = 10;
+
+/**
+ * Fixtures por ID (la API-Football acepta hasta 20 ids por petición).
+ * Un bloque de ids que falla no hace fallar el resto: sus ids se devuelven con el error.
+ * @param {number[]} fixtureIds
+ * @param {string} timezone
+ * @returns {Promise<{fixtures: Map<number, object>, errors: Map<number, string>}>}
+ */
+async function fetchFixturesByIds(fixtureIds, timezone) {
+    const chunks = [];
+    for (let i = 0; i < fixtureIds.length; i += 20) chunks.push(fixtureIds.slice(i, i + 20));
+    const fixtures = new Map();
+    const errors = new Map();
+    const responses = await mapWithConcurrency(chunks, MAX_BATCH_CONCURRENCY, chunk =>
+        cachedApiCall('/fixtures', { ids: chunk.join('-'), timezone }, 10 * 60 * 1000));
+    responses.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            for (const fixture of result.value.response || []) fixtures.set(fixture.fixture.id, fixture);
+        } else {
+            for (const id of chunks[i]) errors.set(id, result.reason.message);
+        }
+    });
+    return { fixtures, errors };
+}
+
+/**
+ * Fixtures de una fecha en varias ligas.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {Array<{league:number, season:number}>} leagues
+ * @param {string} timezone
+ * @returns {Promise<{fixtures: object[], errors: object[]}>}
+ */
+async function fetchFixturesByDate(date, leagues, timezone) {
+    const fixtures = [];
+    const errors = [];
+    const responses = await mapWithConcurrency(leagues, MAX_BATCH_CONCURRENCY, leagueInfo =>
+        cachedApiCall('/fixtures', { league: leagueInfo.league, season: leagueInfo.season, date, timezone }, 60 * 60 * 1000));
+    responses.forEach((result, i) => {
+        if (result.status === 'fulfilled') fixtures.push(...(result.value.response || []));
+        else errors.push({ league: leagues[i].league, error: result.reason.message });
+    });
+    return { fixtures, errors };
+}
+
+/**
+ * Predice un lote de partidos. Cada partido devuelve su predicción o su error: un fallo
+ * individual nunca hace fallar el lote.
+ * @param {object} options
+ * @param {number[]} [options.fixtureIds] - IDs de partidos (se eliminan duplicados).
+ * @param {string} [options.date] - Fecha YYYY-MM-DD (con options.leagues, en lugar de fixtureIds).
+ * @param {Array<{league:number, season:number}>} [options.leagues]
+ * @param {string} [options.timezone]
+ * @param {string} [options.model] - Modelo del registro.
+ * @param {number} [options.concurrency] - Predicciones simultáneas (1 a MAX_BATCH_CONCURRENCY).
+ * @returns {Promise<object>}
+ */
+async function predictBatch(options) {
+    const timezone = options.timezone || DEFAULT_TIMEZONE;
+    const concurrency = Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, parseInt(options.concurrency) || DEFAULT_CONCURRENCY));
+    const results = [];
+    const ids = options.fixtureIds ? [...new Set(options.fixtureIds)] : null;
+    let fixtures = [];
+    let truncated = false;
+
+    if (ids) {
+        const found = await fetchFixturesByIds(ids, timezone);
+        for (const id of ids) {
+            if (found.fixtures.has(id)) fixtures.push(found.fixtures.get(id));
+            else if (found.errors.has(id)) results.push({ fixture_id: id, status: 'error', error: found.errors.get(id) });
+            else results.push({ fixture_id: id, status: 'error', error: 'Fixture no encontrado' });
+        }
+    } else {
+        const found = await fetchFixturesByDate(options.date, options.leagues, timezone);
+        const seen = new Set();
+        fixtures = found.fixtures.filter(f => !seen.has(f.fixture.id) && seen.add(f.fixture.id));
+        for (const error of found.errors) results.push({ league: error.league, status: 'error', error: error.error });
+        truncated = fixtures.length > MAX_BATCH_FIXTURES;
+        fixtures = fixtures.slice(0, MAX_BATCH_FIXTURES);
+    }
+
+    const predictions = await mapWithConcurrency(fixtures, concurrency, async fixture => {
+        const prediction = await getMatchPrediction(
+            fixture.teams.home.id,
+            fixture.teams.away.id,
+            fixture.league.id,
+            fixture.league.season,
+            fixture.fixture.id,
+            {},
+            { model: options.model, kickoff: fixture.fixture.date }
+        );
+        // Misma fuente que /api/prediction/:fixtureId: es la misma predicción servida
+        const model = options.model || ENSEMBLE;
+        recordPrediction({ source: model === ENSEMBLE ? 'prediction' : `prediction:${model}`, fixture: ledgerFixture(fixture), prediction });
+        return prediction;
+    });
+
+    predictions.forEach((result, i) => {
+        const fixture = fixtures[i];
+        const base = {
+            fixture_id: fixture.fixture.id,
+            home_team: fixture.teams.home.name,
+            away_team: fixture.teams.away.name,
+            league_id: fixture.league.id,
+            starting_at: fixture.fixture.date,
+        };
+        results.push(result.status === 'fulfilled'
+            ? { ...base, status: 'ok', prediction: result.value }
+            : { ...base, status: 'error', error: result.reason.message });
+    });
+
+    // Por IDs, en el orden pedido
+    if (ids) results.sort((a, b) => ids.indexOf(a.fixture_id) - ids.indexOf(b.fixture_id));
+
+    return {
+        timezone,
+        concurrency,
+        requested: ids ? ids.length : fixtures.length,
+        succeeded: results.filter(r => r.status === 'ok').length,
+        failed: results.filter(r => r.status === 'error').length,
+        truncated,
+        results,
+    };
+}
+
+module.exports = {
+    MAX_BATCH_FIXTURES,
+    MAX_BATCH_CONCURRENCY,
+    predictBatch,
+};
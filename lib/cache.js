@@ -0,0 +1,265 @@
+// backend/lib/cache.js
+// Backends de cache para cachedApiCall: LRU en memoria y almacén en archivo que sobrevive reinicios.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJsonFile } = require('./jsonFile');
+
+/**
+ * Estima el tamaño en bytes de un valor serializable.
+ * @param {any} value
+ * @returns {number}
+ */
+function estimateBytes(value) {
+    try {
+        return Buffer.byteLength(JSON.stringify(value) || '', 'utf8');
+    } catch (e) {
+        return 0;
+    }
+}
+
+/**
+ * Crea una cache LRU en memoria limitada por número de entradas y por bytes.
+ * Cada entrada tiene la forma { data, timestamp, ttl }.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Número máximo de entradas (por defecto 500).
+ * @param {number} [options.maxBytes] - Tamaño máximo aproximado en bytes (por defecto 50 MB).
+ * @param {function(string): void} [options.onEvict] - Se llama con la clave de cada entrada expulsada.
+ * @returns {{get: Function, peek: Function, set: Function, delete: Function, clear: Function, keys: Function, entries: Function, stats: Function}}
+ */
+function createMemoryStore(options = {}) {
+    const maxEntries = options.maxEntries || 500;
+    const maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    const onEvict = options.onEvict || (() => {});
+    const map = new Map(); // El orden de inserción del Map hace de lista LRU
+    let totalBytes = 0;
+
+    const evict = () => {
+        while ((map.size > maxEntries || totalBytes > maxBytes) && map.size > 0) {
+            const oldestKey = map.keys().next().value;
+            totalBytes -= map.get(oldestKey).bytes;
+            map.delete(oldestKey);
+            onEvict(oldestKey);
+        }
+    };
+
+    return {
+        get(key) {
+            const item = map.get(key);
+            if (!item) return undefined;
+            // Marcar como usado recientemente
+            map.delete(key);
+            map.set(key, item);
+            return item.entry;
+        },
+        // Como get, pero sin marcarla como usada
+        peek(key) {
+            return map.get(key)?.entry;
+        },
+        set(key, entry) {
+            const bytes = estimateBytes(entry.data);
+            if (map.has(key)) {
+                totalBytes -= map.get(key).bytes;
+                map.delete(key);
+            }
+            // Una entrada más grande que el límite total nunca se guarda
+            if (bytes > maxBytes) {
+                onEvict(key);
+                return;
+            }
+            map.set(key, { entry, bytes });
+            totalBytes += bytes;
+            evict();
+        },
+        delete(key) {
+            const item = map.get(key);
+            if (item) {
+                totalBytes -= item.bytes;
+                map.delete(key);
+            }
+        },
+        clear() {
+            map.clear();
+            totalBytes = 0;
+        },
+        keys() {
+            return Array.from(map.keys());
+        },
+        entries() {
+            return Array.from(map, ([key, item]) => [key, item.entry]);
+        },
+        stats() {
+            return { backend: 'memory', entries: map.size, bytes: totalBytes, maxEntries, maxBytes };
+        },
+    };
+}
+
+// Almacenes en disco abiertos: se vuelcan al recibir SIGTERM/SIGINT (deploys, Ctrl+C)
+const openFileStores = new Set();
+let signalFlushInstalled = false;
+
+/**
+ * Instala (una sola vez) el volcado de los almacenes en disco al recibir SIGTERM o SIGINT.
+ * 'exit' no se emite con estas señales; process.exit sí lo emite, así que también se guardan
+ * los demás archivos que se vuelcan al salir.
+ */
+function installSignalFlush() {
+    if (signalFlushInstalled) return;
+    signalFlushInstalled = true;
+    for (const [signal, exitCode] of [['SIGTERM', 143], ['SIGINT', 130]]) {
+        process.once(signal, () => {
+            for (const store of openFileStores) store.flushSync();
+            process.exit(exitCode);
+        });
+    }
+}
+
+/**
+ * Crea una cache LRU respaldada en disco: un archivo JSON por entrada, así cada cambio solo
+ * reescribe su entrada. Las escrituras se agrupan y se hacen de forma asíncrona (escritura
+ * atómica con archivo temporal + rename) para no bloquear las peticiones en curso.
+ * @param {object} [options]
+ * @param {string} [options.dirPath] - Carpeta de las entradas (por defecto data/api-cache).
+ * @param {number} [options.maxEntries]
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.flushDelay] - Milisegundos de espera antes de volcar a disco.
+ * @returns {object} Mismo contrato que createMemoryStore más flush() y flushSync().
+ */
+function createFileStore(options = {}) {
+    const dirPath = options.dirPath || path.join(DATA_DIR, 'api-cache');
+    const flushDelay = options.flushDelay ?? 1000;
+    // Claves cambiadas desde el último volcado (se escriben o, si ya no están en memoria, se borran)
+    const dirty = new Set();
+    const memory = createMemoryStore({ ...options, onEvict: key => dirty.add(key) });
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+    let tmpCounter = 0;
+
+    const fileFor = key => path.join(dirPath, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    const tmpFor = file => `${file}.${process.pid}.${++tmpCounter}.tmp`;
+
+    // Cargar entradas previas, de la más antigua a la más reciente para conservar el orden LRU
+    let files = [];
+    try {
+        files = fs.readdirSync(dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        // Sin carpeta todavía: cache vacía
+    }
+    const saved = files
+        .map(file => readJsonFile(path.join(dirPath, file), null))
+        .filter(item => item && typeof item.key === 'string' && item.entry && typeof item.entry.timestamp === 'number')
+        .sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+    for (const { key, entry } of saved) memory.set(key, entry);
+    if (saved.length > 0) console.log(`💾 Cache cargada desde ${dirPath} (${memory.stats().entries} entradas)`);
+
+    const takeDirty = () => {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        const keys = [...dirty];
+        dirty.clear();
+        return keys;
+    };
+
+    const writeKeys = async (keys) => {
+        await fs.promises.mkdir(dirPath, { recursive: true });
+        for (const key of keys) {
+            const file = fileFor(key);
+            const entry = memory.peek(key);
+            try {
+                if (entry) {
+                    const tmpPath = tmpFor(file);
+                    await fs.promises.writeFile(tmpPath, JSON.stringify({ key, entry }));
+                    await fs.promises.rename(tmpPath, file);
+                } else {
+                    await fs.promises.rm(file, { force: true });
+                }
+            } catch (error) {
+                console.error(`❌ Error al guardar la cache persistente en ${file}:`, error.message);
+            }
+        }
+    };
+
+    // Los volcados van en serie para que dos escrituras de la misma clave no se crucen
+    const flush = () => {
+        const keys = takeDirty();
+        flushing = flushing.then(() => writeKeys(keys));
+        return flushing;
+    };
+
+    // Volcado síncrono de lo pendiente (solo al terminar el proceso)
+    const flushSync = () => {
+        const keys = takeDirty();
+        try {
+            fs.mkdirSync(dirPath, { recursive: true });
+            for (const key of keys) {
+                const file = fileFor(key);
+                const entry = memory.peek(key);
+                if (entry) {
+                    const tmpPath = tmpFor(file);
+                    fs.writeFileSync(tmpPath, JSON.stringify({ key, entry }));
+                    fs.renameSync(tmpPath, file);
+                } else {
+                    fs.rmSync(file, { force: true });
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Error al guardar la cache persistente en ${dirPath}:`, error.message);
+        }
+    };
+
+    const scheduleFlush = () => {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, flushDelay);
+        flushTimer.unref(); // No mantener vivo el proceso solo por la cache
+    };
+
+    const store = {
+        get: (key) => memory.get(key),
+        peek: (key) => memory.peek(key),
+        set(key, entry) {
+            memory.set(key, entry);
+            dirty.add(key);
+            scheduleFlush();
+        },
+        delete(key) {
+            memory.delete(key);
+            dirty.add(key);
+            scheduleFlush();
+        },
+        clear() {
+            for (const key of memory.keys()) dirty.add(key);
+            memory.clear();
+            scheduleFlush();
+        },
+        keys: () => memory.keys(),
+        entries: () => memory.entries(),
+        stats: () => ({ ...memory.stats(), backend: 'file', dirPath }),
+        flush,
+        flushSync,
+    };
+
+    openFileStores.add(store);
+    installSignalFlush();
+    // Último volcado al salir con process.exit o al vaciarse el bucle de eventos
+    process.on('exit', () => { if (dirty.size > 0) flushSync(); });
+    return store;
+}
+
+/**
+ * Crea el backend de cache indicado por configuración.
+ * @param {object} [config]
+ * @param {'memory'|'file'} [config.backend]
+ * @returns {object}
+ */
+function createCacheStore(config = {}) {
+    if (config.backend === 'file') return createFileStore(config);
+    return createMemoryStore(config);
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createCacheStore,
+};
@@ -0,0 +1,205 @@
+// backend/lib/calibration.js
+// Calibración por liga: ajusta la ventaja de local y los pesos de la forma, el H2H y el mercado maximizando
+// la verosimilitud del 1X2 en partidos terminados (temporadas de entrenamiento) y mide el cambio
+// de log loss en una temporada posterior que el ajuste no ve.
+const { collectSeasonSamples } = require('./backtest');
+const { resolveModelParams, runModel } = require('./models');
+const { recordFit } = require('./modelParams');
+const { resolveCurrentSeason } = require('./leagues');
+
+// Parámetros que se ajustan y su rango de búsqueda
+const FITTED_PARAMS = {
+    homeAdvantage: { min: 0.8, max: 2.0 },
+    formWeight: { min: 0, max: 0.9 },
+    h2hWeight: { min: 0, max: 0.8 },
+    marketWeight: { min: 0, max: 0.9 },
+};
+// Muestras mínimas para ajustar y para medir fuera de muestra
+const MIN_TRAIN_SAMPLES = 50;
+const MIN_TEST_SAMPLES = 20;
+// Partidos de entrenamiento con cuotas mínimos para ajustar el peso del mercado
+const MIN_ODDS_SAMPLES = 50;
+// Si solo hay una temporada, fracción final que se reserva como fuera de muestra
+const TEST_SHARE = 0.3;
+// Descenso por coordenadas: rondas máximas y mejora mínima (log loss medio) para seguir
+const MAX_ROUNDS = 4;
+const MIN_IMPROVEMENT = 1e-5;
+const GOLDEN_ITERATIONS = 20;
+
+/**
+ * Log loss medio del 1X2 de un conjunto de partidos con unos parámetros.
+ * Solo hace falta el 1X2 del ensemble, así que no se construyen los mercados completos.
+ * @param {object[]} samples - Ver collectSeasonSamples.
+ * @param {object} params
+ * @returns {number}
+ */
+function logLoss(samples, params) {
+    let total = 0;
+    for (const sample of samples) {
+        const { probabilities } = runModel(sample.inputs, params);
+        total += -Math.log(Math.max(probabilities[sample.outcome], 1e-15));
+    }
+    return total / samples.length;
+}
+
+/**
+ * Minimiza una función de una variable en [min, max] por sección áurea.
+ * @param {function(number): number} fn
+ * @param {number} min
+ * @param {number} max
+ * @returns {{x:number, value:number}}
+ */
+function goldenSectionSearch(fn, min, max) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = min;
+    let b = max;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = fn(c);
+    let fd = fn(d);
+    for (let i = 0; i < GOLDEN_ITERATIONS; i++) {
+        if (fc < fd) {
+            b = d; d = c; fd = fc;
+            c = b - ratio * (b - a);
+            fc = fn(c);
+        } else {
+            a = c; c = d; fc = fd;
+            d = a + ratio * (b - a);
+            fd = fn(d);
+        }
+    }
+    // Los extremos también cuentan (ej. peso 0 = el componente no aporta)
+    return [{ x: c, value: fc }, { x: d, value: fd }, { x: min, value: fn(min) }, { x: max, value: fn(max) }]
+        .reduce((best, point) => point.value < best.value ? point : best);
+}
+
+/**
+ * Ajuste por máxima verosimilitud con descenso por coordenadas.
+ * @param {object[]} samples
+ * @param {object} startParams - Parámetros de partida (los vigentes).
+ * @param {string[]} keys - Parámetros a ajustar.
+ * @returns {{params:object, logLoss:number, rounds:number}}
+ */
+function fitParams(samples, startParams, keys) {
+    const params = { ...startParams };
+    let current = logLoss(samples, params);
+    let rounds = 0;
+
+    while (rounds < MAX_ROUNDS) {
+        rounds++;
+        const before = current;
+        for (const key of keys) {
+            const { min, max } = FITTED_PARAMS[key];
+            const best = goldenSectionSearch(x => logLoss(samples, { ...params, [key]: x }), min, max);
+            if (best.value < current) {
+                params[key] = best.x;
+                current = best.value;
+            }
+        }
+        if (before - current < MIN_IMPROVEMENT) break;
+    }
+
+    return { params, logLoss: current, rounds };
+}
+
+/**
+ * Separa entrenamiento y prueba: la última temporada queda fuera de muestra;
+ * con una sola temporada se reserva su parte final.
+ * @param {Array<{season:number, samples:object[]}>} bySeason - En orden cronológico.
+ * @returns {{train:object[], test:object[]}}
+ */
+function splitSamples(bySeason) {
+    if (bySeason.length >= 2) {
+        return {
+            train: bySeason.slice(0, -1).flatMap(s => s.samples),
+            test: bySeason[bySeason.length - 1].samples,
+        };
+    }
+    const samples = bySeason[0]?.samples || [];
+    const cut = Math.floor(samples.length * (1 - TEST_SHARE));
+    return { train: samples.slice(0, cut), test: samples.slice(cut) };
+}
+
+const roundParam = (value) => parseFloat(value.toFixed(4));
+const roundLoss = (value) => parseFloat(value.toFixed(4));
+
+/**
+ * Calibra una liga y guarda el resultado como nueva versión del archivo de parámetros.
+ * Si el log loss fuera de muestra empeora, el ajuste queda en el historial pero no se aplica (salvo force).
+ * @param {object} options
+ * @param {number} options.league
+ * @param {number[]} [options.seasons] - Temporadas terminadas; la última es la de prueba (por defecto las 3 anteriores a la actual).
+ * @param {boolean} [options.useH2H] - Ajustar el peso del H2H (por defecto true).
+ * @param {boolean} [options.useOdds] - Consultar cuotas para ajustar el peso del mercado (por defecto false:
+ *   es una petición /odds por partido de las tres temporadas).
+ * @param {number} [options.minMatches] - Ver collectSeasonSamples.
+ * @param {boolean} [options.save] - Guardar el ajuste (por defecto true).
+ * @param {boolean} [options.force] - Aplicar aunque empeore fuera de muestra.
+ * @returns {Promise<object>} Informe del ajuste.
+ */
+async function calibrateLeague(options) {
+    const league = parseInt(options.league);
+    let seasons;
+    if (options.seasons && options.seasons.length > 0) {
+        seasons = options.seasons.map(s => parseInt(s)).sort((a, b) => a - b);
+    } else {
+        // Las tres últimas temporadas terminadas
+        const currentSeason = await resolveCurrentSeason(league);
+        seasons = [currentSeason - 3, currentSeason - 2, currentSeason - 1];
+    }
+    const useH2H = options.useH2H !== false;
+    const useOdds = options.useOdds === true;
+
+    const bySeason = [];
+    for (const season of seasons) {
+        const { samples } = await collectSeasonSamples({ league, season, minMatches: options.minMatches, useH2H, useOdds });
+        bySeason.push({ season, samples });
+    }
+    const { train, test } = splitSamples(bySeason);
+    if (train.length < MIN_TRAIN_SAMPLES || test.length < MIN_TEST_SAMPLES) {
+        throw new Error(`Datos insuficientes para calibrar la liga ${league}: ${train.length} partidos de entrenamiento (mínimo ${MIN_TRAIN_SAMPLES}) y ${test.length} de prueba (mínimo ${MIN_TEST_SAMPLES})`);
+    }
+
+    // Solo se ajustan los pesos de componentes con datos suficientes en el entrenamiento
+    const withOdds = train.filter(s => s.inputs.marketOdds?.home && s.inputs.marketOdds?.draw && s.inputs.marketOdds?.away).length;
+    const keys = ['homeAdvantage', 'formWeight'];
+    if (useH2H) keys.push('h2hWeight');
+    if (withOdds >= MIN_ODDS_SAMPLES) keys.push('marketWeight');
+
+    const previousParams = resolveModelParams(league);
+    const fit = fitParams(train, previousParams, keys);
+    const fittedParams = Object.fromEntries(keys.map(key => [key, roundParam(fit.params[key])]));
+    const newParams = { ...previousParams, ...fittedParams };
+
+    const before = logLoss(test, previousParams);
+    const after = logLoss(test, newParams);
+    const applied = after <= before || options.force === true;
+
+    const stats = {
+        seasons,
+        train_samples: train.length,
+        test_samples: test.length,
+        train_samples_with_odds: withOdds,
+        fitted: keys,
+        rounds: fit.rounds,
+        log_likelihood: roundLoss(-fit.logLoss * train.length),
+        train_log_loss: { before: roundLoss(logLoss(train, previousParams)), after: roundLoss(fit.logLoss) },
+        out_of_sample: {
+            season: bySeason.length >= 2 ? seasons[seasons.length - 1] : null,
+            log_loss_before: roundLoss(before),
+            log_loss_after: roundLoss(after),
+            change: roundLoss(after - before),
+        },
+    };
+    const previous = Object.fromEntries(keys.map(key => [key, roundParam(previousParams[key])]));
+    const version = options.save === false ? null : recordFit(league, { params: fittedParams, previousParams: previous, stats, applied });
+
+    return { league, version, applied, params: fittedParams, previous_params: previous, stats };
+}
+
+module.exports = {
+    FITTED_PARAMS,
+    logLoss,
+    fitParams,
+    calibrateLeague,
+};
@@ -0,0 +1,36 @@
+// backend/lib/concurrency.js
+// Ejecución de tareas asíncronas con un máximo de tareas en paralelo.
+
+// Predicciones simultáneas por defecto (cada una hace varias llamadas a la API)
+const DEFAULT_CONCURRENCY = parseInt(process.env.PREDICTION_CONCURRENCY) || 4;
+
+/**
+ * Aplica una función asíncrona a cada elemento con como mucho `limit` en curso a la vez.
+ * Nunca rechaza: como Promise.allSettled, devuelve el resultado de cada elemento en su orden.
+ * @param {Array} items
+ * @param {number} limit - Tareas simultáneas (mínimo 1).
+ * @param {function(any, number): Promise<any>} fn - Recibe el elemento y su índice.
+ * @returns {Promise<Array<{status:'fulfilled', value:any}|{status:'rejected', reason:Error}>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+    const workers = Math.max(1, Math.min(parseInt(limit) || 1, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    mapWithConcurrency,
+};
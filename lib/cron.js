@@ -0,0 +1,112 @@
+// backend/lib/cron.js
+// Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana) evaluadas en una
+// zona horaria, y un reloj que comprueba las tareas al inicio de cada minuto.
+//   "0 6 * * *" (6:00), "*/20 8-22 * * *" (cada 20 min de 8 a 22), "30 12 * * 1-5" (12:30 lunes a viernes)
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }, // 0 y 7 = domingo
+];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Valores permitidos de un campo ("*", "5", "1-5", "0,30", "8-22/2" o "*" con paso).
+ * @param {string} text
+ * @param {{name:string, min:number, max:number}} field
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText !== undefined ? parseInt(stepText) : 1;
+        let [from, to] = range === '*' ? [field.min, field.max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText !== undefined ? field.max : from;
+        if (![from, to, step].every(Number.isInteger) || step < 1 || from < field.min || to > field.max || from > to) {
+            throw new Error(`Campo ${field.name} inválido en la expresión cron: "${text}"`);
+        }
+        for (let value = from; value <= to; value += step) values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+    }
+    return values;
+}
+
+/**
+ * Interpreta una expresión cron.
+ * @param {string} expression
+ * @returns {{expression:string, fields:Set<number>[], restrictedDays:{dayOfMonth:boolean, dayOfWeek:boolean}}}
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Expresión cron inválida (se esperan 5 campos): "${expression}"`);
+    }
+    return {
+        expression,
+        fields: parts.map((part, i) => parseField(part, CRON_FIELDS[i])),
+        restrictedDays: { dayOfMonth: parts[2] !== '*', dayOfWeek: parts[4] !== '*' },
+    };
+}
+
+/**
+ * Minuto, hora, día, mes y día de la semana de un instante en una zona horaria.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number[]} En el orden de CRON_FIELDS.
+ */
+function timeFields(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', minute: 'numeric', hour: 'numeric', day: 'numeric', month: 'numeric', weekday: 'short',
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    return [parseInt(parts.minute), parseInt(parts.hour), parseInt(parts.day), parseInt(parts.month), WEEKDAYS[parts.weekday]];
+}
+
+/**
+ * Indica si una expresión cron se cumple en un instante (con la regla clásica: si se restringen
+ * día del mes y día de la semana, basta con que se cumpla uno de los dos).
+ * @param {object} cron - Resultado de parseCron.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function cronMatches(cron, date, timeZone) {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = timeFields(date, timeZone);
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = cron.fields;
+    if (!minutes.has(minute) || !hours.has(hour) || !months.has(month)) return false;
+    const domMatch = daysOfMonth.has(dayOfMonth);
+    const dowMatch = daysOfWeek.has(dayOfWeek);
+    if (cron.restrictedDays.dayOfMonth && cron.restrictedDays.dayOfWeek) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+}
+
+/**
+ * Arranca un reloj que, al inicio de cada minuto, lanza las tareas cuya expresión se cumple.
+ * @param {Array<{name:string, cron:object, run:function(): any}>} jobs - cron: resultado de parseCron.
+ * @param {string} timeZone
+ * @returns {function(): void} Detiene el reloj.
+ */
+function startCron(jobs, timeZone) {
+    let timer = null;
+    const tick = () => {
+        const now = new Date();
+        for (const job of jobs) {
+            if (cronMatches(job.cron, now, timeZone)) job.run();
+        }
+        schedule();
+    };
+    const schedule = () => {
+        // Un poco después del cambio de minuto para no quedarse en el anterior
+        timer = setTimeout(tick, 60 * 1000 - (Date.now() % (60 * 1000)) + 50);
+        timer.unref();
+    };
+    schedule();
+    return () => clearTimeout(timer);
+}
+
+module.exports = {
+    parseCron,
+    cronMatches,
+    startCron,
+};
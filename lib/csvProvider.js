@@ -0,0 +1,492 @@
+// backend/lib/csvProvider.js
+// Proveedor de datos a partir de los CSV de resultados y cuotas de football-data.co.uk.
+// Responde como API-Football y con sus IDs (vía idMappings.js), para servir de fuente secundaria
+// o, con DATA_PROVIDER=football-data-csv, de fuente principal sin red.
+// Formatos soportados (se detectan por las columnas):
+//   - Ligas principales (E0.csv, SP1.csv...): Div, Date, Time, HomeTeam, AwayTeam, FTHG, FTAG, HTHG, HTAG, HC, AC, HY, AY, HR, AR, B365H...
+//   - Ligas extra (MEX.csv, USA.csv...): Country, League, Season, Date, Time, Home, Away, HG, AG, PSCH...
+//   - fixtures.csv: próximos partidos (sin goles) con cuotas.
+// La liga de cada fila es su Div o "País/Liga"; sin equivalencia en la tabla no se puede pedir por ID.
+// Como fuente principal todos los equipos y ligas necesitan equivalencia (sin ella su ID sería null):
+// el servidor no arranca mientras falte alguna (ver listUnmapped).
+// Comprobación con archivos de ejemplo: node scripts/check-csv-provider.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonFile');
+const { toApiId, toExternalId, setMapping } = require('./idMappings');
+
+const SOURCE = 'football-data-csv';
+const CSV_DIR = process.env.FOOTBALL_DATA_CSV_DIR || path.join(DATA_DIR, 'football-data');
+const SUPPORTED_ENDPOINTS = ['/fixtures', '/fixtures/headtohead', '/teams/statistics', '/standings', '/odds', '/leagues'];
+
+// Casas con columnas propias en los CSV. La primera con cuotas es la casa principal del partido.
+// ouPrefix: prefijo de las columnas de más/menos 2.5 (Pinnacle usa "P>2.5").
+const BOOKMAKERS = [
+    { prefix: 'PS', ouPrefix: 'P', id: 4, name: 'Pinnacle' },
+    { prefix: 'B365', ouPrefix: 'B365', id: 8, name: 'Bet365' },
+    { prefix: 'WH', ouPrefix: null, id: 7, name: 'William Hill' },
+    { prefix: 'BW', ouPrefix: null, id: 6, name: 'Bwin' },
+];
+
+// Palabras que no distinguen equipos al comparar nombres entre fuentes
+const NAME_STOPWORDS = new Set(['fc', 'cf', 'afc', 'sc', 'ac', 'cd', 'club', 'de', 'the']);
+// Abreviaturas habituales de football-data.co.uk
+const NAME_ALIASES = { man: 'manchester', utd: 'united', nottm: 'nottingham', wolves: 'wolverhampton', ath: 'athletic' };
+
+/**
+ * Convierte un CSV en filas de campos (admite comillas y saltos de línea \r\n).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const endRow = () => {
+        row.push(field);
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        field = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c !== '"') field += c;
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else quoted = false;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Número de un campo del CSV (null si está vacío).
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function num(value) {
+    const n = parseFloat(value);
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Fecha de una fila (dd/mm/yyyy o dd/mm/yy; la hora es la del Reino Unido y se toma como UTC).
+ * @param {string} date
+ * @param {string} [time]
+ * @returns {Date|null}
+ */
+function parseDate(date, time) {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec((date || '').trim());
+    if (!match) return null;
+    const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+    const [hours, minutes] = /^\d{1,2}:\d{2}$/.test((time || '').trim()) ? time.trim().split(':').map(Number) : [0, 0];
+    return new Date(Date.UTC(year, parseInt(match[2]) - 1, parseInt(match[1]), hours, minutes));
+}
+
+/**
+ * ID estable y negativo (nunca coincide con uno de API-Football) para un partido del CSV.
+ * @param {string} key
+ * @returns {number}
+ */
+function syntheticFixtureId(key) {
+    return -(parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 7), 16) + 1);
+}
+
+/**
+ * Cuotas de las casas conocidas en una fila (las de apertura o, si faltan, las de cierre).
+ * @param {object} row
+ * @returns {Array<{id:number, name:string, home:number, draw:number, away:number, over25:number|null, under25:number|null}>}
+ */
+function parseRowOdds(row) {
+    const odds = [];
+    for (const bookmaker of BOOKMAKERS) {
+        const pick = (open, close) => num(row[open]) ?? num(row[close]);
+        const p = bookmaker.prefix;
+        const home = pick(`${p}H`, `${p}CH`);
+        const draw = pick(`${p}D`, `${p}CD`);
+        const away = pick(`${p}A`, `${p}CA`);
+        if (!home || !draw || !away) continue;
+        const o = bookmaker.ouPrefix;
+        odds.push({
+            id: bookmaker.id,
+            name: bookmaker.name,
+            home,
+            draw,
+            away,
+            over25: o ? pick(`${o}>2.5`, `${o}C>2.5`) : null,
+            under25: o ? pick(`${o}<2.5`, `${o}C<2.5`) : null,
+        });
+    }
+    return odds;
+}
+
+/**
+ * Partido normalizado a partir de una fila de cualquiera de los formatos.
+ * @param {object} row - Fila con las columnas de la cabecera.
+ * @returns {object|null}
+ */
+function rowToMatch(row) {
+    const code = row.Div || (row.Country && row.League ? `${row.Country}/${row.League}` : null);
+    const home = (row.HomeTeam || row.Home || '').trim();
+    const away = (row.AwayTeam || row.Away || '').trim();
+    const date = parseDate(row.Date, row.Time);
+    if (!code || !home || !away || !date) return null;
+
+    const goalsHome = num(row.FTHG ?? row.HG);
+    const goalsAway = num(row.FTAG ?? row.AG);
+    const pair = (h, a) => (num(row[h]) !== null && num(row[a]) !== null ? { home: num(row[h]), away: num(row[a]) } : null);
+    return {
+        id: syntheticFixtureId(`${code}|${date.toISOString().slice(0, 10)}|${home}|${away}`),
+        code,
+        // Temporadas "2023/2024" o "2024"; sin columna, las europeas empiezan en julio
+        season: row.Season ? parseInt(row.Season) : (date.getUTCMonth() >= 6 ? date.getUTCFullYear() : date.getUTCFullYear() - 1),
+        date,
+        home,
+        away,
+        goals: goalsHome !== null && goalsAway !== null ? { home: goalsHome, away: goalsAway } : null,
+        halftime: pair('HTHG', 'HTAG'),
+        corners: pair('HC', 'AC'),
+        yellowCards: pair('HY', 'AY'),
+        redCards: pair('HR', 'AR'),
+        odds: parseRowOdds(row),
+    };
+}
+
+/**
+ * Nombre de equipo comparable entre fuentes ("Man United" y "Manchester United FC" → "manchester united").
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeTeamName(name) {
+    return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9 ]/g, '')
+        .split(/\s+/)
+        .filter(word => word && !NAME_STOPWORDS.has(word))
+        .map(word => NAME_ALIASES[word] || word)
+        .join(' ');
+}
+
+/**
+ * Crea el proveedor de CSV de football-data.co.uk.
+ * @param {string} [dir] - Carpeta con los .csv (por defecto FOOTBALL_DATA_CSV_DIR).
+ * @returns {import('./dataProvider').DataProvider}
+ */
+function createCsvProvider(dir = CSV_DIR) {
+    let loaded = { signature: null, matches: [] };
+
+    /**
+     * Partidos de todos los CSV de la carpeta, ordenados por fecha. Se releen si cambia algún archivo.
+     * @returns {object[]}
+     */
+    function loadMatches() {
+        let files;
+        try {
+            files = fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.csv')).sort();
+        } catch (error) {
+            return [];
+        }
+        const signature = files.map(file => `${file}:${fs.statSync(path.join(dir, file)).mtimeMs}`).join('|');
+        if (signature === loaded.signature) return loaded.matches;
+
+        const byId = new Map();
+        for (const file of files) {
+            const [header, ...rows] = parseCsv(fs.readFileSync(path.join(dir, file), 'utf8').replace(/^\uFEFF/, ''));
+            if (!header) continue;
+            for (const values of rows) {
+                const match = rowToMatch(Object.fromEntries(header.map((column, i) => [column.trim(), values[i]])));
+                if (!match) continue;
+                // Un partido de fixtures.csv que ya tiene resultado en el archivo de la liga: gana el resultado
+                const previous = byId.get(match.id);
+                if (!previous || (!previous.goals && match.goals)) {
+                    byId.set(match.id, previous && match.odds.length === 0 ? { ...match, odds: previous.odds } : match);
+                }
+            }
+        }
+        loaded = { signature, matches: [...byId.values()].sort((a, b) => a.date - b.date) };
+        return loaded.matches;
+    }
+
+    const teamId = name => toApiId(SOURCE, 'teams', name);
+    const leagueCode = leagueId => toExternalId(SOURCE, 'leagues', leagueId);
+
+    /**
+     * Estadísticas del partido en el formato de /fixtures?ids= (córners y tarjetas, ver matchStats.js).
+     */
+    function toApiStatistics(match) {
+        if (!match.corners || !match.yellowCards) return undefined;
+        return ['home', 'away'].map(side => ({
+            team: { id: teamId(match[side]), name: match[side] },
+            statistics: [
+                { type: 'Corner Kicks', value: match.corners[side] },
+                { type: 'Yellow Cards', value: match.yellowCards[side] },
+                { type: 'Red Cards', value: match.redCards ? match.redCards[side] : 0 },
+            ],
+        }));
+    }
+
+    /**
+     * Partido en el formato de /fixtures de API-Football.
+     */
+    function toApiFixture(match) {
+        const winner = side => (match.goals ? (match.goals.home === match.goals.away ? null : (side === 'home') === (match.goals.home > match.goals.away)) : null);
+        return {
+            fixture: {
+                id: match.id,
+                referee: null,
+                date: match.date.toISOString(),
+                timestamp: Math.floor(match.date.getTime() / 1000),
+                status: match.goals ? { long: 'Match Finished', short: 'FT', elapsed: 90 } : { long: 'Not Started', short: 'NS', elapsed: null },
+            },
+            league: { id: toApiId(SOURCE, 'leagues', match.code), name: match.code, season: match.season },
+            teams: {
+                home: { id: teamId(match.home), name: match.home, winner: winner('home') },
+                away: { id: teamId(match.away), name: match.away, winner: winner('away') },
+            },
+            goals: match.goals ? { ...match.goals } : { home: null, away: null },
+            score: {
+                halftime: match.halftime ? { ...match.halftime } : { home: null, away: null },
+                fulltime: match.goals ? { ...match.goals } : { home: null, away: null },
+            },
+            statistics: toApiStatistics(match),
+        };
+    }
+
+    /**
+     * Aplica los filtros last/next de API-Football (last: terminados, del más reciente al más antiguo).
+     */
+    function limitFixtures(matches, params) {
+        if (params.last) return matches.filter(m => m.goals).reverse().slice(0, parseInt(params.last));
+        if (params.next) return matches.filter(m => !m.goals && m.date >= new Date()).slice(0, parseInt(params.next));
+        return matches;
+    }
+
+    function fixtures(params) {
+        let matches = loadMatches();
+        if (params.id) matches = matches.filter(m => m.id === Number(params.id));
+        if (params.ids) {
+            const ids = String(params.ids).split('-').map(Number);
+            matches = matches.filter(m => ids.includes(m.id));
+        }
+        if (params.league) {
+            const code = leagueCode(params.league);
+            matches = matches.filter(m => m.code === code);
+        }
+        if (params.season) matches = matches.filter(m => m.season === Number(params.season));
+        if (params.team) {
+            const name = toExternalId(SOURCE, 'teams', params.team);
+            matches = matches.filter(m => m.home === name || m.away === name);
+        }
+        if (params.date) matches = matches.filter(m => m.date.toISOString().startsWith(params.date));
+        return limitFixtures(matches, params).map(toApiFixture);
+    }
+
+    function headToHead(params) {
+        const names = String(params.h2h || '').split('-').map(id => toExternalId(SOURCE, 'teams', id));
+        if (names.length !== 2 || names.includes(null)) return [];
+        const matches = loadMatches().filter(m => names.includes(m.home) && names.includes(m.away));
+        return limitFixtures(matches, params).map(toApiFixture);
+    }
+
+    function teamStatistics(params) {
+        const name = toExternalId(SOURCE, 'teams', params.team);
+        const code = leagueCode(params.league);
+        const matches = loadMatches().filter(m => m.goals && m.code === code && m.season === Number(params.season)
+            && (m.home === name || m.away === name));
+        if (!name || matches.length === 0) return [];
+
+        const count = () => ({ home: 0, away: 0, total: 0 });
+        const played = count(), wins = count(), draws = count(), loses = count(), goalsFor = count(), goalsAgainst = count();
+        let form = '';
+        for (const match of matches) {
+            const side = match.home === name ? 'home' : 'away';
+            const scored = match.goals[side];
+            const conceded = match.goals[side === 'home' ? 'away' : 'home'];
+            const result = scored > conceded ? wins : scored < conceded ? loses : draws;
+            for (const counter of [played, result]) { counter[side]++; counter.total++; }
+            goalsFor[side] += scored; goalsFor.total += scored;
+            goalsAgainst[side] += conceded; goalsAgainst.total += conceded;
+            form += result === wins ? 'W' : result === loses ? 'L' : 'D';
+        }
+        const average = totals => Object.fromEntries(['home', 'away', 'total'].map(k => [k, played[k] > 0 ? (totals[k] / played[k]).toFixed(1) : '0.0']));
+        return {
+            league: { id: Number(params.league), name: code, season: Number(params.season) },
+            team: { id: Number(params.team), name },
+            form,
+            fixtures: { played, wins, draws, loses },
+            goals: {
+                for: { total: goalsFor, average: average(goalsFor) },
+                against: { total: goalsAgainst, average: average(goalsAgainst) },
+            },
+        };
+    }
+
+    function standings(params) {
+        const code = leagueCode(params.league);
+        const matches = loadMatches().filter(m => m.goals && m.code === code && m.season === Number(params.season));
+        if (matches.length === 0) return [];
+
+        const table = new Map();
+        const record = () => ({ played: 0, win: 0, draw: 0, lose: 0, goals: { for: 0, against: 0 } });
+        const entry = name => {
+            if (!table.has(name)) table.set(name, { team: { id: teamId(name), name }, points: 0, form: '', all: record(), home: record(), away: record() });
+            return table.get(name);
+        };
+        for (const match of matches) {
+            for (const side of ['home', 'away']) {
+                const row = entry(match[side]);
+                const scored = match.goals[side];
+                const conceded = match.goals[side === 'home' ? 'away' : 'home'];
+                const result = scored > conceded ? 'win' : scored < conceded ? 'lose' : 'draw';
+                for (const split of [row.all, row[side]]) {
+                    split.played++;
+                    split[result]++;
+                    split.goals.for += scored;
+                    split.goals.against += conceded;
+                }
+                row.points += result === 'win' ? 3 : result === 'draw' ? 1 : 0;
+                // Últimos 5, el más reciente primero (como API-Football)
+                row.form = ({ win: 'W', draw: 'D', lose: 'L' }[result] + row.form).slice(0, 5);
+            }
+        }
+        const rows = [...table.values()]
+            .map(row => ({ ...row, goalsDiff: row.all.goals.for - row.all.goals.against }))
+            .sort((a, b) => b.points - a.points || b.goalsDiff - a.goalsDiff || b.all.goals.for - a.all.goals.for)
+            .map((row, i) => ({ rank: i + 1, ...row }));
+        return [{ league: { id: Number(params.league), name: code, season: Number(params.season), standings: [rows] } }];
+    }
+
+    function odds(params) {
+        const match = loadMatches().find(m => m.id === Number(params.fixture));
+        if (!match || match.odds.length === 0) return [];
+        const fixture = toApiFixture(match);
+        return [{
+            league: fixture.league,
+            fixture: { id: match.id, date: fixture.fixture.date, timestamp: fixture.fixture.timestamp },
+            bookmakers: match.odds.map(o => ({
+                id: o.id,
+                name: o.name,
+                bets: [
+                    { id: 1, name: 'Match Winner', values: [{ value: 'Home', odd: String(o.home) }, { value: 'Draw', odd: String(o.draw) }, { value: 'Away', odd: String(o.away) }] },
+                    ...(o.over25 && o.under25
+                        ? [{ id: 5, name: 'Goals Over/Under', values: [{ value: 'Over 2.5', odd: String(o.over25) }, { value: 'Under 2.5', odd: String(o.under25) }] }]
+                        : []),
+                ],
+            })),
+        }];
+    }
+
+    function leagues(params) {
+        const code = leagueCode(params.id);
+        const matches = loadMatches().filter(m => m.code === code);
+        if (!code || matches.length === 0) return [];
+        const seasons = [...new Set(matches.map(m => m.season))].sort((a, b) => a - b);
+        return [{
+            league: { id: Number(params.id), name: code, type: 'League' },
+            seasons: seasons.map(year => {
+                const dates = matches.filter(m => m.season === year).map(m => m.date.toISOString().slice(0, 10));
+                return { year, start: dates[0], end: dates[dates.length - 1], current: year === seasons[seasons.length - 1] };
+            }),
+        }];
+    }
+
+    const handlers = {
+        '/fixtures': fixtures,
+        '/fixtures/headtohead': headToHead,
+        '/teams/statistics': teamStatistics,
+        '/standings': standings,
+        '/odds': odds,
+        '/leagues': leagues,
+    };
+
+    return {
+        name: SOURCE,
+        metered: false,
+        supports: endpoint => SUPPORTED_ENDPOINTS.includes(endpoint),
+        request: async (endpoint, params = {}) => {
+            const response = handlers[endpoint](params);
+            return {
+                data: { get: endpoint, parameters: params, errors: [], results: Array.isArray(response) ? response.length : 1, response },
+                headers: {},
+            };
+        },
+
+        /**
+         * Indica si un equipo de API-Football ya tiene equivalencia en los CSV.
+         * @param {number} apiTeamId
+         * @returns {boolean}
+         */
+        hasTeam: apiTeamId => toExternalId(SOURCE, 'teams', apiTeamId) !== null,
+
+        /**
+         * Ligas y equipos de los CSV sin equivalencia con API-Football.
+         * @returns {{leagues:string[], teams:string[]}}
+         */
+        listUnmapped: () => {
+            const leagues = new Set();
+            const teams = new Set();
+            for (const match of loadMatches()) {
+                if (toApiId(SOURCE, 'leagues', match.code) === null) leagues.add(match.code);
+                for (const name of [match.home, match.away]) {
+                    if (teamId(name) === null) teams.add(name);
+                }
+            }
+            return { leagues: [...leagues].sort(), teams: [...teams].sort() };
+        },
+
+        /**
+         * Busca por nombre el equipo de los CSV que corresponde a uno de API-Football y guarda la
+         * equivalencia. Solo se aceptan coincidencias únicas.
+         * @param {number} apiTeamId
+         * @param {string} apiTeamName
+         * @param {number} [leagueId] - Limita la búsqueda a los equipos de esa liga.
+         * @returns {boolean} true si quedó mapeado.
+         */
+        mapTeam: (apiTeamId, apiTeamName, leagueId) => {
+            const code = leagueId ? leagueCode(leagueId) : null;
+            const names = new Set();
+            for (const match of loadMatches()) {
+                if (code && match.code !== code) continue;
+                for (const name of [match.home, match.away]) {
+                    if (teamId(name) === null) names.add(name);
+                }
+            }
+            const target = normalizeTeamName(apiTeamName);
+            const targetWords = target.split(' ');
+            const exact = [...names].filter(name => normalizeTeamName(name) === target);
+            // Sin coincidencia exacta: todas las palabras de un nombre contenidas en el otro
+            const candidates = exact.length > 0 ? exact : [...names].filter(name => {
+                const words = normalizeTeamName(name).split(' ');
+                return words.every(w => targetWords.includes(w)) || targetWords.every(w => words.includes(w));
+            });
+            if (candidates.length !== 1) {
+                if (candidates.length > 1) console.warn(`⚠️ ${SOURCE}: varios equipos posibles para ${apiTeamName} (${candidates.join(', ')}), falta equivalencia manual.`);
+                return false;
+            }
+            setMapping(SOURCE, 'teams', candidates[0], apiTeamId);
+            console.log(`🔗 ${SOURCE}: ${candidates[0]} → equipo ${apiTeamId} (${apiTeamName})`);
+            return true;
+        },
+    };
+}
+
+module.exports = {
+    SOURCE,
+    CSV_DIR,
+    parseCsv,
+    rowToMatch,
+    normalizeTeamName,
+    createCsvProvider,
+};
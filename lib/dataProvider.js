@@ -0,0 +1,91 @@
+// backend/lib/dataProvider.js
+// Proveedores de datos de fútbol. Todos responden en el formato de API-Football v3
+// ({ response, errors, ... }), así el resto del backend no depende de la fuente.
+//   DATA_PROVIDER=api-football (por defecto) | record (API + grabación en disco) | replay (solo grabaciones)
+//                 | football-data-csv (CSV locales de football-data.co.uk, ver csvProvider.js)
+//   Con replay, REPLAY_DATE=YYYY-MM-DD (día de la grabación) hace que "hoy" sea ese día (ver timezone.js).
+const axios = require('axios');
+const { RECORDINGS_DIR, createRecordingProvider, createReplayProvider } = require('./replayProvider');
+const { createCsvProvider } = require('./csvProvider');
+
+// Configuración de la API-Football
+const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY; // Clave obtenida de .env
+const RAPIDAPI_HOST = "api-football-v1.p.rapidapi.com";
+const API_BASE_URL = `https://${RAPIDAPI_HOST}/v3`;
+
+// Instancia de Axios configurada para la API-Football
+const apiFootball = axios.create({
+    baseURL: API_BASE_URL,
+    headers: {
+        'x-rapidapi-key': RAPIDAPI_KEY,
+        'x-rapidapi-host': RAPIDAPI_HOST,
+    },
+});
+
+// Recursos que cualquier proveedor debe servir para que funcionen predicciones y parleys
+const CORE_ENDPOINTS = [
+    '/fixtures',            // Partidos (por liga/fecha, por ids, en vivo)
+    '/teams/statistics',    // Estadísticas de equipo en la temporada
+    '/standings',           // Clasificación
+    '/fixtures/headtohead', // Enfrentamientos directos
+    '/odds',                // Cuotas prepartido
+    '/leagues',             // Temporadas de cada liga
+];
+
+/**
+ * @typedef {object} DataProvider
+ * @property {string} name
+ * @property {boolean} metered - Consume cuota de una API (sus peticiones pasan por el planificador, ver quota.js).
+ * @property {function(string): boolean} supports - Indica si el proveedor sirve un endpoint.
+ * @property {function(string, object): Promise<{data: object, headers: object}>} request
+ *   Petición a un endpoint de API-Football; los errores HTTP se propagan como errores de axios.
+ * @property {function(number): boolean} [hasTeam] - Solo fuentes con otros IDs: el equipo ya tiene equivalencia.
+ * @property {function(number, string, number=): boolean} [mapTeam] - Solo fuentes con otros IDs: aprende la
+ *   equivalencia de un equipo de API-Football por su nombre (ver idMappings.js).
+ * @property {function(): {leagues:string[], teams:string[]}} [listUnmapped] - Solo fuentes con otros IDs:
+ *   ligas y equipos que aún no tienen equivalencia.
+ */
+
+/**
+ * Proveedor de la API-Football real (RapidAPI).
+ * @returns {DataProvider}
+ */
+function createApiFootballProvider() {
+    return {
+        name: 'api-football',
+        metered: true,
+        supports: () => true,
+        request: async (endpoint, params) => {
+            const response = await apiFootball.get(endpoint, { params });
+            return { data: response.data, headers: response.headers };
+        },
+    };
+}
+
+/**
+ * Crea el proveedor indicado por nombre (por defecto DATA_PROVIDER).
+ * @param {string} [name] - 'api-football', 'record', 'replay' o 'football-data-csv'.
+ * @returns {DataProvider}
+ */
+function createDataProvider(name = process.env.DATA_PROVIDER || 'api-football') {
+    switch (name) {
+        case 'api-football':
+            return createApiFootballProvider();
+        case 'record':
+            return createRecordingProvider(createApiFootballProvider(), RECORDINGS_DIR);
+        case 'replay':
+            return createReplayProvider(RECORDINGS_DIR);
+        case 'football-data-csv':
+            return createCsvProvider();
+        default:
+            throw new Error(`DATA_PROVIDER desconocido: ${name} (usa api-football, record, replay o football-data-csv)`);
+    }
+}
+
+module.exports = {
+    RAPIDAPI_KEY,
+    CORE_ENDPOINTS,
+    apiFootball,
+    createApiFootballProvider,
+    createDataProvider,
+};
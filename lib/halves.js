@@ -0,0 +1,71 @@
+// backend/lib/halves.js
+// Reparto de los goles esperados entre primer y segundo tiempo a partir de los tramos por minuto
+// de /teams/statistics (goals.for.minute y goals.against.minute).
+const { buildScoreMatrix } = require('./scoreMatrix');
+
+// Tramos de cada mitad; la prórroga (106-120) no cuenta para los mercados a 90 minutos
+const FIRST_HALF_BUCKETS = ['0-15', '16-30', '31-45'];
+const SECOND_HALF_BUCKETS = ['46-60', '61-75', '76-90', '91-105'];
+// Parte de los goles que se marca en el primer tiempo en las grandes ligas (~44%)
+const DEFAULT_FIRST_HALF_SHARE = 0.44;
+// Goles "virtuales" con el reparto medio que se suman para no sobrerreaccionar con poca muestra
+const PRIOR_GOALS = 10;
+
+/**
+ * Goles de un equipo en cada mitad según los tramos por minuto.
+ * @param {object|undefined} minuteBuckets - goals.for.minute o goals.against.minute.
+ * @returns {{first:number, second:number}}
+ */
+function halfGoals(minuteBuckets) {
+    const sum = (buckets) => buckets.reduce((acc, bucket) => acc + (minuteBuckets?.[bucket]?.total || 0), 0);
+    return { first: sum(FIRST_HALF_BUCKETS), second: sum(SECOND_HALF_BUCKETS) };
+}
+
+/**
+ * Fracción de goles en el primer tiempo, encogida hacia la media.
+ * @param {object|undefined} minuteBuckets
+ * @returns {number}
+ */
+function firstHalfShare(minuteBuckets) {
+    const { first, second } = halfGoals(minuteBuckets);
+    return (first + PRIOR_GOALS * DEFAULT_FIRST_HALF_SHARE) / (first + second + PRIOR_GOALS);
+}
+
+/**
+ * Reparte los goles esperados de cada equipo entre las dos mitades. La fracción del primer tiempo
+ * de cada equipo es la media entre cuándo suele marcar él y cuándo suele recibir el rival.
+ * @param {{home:number, away:number}} expectedGoals - Goles esperados a 90 minutos.
+ * @param {{home:{for:object, against:object}, away:{for:object, against:object}}} goalMinutes - Tramos por minuto.
+ * @returns {{first:{home:number, away:number}, second:{home:number, away:number}, shares:{home:number, away:number}}}
+ */
+function splitExpectedGoals(expectedGoals, goalMinutes) {
+    const shares = {
+        home: (firstHalfShare(goalMinutes.home.for) + firstHalfShare(goalMinutes.away.against)) / 2,
+        away: (firstHalfShare(goalMinutes.away.for) + firstHalfShare(goalMinutes.home.against)) / 2,
+    };
+    return {
+        first: { home: expectedGoals.home * shares.home, away: expectedGoals.away * shares.away },
+        second: { home: expectedGoals.home * (1 - shares.home), away: expectedGoals.away * (1 - shares.away) },
+        shares,
+    };
+}
+
+/**
+ * Matrices de marcadores de cada mitad. Son Poisson independientes (sin corrección de Dixon-Coles,
+ * que está ajustada para el marcador final); el reescalado al 1X2 final se hace al poner precio.
+ * @param {{first:{home:number, away:number}, second:{home:number, away:number}}} split - Ver splitExpectedGoals.
+ * @returns {{first:number[][], second:number[][]}}
+ */
+function buildHalfMatrices(split) {
+    return {
+        first: buildScoreMatrix(split.first.home, split.first.away, { rho: 0 }).matrix,
+        second: buildScoreMatrix(split.second.home, split.second.away, { rho: 0 }).matrix,
+    };
+}
+
+module.exports = {
+    DEFAULT_FIRST_HALF_SHARE,
+    halfGoals,
+    splitExpectedGoals,
+    buildHalfMatrices,
+};
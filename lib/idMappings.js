@@ -0,0 +1,82 @@
+// backend/lib/idMappings.js
+// Tabla persistente de equivalencias entre los IDs de otras fuentes de datos y los de API-Football,
+// que son los que usa todo el backend. Las entradas se aprenden solas (por nombre) o se fijan a mano.
+//   { "football-data-csv": { "leagues": { "E0": 39, "Mexico/Liga MX": 262 }, "teams": { "Man United": 33 } } }
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const ID_MAPPINGS_FILE = process.env.ID_MAPPINGS_FILE || path.join(DATA_DIR, 'id-mappings.json');
+const MAPPING_KINDS = ['leagues', 'teams'];
+
+let mappings = null;
+
+/**
+ * Equivalencias de una fuente (se cargan del archivo la primera vez).
+ * @param {string} source
+ * @returns {{leagues: object, teams: object}}
+ */
+function sourceMappings(source) {
+    if (!mappings) mappings = readJsonFile(ID_MAPPINGS_FILE, {});
+    if (!mappings[source]) mappings[source] = {};
+    for (const kind of MAPPING_KINDS) mappings[source][kind] = mappings[source][kind] || {};
+    return mappings[source];
+}
+
+/**
+ * ID de API-Football de una liga o equipo de otra fuente.
+ * @param {string} source
+ * @param {'leagues'|'teams'} kind
+ * @param {string} externalId - Código o nombre en la otra fuente.
+ * @returns {number|null}
+ */
+function toApiId(source, kind, externalId) {
+    const apiId = sourceMappings(source)[kind][externalId];
+    return Number.isInteger(apiId) ? apiId : null;
+}
+
+/**
+ * Código o nombre en otra fuente de una liga o equipo de API-Football.
+ * @param {string} source
+ * @param {'leagues'|'teams'} kind
+ * @param {number} apiId
+ * @returns {string|null}
+ */
+function toExternalId(source, kind, apiId) {
+    const entry = Object.entries(sourceMappings(source)[kind]).find(([, id]) => id === Number(apiId));
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Guarda (o borra, con apiId null) una equivalencia y persiste la tabla.
+ * @param {string} source
+ * @param {'leagues'|'teams'} kind
+ * @param {string} externalId
+ * @param {number|null} apiId
+ */
+function setMapping(source, kind, externalId, apiId) {
+    if (!MAPPING_KINDS.includes(kind)) throw new Error(`Tipo de equivalencia desconocido: ${kind}`);
+    const table = sourceMappings(source)[kind];
+    if (apiId === null) delete table[externalId];
+    else table[externalId] = apiId;
+    writeJsonFile(ID_MAPPINGS_FILE, mappings, true);
+}
+
+/**
+ * Copia de la tabla completa (o de una fuente).
+ * @param {string} [source]
+ * @returns {object}
+ */
+function getMappings(source) {
+    if (source) return JSON.parse(JSON.stringify(sourceMappings(source)));
+    if (!mappings) mappings = readJsonFile(ID_MAPPINGS_FILE, {});
+    return JSON.parse(JSON.stringify(mappings));
+}
+
+module.exports = {
+    ID_MAPPINGS_FILE,
+    MAPPING_KINDS,
+    toApiId,
+    toExternalId,
+    setMapping,
+    getMappings,
+};
@@ -0,0 +1,42 @@
+// backend/lib/jsonFile.js
+// Lectura/escritura de archivos JSON locales (escritura atómica con archivo temporal + rename).
+const fs = require('fs');
+const path = require('path');
+
+// Carpeta por defecto para los datos generados en tiempo de ejecución
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Lee un archivo JSON; si no existe o está corrupto devuelve el valor por defecto.
+ * @param {string} filePath
+ * @param {any} fallback
+ * @returns {any}
+ */
+function readJsonFile(filePath, fallback) {
+    try {
+        if (!fs.existsSync(filePath)) return fallback;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ No se pudo leer ${filePath}:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Escribe un archivo JSON de forma atómica, creando la carpeta si hace falta.
+ * @param {string} filePath
+ * @param {any} data
+ * @param {boolean} [pretty] - Indentar el JSON (útil para archivos que se revisan a mano).
+ */
+function writeJsonFile(filePath, data, pretty = false) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    readJsonFile,
+    writeJsonFile,
+};
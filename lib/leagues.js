@@ -0,0 +1,106 @@
+// backend/lib/leagues.js
+// Registro de ligas (config/leagues.json): cuáles se escanean para parleys y value bets y su
+// temporada actual, que se resuelve con /leagues?current=true en lugar de fijarse a mano.
+//   { "leagues": [{ "id": 253, "name": "Major League Soccer", "country": "USA", "scan": true }] }
+const path = require('path');
+const { cachedApiCall } = require('./apiFootball');
+const { readJsonFile } = require('./jsonFile');
+
+const LEAGUES_CONFIG_FILE = process.env.LEAGUES_CONFIG || path.join(__dirname, '..', 'config', 'leagues.json');
+
+// Temporada de respaldo si la API no responde (CURRENT_SEASON por entorno o el año en curso)
+const CURRENT_SEASON = parseInt(process.env.CURRENT_SEASON) || new Date().getFullYear();
+// La temporada actual solo cambia al final de cada temporada
+const SEASON_TTL = 24 * 3600 * 1000;
+
+const leaguesConfig = readJsonFile(LEAGUES_CONFIG_FILE, { leagues: [] });
+const REGISTERED_LEAGUES = (leaguesConfig.leagues || [])
+    .filter(l => Number.isInteger(l.id))
+    .map(l => ({ id: l.id, name: l.name || null, country: l.country || null, scan: l.scan !== false }));
+
+/**
+ * Temporada actual de una liga según la API (la marcada como `current`).
+ * Endpoint: /leagues?id=&current=true
+ * @param {number} leagueId
+ * @returns {Promise<{season:number, start:string|null, end:string|null, source:'api'|'fallback'}>}
+ */
+async function getLeagueSeason(leagueId) {
+    try {
+        const data = await cachedApiCall('/leagues', { id: leagueId, current: 'true' }, SEASON_TTL);
+        const current = (data.response?.[0]?.seasons || []).find(s => s.current);
+        if (current?.year) {
+            return { season: current.year, start: current.start || null, end: current.end || null, source: 'api' };
+        }
+    } catch (error) {
+        console.warn(`⚠️ No se pudo resolver la temporada actual de la liga ${leagueId}:`, error.message);
+    }
+    return { season: CURRENT_SEASON, start: null, end: null, source: 'fallback' };
+}
+
+/**
+ * Año de la temporada actual de una liga.
+ * @param {number} leagueId
+ * @returns {Promise<number>}
+ */
+async function resolveCurrentSeason(leagueId) {
+    return (await getLeagueSeason(leagueId)).season;
+}
+
+/**
+ * IDs de una lista "253,128"; sin lista, las ligas escaneadas del registro.
+ * @param {string|undefined} leaguesParam
+ * @returns {number[]}
+ */
+function parseLeagueIds(leaguesParam) {
+    if (!leaguesParam) return REGISTERED_LEAGUES.filter(l => l.scan).map(l => l.id);
+    return String(leaguesParam).split(',')
+        .map(id => parseInt(id.trim()))
+        .filter(id => !isNaN(id));
+}
+
+/**
+ * Convierte una lista "253,128" en entradas { league, season, name } con la temporada actual
+ * de cada liga. Sin lista devuelve las ligas escaneadas del registro.
+ * @param {string|undefined} leaguesParam
+ * @returns {Promise<Array<{league:number, season:number, name:string|null}>>}
+ */
+async function resolveLeagues(leaguesParam) {
+    const leagues = [];
+    for (const id of parseLeagueIds(leaguesParam)) {
+        leagues.push({
+            league: id,
+            season: await resolveCurrentSeason(id),
+            name: REGISTERED_LEAGUES.find(l => l.id === id)?.name || null,
+        });
+    }
+    return leagues;
+}
+
+/**
+ * Ligas del registro con su temporada actual (para /api/leagues).
+ * @returns {Promise<object[]>}
+ */
+async function listLeagues() {
+    const leagues = [];
+    for (const league of REGISTERED_LEAGUES) {
+        const season = await getLeagueSeason(league.id);
+        leagues.push({
+            ...league,
+            season: season.season,
+            season_start: season.start,
+            season_end: season.end,
+            season_source: season.source,
+        });
+    }
+    return leagues;
+}
+
+module.exports = {
+    CURRENT_SEASON,
+    REGISTERED_LEAGUES,
+    getLeagueSeason,
+    resolveCurrentSeason,
+    parseLeagueIds,
+    resolveLeagues,
+    listLeagues,
+};
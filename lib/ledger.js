@@ -0,0 +1,526 @@
+// backend/lib/ledger.js
+// Registro (ledger) de predicciones servidas, liquidación automática y métricas de acierto.
+// El archivo principal solo guarda las pendientes (se reescribe a menudo); las liquidadas y anuladas
+// pasan a un archivo por mes del partido en LEDGER_ARCHIVE_DIR (<YYYY-MM>.json).
+const fs = require('fs');
+const path = require('path');
+const { cachedApiCall } = require('./apiFootball');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+const { settleSelection, settleCountSelection, COUNT_MARKETS } = require('./markets');
+const { matchStatTotals } = require('./matchStats');
+const { applyResults } = require('./ratings');
+const { runWithPriority } = require('./quota');
+
+const LEDGER_FILE = process.env.LEDGER_FILE || path.join(DATA_DIR, 'prediction-ledger.json');
+const LEDGER_ARCHIVE_DIR = process.env.LEDGER_ARCHIVE_DIR || path.join(DATA_DIR, 'ledger-archive');
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+const VOID_STATUSES = ['CANC', 'ABD', 'AWD', 'WO'];
+// Mercados que se registran y evalúan
+const MARKETS = ['1X2', 'BTTS', 'OU2.5'];
+// No intentamos liquidar hasta que pase este tiempo desde el inicio del partido
+const SETTLE_AFTER_KICKOFF_MS = 2 * 3600 * 1000;
+// Predicciones sin fixtureId cuyo partido no aparece (los equipos no se enfrentan en esa liga y
+// temporada): se anulan pasado este tiempo para no buscarlas en cada liquidación
+const UNRESOLVED_EXPIRY_MS = 7 * 24 * 3600 * 1000;
+
+let ledger = readJsonFile(LEDGER_FILE, { entries: [] });
+let saveTimer = null;
+// Entradas pendientes por clave (una como máximo por clave)
+const pendingByKey = new Map(ledger.entries.filter(e => e.status === 'pending').map(e => [e.key, e]));
+// Entradas cerradas por mes del partido: 'YYYY-MM' -> entries
+const archive = loadArchive();
+
+const saveLedger = () => {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        writeJsonFile(LEDGER_FILE, ledger);
+    } catch (error) {
+        console.error(`❌ Error al guardar el ledger de predicciones:`, error.message);
+    }
+};
+
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveLedger, 2000);
+    saveTimer.unref();
+};
+process.on('exit', () => { if (saveTimer) saveLedger(); });
+
+/**
+ * Carga los archivos mensuales de entradas cerradas.
+ * @returns {Map<string, object[]>}
+ */
+function loadArchive() {
+    const months = new Map();
+    if (!fs.existsSync(LEDGER_ARCHIVE_DIR)) return months;
+    for (const file of fs.readdirSync(LEDGER_ARCHIVE_DIR)) {
+        if (!/^\d{4}-\d{2}\.json$/.test(file)) continue;
+        months.set(file.slice(0, 7), readJsonFile(path.join(LEDGER_ARCHIVE_DIR, file), { entries: [] }).entries);
+    }
+    return months;
+}
+
+/**
+ * Mes (YYYY-MM) de una entrada: el del partido o, si no se conoce, el de la primera vez que se sirvió.
+ * @param {object} entry
+ * @returns {string}
+ */
+function entryMonth(entry) {
+    return (entry.kickoff || entry.first_served_at || '').slice(0, 7);
+}
+
+/**
+ * Pasa las entradas liquidadas y anuladas al archivo de su mes y deja en el ledger solo las pendientes.
+ * Una entrada que ya está en el archivo (corte entre las dos escrituras) no se duplica.
+ */
+function archiveClosedEntries() {
+    const closed = ledger.entries.filter(e => e.status !== 'pending');
+    if (closed.length === 0) return;
+    const touched = new Set();
+    for (const entry of closed) {
+        const month = entryMonth(entry);
+        if (!archive.has(month)) archive.set(month, []);
+        const entries = archive.get(month);
+        if (!entries.some(e => e.key === entry.key && e.first_served_at === entry.first_served_at)) entries.push(entry);
+        touched.add(month);
+    }
+    try {
+        for (const month of touched) {
+            writeJsonFile(path.join(LEDGER_ARCHIVE_DIR, `${month}.json`), { entries: archive.get(month) });
+        }
+    } catch (error) {
+        // Se reintenta en la siguiente liquidación: siguen en el ledger principal
+        console.error(`❌ Error al archivar predicciones liquidadas:`, error.message);
+        return;
+    }
+    ledger.entries = ledger.entries.filter(e => e.status === 'pending');
+    saveLedger();
+}
+
+/**
+ * Picks por defecto de una predicción: la opción más probable de cada mercado.
+ * @param {object} probabilities - Probabilidades 0-1 del modelo.
+ * @param {object|null} marketOdds - Cuotas capturadas (formato de fetchFixtureOdds).
+ * @returns {Array<{market:string, selection:string, probability:number, odd:number|null}>}
+ */
+function defaultPicks(probabilities, marketOdds) {
+    const odds = marketOdds || {};
+    const picks = [];
+
+    const outcomes = [['home', probabilities.home, odds.home], ['draw', probabilities.draw, odds.draw], ['away', probabilities.away, odds.away]];
+    const best1X2 = outcomes.reduce((best, current) => current[1] > best[1] ? current : best);
+    picks.push({ market: '1X2', selection: best1X2[0], probability: best1X2[1], odd: best1X2[2] || null });
+
+    const bttsYes = probabilities.btts_yes > 0.5;
+    picks.push({
+        market: 'BTTS',
+        selection: bttsYes ? 'yes' : 'no',
+        probability: bttsYes ? probabilities.btts_yes : probabilities.btts_no,
+        odd: (bttsYes ? odds.btts_yes : odds.btts_no) || null,
+    });
+
+    const over = probabilities.over_2_5 > 0.5;
+    picks.push({
+        market: 'OU2.5',
+        selection: over ? 'over' : 'under',
+        probability: over ? probabilities.over_2_5 : probabilities.under_2_5,
+        odd: (over ? odds.over25 : odds.under25) || null,
+    });
+    return picks;
+}
+
+/**
+ * Extrae las probabilidades 0-1 que guardamos a partir de la respuesta de getMatchPrediction.
+ * @param {object} prediction
+ * @returns {object}
+ */
+function extractProbabilities(prediction) {
+    const p = prediction.predictions.probabilities;
+    return {
+        home: p.home,
+        draw: p.draw,
+        away: p.away,
+        btts_yes: p.btts,
+        btts_no: 1 - p.btts,
+        over_2_5: p.over_2_5,
+        under_2_5: 1 - p.over_2_5,
+    };
+}
+
+/**
+ * Guarda (o actualiza, si sigue pendiente) una predicción servida.
+ * @param {object} record
+ * @param {string} record.source - Endpoint que sirvió la predicción (ej: 'prediction', 'predict-match', 'parley-del-dia').
+ * @param {object} record.fixture - { id, date, leagueId, season, homeTeamId, awayTeamId, homeTeam, awayTeam }.
+ * @param {object} record.prediction - Respuesta de getMatchPrediction.
+ * @param {Array} [record.picks] - Picks concretos; si no se indican se usan los picks por defecto.
+ * @param {boolean} [record.appendPicks] - Añade los picks a los de la entrada pendiente en lugar de
+ *   sustituirlos (piernas del mismo partido o de varios parleys con la misma fuente).
+ * @returns {object} Entrada del ledger.
+ */
+function recordPrediction({ source, fixture, prediction, picks, appendPicks = false }) {
+    const probabilities = extractProbabilities(prediction);
+    // Las cuotas de goleadores no se liquidan aquí y harían crecer mucho el archivo
+    const { goalscorers, ...marketOdds } = prediction.market_odds || {};
+    const key = fixture.id
+        ? `${source}:${fixture.id}`
+        : `${source}:${fixture.homeTeamId}-${fixture.awayTeamId}-${fixture.leagueId}-${fixture.season}`;
+    const now = new Date().toISOString();
+
+    let entry = pendingByKey.get(key);
+    if (!entry) {
+        entry = {
+            key,
+            source,
+            fixture_id: fixture.id ? parseInt(fixture.id) : null,
+            league_id: parseInt(fixture.leagueId),
+            season: parseInt(fixture.season),
+            home_team_id: parseInt(fixture.homeTeamId),
+            away_team_id: parseInt(fixture.awayTeamId),
+            home_team: fixture.homeTeam || null,
+            away_team: fixture.awayTeam || null,
+            kickoff: fixture.date || null,
+            first_served_at: now,
+            times_served: 0,
+            status: 'pending',
+        };
+        ledger.entries.push(entry);
+        pendingByKey.set(key, entry);
+    }
+
+    entry.served_at = now;
+    entry.times_served++;
+    entry.probabilities = probabilities;
+    entry.market_odds = prediction.market_odds ? marketOdds : null;
+    if (appendPicks && picks && entry.picks) {
+        // Un pick por mercado/selección/línea: si se vuelve a servir se queda la cuota más reciente
+        const pickKey = pick => `${pick.market}|${pick.selection}|${pick.line ?? ''}`;
+        const merged = new Map(entry.picks.map(pick => [pickKey(pick), pick]));
+        for (const pick of picks) merged.set(pickKey(pick), pick);
+        entry.picks = [...merged.values()];
+    } else {
+        entry.picks = picks || defaultPicks(probabilities, entry.market_odds);
+    }
+    scheduleSave();
+    return entry;
+}
+
+/**
+ * Liquida un pick con el marcador final (90 minutos).
+ * Acepta los mercados de markets.js y el histórico 'OU2.5' (over/under 2.5).
+ * Córners y tarjetas se liquidan con los totales del partido; sin estadísticas se devuelve la apuesta.
+ * @param {{market:string, selection:string, line?:number|null}} pick
+ * @param {{home:number, away:number, corners?:number|null, cards?:number|null}} score
+ * @returns {'win'|'half_win'|'push'|'half_loss'|'loss'}
+ */
+function settlePick(pick, score) {
+    const countMarket = COUNT_MARKETS[pick.market];
+    if (countMarket) {
+        const total = score[countMarket.stat];
+        return total === null || total === undefined ? 'push' : settleCountSelection(pick.selection, pick.line, total);
+    }
+    const market = pick.market === 'OU2.5' ? 'OU' : pick.market;
+    const line = pick.market === 'OU2.5' ? 2.5 : (pick.line ?? null);
+    return settleSelection(market, pick.selection, line, score.home, score.away);
+}
+
+/**
+ * Indica si un pick acertó con el marcador final (90 minutos).
+ * @param {{market:string, selection:string, line?:number|null}} pick
+ * @param {{home:number, away:number}} score
+ * @returns {boolean}
+ */
+function isPickWon(pick, score) {
+    return ['win', 'half_win'].includes(settlePick(pick, score));
+}
+
+/**
+ * Beneficio por unidad apostada de un pick liquidado.
+ * @param {object} pick - Pick con `result` y `odd`.
+ * @returns {number}
+ */
+function pickProfit(pick) {
+    switch (pick.result) {
+        case 'win': return pick.odd - 1;
+        case 'half_win': return (pick.odd - 1) / 2;
+        case 'push': return 0;
+        case 'half_loss': return -0.5;
+        default: return pick.won ? pick.odd - 1 : -1;
+    }
+}
+
+/**
+ * Busca el fixture de una predicción hecha sin fixtureId (ej: /api/predict-match).
+ * @param {object} entry
+ * @returns {Promise<object|null>} Fixture de API-Football o null.
+ */
+async function resolveFixtureForEntry(entry) {
+    const data = await cachedApiCall('/fixtures/headtohead', {
+        h2h: `${entry.home_team_id}-${entry.away_team_id}`,
+        league: entry.league_id,
+        season: entry.season,
+    }, 3600 * 1000);
+    const servedAt = new Date(entry.first_served_at).getTime();
+    const candidates = (data.response || [])
+        .filter(f => f.teams.home.id === entry.home_team_id && new Date(f.fixture.date).getTime() >= servedAt - 3 * 3600 * 1000)
+        .sort((a, b) => new Date(a.fixture.date) - new Date(b.fixture.date));
+    return candidates[0] || null;
+}
+
+/**
+ * Liquida las predicciones pendientes cuyos partidos ya terminaron.
+ * @returns {Promise<{checked:number, settled:number, voided:number}>}
+ */
+async function settlePendingPredictions() {
+    const now = Date.now();
+    const pending = [...pendingByKey.values()].filter(e =>
+        !e.kickoff || new Date(e.kickoff).getTime() + SETTLE_AFTER_KICKOFF_MS < now);
+    const summary = { checked: pending.length, settled: 0, voided: 0 };
+    if (pending.length === 0) return summary;
+
+    const fixturesById = new Map();
+
+    // Predicciones sin fixtureId: intentar localizar el partido
+    for (const entry of pending.filter(e => !e.fixture_id)) {
+        try {
+            const fixture = await resolveFixtureForEntry(entry);
+            if (fixture) {
+                entry.fixture_id = fixture.fixture.id;
+                entry.kickoff = fixture.fixture.date;
+                fixturesById.set(fixture.fixture.id, fixture);
+            }
+        } catch (error) {
+            console.warn(`⚠️ No se pudo localizar el partido de ${entry.key}:`, error.message);
+        }
+        if (!entry.fixture_id && now - new Date(entry.first_served_at).getTime() > UNRESOLVED_EXPIRY_MS) {
+            entry.status = 'void';
+            entry.void_reason = 'fixture_not_found';
+            entry.settled_at = new Date().toISOString();
+            summary.voided++;
+        }
+    }
+
+    // La API-Football acepta hasta 20 ids por petición
+    const ids = [...new Set(pending.filter(e => e.fixture_id && !fixturesById.has(e.fixture_id)).map(e => e.fixture_id))];
+    for (let i = 0; i < ids.length; i += 20) {
+        const chunk = ids.slice(i, i + 20);
+        try {
+            // Sin copias caducadas: un resultado viejo dejaría la predicción sin liquidar
+            const data = await cachedApiCall('/fixtures', { ids: chunk.join('-') }, 10 * 60 * 1000, { staleMs: 0 });
+            for (const fixture of data.response || []) fixturesById.set(fixture.fixture.id, fixture);
+        } catch (error) {
+            console.warn(`⚠️ Error al consultar resultados para liquidar predicciones:`, error.message);
+        }
+    }
+
+    for (const entry of pending) {
+        const fixture = fixturesById.get(entry.fixture_id);
+        if (!fixture) continue;
+        const status = fixture.fixture?.status?.short;
+        if (VOID_STATUSES.includes(status)) {
+            entry.status = 'void';
+            entry.settled_at = new Date().toISOString();
+            summary.voided++;
+        } else if (FINISHED_STATUSES.includes(status)) {
+            // Los mercados se liquidan al marcador de 90 minutos
+            const score = {
+                home: fixture.score?.fulltime?.home ?? fixture.goals?.home,
+                away: fixture.score?.fulltime?.away ?? fixture.goals?.away,
+            };
+            if (score.home === null || score.home === undefined || score.away === null || score.away === undefined) continue;
+            // Córners y tarjetas para los picks de mercados de conteo
+            if (entry.picks.some(pick => COUNT_MARKETS[pick.market])) Object.assign(score, matchStatTotals(fixture));
+            entry.status = 'settled';
+            entry.settled_at = new Date().toISOString();
+            entry.result = score;
+            entry.picks = entry.picks.map(pick => {
+                const result = settlePick(pick, score);
+                return { ...pick, result, won: ['win', 'half_win'].includes(result) };
+            });
+            summary.settled++;
+        }
+    }
+
+    // Los resultados liquidados también actualizan los ratings Elo
+    applyResults([...fixturesById.values()]);
+
+    for (const entry of pending) {
+        if (entry.status !== 'pending') pendingByKey.delete(entry.key);
+    }
+    if (summary.settled > 0 || summary.voided > 0) archiveClosedEntries();
+    return summary;
+}
+
+/**
+ * Vector de probabilidades y resultado observado de un mercado para una entrada liquidada.
+ * @param {object} entry
+ * @param {string} market
+ * @returns {{selections: Array<{selection:string, probability:number, occurred:boolean}>}}
+ */
+function marketOutcomes(entry, market) {
+    const p = entry.probabilities;
+    const score = entry.result;
+    const selections = {
+        '1X2': [['home', p.home], ['draw', p.draw], ['away', p.away]],
+        'BTTS': [['yes', p.btts_yes], ['no', p.btts_no]],
+        'OU2.5': [['over', p.over_2_5], ['under', p.under_2_5]],
+    }[market];
+    return selections.map(([selection, probability]) => ({
+        selection,
+        probability,
+        occurred: isPickWon({ market, selection }, score),
+    }));
+}
+
+/**
+ * Calcula hit rate, Brier, log loss, ROI y calibración de las predicciones liquidadas.
+ * @param {object} [filters]
+ * @param {number} [filters.league] - ID de liga.
+ * @param {string} [filters.market] - '1X2', 'BTTS' u 'OU2.5'.
+ * @param {string} [filters.from] - Fecha inicial (YYYY-MM-DD) del partido.
+ * @param {string} [filters.to] - Fecha final (YYYY-MM-DD) del partido.
+ * @param {string} [filters.source] - Endpoint que sirvió la predicción.
+ * @returns {object}
+ */
+function computePerformance(filters = {}) {
+    const markets = filters.market ? [filters.market] : MARKETS;
+    const inFilter = (entry) => {
+        const day = (entry.kickoff || entry.first_served_at || '').slice(0, 10);
+        if (filters.league && entry.league_id !== filters.league) return false;
+        if (filters.source && entry.source !== filters.source) return false;
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+        return true;
+    };
+
+    // Los meses archivados fuera del rango de fechas no se recorren
+    const entries = ledger.entries.filter(inFilter);
+    for (const [month, archived] of archive) {
+        if ((filters.from && month < filters.from.slice(0, 7)) || (filters.to && month > filters.to.slice(0, 7))) continue;
+        entries.push(...archived.filter(inFilter));
+    }
+    const settled = entries.filter(e => e.status === 'settled');
+    const emptyRoi = () => ({ bets: 0, staked: 0, profit: 0 });
+    const buckets = () => Array.from({ length: 10 }, (_, i) => ({ from: i / 10, to: (i + 1) / 10, count: 0, sumPredicted: 0, hits: 0 }));
+
+    const addToRoi = (roi, pick) => {
+        if (!pick.odd || pick.odd <= 1) return;
+        roi.bets++;
+        roi.staked += 1;
+        roi.profit += pickProfit(pick);
+    };
+
+    // Todos los picks liquidados (incluye mercados de parleys como DC, AH u OU con otras líneas)
+    const overallPicks = { picks: 0, hits: 0, roi: emptyRoi() };
+    for (const entry of settled) {
+        for (const pick of (entry.picks || []).filter(pk => !filters.market || pk.market === filters.market)) {
+            overallPicks.picks++;
+            if (pick.won) overallPicks.hits++;
+            addToRoi(overallPicks.roi, pick);
+        }
+    }
+
+    const byMarket = {};
+
+    for (const market of markets) {
+        const stats = { predictions: 0, brierSum: 0, logLossSum: 0, picks: 0, hits: 0, roi: emptyRoi(), calibration: buckets() };
+
+        for (const entry of settled) {
+            if (!entry.probabilities || !entry.result) continue;
+            const outcomes = marketOutcomes(entry, market);
+            stats.predictions++;
+            // Brier multiclase para 1X2, binario para BTTS y over/under
+            stats.brierSum += market === '1X2'
+                ? outcomes.reduce((sum, o) => sum + Math.pow(o.probability - (o.occurred ? 1 : 0), 2), 0)
+                : Math.pow(outcomes[0].probability - (outcomes[0].occurred ? 1 : 0), 2);
+            const hitProbability = outcomes.find(o => o.occurred)?.probability || 0;
+            stats.logLossSum += -Math.log(Math.max(hitProbability, 1e-15));
+
+            for (const o of outcomes) {
+                const bucket = stats.calibration[Math.min(9, Math.floor(o.probability * 10))];
+                bucket.count++;
+                bucket.sumPredicted += o.probability;
+                if (o.occurred) bucket.hits++;
+            }
+
+            for (const pick of (entry.picks || []).filter(pk => pk.market === market)) {
+                stats.picks++;
+                if (pick.won) stats.hits++;
+                addToRoi(stats.roi, pick);
+            }
+        }
+
+        byMarket[market] = {
+            predictions: stats.predictions,
+            brier_score: stats.predictions > 0 ? parseFloat((stats.brierSum / stats.predictions).toFixed(4)) : null,
+            log_loss: stats.predictions > 0 ? parseFloat((stats.logLossSum / stats.predictions).toFixed(4)) : null,
+            picks: stats.picks,
+            hit_rate: stats.picks > 0 ? parseFloat((stats.hits / stats.picks * 100).toFixed(1)) : null,
+            roi: formatRoi(stats.roi),
+            calibration: stats.calibration.filter(b => b.count > 0).map(b => ({
+                bucket: `${Math.round(b.from * 100)}-${Math.round(b.to * 100)}%`,
+                count: b.count,
+                avg_predicted: parseFloat((b.sumPredicted / b.count * 100).toFixed(1)),
+                observed: parseFloat((b.hits / b.count * 100).toFixed(1)),
+            })),
+        };
+    }
+
+    return {
+        filters,
+        totals: {
+            predictions: entries.length,
+            settled: settled.length,
+            pending: entries.filter(e => e.status === 'pending').length,
+            void: entries.filter(e => e.status === 'void').length,
+        },
+        overall: {
+            picks: overallPicks.picks,
+            hit_rate: overallPicks.picks > 0 ? parseFloat((overallPicks.hits / overallPicks.picks * 100).toFixed(1)) : null,
+            roi: formatRoi(overallPicks.roi),
+        },
+        markets: byMarket,
+    };
+}
+
+function formatRoi(roi) {
+    return {
+        bets: roi.bets,
+        staked: roi.staked,
+        profit: parseFloat(roi.profit.toFixed(2)),
+        roi_percent: roi.staked > 0 ? parseFloat((roi.profit / roi.staked * 100).toFixed(1)) : null,
+    };
+}
+
+/**
+ * Lanza la liquidación periódica de predicciones pendientes.
+ * @param {number} [intervalMs] - Intervalo entre revisiones (por defecto 15 minutos).
+ */
+function startSettlementLoop(intervalMs = 15 * 60 * 1000) {
+    // Los ledgers anteriores guardaban también las entradas cerradas en el archivo principal
+    archiveClosedEntries();
+    // Tarea de fondo: cede la cuota a las peticiones de usuarios y en vivo
+    const run = () => runWithPriority('background', settlePendingPredictions)
+        .then(summary => {
+            if (summary.settled > 0 || summary.voided > 0) {
+                console.log(`📒 Ledger: ${summary.settled} predicciones liquidadas, ${summary.voided} anuladas.`);
+            }
+        })
+        .catch(error => console.error('❌ Error liquidando predicciones:', error.message));
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+}
+
+module.exports = {
+    MARKETS,
+    recordPrediction,
+    settlePick,
+    isPickWon,
+    settlePendingPredictions,
+    computePerformance,
+    startSettlementLoop,
+};
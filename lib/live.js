@@ -0,0 +1,241 @@
+// backend/lib/live.js
+// Predicción en vivo: reprecia cada partido a partir del marcador, el minuto y las rojas,
+// escalando los goles esperados pre-partido al tiempo que queda.
+// La predicción pre-partido se calcula una vez por partido (o se toma del precálculo) y solo se reprecia.
+const { cachedApiCall } = require('./apiFootball');
+const { getMatchPrediction } = require('./prediction');
+const { getPrecomputedPrediction } = require('./precompute');
+const { runWithPriority } = require('./quota');
+const { buildScoreMatrix, sumWhere } = require('./scoreMatrix');
+const { TOTAL_LINES } = require('./markets');
+
+// API-Football actualiza los partidos en vivo cada ~15 segundos
+const LIVE_FIXTURES_TTL = 15 * 1000;
+// Estados en los que el tiempo reglamentario sigue en juego
+const LIVE_STATUSES = ['1H', 'HT', '2H', 'LIVE', 'SUSP', 'INT'];
+// Prórroga y penales: los mercados de 90 minutos ya están decididos
+const EXTRA_TIME_STATUSES = ['ET', 'BT', 'P'];
+
+// Reparto de goles por tiempo (en el segundo tiempo se marcan más) y añadido medio de cada mitad
+const FIRST_HALF_GOAL_SHARE = 0.45;
+const FIRST_HALF_MINUTES = 45 + 2;
+const SECOND_HALF_MINUTES = 45 + 5;
+// Efecto de cada expulsión sobre el ritmo goleador restante
+const RED_CARD_ATTACK_FACTOR = 0.7;
+const RED_CARD_OPPONENT_FACTOR = 1.2;
+
+// Predicciones pre-partido de los partidos en vivo: fixtureId -> { expectedGoals, probabilities, timestamp }
+const preMatchCache = new Map();
+// Un partido con prórroga y penales dura menos de esto
+const PRE_MATCH_TTL = 4 * 3600 * 1000;
+
+/**
+ * Fracción de los goles esperados del partido que aún queda por jugarse.
+ * @param {string} status - Estado corto de API-Football (1H, HT, 2H...).
+ * @param {number|null} elapsed - Minuto transcurrido.
+ * @param {number|null} [extra] - Minutos de añadido transcurridos.
+ * @returns {number} Entre 0 y 1.
+ */
+function remainingGoalShare(status, elapsed, extra) {
+    const minute = (elapsed || 0) + (extra || 0);
+    const secondHalfShare = 1 - FIRST_HALF_GOAL_SHARE;
+    if (status === 'HT') return secondHalfShare;
+    if (status === '1H' || (status !== '2H' && minute <= 45)) {
+        const firstHalfLeft = Math.max(0.5, FIRST_HALF_MINUTES - minute) / FIRST_HALF_MINUTES;
+        return Math.min(1, FIRST_HALF_GOAL_SHARE * firstHalfLeft + secondHalfShare);
+    }
+    const secondHalfLeft = Math.max(0.5, 45 + SECOND_HALF_MINUTES - minute) / SECOND_HALF_MINUTES;
+    return secondHalfShare * Math.min(1, secondHalfLeft);
+}
+
+/**
+ * Cuenta las expulsiones de cada equipo a partir de los eventos del partido.
+ * @param {object} fixture - Fixture en vivo de API-Football (con events).
+ * @returns {{home: number, away: number}}
+ */
+function countRedCards(fixture) {
+    const players = { home: new Set(), away: new Set() };
+    (fixture.events || []).forEach((event, index) => {
+        if (event.type !== 'Card' || !/red card|second yellow/i.test(event.detail || '')) return;
+        const side = event.team?.id === fixture.teams.home.id ? 'home' : event.team?.id === fixture.teams.away.id ? 'away' : null;
+        if (side) players[side].add(event.player?.id ?? `evento-${index}`);
+    });
+    return { home: players.home.size, away: players.away.size };
+}
+
+/**
+ * Reprecia un partido en vivo a partir de sus goles esperados pre-partido.
+ * @param {object} state
+ * @param {{home: number, away: number}} state.expectedGoals - Goles esperados pre-partido (90 min).
+ * @param {{home: number, away: number}} state.score - Marcador actual.
+ * @param {string} state.status
+ * @param {number|null} state.elapsed
+ * @param {number|null} [state.extra]
+ * @param {{home: number, away: number}} [state.redCards]
+ * @returns {object} Goles esperados restantes y probabilidades (0-1) de 1X2, próximo gol, BTTS y over/under.
+ */
+function priceLiveState({ expectedGoals, score, status, elapsed, extra, redCards = { home: 0, away: 0 } }) {
+    const share = remainingGoalShare(status, elapsed, extra);
+    const remainingHome = expectedGoals.home * share
+        * Math.pow(RED_CARD_ATTACK_FACTOR, redCards.home) * Math.pow(RED_CARD_OPPONENT_FACTOR, redCards.away);
+    const remainingAway = expectedGoals.away * share
+        * Math.pow(RED_CARD_ATTACK_FACTOR, redCards.away) * Math.pow(RED_CARD_OPPONENT_FACTOR, redCards.home);
+
+    // Goles restantes como Poisson independientes (la corrección Dixon-Coles es para el partido completo)
+    const remaining = buildScoreMatrix(remainingHome, remainingAway, { rho: 0 }).matrix;
+    const final = (predicate) => sumWhere(remaining, (hg, ag) => predicate(score.home + hg, score.away + ag));
+    const round = (p) => parseFloat(p.toFixed(4));
+
+    const noMoreGoals = remaining[0][0];
+    const totalRemaining = remainingHome + remainingAway;
+    const currentTotal = score.home + score.away;
+    const lines = [...new Set([...TOTAL_LINES, currentTotal + 0.5, currentTotal + 1.5, currentTotal + 2.5])].sort((a, b) => a - b);
+
+    return {
+        remaining_expected_goals: { home: round(remainingHome), away: round(remainingAway) },
+        probabilities: {
+            home: round(final((hg, ag) => hg > ag)),
+            draw: round(final((hg, ag) => hg === ag)),
+            away: round(final((hg, ag) => hg < ag)),
+            btts: round(final((hg, ag) => hg > 0 && ag > 0)),
+        },
+        next_goal: {
+            home: round((1 - noMoreGoals) * (totalRemaining > 0 ? remainingHome / totalRemaining : 0)),
+            none: round(noMoreGoals),
+            away: round((1 - noMoreGoals) * (totalRemaining > 0 ? remainingAway / totalRemaining : 0)),
+        },
+        over_under: lines.map(line => {
+            const over = final((hg, ag) => hg + ag > line);
+            return { line, over: round(over), under: round(1 - over) };
+        }),
+    };
+}
+
+/**
+ * Partidos en vivo de todas las ligas (una sola llamada compartida, cache corta).
+ * @returns {Promise<object[]>} Fixtures de API-Football con events.
+ */
+async function fetchLiveFixtures() {
+    const fixturesData = await cachedApiCall('/fixtures', { live: 'all' }, LIVE_FIXTURES_TTL, { staleMs: LIVE_FIXTURES_TTL });
+    return fixturesData.response || [];
+}
+
+/**
+ * Goles esperados y probabilidades 1X2 pre-partido de un fixture: del precálculo, de la cache de
+ * partidos en vivo o, la primera vez, del modelo con prioridad de usuario (no de "en vivo") para
+ * que el planificador pueda descartarla si la cuota se agota.
+ * @param {object} fixture - Fixture en vivo de API-Football.
+ * @returns {Promise<{expectedGoals:{home:number, away:number}, probabilities:object}>}
+ */
+async function getPreMatch(fixture) {
+    const fixtureId = fixture.fixture.id;
+    const cached = preMatchCache.get(fixtureId);
+    if (cached && Date.now() - cached.timestamp < PRE_MATCH_TTL) return cached;
+
+    const prediction = getPrecomputedPrediction(fixtureId)?.prediction || await runWithPriority('user', () => getMatchPrediction(
+        fixture.teams.home.id,
+        fixture.teams.away.id,
+        fixture.league.id,
+        fixture.league.season,
+        fixtureId,
+        {},
+        { kickoff: fixture.fixture.date }
+    ));
+    const preMatch = {
+        expectedGoals: {
+            home: parseFloat(prediction.predictions.goals.home),
+            away: parseFloat(prediction.predictions.goals.away),
+        },
+        probabilities: {
+            home: prediction.predictions.probabilities.home,
+            draw: prediction.predictions.probabilities.draw,
+            away: prediction.predictions.probabilities.away,
+        },
+        timestamp: Date.now(),
+    };
+    for (const [id, entry] of preMatchCache) {
+        if (Date.now() - entry.timestamp >= PRE_MATCH_TTL) preMatchCache.delete(id);
+    }
+    preMatchCache.set(fixtureId, preMatch);
+    return preMatch;
+}
+
+/**
+ * Reprecia un fixture en vivo con la predicción pre-partido del modelo.
+ * @param {object} fixture - Fixture en vivo de API-Football.
+ * @returns {Promise<object>} Estado del partido y, si está en juego, sus probabilidades.
+ */
+async function priceLiveFixture(fixture) {
+    const status = fixture.fixture.status?.short;
+    const match = {
+        fixture_id: fixture.fixture.id,
+        home_team: fixture.teams.home.name,
+        away_team: fixture.teams.away.name,
+        competition_name: fixture.league.name,
+        league_id: fixture.league.id,
+        status,
+        elapsed: fixture.fixture.status?.elapsed ?? null,
+        score: { home: fixture.goals.home ?? 0, away: fixture.goals.away ?? 0 },
+        red_cards: countRedCards(fixture),
+    };
+
+    if (!LIVE_STATUSES.includes(status)) {
+        const message = EXTRA_TIME_STATUSES.includes(status)
+            ? 'Tiempo reglamentario terminado: los mercados de 90 minutos ya están decididos.'
+            : 'El partido no está en juego.';
+        return { ...match, priced: false, message };
+    }
+
+    const { expectedGoals, probabilities } = await getPreMatch(fixture);
+    return {
+        ...match,
+        priced: true,
+        pre_match: {
+            expected_goals: expectedGoals,
+            probabilities,
+        },
+        ...priceLiveState({
+            expectedGoals,
+            score: match.score,
+            status,
+            elapsed: match.elapsed,
+            extra: fixture.fixture.status?.extra,
+            redCards: match.red_cards,
+        }),
+    };
+}
+
+/**
+ * Partidos en vivo de las ligas indicadas, repreciados con el modelo.
+ * @param {object} [options]
+ * @param {number[]} [options.leagueIds] - Sin ligas se devuelven todos los partidos en vivo.
+ * @param {number} [options.fixtureId] - Limitar a un partido.
+ * @returns {Promise<{matches: object[], errors: object[]}>}
+ */
+async function getLivePredictions({ leagueIds, fixtureId } = {}) {
+    // Una sola llamada (compartida por todas las peticiones) y el filtro se hace aquí
+    let fixtures = await fetchLiveFixtures();
+    if (leagueIds && leagueIds.length > 0) fixtures = fixtures.filter(f => leagueIds.includes(f.league.id));
+    if (fixtureId) fixtures = fixtures.filter(f => f.fixture.id === fixtureId);
+
+    const matches = [];
+    const errors = [];
+    for (const fixture of fixtures) {
+        try {
+            matches.push(await priceLiveFixture(fixture));
+        } catch (error) {
+            errors.push({ fixture_id: fixture.fixture.id, error: error.message });
+        }
+    }
+    return { matches, errors };
+}
+
+module.exports = {
+    LIVE_FIXTURES_TTL,
+    remainingGoalShare,
+    countRedCards,
+    priceLiveState,
+    fetchLiveFixtures,
+    priceLiveFixture,
+    getLivePredictions,
+};
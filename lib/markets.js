@@ -0,0 +1,443 @@
+// backend/lib/markets.js
+// Mercados derivados de la matriz de marcadores y parseo uniforme de sus cuotas.
+// Cada selección tiene la forma { market, selection, line } para poder cruzar modelo y casas.
+
+// Líneas que siempre se calculan (además de las que ofrezcan las casas)
+const TOTAL_LINES = [0.5, 1.5, 2.5, 3.5, 4.5];
+const TEAM_TOTAL_LINES = [0.5, 1.5, 2.5];
+const HANDICAP_LINES = [-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2];
+const MAX_CORRECT_SCORE_GOALS = 5;
+const HALF_TOTAL_LINES = [0.5, 1.5, 2.5];
+const CORNER_LINES = [7.5, 8.5, 9.5, 10.5, 11.5];
+const CARD_LINES = [2.5, 3.5, 4.5, 5.5, 6.5];
+// Mercados de conteo: no salen de la matriz de goles sino del total esperado de la estadística
+const COUNT_MARKETS = {
+    CORNERS: { stat: 'corners', lines: CORNER_LINES },
+    CARDS: { stat: 'cards', lines: CARD_LINES },
+};
+// Mercados por mitades: se liquidan con el marcador al descanso y el del segundo tiempo
+const HALF_MARKETS = ['HT_1X2', 'HT_OU', 'HIGHEST_HALF', 'HTFT'];
+
+/**
+ * Liquida una apuesta con línea (hándicap o total) a partir del margen resultante.
+ * Las líneas de cuarto (x.25 / x.75) se dividen en dos medias apuestas.
+ * @param {number} margin - Margen a favor de la selección (ej: golesLocal - golesVisitante).
+ * @param {number} line - Línea de la selección (ej: -0.75).
+ * @returns {'win'|'half_win'|'push'|'half_loss'|'loss'}
+ */
+function settleLine(margin, line) {
+    const single = (l) => {
+        const r = margin + l;
+        return r > 0 ? 1 : r < 0 ? -1 : 0;
+    };
+    const isQuarter = Math.abs((line * 4) % 2) === 1;
+    const score = isQuarter ? (single(line - 0.25) + single(line + 0.25)) / 2 : single(line);
+    if (score === 1) return 'win';
+    if (score === 0.5) return 'half_win';
+    if (score === 0) return 'push';
+    if (score === -0.5) return 'half_loss';
+    return 'loss';
+}
+
+/**
+ * Distribución de liquidación (win/half_win/push/half_loss/loss) de una selección sobre la matriz.
+ * @param {number[][]} matrix
+ * @param {(hg:number, ag:number) => string} settle - Devuelve el resultado de la apuesta para un marcador.
+ * @returns {{win:number, half_win:number, push:number, half_loss:number, loss:number}}
+ */
+function outcomeDistribution(matrix, settle) {
+    const dist = { win: 0, half_win: 0, push: 0, half_loss: 0, loss: 0 };
+    for (let hg = 0; hg < matrix.length; hg++) {
+        for (let ag = 0; ag < matrix[hg].length; ag++) {
+            dist[settle(hg, ag)] += matrix[hg][ag];
+        }
+    }
+    return dist;
+}
+
+/**
+ * Cuota justa (valor esperado 0) de una distribución de liquidación.
+ * @param {object} dist
+ * @returns {number|null}
+ */
+function fairOddFromDistribution(dist) {
+    const winWeight = dist.win + dist.half_win / 2;
+    const lossWeight = dist.loss + dist.half_loss / 2;
+    if (winWeight <= 0) return null;
+    return 1 + lossWeight / winWeight;
+}
+
+/**
+ * Valor esperado por unidad apostada a una cuota dada (contempla push y medias apuestas).
+ * @param {object} dist - Distribución de liquidación de la selección.
+ * @param {number} odd - Cuota decimal.
+ * @returns {number}
+ */
+function expectedValue(dist, odd) {
+    return (dist.win + dist.half_win / 2) * (odd - 1) - dist.loss - dist.half_loss / 2;
+}
+
+const selectionKey = (market, selection, line) => `${market}|${selection}|${line ?? ''}`;
+
+/**
+ * Liquida una selección over/under de un mercado de conteo (córners, tarjetas).
+ * @param {string} selection - 'over' o 'under'.
+ * @param {number} line
+ * @param {number} total - Total de la estadística en el partido.
+ * @returns {'win'|'half_win'|'push'|'half_loss'|'loss'}
+ */
+function settleCountSelection(selection, line, total) {
+    return selection === 'over' ? settleLine(total, -line) : settleLine(-total, line);
+}
+
+/**
+ * Liquida cualquier selección soportada para un marcador final.
+ * @param {string} market - '1X2', 'DC', 'DNB', 'BTTS', 'AH', 'OU', 'TT_HOME', 'TT_AWAY' o 'CS'.
+ * @param {string} selection
+ * @param {number|null} line
+ * @param {number} hg - Goles del local.
+ * @param {number} ag - Goles del visitante.
+ * @returns {'win'|'half_win'|'push'|'half_loss'|'loss'}
+ */
+function settleSelection(market, selection, line, hg, ag) {
+    const binary = (condition) => condition ? 'win' : 'loss';
+    switch (market) {
+        case '1X2':
+            return binary(selection === 'home' ? hg > ag : selection === 'away' ? hg < ag : hg === ag);
+        case 'DC':
+            return binary(selection === '1X' ? hg >= ag : selection === 'X2' ? hg <= ag : hg !== ag);
+        case 'DNB':
+            return settleLine(selection === 'home' ? hg - ag : ag - hg, 0);
+        case 'BTTS':
+            return binary((hg > 0 && ag > 0) === (selection === 'yes'));
+        case 'AH':
+            return settleLine(selection === 'home' ? hg - ag : ag - hg, line);
+        case 'OU':
+            return selection === 'over' ? settleLine(hg + ag, -line) : settleLine(-(hg + ag), line);
+        case 'TT_HOME':
+            return selection === 'over' ? settleLine(hg, -line) : settleLine(-hg, line);
+        case 'TT_AWAY':
+            return selection === 'over' ? settleLine(ag, -line) : settleLine(-ag, line);
+        case 'CS':
+            return binary(selection === `${hg}-${ag}`);
+        default:
+            throw new Error(`Mercado no soportado: ${market}`);
+    }
+}
+
+/**
+ * Liquida una selección de los mercados por mitades.
+ * @param {string} market - 'HT_1X2', 'HT_OU', 'HIGHEST_HALF' o 'HTFT'.
+ * @param {string} selection - HTFT: 'descanso/final' con home|draw|away (ej: 'draw/home');
+ *   HIGHEST_HALF: 'first', 'second' o 'equal'.
+ * @param {number|null} line
+ * @param {{home:number, away:number}} halftime - Marcador al descanso.
+ * @param {{home:number, away:number}} fulltime - Marcador final (90 minutos).
+ * @returns {'win'|'half_win'|'push'|'half_loss'|'loss'}
+ */
+function settleHalfSelection(market, selection, line, halftime, fulltime) {
+    const binary = (condition) => condition ? 'win' : 'loss';
+    const outcome = (score) => score.home > score.away ? 'home' : score.home < score.away ? 'away' : 'draw';
+    const firstHalfGoals = halftime.home + halftime.away;
+    const secondHalfGoals = fulltime.home + fulltime.away - firstHalfGoals;
+    switch (market) {
+        case 'HT_1X2':
+            return binary(selection === outcome(halftime));
+        case 'HT_OU':
+            return selection === 'over' ? settleLine(firstHalfGoals, -line) : settleLine(-firstHalfGoals, line);
+        case 'HIGHEST_HALF':
+            return binary(selection === (firstHalfGoals > secondHalfGoals ? 'first' : firstHalfGoals < secondHalfGoals ? 'second' : 'equal'));
+        case 'HTFT':
+            return binary(selection === `${outcome(halftime)}/${outcome(fulltime)}`);
+        default:
+            throw new Error(`Mercado no soportado: ${market}`);
+    }
+}
+
+/**
+ * Calcula todas las selecciones soportadas a partir de la matriz de marcadores.
+ * @param {number[][]} matrix - probabilities[golesLocal][golesVisitante].
+ * @param {Array<{market:string, selection:string, line:number|null}>} [extraLines] - Líneas ofrecidas por las casas.
+ * @returns {Array<{market:string, selection:string, line:number|null, probability:number, fair_odd:number|null, outcomes:object}>}
+ */
+function priceMarkets(matrix, extraLines = []) {
+    const entries = [];
+    const seen = new Set();
+    const add = (market, selection, line) => {
+        const key = selectionKey(market, selection, line);
+        if (seen.has(key)) return;
+        seen.add(key);
+        const outcomes = outcomeDistribution(matrix, (hg, ag) => settleSelection(market, selection, line, hg, ag));
+        const fairOdd = fairOddFromDistribution(outcomes);
+        entries.push({
+            market,
+            selection,
+            line,
+            // Para mercados con push, probabilidad equivalente a la cuota justa
+            probability: fairOdd ? 1 / fairOdd : 0,
+            fair_odd: fairOdd,
+            outcomes,
+        });
+    };
+    const linesFor = (market, defaults) => {
+        // En hándicap las líneas se expresan desde el local: la del visitante va con signo contrario
+        const offered = extraLines
+            .filter(l => l.market === market && typeof l.line === 'number')
+            .map(l => market === 'AH' && l.selection === 'away' ? -l.line : l.line);
+        return [...new Set([...defaults, ...offered])].sort((a, b) => a - b);
+    };
+
+    // 1X2, doble oportunidad, empate no apuesta y ambos anotan
+    for (const selection of ['home', 'draw', 'away']) add('1X2', selection, null);
+    for (const selection of ['1X', '12', 'X2']) add('DC', selection, null);
+    for (const selection of ['home', 'away']) add('DNB', selection, null);
+    for (const selection of ['yes', 'no']) add('BTTS', selection, null);
+
+    // Hándicap asiático: la línea es la de la propia selección
+    for (const line of linesFor('AH', HANDICAP_LINES)) {
+        add('AH', 'home', line);
+        add('AH', 'away', -line || 0);
+    }
+
+    // Goles totales y por equipo
+    for (const line of linesFor('OU', TOTAL_LINES)) { add('OU', 'over', line); add('OU', 'under', line); }
+    for (const line of linesFor('TT_HOME', TEAM_TOTAL_LINES)) { add('TT_HOME', 'over', line); add('TT_HOME', 'under', line); }
+    for (const line of linesFor('TT_AWAY', TEAM_TOTAL_LINES)) { add('TT_AWAY', 'over', line); add('TT_AWAY', 'under', line); }
+
+    // Marcador exacto
+    for (let h = 0; h <= MAX_CORRECT_SCORE_GOALS; h++) {
+        for (let a = 0; a <= MAX_CORRECT_SCORE_GOALS; a++) add('CS', `${h}-${a}`, null);
+    }
+
+    return entries;
+}
+
+/**
+ * Distribución de Poisson de un total hasta que la cola restante es despreciable.
+ * @param {number} lambda
+ * @returns {number[]} probabilities[total]
+ */
+function poissonDistribution(lambda) {
+    const probabilities = [];
+    let p = Math.exp(-lambda);
+    let acc = 0;
+    for (let k = 0; k < 200 && (k <= lambda || acc < 1 - 1e-9); k++) {
+        probabilities.push(p);
+        acc += p;
+        p = p * lambda / (k + 1);
+    }
+    return probabilities;
+}
+
+/**
+ * Calcula los mercados de conteo (over/under de córners y tarjetas) con un total Poisson.
+ * @param {{corners?:number|null, cards?:number|null}} totals - Total esperado de cada estadística en el partido.
+ * @param {Array<{market:string, selection:string, line:number|null}>} [extraLines] - Líneas ofrecidas por las casas.
+ * @returns {Array} Mismo formato que priceMarkets.
+ */
+function priceCountMarkets(totals, extraLines = []) {
+    const entries = [];
+    for (const [market, { stat, lines }] of Object.entries(COUNT_MARKETS)) {
+        const lambda = totals?.[stat];
+        if (!(lambda > 0)) continue;
+        const distribution = poissonDistribution(lambda);
+        const offered = extraLines.filter(l => l.market === market && typeof l.line === 'number').map(l => l.line);
+        for (const line of [...new Set([...lines, ...offered])].sort((a, b) => a - b)) {
+            for (const selection of ['over', 'under']) {
+                const outcomes = { win: 0, half_win: 0, push: 0, half_loss: 0, loss: 0 };
+                distribution.forEach((p, total) => { outcomes[settleCountSelection(selection, line, total)] += p; });
+                const fairOdd = fairOddFromDistribution(outcomes);
+                entries.push({ market, selection, line, probability: fairOdd ? 1 / fairOdd : 0, fair_odd: fairOdd, outcomes });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Calcula los mercados por mitades combinando la matriz del primer tiempo con la del segundo
+ * (goles de cada mitad independientes). Si se indica el 1X2 final, la distribución conjunta se
+ * reescala para que el resultado final coincida con él, como hace rescaleToOutcomes con la matriz.
+ * @param {number[][]} firstHalf - probabilities[golesLocal][golesVisitante] del primer tiempo.
+ * @param {number[][]} secondHalf - Ídem del segundo tiempo.
+ * @param {Array<{market:string, selection:string, line:number|null}>} [extraLines] - Líneas ofrecidas por las casas.
+ * @param {{home:number, draw:number, away:number}} [fullTime] - 1X2 final de la predicción.
+ * @returns {Array} Mismo formato que priceMarkets.
+ */
+function priceHalfMarkets(firstHalf, secondHalf, extraLines = [], fullTime = null) {
+    // Distribución conjunta (descanso, final) aplanada
+    const joint = [];
+    const fullTimeMass = { home: 0, draw: 0, away: 0 };
+    for (let h1 = 0; h1 < firstHalf.length; h1++) {
+        for (let a1 = 0; a1 < firstHalf[h1].length; a1++) {
+            if (!(firstHalf[h1][a1] > 0)) continue;
+            for (let h2 = 0; h2 < secondHalf.length; h2++) {
+                for (let a2 = 0; a2 < secondHalf[h2].length; a2++) {
+                    const p = firstHalf[h1][a1] * secondHalf[h2][a2];
+                    if (!(p > 0)) continue;
+                    const halftime = { home: h1, away: a1 };
+                    const fulltime = { home: h1 + h2, away: a1 + a2 };
+                    const result = fulltime.home > fulltime.away ? 'home' : fulltime.home < fulltime.away ? 'away' : 'draw';
+                    joint.push({ p, halftime, fulltime, result });
+                    fullTimeMass[result] += p;
+                }
+            }
+        }
+    }
+    if (fullTime) {
+        const targetTotal = (fullTime.home + fullTime.draw + fullTime.away) || 1;
+        for (const cell of joint) {
+            const mass = fullTimeMass[cell.result];
+            cell.p *= mass > 0 ? (fullTime[cell.result] / targetTotal) / mass : 0;
+        }
+    }
+
+    const entries = [];
+    const add = (market, selection, line) => {
+        const outcomes = { win: 0, half_win: 0, push: 0, half_loss: 0, loss: 0 };
+        for (const cell of joint) outcomes[settleHalfSelection(market, selection, line, cell.halftime, cell.fulltime)] += cell.p;
+        const fairOdd = fairOddFromDistribution(outcomes);
+        entries.push({ market, selection, line, probability: fairOdd ? 1 / fairOdd : 0, fair_odd: fairOdd, outcomes });
+    };
+
+    for (const selection of ['home', 'draw', 'away']) add('HT_1X2', selection, null);
+    const offered = extraLines.filter(l => l.market === 'HT_OU' && typeof l.line === 'number').map(l => l.line);
+    for (const line of [...new Set([...HALF_TOTAL_LINES, ...offered])].sort((a, b) => a - b)) {
+        add('HT_OU', 'over', line);
+        add('HT_OU', 'under', line);
+    }
+    for (const selection of ['first', 'second', 'equal']) add('HIGHEST_HALF', selection, null);
+    for (const halftime of ['home', 'draw', 'away']) {
+        for (const fulltime of ['home', 'draw', 'away']) add('HTFT', `${halftime}/${fulltime}`, null);
+    }
+    return entries;
+}
+
+/**
+ * Convierte un texto de línea de API-Football ("-0.5,-1", "+1.5", "2.5") en número.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseLineValue(text) {
+    if (text === undefined || text === null) return null;
+    const parts = String(text).split(',').map(p => parseFloat(p.trim())).filter(n => !isNaN(n));
+    if (parts.length === 0) return null;
+    return parts.reduce((a, b) => a + b, 0) / parts.length;
+}
+
+/**
+ * Extrae todas las líneas soportadas de las apuestas de una casa, en formato uniforme.
+ * @param {object[]} betsArr - Array `bets` de un bookmaker de /odds.
+ * @returns {Array<{market:string, selection:string, line:number|null, odd:number}>}
+ */
+function parseBookmakerLines(betsArr) {
+    const lines = [];
+    const push = (market, selection, line, odd) => {
+        const value = parseFloat(odd);
+        if (selection && value > 1) lines.push({ market, selection, line, odd: value });
+    };
+    const byName = (names) => betsArr.filter(bet => names.includes(String(bet.name).toLowerCase()));
+
+    for (const bet of byName(['match winner', 'fulltime result', 'resultado final', '1x2'])) {
+        for (const v of bet.values) push('1X2', { Home: 'home', '1': 'home', Draw: 'draw', X: 'draw', Away: 'away', '2': 'away' }[v.value], null, v.odd);
+    }
+    for (const bet of byName(['double chance', 'doble oportunidad'])) {
+        for (const v of bet.values) push('DC', { 'Home/Draw': '1X', '1X': '1X', 'Home/Away': '12', '12': '12', 'Draw/Away': 'X2', 'X2': 'X2' }[v.value], null, v.odd);
+    }
+    for (const bet of byName(['home/away', 'draw no bet'])) {
+        for (const v of bet.values) push('DNB', { Home: 'home', '1': 'home', Away: 'away', '2': 'away' }[v.value], null, v.odd);
+    }
+    for (const bet of byName(['both teams score', 'both teams to score', 'ambos equipos anotarán', 'btts'])) {
+        for (const v of bet.values) {
+            const value = String(v.value).toLowerCase();
+            push('BTTS', value.includes('yes') || value.includes('sí') ? 'yes' : value.includes('no') ? 'no' : null, null, v.odd);
+        }
+    }
+    for (const bet of byName(['asian handicap', 'hándicap asiático'])) {
+        for (const v of bet.values) {
+            const match = String(v.value).match(/^(Home|Away)\s*(.*)$/i);
+            if (!match) continue;
+            const line = parseLineValue(match[2]);
+            if (line !== null) push('AH', match[1].toLowerCase(), line, v.odd);
+        }
+    }
+    const parseTotals = (market, names) => {
+        for (const bet of byName(names)) {
+            for (const v of bet.values) {
+                const match = String(v.value).match(/^(Over|Under)\s*(.*)$/i);
+                if (!match) continue;
+                const line = parseLineValue(match[2]);
+                if (line !== null) push(market, match[1].toLowerCase(), line, v.odd);
+            }
+        }
+    };
+    parseTotals('OU', ['goals over/under', 'over/under', 'total goals']);
+    parseTotals('TT_HOME', ['total - home', 'home team total goals']);
+    parseTotals('TT_AWAY', ['total - away', 'away team total goals']);
+    parseTotals('CORNERS', ['corners over under', 'corners over/under', 'total corners']);
+    parseTotals('CARDS', ['cards over/under', 'cards over under', 'total cards', 'bookings over/under']);
+    parseTotals('HT_OU', ['goals over/under first half', 'first half goals over/under', 'over/under first half']);
+    for (const bet of byName(['first half winner', 'halftime result', 'resultado al descanso'])) {
+        for (const v of bet.values) push('HT_1X2', { Home: 'home', '1': 'home', Draw: 'draw', X: 'draw', Away: 'away', '2': 'away' }[v.value], null, v.odd);
+    }
+    for (const bet of byName(['highest scoring half', 'half with most goals'])) {
+        for (const v of bet.values) push('HIGHEST_HALF', { '1st Half': 'first', 'First Half': 'first', '2nd Half': 'second', 'Second Half': 'second', Draw: 'equal', Equal: 'equal' }[v.value], null, v.odd);
+    }
+    for (const bet of byName(['ht/ft double', 'halftime/fulltime', 'half time/full time'])) {
+        for (const v of bet.values) {
+            const parts = String(v.value).split('/').map(part => ({ home: 'home', '1': 'home', draw: 'draw', x: 'draw', away: 'away', '2': 'away' }[part.trim().toLowerCase()]));
+            if (parts.length === 2 && parts[0] && parts[1]) push('HTFT', `${parts[0]}/${parts[1]}`, null, v.odd);
+        }
+    }
+    for (const bet of byName(['exact score', 'correct score', 'marcador exacto'])) {
+        for (const v of bet.values) {
+            const match = String(v.value).match(/^(\d+)\s*[:-]\s*(\d+)$/);
+            if (match) push('CS', `${parseInt(match[1])}-${parseInt(match[2])}`, null, v.odd);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Une las selecciones del modelo con las cuotas de mercado en la estructura de la respuesta.
+ * @param {Array} priced - Salida de priceMarkets.
+ * @param {Array} [marketLines] - Salida de parseBookmakerLines.
+ * @returns {Array<{market:string, selection:string, line:number|null, model_probability:number, fair_odd:number|null, market_odd:number|null}>}
+ */
+function formatMarkets(priced, marketLines = []) {
+    const oddsByKey = new Map(marketLines.map(l => [selectionKey(l.market, l.selection, l.line), l.odd]));
+    return priced.map(entry => ({
+        market: entry.market,
+        selection: entry.selection,
+        line: entry.line,
+        model_probability: parseFloat((entry.probability * 100).toFixed(2)),
+        fair_odd: entry.fair_odd ? parseFloat(entry.fair_odd.toFixed(2)) : null,
+        market_odd: oddsByKey.get(selectionKey(entry.market, entry.selection, entry.line)) || null,
+    }));
+}
+
+module.exports = {
+    TOTAL_LINES,
+    TEAM_TOTAL_LINES,
+    HANDICAP_LINES,
+    HALF_TOTAL_LINES,
+    CORNER_LINES,
+    CARD_LINES,
+    COUNT_MARKETS,
+    HALF_MARKETS,
+    settleLine,
+    outcomeDistribution,
+    fairOddFromDistribution,
+    expectedValue,
+    selectionKey,
+    settleSelection,
+    settleCountSelection,
+    settleHalfSelection,
+    priceMarkets,
+    poissonDistribution,
+    priceCountMarkets,
+    priceHalfMarkets,
+    parseLineValue,
+    parseBookmakerLines,
+    formatMarkets,
+};
@@ -0,0 +1,213 @@
+// backend/lib/matchStats.js
+// Córners y tarjetas: ritmos por equipo (a favor y en contra) de sus últimos partidos según
+// /fixtures/statistics, con las tarjetas ajustadas por el promedio histórico del árbitro.
+const { cachedApiCall } = require('./apiFootball');
+
+// Partidos recientes con estadísticas que se usan por equipo
+const STATS_SAMPLE = 10;
+// Partidos del árbitro que se consideran y muestra de la liga para su promedio
+const REFEREE_SAMPLE = 15;
+const LEAGUE_SAMPLE = 20;
+// Partidos "virtuales" con valores medios que se suman para no sobrerreaccionar con poca muestra
+const PRIOR_MATCHES = 2;
+const REFEREE_PRIOR_MATCHES = 5;
+// Valores medios por equipo y partido cuando no hay más referencia
+const DEFAULT_RATES = { corners: 5, cards: 2 };
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+// Detalle de partidos terminados: no cambia
+const DETAILS_TTL = 7 * 24 * 3600 * 1000;
+
+/**
+ * Detalle (con estadísticas) de varios partidos; la API-Football acepta hasta 20 ids por petición.
+ * Endpoint: /fixtures?ids=
+ * @param {number[]} fixtureIds
+ * @returns {Promise<object[]>}
+ */
+async function fetchFixtureDetails(fixtureIds) {
+    const fixtures = [];
+    const ids = [...new Set(fixtureIds)];
+    for (let i = 0; i < ids.length; i += 20) {
+        const data = await cachedApiCall('/fixtures', { ids: ids.slice(i, i + 20).join('-') }, DETAILS_TTL);
+        fixtures.push(...(data.response || []));
+    }
+    return fixtures;
+}
+
+/**
+ * Córners y tarjetas (amarillas + rojas) de un equipo en un partido.
+ * @param {object} fixture - Fixture con `statistics`.
+ * @param {number} teamId
+ * @returns {{corners:number, cards:number}|null} null si el partido no tiene estadísticas.
+ */
+function teamStatTotals(fixture, teamId) {
+    const entry = (fixture.statistics || []).find(s => s.team?.id === teamId);
+    if (!entry || !Array.isArray(entry.statistics) || entry.statistics.length === 0) return null;
+    const value = (type) => parseInt(entry.statistics.find(s => s.type === type)?.value) || 0;
+    return { corners: value('Corner Kicks'), cards: value('Yellow Cards') + value('Red Cards') };
+}
+
+/**
+ * Totales del partido (ambos equipos) para liquidar los mercados de conteo.
+ * @param {object} fixture - Fixture con `statistics`.
+ * @returns {{corners:number|null, cards:number|null}}
+ */
+function matchStatTotals(fixture) {
+    const home = teamStatTotals(fixture, fixture.teams.home.id);
+    const away = teamStatTotals(fixture, fixture.teams.away.id);
+    if (!home || !away) return { corners: null, cards: null };
+    return { corners: home.corners + away.corners, cards: home.cards + away.cards };
+}
+
+/**
+ * Ritmos medios a favor y en contra de un equipo en sus partidos con estadísticas.
+ * @param {object[]} details - Fixtures con `statistics`.
+ * @param {number} teamId
+ * @returns {{cornersFor:number, cornersAgainst:number, cardsFor:number, cardsAgainst:number, matches:number}}
+ */
+function teamRates(details, teamId) {
+    const totals = { cornersFor: 0, cornersAgainst: 0, cardsFor: 0, cardsAgainst: 0 };
+    let matches = 0;
+    const sorted = details
+        .filter(f => f.teams.home.id === teamId || f.teams.away.id === teamId)
+        .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date));
+    for (const fixture of sorted) {
+        if (matches >= STATS_SAMPLE) break;
+        const opponentId = fixture.teams.home.id === teamId ? fixture.teams.away.id : fixture.teams.home.id;
+        const own = teamStatTotals(fixture, teamId);
+        const opponent = teamStatTotals(fixture, opponentId);
+        if (!own || !opponent) continue;
+        totals.cornersFor += own.corners;
+        totals.cornersAgainst += opponent.corners;
+        totals.cardsFor += own.cards;
+        totals.cardsAgainst += opponent.cards;
+        matches++;
+    }
+    const shrink = (sum, fallback) => (sum + PRIOR_MATCHES * fallback) / (matches + PRIOR_MATCHES);
+    return {
+        cornersFor: shrink(totals.cornersFor, DEFAULT_RATES.corners),
+        cornersAgainst: shrink(totals.cornersAgainst, DEFAULT_RATES.corners),
+        cardsFor: shrink(totals.cardsFor, DEFAULT_RATES.cards),
+        cardsAgainst: shrink(totals.cardsAgainst, DEFAULT_RATES.cards),
+        matches,
+    };
+}
+
+/**
+ * Nombre del árbitro sin el país ("Michael Oliver, England" → "michael oliver").
+ * @param {string|null} referee
+ * @returns {string|null}
+ */
+function normalizeReferee(referee) {
+    if (!referee) return null;
+    return String(referee).split(',')[0].trim().toLowerCase() || null;
+}
+
+/**
+ * Partidos de la liga en la temporada actual y la anterior (jugados y por jugar).
+ * @param {number} leagueId
+ * @param {number} season
+ * @returns {Promise<object[]>}
+ */
+async function fetchLeagueFixtures(leagueId, season) {
+    const fixtures = [];
+    for (const s of [season, season - 1]) {
+        const data = await cachedApiCall('/fixtures', { league: leagueId, season: s }, 6 * 3600 * 1000);
+        fixtures.push(...(data.response || []));
+    }
+    return fixtures;
+}
+
+/**
+ * Factor de tarjetas del árbitro: su promedio por partido frente al de la liga.
+ * @param {string} referee
+ * @param {object[]} leagueFixtures - Ver fetchLeagueFixtures.
+ * @returns {Promise<{name:string, matches:number, average:number|null, league_average:number|null, factor:number}>}
+ */
+async function refereeCardFactor(referee, leagueFixtures) {
+    const name = normalizeReferee(referee);
+    const finished = leagueFixtures
+        .filter(f => FINISHED_STATUSES.includes(f.fixture?.status?.short))
+        .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date));
+
+    const refereeIds = finished.filter(f => normalizeReferee(f.fixture.referee) === name).slice(0, REFEREE_SAMPLE).map(f => f.fixture.id);
+    const leagueIds = finished.slice(0, LEAGUE_SAMPLE).map(f => f.fixture.id);
+    const details = await fetchFixtureDetails([...refereeIds, ...leagueIds]);
+    const cardsById = new Map(details.map(f => [f.fixture.id, matchStatTotals(f).cards]));
+    const sumCards = (ids) => {
+        const values = ids.map(id => cardsById.get(id)).filter(v => v !== null && v !== undefined);
+        return { sum: values.reduce((a, b) => a + b, 0), count: values.length };
+    };
+
+    const leagueCards = sumCards(leagueIds);
+    const refereeCards = sumCards(refereeIds);
+    const leagueAverage = leagueCards.count > 0 ? leagueCards.sum / leagueCards.count : null;
+    const refereeAverage = refereeCards.count > 0 ? refereeCards.sum / refereeCards.count : null;
+    if (!leagueAverage) {
+        return { name: referee, matches: refereeCards.count, average: refereeAverage, league_average: null, factor: 1 };
+    }
+    const shrunk = (refereeCards.sum + REFEREE_PRIOR_MATCHES * leagueAverage) / (refereeCards.count + REFEREE_PRIOR_MATCHES);
+    return {
+        name: referee,
+        matches: refereeCards.count,
+        average: refereeAverage,
+        league_average: leagueAverage,
+        factor: shrunk / leagueAverage,
+    };
+}
+
+/**
+ * Córners y tarjetas esperados de un partido.
+ * El esperado de cada equipo es la media entre lo que suele generar y lo que suele conceder el rival.
+ * @param {object} options
+ * @param {number} options.homeTeamId
+ * @param {number} options.awayTeamId
+ * @param {{home:object[], away:object[]}} options.recentFixtures - Últimos partidos de cada equipo.
+ * @param {number} [options.leagueId]
+ * @param {number} [options.season]
+ * @param {number} [options.fixtureId] - Partido a predecir, para conocer el árbitro asignado.
+ * @returns {Promise<{corners:object, cards:object}|null>} null si ningún equipo tiene estadísticas.
+ */
+async function getMatchStatRates({ homeTeamId, awayTeamId, recentFixtures, leagueId, season, fixtureId }) {
+    const latest = (list) => (list || []).slice()
+        .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date))
+        .slice(0, STATS_SAMPLE);
+    const recent = [...new Map([...latest(recentFixtures.home), ...latest(recentFixtures.away)].map(f => [f.fixture.id, f])).values()];
+    // Los partidos de la fuente secundaria ya traen sus estadísticas (y sus IDs no existen en API-Football)
+    const details = [
+        ...recent.filter(f => f.statistics),
+        ...await fetchFixtureDetails(recent.filter(f => !f.statistics).map(f => f.fixture.id)),
+    ];
+    const home = teamRates(details, homeTeamId);
+    const away = teamRates(details, awayTeamId);
+    if (home.matches === 0 && away.matches === 0) return null;
+
+    // El árbitro se publica unos días antes del partido en el propio fixture de la liga
+    let refereeInfo = null;
+    if (fixtureId && leagueId && season) {
+        const leagueFixtures = await fetchLeagueFixtures(leagueId, season);
+        const referee = leagueFixtures.find(f => f.fixture.id === Number(fixtureId))?.fixture.referee;
+        if (referee) refereeInfo = await refereeCardFactor(referee, leagueFixtures);
+    }
+    const refereeFactor = refereeInfo ? refereeInfo.factor : 1;
+
+    const corners = {
+        home: (home.cornersFor + away.cornersAgainst) / 2,
+        away: (away.cornersFor + home.cornersAgainst) / 2,
+    };
+    const cards = {
+        home: (home.cardsFor + away.cardsAgainst) / 2 * refereeFactor,
+        away: (away.cardsFor + home.cardsAgainst) / 2 * refereeFactor,
+    };
+    return {
+        corners: { ...corners, total: corners.home + corners.away, matches: { home: home.matches, away: away.matches } },
+        cards: { ...cards, total: cards.home + cards.away, matches: { home: home.matches, away: away.matches }, referee: refereeInfo },
+    };
+}
+
+module.exports = {
+    fetchFixtureDetails,
+    teamStatTotals,
+    matchStatTotals,
+    refereeCardFactor,
+    getMatchStatRates,
+};
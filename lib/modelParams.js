@@ -0,0 +1,78 @@
+// backend/lib/modelParams.js
+// Parámetros del modelo ajustados por liga (ver lib/calibration.js), guardados en un archivo versionado:
+// cada reajuste incrementa la versión y queda en el historial con su efecto en el log loss fuera de muestra.
+// El archivo vive en config/ (no en data/, que no se versiona) para que cada versión quede en git.
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const MODEL_PARAMS_FILE = process.env.MODEL_PARAMS_FILE || path.join(__dirname, '..', 'config', 'model-params.json');
+// Entradas de historial que se conservan
+const MAX_HISTORY = 200;
+
+// { version, updated_at, leagues: { [leagueId]: { version, fitted_at, params, fit } }, history: [...] }
+// Se carga una sola vez al arrancar
+let store = readJsonFile(MODEL_PARAMS_FILE, { version: 0, updated_at: null, leagues: {}, history: [] });
+
+/**
+ * Parámetros ajustados vigentes de una liga.
+ * @param {number} leagueId
+ * @returns {object|null} Ej: { homeAdvantage: 1.31, h2hWeight: 0.12, marketWeight: 0.55 }.
+ */
+function getFittedParams(leagueId) {
+    return store.leagues[leagueId]?.params || null;
+}
+
+/**
+ * Registra un reajuste: siempre entra en el historial y, si se aplica, pasa a ser el vigente de la liga.
+ * @param {number} leagueId
+ * @param {object} fit
+ * @param {object} fit.params - Parámetros ajustados.
+ * @param {object} fit.previousParams - Parámetros vigentes antes del ajuste.
+ * @param {object} fit.stats - Estadísticas del ajuste (muestras, log loss, temporadas...).
+ * @param {boolean} fit.applied - Si los nuevos parámetros pasan a usarse en las predicciones.
+ * @returns {number} Versión asignada.
+ */
+function recordFit(leagueId, { params, previousParams, stats, applied }) {
+    const version = store.version + 1;
+    const fittedAt = new Date().toISOString();
+
+    store.version = version;
+    store.updated_at = fittedAt;
+    if (applied) {
+        // Los parámetros que no se ajustaron esta vez conservan el valor del ajuste anterior
+        const merged = { ...store.leagues[leagueId]?.params, ...params };
+        store.leagues[leagueId] = { version, fitted_at: fittedAt, params: merged, fit: stats };
+    }
+    store.history.push({
+        version,
+        league: leagueId,
+        fitted_at: fittedAt,
+        applied,
+        params,
+        previous_params: previousParams,
+        out_of_sample: stats.out_of_sample,
+    });
+    if (store.history.length > MAX_HISTORY) store.history = store.history.slice(-MAX_HISTORY);
+
+    // Archivo pensado para revisarse a mano: se guarda indentado
+    writeJsonFile(MODEL_PARAMS_FILE, store, true);
+    return version;
+}
+
+/**
+ * Estado de la calibración: parámetros vigentes por liga e historial de reajustes.
+ * @param {number} [leagueId] - Limitar a una liga.
+ * @returns {object}
+ */
+function getCalibrationReport(leagueId) {
+    const leagues = leagueId ? { [leagueId]: store.leagues[leagueId] || null } : store.leagues;
+    const history = leagueId ? store.history.filter(h => h.league === leagueId) : store.history;
+    return { version: store.version, updated_at: store.updated_at, leagues, history };
+}
+
+module.exports = {
+    MODEL_PARAMS_FILE,
+    getFittedParams,
+    recordFit,
+    getCalibrationReport,
+};
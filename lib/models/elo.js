@@ -0,0 +1,19 @@
+// backend/lib/models/elo.js
+// Ratings Elo de los equipos (ver ratings.js).
+const { ratingProbabilities, MIN_RATED_MATCHES } = require('../ratings');
+
+module.exports = {
+    name: 'elo',
+    description: `Ratings Elo con ventaja de local y margen de victoria (mínimo ${MIN_RATED_MATCHES} partidos por equipo)`,
+    weightParam: 'ratingWeight',
+
+    /**
+     * @param {object} inputs - ratings: { home: {rating}, away: {rating} }.
+     * @returns {{home:number, draw:number, away:number}|null} null si algún equipo no tiene rating.
+     */
+    predict(inputs) {
+        const { ratings } = inputs;
+        if (!ratings || !ratings.home || !ratings.away) return null;
+        return ratingProbabilities(ratings.home.rating, ratings.away.rating);
+    },
+};
@@ -0,0 +1,129 @@
+// backend/lib/models/form.js
+// Forma reciente: fuerzas de ataque/defensa a partir de los últimos partidos de cada equipo
+// (todas las competiciones), con decaimiento exponencial por antigüedad y ajuste por rival.
+const { buildScoreMatrix, summarizeScoreMatrix } = require('../scoreMatrix');
+const { INITIAL_RATING } = require('../ratings');
+const { currentTime } = require('../timezone');
+
+// Partidos recientes que se piden por equipo (/fixtures?team=&last=)
+const FORM_LAST_FIXTURES = 20;
+// Un partido de hace HALF_LIFE_DAYS días pesa la mitad que uno de hoy
+const HALF_LIFE_DAYS = 60;
+// Partidos "virtuales" con fuerza media que se suman para no sobrerreaccionar con pocos datos
+const PRIOR_MATCHES = 3;
+// Partidos terminados mínimos por equipo para que el modelo cuente
+const MIN_FORM_MATCHES = 3;
+// Efecto del rating Elo del rival sobre los goles (≈ ±13% cada 100 puntos)
+const OPPONENT_ELO_SCALE = 0.0012;
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+/**
+ * Fuerzas de un equipo (1 = media de la liga) a partir de sus partidos recientes.
+ * Los goles se llevan a campo neutral (quitando la ventaja de local) y se corrigen por la
+ * fuerza del rival: marcar a un rival fuerte vale más, recibir de él penaliza menos.
+ * @param {object[]} fixtures - Fixtures de API-Football del equipo.
+ * @param {number} teamId
+ * @param {object} context
+ * @param {number} context.referenceTime - Momento del partido a predecir (ms).
+ * @param {number} context.avgGoalsPerTeam - Goles medios por equipo y partido en la liga.
+ * @param {number} context.homeAdvantage
+ * @param {object} [context.opponentRatings] - { [teamId]: rating Elo } de los rivales.
+ * @returns {{attack:number, defense:number, matches:number, weight:number}|null} null si hay pocos partidos.
+ */
+function computeFormStrengths(fixtures, teamId, { referenceTime, avgGoalsPerTeam, homeAdvantage, opponentRatings = {} }) {
+    const venueFactor = Math.sqrt(homeAdvantage || 1);
+    let weightSum = 0;
+    let goalsFor = 0;
+    let goalsAgainst = 0;
+    let matches = 0;
+
+    for (const fixture of fixtures || []) {
+        const kickoff = new Date(fixture.fixture?.date).getTime();
+        const homeGoals = fixture.score?.fulltime?.home ?? fixture.goals?.home;
+        const awayGoals = fixture.score?.fulltime?.away ?? fixture.goals?.away;
+        if (!FINISHED_STATUSES.includes(fixture.fixture?.status?.short) || !(kickoff < referenceTime)) continue;
+        if (homeGoals === null || homeGoals === undefined || awayGoals === null || awayGoals === undefined) continue;
+
+        const isHome = fixture.teams.home.id === teamId;
+        if (!isHome && fixture.teams.away.id !== teamId) continue;
+        const opponentId = isHome ? fixture.teams.away.id : fixture.teams.home.id;
+        const scored = isHome ? homeGoals : awayGoals;
+        const conceded = isHome ? awayGoals : homeGoals;
+
+        const ageDays = (referenceTime - kickoff) / (24 * 3600 * 1000);
+        const weight = Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+        const opponentRating = opponentRatings[opponentId];
+        const opponentFactor = opponentRating ? Math.exp(OPPONENT_ELO_SCALE * (opponentRating - INITIAL_RATING)) : 1;
+
+        // De local se marca más y se recibe menos: se neutraliza con la raíz de la ventaja
+        goalsFor += weight * scored * (isHome ? 1 / venueFactor : venueFactor) * opponentFactor;
+        goalsAgainst += weight * conceded * (isHome ? venueFactor : 1 / venueFactor) / opponentFactor;
+        weightSum += weight;
+        matches++;
+    }
+
+    if (matches < MIN_FORM_MATCHES) return null;
+    const average = avgGoalsPerTeam || 1.25;
+    return {
+        attack: (goalsFor + PRIOR_MATCHES * average) / (weightSum + PRIOR_MATCHES) / average,
+        defense: (goalsAgainst + PRIOR_MATCHES * average) / (weightSum + PRIOR_MATCHES) / average,
+        matches,
+        weight: weightSum,
+    };
+}
+
+/**
+ * Fuerzas de ambos equipos para un partido (también se muestran en comparison.recent_form).
+ * @param {object} inputs - recentFixtures, opponentRatings, kickoff, leagueAvgGoalsPerMatch.
+ * @param {object} params - homeAdvantage.
+ * @returns {{home:object, away:object}|null}
+ */
+function matchFormStrengths(inputs, params) {
+    const { recentFixtures } = inputs;
+    if (!recentFixtures) return null;
+    const context = {
+        // Sin fecha del partido, el reloj de la app (REPLAY_DATE al reproducir grabaciones)
+        referenceTime: inputs.kickoff ? new Date(inputs.kickoff).getTime() : currentTime(),
+        avgGoalsPerTeam: (inputs.leagueAvgGoalsPerMatch || 2.5) / 2,
+        homeAdvantage: params.homeAdvantage,
+        opponentRatings: inputs.opponentRatings,
+    };
+    const home = computeFormStrengths(recentFixtures.home, inputs.homeTeamId, context);
+    const away = computeFormStrengths(recentFixtures.away, inputs.awayTeamId, context);
+    if (!home || !away) return null;
+    return { home, away, avgGoalsPerTeam: context.avgGoalsPerTeam };
+}
+
+module.exports = {
+    name: 'form',
+    description: `Forma de los últimos ${FORM_LAST_FIXTURES} partidos con decaimiento exponencial (vida media ${HALF_LIFE_DAYS} días) y ajuste por rival`,
+    weightParam: 'formWeight',
+    FORM_LAST_FIXTURES,
+    matchFormStrengths,
+
+    /**
+     * @param {object} inputs - recentFixtures: { home, away }, opponentRatings, kickoff, leagueAvgGoalsPerMatch.
+     * @param {object} params - homeAdvantage, rho.
+     * @returns {{home:number, draw:number, away:number, expectedGoals:{home:number, away:number}}|null}
+     *   null si algún equipo no tiene suficientes partidos recientes.
+     */
+    predict(inputs, params) {
+        const strengths = matchFormStrengths(inputs, params);
+        if (!strengths) return null;
+        const { home, away, avgGoalsPerTeam } = strengths;
+        const venueFactor = Math.sqrt(params.homeAdvantage || 1);
+
+        const expectedGoalsHome = Math.max(0.1, avgGoalsPerTeam * home.attack * away.defense * venueFactor);
+        const expectedGoalsAway = Math.max(0.1, avgGoalsPerTeam * away.attack * home.defense / venueFactor);
+
+        const scores = summarizeScoreMatrix(buildScoreMatrix(expectedGoalsHome, expectedGoalsAway, { rho: params.rho }).matrix);
+        const total = scores.homeWin + scores.draw + scores.awayWin;
+        if (total <= 0) return null;
+        return {
+            home: scores.homeWin / total,
+            draw: scores.draw / total,
+            away: scores.awayWin / total,
+            expectedGoals: { home: expectedGoalsHome, away: expectedGoalsAway },
+        };
+    },
+};
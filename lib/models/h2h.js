@@ -0,0 +1,49 @@
+// backend/lib/models/h2h.js
+// Enfrentamientos directos: frecuencia de resultados en los últimos 10 partidos entre ambos.
+
+// Partidos mínimos para que el H2H cuente
+const MIN_H2H_GAMES = 3;
+
+function parseH2HResults(fixtures, homeTeamId, awayTeamId) {
+    let homeWins = 0; let awayWins = 0; let draws = 0; let totalGames = 0;
+    const recentFixtures = fixtures.slice(0, 10); 
+    for (const fixture of recentFixtures) {
+        totalGames++;
+        const homeScore = fixture.score?.fulltime?.home;
+        const awayScore = fixture.score?.fulltime?.away;
+        if (homeScore !== null && awayScore !== null) {
+            const fixtureHomeTeamId = fixture.teams.home.id;
+            const fixtureAwayTeamId = fixture.teams.away.id;
+            if (fixtureHomeTeamId === homeTeamId && fixtureAwayTeamId === awayTeamId) {
+                if (homeScore > awayScore) homeWins++;
+                else if (awayScore > homeScore) awayWins++;
+                else draws++;
+            } else if (fixtureHomeTeamId === awayTeamId && fixtureAwayTeamId === homeTeamId) {
+                if (homeScore > awayScore) awayWins++; 
+                else if (awayScore > homeScore) homeWins++; 
+                else draws++;
+            }
+        }
+    }
+    const homeWinPercentage = totalGames > 0 ? (homeWins / totalGames) : 0.5;
+    const awayWinPercentage = totalGames > 0 ? (awayWins / totalGames) : 0.5;
+    const drawPercentage = totalGames > 0 ? (draws / totalGames) : 0.0; 
+    return { homeWins, awayWins, draws, totalGames, homeWinPercentage, awayWinPercentage, drawPercentage };
+}
+
+module.exports = {
+    name: 'h2h',
+    description: `Resultados de los enfrentamientos directos (mínimo ${MIN_H2H_GAMES} partidos)`,
+    weightParam: 'h2hWeight',
+    parseH2HResults,
+
+    /**
+     * @param {object} inputs - homeTeamId, awayTeamId, h2hFixtures.
+     * @returns {{home:number, draw:number, away:number}|null} null si no hay suficientes partidos.
+     */
+    predict(inputs) {
+        const h2h = parseH2HResults(inputs.h2hFixtures || [], inputs.homeTeamId, inputs.awayTeamId);
+        if (h2h.totalGames < MIN_H2H_GAMES) return null;
+        return { home: h2h.homeWinPercentage, draw: h2h.drawPercentage, away: h2h.awayWinPercentage };
+    },
+};
@@ -0,0 +1,205 @@
+// backend/lib/models/index.js
+// Registro de modelos: cada componente devuelve una distribución 1X2 y el ensemble las combina
+// en orden (base Poisson → forma → H2H → Elo → mercado), cada una con su peso.
+// Los pesos por liga se configuran en config/models.json:
+//   { "default": { "form": 0.3, "h2h": 0.4, "elo": 0.25, "market": 0.3 }, "leagues": { "253": { "market": 0.35 } } }
+// Encima se aplican los parámetros ajustados por la calibración (config/model-params.json).
+// Si la base usa estadísticas de una temporada anterior (inicio de temporada), la forma reciente
+// pesa al menos staleStatsFormWeight: es lo único que refleja la plantilla actual.
+const path = require('path');
+const { readJsonFile } = require('../jsonFile');
+const { getFittedParams } = require('../modelParams');
+const { DEFAULT_RHO } = require('../scoreMatrix');
+
+const MODELS_CONFIG_FILE = process.env.MODELS_CONFIG || path.join(__dirname, '..', '..', 'config', 'models.json');
+
+// Parámetro de dependencia de Dixon-Coles (se puede ajustar por entorno)
+const DIXON_COLES_RHO = process.env.DIXON_COLES_RHO !== undefined ? parseFloat(process.env.DIXON_COLES_RHO) : DEFAULT_RHO;
+
+// Parámetros del modelo: ventaja de local, peso de la forma reciente (y su mínimo con estadísticas de la
+// temporada anterior), peso del H2H, peso de los ratings Elo, peso del mercado y ρ de Dixon-Coles
+const DEFAULT_MODEL_PARAMS = {
+    homeAdvantage: 1.2,
+    formWeight: 0.3,
+    staleStatsFormWeight: 0.7,
+    h2hWeight: 0.4,
+    ratingWeight: 0.25,
+    marketWeight: 0.3, // 30% mercado, 70% modelo
+    rho: DIXON_COLES_RHO,
+};
+
+// Orden de aplicación en el ensemble: el primero es la base
+const MODELS = [
+    require('./poisson'),
+    require('./form'),
+    require('./h2h'),
+    require('./elo'),
+    require('./market'),
+];
+const MODELS_BY_NAME = new Map(MODELS.map(m => [m.name, m]));
+const BASE_MODEL = MODELS.find(m => m.base);
+const ENSEMBLE = 'ensemble';
+
+const modelsConfig = readJsonFile(MODELS_CONFIG_FILE, { default: {}, leagues: {} });
+
+/**
+ * Convierte pesos por nombre de modelo ({ h2h: 0.4 }) en parámetros ({ h2hWeight: 0.4 }).
+ * @param {object} [weights]
+ * @returns {object}
+ */
+function weightsToParams(weights = {}) {
+    const params = {};
+    for (const [name, weight] of Object.entries(weights)) {
+        const model = MODELS_BY_NAME.get(name);
+        if (model && model.weightParam && typeof weight === 'number') params[model.weightParam] = weight;
+    }
+    return params;
+}
+
+/**
+ * Parámetros efectivos para una liga:
+ * por defecto → config general → config de la liga → ajustados por calibración → explícitos.
+ * @param {number} leagueId
+ * @param {object} [params] - Parámetros explícitos (ej: backtest).
+ * @returns {object}
+ */
+function resolveModelParams(leagueId, params = {}) {
+    return {
+        ...DEFAULT_MODEL_PARAMS,
+        ...weightsToParams(modelsConfig.default),
+        ...weightsToParams(modelsConfig.leagues?.[leagueId]),
+        ...getFittedParams(leagueId),
+        ...params,
+    };
+}
+
+/**
+ * Modelos disponibles (para /api/models).
+ * @param {number} [leagueId] - Para mostrar los pesos efectivos de una liga.
+ * @returns {object[]}
+ */
+function listModels(leagueId) {
+    const params = resolveModelParams(leagueId);
+    return [
+        {
+            name: ENSEMBLE,
+            description: `Combinación de ${MODELS.map(m => m.name).join(' → ')} con pesos por liga`,
+            default: true,
+        },
+        ...MODELS.map(m => ({
+            name: m.name,
+            description: m.description,
+            default: false,
+            ensemble_weight: m.base ? null : params[m.weightParam],
+        })),
+    ];
+}
+
+/**
+ * ¿Existe el modelo?
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isKnownModel(name) {
+    return name === ENSEMBLE || MODELS_BY_NAME.has(name);
+}
+
+/**
+ * Mezcla lineal de dos distribuciones 1X2 (renormalizada).
+ * @returns {{home:number, draw:number, away:number}}
+ */
+function blend(current, component, weight) {
+    const home = current.home * (1 - weight) + component.home * weight;
+    const draw = current.draw * (1 - weight) + component.draw * weight;
+    const away = current.away * (1 - weight) + component.away * weight;
+    const total = home + draw + away;
+    if (total <= 0) return { home: 0.33, draw: 0.34, away: 0.33 };
+    return { home: home / total, draw: draw / total, away: away / total };
+}
+
+/**
+ * Peso de un componente en el ensemble. Con estadísticas de una temporada anterior
+ * (inputs.statsFromPreviousSeason) la forma pesa al menos staleStatsFormWeight.
+ * @param {object} model
+ * @param {object} inputs
+ * @param {object} params
+ * @returns {number}
+ */
+function componentWeight(model, inputs, params) {
+    const weight = params[model.weightParam] || 0;
+    if (model.weightParam === 'formWeight' && inputs.statsFromPreviousSeason) {
+        return Math.max(weight, params.staleStatsFormWeight || 0);
+    }
+    return weight;
+}
+
+/**
+ * Ejecuta un modelo (o el ensemble) y devuelve la distribución 1X2 final y los goles esperados.
+ * El total de goles esperados sale del modelo base (mezclado con el de los componentes que
+ * también lo estiman, como la forma) y se reparte según el 1X2 final.
+ * @param {object} inputs - Ver computePrediction.
+ * @param {object} params - Parámetros resueltos (ver resolveModelParams).
+ * @param {string} [modelName] - 'ensemble' (por defecto) o el nombre de un componente.
+ * @returns {{model:string, probabilities:{home:number, draw:number, away:number}, expectedGoals:{home:number, away:number}, components:object[]}}
+ */
+function runModel(inputs, params, modelName = ENSEMBLE) {
+    if (!isKnownModel(modelName)) {
+        const error = new Error(`Modelo desconocido: ${modelName}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const base = BASE_MODEL.predict(inputs, params);
+    const baseProbabilities = { home: base.home, draw: base.draw, away: base.away };
+    const components = [{ model: BASE_MODEL.name, weight: null, probabilities: baseProbabilities }];
+    let probabilities = baseProbabilities;
+    let totalLambda = base.expectedGoals.home + base.expectedGoals.away;
+
+    if (modelName === ENSEMBLE) {
+        for (const model of MODELS) {
+            if (model === BASE_MODEL) continue;
+            const weight = componentWeight(model, inputs, params);
+            const distribution = weight > 0 ? model.predict(inputs, params) : null;
+            components.push({ model: model.name, weight, probabilities: distribution });
+            if (!distribution) continue;
+            probabilities = blend(probabilities, distribution, weight);
+            if (distribution.expectedGoals) {
+                totalLambda = totalLambda * (1 - weight) + (distribution.expectedGoals.home + distribution.expectedGoals.away) * weight;
+            }
+        }
+    } else if (modelName !== BASE_MODEL.name) {
+        const model = MODELS_BY_NAME.get(modelName);
+        const distribution = model.predict(inputs, params);
+        if (!distribution) {
+            const error = new Error(`El modelo ${modelName} no tiene datos suficientes para este partido`);
+            error.status = 422;
+            throw error;
+        }
+        components.push({ model: model.name, weight: 1, probabilities: distribution });
+        probabilities = distribution;
+        if (distribution.expectedGoals) {
+            totalLambda = distribution.expectedGoals.home + distribution.expectedGoals.away;
+        }
+    }
+
+    // Reparte el total de goles esperados según el 1X2 final
+    let expectedGoals = base.expectedGoals;
+    if (probabilities !== baseProbabilities) {
+        expectedGoals = {
+            home: Math.max(0.1, totalLambda * (probabilities.home + probabilities.draw / 2)),
+            away: Math.max(0.1, totalLambda * (probabilities.away + probabilities.draw / 2)),
+        };
+    }
+
+    return { model: modelName, probabilities, expectedGoals, components };
+}
+
+module.exports = {
+    ENSEMBLE,
+    DEFAULT_MODEL_PARAMS,
+    MODELS,
+    resolveModelParams,
+    listModels,
+    isKnownModel,
+    runModel,
+};
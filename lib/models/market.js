@@ -0,0 +1,33 @@
+// backend/lib/models/market.js
+// Probabilidades implícitas de las cuotas 1X2, sin el margen de la casa.
+
+/**
+ * Convierte una cuota decimal (ej. 2.00) a probabilidad implícita.
+ * @param {number} odd 
+ * @returns {number} probabilidad (0-1)
+ */
+function convertOddToImpliedProbability(odd) {
+    if (!odd || odd <= 1) return 0;
+    return 1 / odd;
+}
+
+module.exports = {
+    name: 'market',
+    description: 'Probabilidades implícitas de las cuotas 1X2 del mercado (normalizadas)',
+    weightParam: 'marketWeight',
+    convertOddToImpliedProbability,
+
+    /**
+     * @param {object} inputs - marketOdds: { home, draw, away }.
+     * @returns {{home:number, draw:number, away:number}|null} null si falta alguna cuota.
+     */
+    predict(inputs) {
+        const { marketOdds } = inputs;
+        if (!marketOdds || !marketOdds.home || !marketOdds.draw || !marketOdds.away) return null;
+        const home = convertOddToImpliedProbability(marketOdds.home);
+        const draw = convertOddToImpliedProbability(marketOdds.draw);
+        const away = convertOddToImpliedProbability(marketOdds.away);
+        const total = home + draw + away;
+        return { home: home / (total || 1), draw: draw / (total || 1), away: away / (total || 1) };
+    },
+};
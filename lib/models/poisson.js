@@ -0,0 +1,39 @@
+// backend/lib/models/poisson.js
+// Modelo base: Poisson (Dixon-Coles) con las fuerzas de ataque/defensa de la temporada.
+const { buildScoreMatrix, summarizeScoreMatrix } = require('../scoreMatrix');
+
+module.exports = {
+    name: 'poisson',
+    description: 'Poisson Dixon-Coles con goles a favor/en contra de local y visitante de la temporada',
+    // Es la base del ensemble: aporta también los goles esperados
+    base: true,
+
+    /**
+     * @param {object} inputs - Estadísticas de temporada (ver computePrediction).
+     * @param {object} params - homeAdvantage, rho.
+     * @returns {{home:number, draw:number, away:number, expectedGoals:{home:number, away:number}}}
+     */
+    predict(inputs, params) {
+        const {
+            homePlayedHome, homeGoalsForHome, homeGoalsAgainstHome,
+            awayPlayedAway, awayGoalsForAway, awayGoalsAgainstAway,
+            leagueAvgGoalsPerMatch,
+        } = inputs;
+
+        const homeAttackStrength = (homeGoalsForHome / (homePlayedHome || 1)) / (leagueAvgGoalsPerMatch || 1);
+        const homeDefenseStrength = (homeGoalsAgainstHome / (homePlayedHome || 1)) / (leagueAvgGoalsPerMatch || 1);
+        const awayAttackStrength = (awayGoalsForAway / (awayPlayedAway || 1)) / (leagueAvgGoalsPerMatch || 1);
+        const awayDefenseStrength = (awayGoalsAgainstAway / (awayPlayedAway || 1)) / (leagueAvgGoalsPerMatch || 1);
+
+        const expectedGoalsHome = homeAttackStrength * (1 / (awayDefenseStrength || 1)) * params.homeAdvantage;
+        const expectedGoalsAway = awayAttackStrength * (1 / (homeDefenseStrength || 1));
+
+        const scores = summarizeScoreMatrix(buildScoreMatrix(expectedGoalsHome, expectedGoalsAway, { rho: params.rho }).matrix);
+        const total = scores.homeWin + scores.draw + scores.awayWin;
+        const probabilities = total > 0
+            ? { home: scores.homeWin / total, draw: scores.draw / total, away: scores.awayWin / total }
+            : { home: 0.33, draw: 0.34, away: 0.33 };
+
+        return { ...probabilities, expectedGoals: { home: expectedGoalsHome, away: expectedGoalsAway } };
+    },
+};
@@ -0,0 +1,471 @@
+// backend/lib/parley.js
+// Motor de parleys configurable: escanea partidos, elige piernas por mercado/cuota/confianza
+// y cachea cada configuración por separado. Solo entran partidos que aún no han empezado.
+const { cachedApiCall } = require('./apiFootball');
+const { createMemoryStore } = require('./cache');
+const { getMatchPrediction } = require('./prediction');
+const { recordPrediction } = require('./ledger');
+const { resolveLeagues } = require('./leagues');
+const { DEFAULT_TIMEZONE, dateInTimeZone } = require('./timezone');
+const { simulateParley, DEFAULT_MIN_CORRELATION_FACTOR } = require('./parleySimulation');
+const { DEFAULT_CONCURRENCY, mapWithConcurrency } = require('./concurrency');
+
+// Mercados que el motor sabe describir (ver markets.js)
+const PARLEY_MARKETS = ['1X2', 'DC', 'DNB', 'BTTS', 'AH', 'OU', 'TT_HOME', 'TT_AWAY', 'CS', 'CORNERS', 'CARDS'];
+// Estados de partidos que todavía se pueden apostar
+const NOT_STARTED_STATUSES = ['NS', 'TBD'];
+
+// Configuración por defecto de /api/parley
+const DEFAULT_PARLEY_CONFIG = {
+    legs: 2,
+    markets: ['1X2'],
+    minOdd: 1.3,
+    maxOdd: 10,
+    minConfidence: 0.5,
+    // Ajustes por selección, clave 'MERCADO:selección' (ej: '1X2:draw')
+    overrides: {},
+    // Solo elegir la selección más probable de cada mercado
+    onlyFavorite: false,
+    // Piernas permitidas del mismo partido (>1 habilita combinaciones same-game)
+    maxLegsPerFixture: 1,
+    // Se rechazan combinaciones con correlación por debajo de este factor (ver parleySimulation.js)
+    minCorrelationFactor: DEFAULT_MIN_CORRELATION_FACTOR,
+    // Ligas escaneadas del registro con su temporada actual (se resuelven al construir)
+    leagues: null,
+    date: null,
+    timezone: DEFAULT_TIMEZONE,
+    // Código HTTP cuando no hay piernas suficientes
+    emptyStatus: 200,
+};
+
+// Presets equivalentes a los antiguos endpoints fijos
+const PARLEY_PRESETS = {
+    'parley-del-dia': {
+        idPrefix: 'daily-parley',
+        legs: 2,
+        markets: ['1X2'],
+        minOdd: 1.4,
+        minConfidence: 0.60,
+        overrides: { '1X2:draw': { minConfidence: 0.40, minOdd: 2.0 } },
+        onlyFavorite: true,
+        title: `🏆 Parley del Día - Picks con valor`,
+        emptyTitle: `Parley del Día`,
+        advice: "¡Apuesta responsable! Picks generados por modelo estadístico y cuotas reales.",
+        emptyAdvice: "",
+        emptyMessage: "Hoy no hay picks que cumplan los criterios del Parley del Día. Se vuelve a revisar durante el día.",
+        emptyStatus: 404,
+    },
+    'parley-1x2': {
+        idPrefix: 'daily-parley-1x2',
+        legs: 3,
+        markets: ['1X2'],
+        minOdd: 1.25,
+        minConfidence: 0.40,
+        overrides: { '1X2:draw': { minConfidence: 0.33, minOdd: 2.0 } },
+        onlyFavorite: true,
+        title: `🎯 Parley 1X2 Triple`,
+        emptyTitle: `Parley 1X2 Triple`,
+        advice: "¡Picks solo del mercado 1X2 (Local, Empate o Visitante)!",
+        emptyAdvice: "No hay suficientes partidos de confianza para el parley triple 1X2 hoy.",
+        emptyMessage: "Intenta más tarde o en otra fecha.",
+        errorMessage: "Error generando el Parley 1X2 Triple.",
+        emptyStatus: 200,
+    },
+};
+
+// Cache por configuración: clave -> { data: { status, body }, timestamp, ttl }
+// Acotada (LRU): la clave sale de parámetros libres de /api/parley
+const parleyCache = createMemoryStore({ maxEntries: 200, maxBytes: 10 * 1024 * 1024 });
+// Construcciones en curso por clave: las peticiones simultáneas esperan a la misma
+const parleyBuilds = new Map();
+// Los parleys incompletos se reintentan pasado este tiempo; los completos valen todo el día
+const INCOMPLETE_PARLEY_TTL = 20 * 60 * 1000;
+
+/**
+ * Nombre y descripción en español de una selección.
+ * @param {{market:string, selection:string, line:number|null}} entry
+ * @param {object} fixture - Fixture de API-Football.
+ * @returns {{type:string, description:string}}
+ */
+function describeSelection(entry, fixture) {
+    const home = fixture.teams.home.name;
+    const away = fixture.teams.away.name;
+    const signed = (line) => line > 0 ? `+${line}` : `${line}`;
+    switch (entry.market) {
+        case '1X2':
+            if (entry.selection === 'home') return { type: 'Ganador Local', description: `${home} gana el partido` };
+            if (entry.selection === 'away') return { type: 'Ganador Visitante', description: `${away} gana el partido` };
+            return { type: 'Empate', description: `Empate` };
+        case 'DC':
+            if (entry.selection === '1X') return { type: 'Doble Oportunidad 1X', description: `${home} gana o empata` };
+            if (entry.selection === 'X2') return { type: 'Doble Oportunidad X2', description: `${away} gana o empata` };
+            return { type: 'Doble Oportunidad 12', description: `No hay empate` };
+        case 'DNB':
+            return {
+                type: entry.selection === 'home' ? 'Empate No Apuesta Local' : 'Empate No Apuesta Visitante',
+                description: `${entry.selection === 'home' ? home : away} gana (si empatan se devuelve la apuesta)`,
+            };
+        case 'BTTS':
+            return entry.selection === 'yes'
+                ? { type: 'Ambos Anotan', description: 'Ambos equipos anotan' }
+                : { type: 'Ambos No Anotan', description: 'Al menos un equipo no anota' };
+        case 'AH': {
+            const team = entry.selection === 'home' ? home : away;
+            return { type: 'Hándicap Asiático', description: `${team} ${signed(entry.line)}` };
+        }
+        case 'OU':
+            return {
+                type: entry.selection === 'over' ? `Más de ${entry.line} goles` : `Menos de ${entry.line} goles`,
+                description: `${entry.selection === 'over' ? 'Más' : 'Menos'} de ${entry.line} goles en el partido`,
+            };
+        case 'TT_HOME':
+        case 'TT_AWAY': {
+            const team = entry.market === 'TT_HOME' ? home : away;
+            return {
+                type: `Goles de ${team}`,
+                description: `${team} ${entry.selection === 'over' ? 'más' : 'menos'} de ${entry.line} goles`,
+            };
+        }
+        case 'CS':
+            return { type: 'Marcador Exacto', description: `Marcador exacto ${entry.selection.replace('-', ' - ')}` };
+        case 'CORNERS':
+        case 'CARDS': {
+            const stat = entry.market === 'CORNERS' ? 'córners' : 'tarjetas';
+            return {
+                type: entry.selection === 'over' ? `Más de ${entry.line} ${stat}` : `Menos de ${entry.line} ${stat}`,
+                description: `${entry.selection === 'over' ? 'Más' : 'Menos'} de ${entry.line} ${stat} en el partido`,
+            };
+        }
+        default:
+            return { type: entry.market, description: `${entry.market} ${entry.selection}` };
+    }
+}
+
+/**
+ * Piernas candidatas de un partido según la configuración, de mayor a menor confianza.
+ * @param {object} fixture
+ * @param {object} prediction - Respuesta de getMatchPrediction.
+ * @param {object} config
+ * @returns {object[]}
+ */
+function listCandidateLegs(fixture, prediction, config) {
+    const markets = prediction.predictions.markets || [];
+    const candidates = [];
+
+    for (const entry of markets) {
+        if (!config.markets.includes(entry.market) || !entry.market_odd) continue;
+        const rules = { minOdd: config.minOdd, maxOdd: config.maxOdd, minConfidence: config.minConfidence, ...(config.overrides[`${entry.market}:${entry.selection}`] || {}) };
+        const confidence = entry.model_probability / 100;
+
+        if (config.onlyFavorite) {
+            const sameMarket = markets.filter(m => m.market === entry.market && m.line === entry.line);
+            if (sameMarket.some(m => m.model_probability > entry.model_probability)) continue;
+        }
+        if (confidence < rules.minConfidence) continue;
+        if (entry.market_odd < rules.minOdd || entry.market_odd > rules.maxOdd) continue;
+
+        const label = describeSelection(entry, fixture);
+        candidates.push({
+            match_id: fixture.fixture.id,
+            home_team: fixture.teams.home.name,
+            away_team: fixture.teams.away.name,
+            home_logo: fixture.teams.home.logo,
+            away_logo: fixture.teams.away.logo,
+            competition_name: fixture.league.name,
+            starting_at: fixture.fixture.date,
+            pick_type: label.type,
+            pick_description: label.description,
+            confidence_percent: parseFloat((confidence * 100).toFixed(1)),
+            real_odd: parseFloat(entry.market_odd.toFixed(2)),
+            market: entry.market,
+            selection: entry.selection,
+            line: entry.line,
+        });
+    }
+    return candidates.sort((a, b) => b.confidence_percent - a.confidence_percent);
+}
+
+/**
+ * Elige las piernas de mayor confianza respetando el máximo por partido y descartando
+ * combinaciones del mismo partido cuya correlación hace injusta la cuota combinada.
+ * @param {object[]} candidates - Piernas ordenadas por confianza.
+ * @param {Map<number, number[][]>} matricesByFixture
+ * @param {object} config
+ * @param {Map<number, {corners:number, cards:number}>} [countTotals] - Córners y tarjetas esperados por fixture.
+ * @returns {{legs: object[], rejected: object[]}}
+ */
+function selectLegs(candidates, matricesByFixture, config, countTotals = new Map()) {
+    const legs = [];
+    const rejected = [];
+    for (const leg of candidates) {
+        if (legs.length >= config.legs) break;
+        const sameFixture = legs.filter(l => l.match_id === leg.match_id);
+        if (sameFixture.length >= config.maxLegsPerFixture) continue;
+        // Un mercado por partido (las casas no combinan líneas del mismo mercado)
+        if (sameFixture.some(l => l.market === leg.market)) continue;
+
+        if (sameFixture.length > 0) {
+            const combo = [...sameFixture, leg];
+            const { correlation_factor } = simulateParley(combo, matricesByFixture, { simulations: config.simulations, countTotals });
+            if (correlation_factor === null || correlation_factor < config.minCorrelationFactor) {
+                rejected.push({
+                    match_id: leg.match_id,
+                    picks: combo.map(l => l.pick_description),
+                    correlation_factor: correlation_factor === null ? null : parseFloat(correlation_factor.toFixed(3)),
+                });
+                continue;
+            }
+        }
+        legs.push(leg);
+    }
+    return { legs, rejected };
+}
+
+/**
+ * Normaliza una configuración de parley (valores por defecto + preset).
+ * La fecha por defecto es "hoy" en la zona horaria de la configuración.
+ * @param {object} [options]
+ * @returns {Promise<object>}
+ */
+async function resolveParleyConfig(options = {}) {
+    const preset = options.preset ? PARLEY_PRESETS[options.preset] : null;
+    if (options.preset && !preset) throw new Error(`Preset de parley desconocido: ${options.preset}`);
+    const config = { ...DEFAULT_PARLEY_CONFIG, ...(preset || {}), ...options };
+    config.timezone = config.timezone || DEFAULT_TIMEZONE;
+    config.date = config.date || dateInTimeZone(config.timezone);
+    config.leagues = config.leagues || await resolveLeagues();
+    config.markets = config.markets.filter(m => PARLEY_MARKETS.includes(m));
+    return config;
+}
+
+/**
+ * Clave de cache de una configuración (solo los parámetros que cambian el resultado).
+ * @param {object} config
+ * @returns {string}
+ */
+function parleyCacheKey(config) {
+    return JSON.stringify({
+        preset: config.preset || null,
+        legs: config.legs,
+        markets: [...config.markets].sort(),
+        minOdd: config.minOdd,
+        maxOdd: config.maxOdd,
+        minConfidence: config.minConfidence,
+        overrides: config.overrides,
+        onlyFavorite: config.onlyFavorite,
+        maxLegsPerFixture: config.maxLegsPerFixture,
+        minCorrelationFactor: config.minCorrelationFactor,
+        leagues: config.leagues.map(l => `${l.league}-${l.season}`).sort(),
+        date: config.date,
+        timezone: config.timezone,
+    });
+}
+
+/**
+ * Construye un parley con la configuración indicada.
+ * Las peticiones simultáneas con la misma configuración comparten la construcción en curso.
+ * @param {object} options - legs, markets, minOdd, maxOdd, minConfidence, leagues, date, preset...
+ *   refresh: true lo rehace aunque esté en cache (cuotas nuevas cerca del inicio de los partidos).
+ *   predict: function(fixture) => Promise<object> sustituye a getMatchPrediction (ej: predicciones precalculadas).
+ * @returns {Promise<{status:number, body:object, complete:boolean}>} Código HTTP, cuerpo de la respuesta
+ *   y si el parley tiene todas sus piernas.
+ */
+async function buildParley(options = {}) {
+    const config = await resolveParleyConfig(options);
+    const cacheKey = parleyCacheKey(config);
+    const cached = parleyCache.get(cacheKey);
+    if (cached && !config.refresh && (Date.now() - cached.timestamp < cached.ttl)) {
+        return cached.data;
+    }
+    if (!parleyBuilds.has(cacheKey)) {
+        parleyBuilds.set(cacheKey, computeParley(config, cacheKey).finally(() => parleyBuilds.delete(cacheKey)));
+    }
+    return parleyBuilds.get(cacheKey);
+}
+
+/**
+ * Escanea los partidos, predice y elige las piernas de un parley ya configurado.
+ * @param {object} config - Resultado de resolveParleyConfig.
+ * @param {string} cacheKey
+ * @returns {Promise<{status:number, body:object, complete:boolean}>}
+ */
+async function computeParley(config, cacheKey) {
+    const source = config.preset || 'parley';
+    const parleyId = `${config.idPrefix || 'parley'}-${config.date}`;
+    const allCandidateLegs = [];
+    const predictionsByFixture = new Map();
+    const matricesByFixture = new Map();
+    const countTotals = new Map();
+    let result;
+
+    try {
+        const fixtures = [];
+        for (const leagueInfo of config.leagues) {
+            const fixturesData = await cachedApiCall(
+                '/fixtures',
+                {
+                    league: leagueInfo.league,
+                    season: leagueInfo.season,
+                    date: config.date,
+                    timezone: config.timezone
+                },
+                60 * 60 * 1000
+            );
+            // Los partidos empezados o terminados (fechas pasadas incluidas) ya no se pueden apostar
+            fixtures.push(...(fixturesData.response || []).filter(f => f.teams.home.id && f.teams.away.id
+                && NOT_STARTED_STATUSES.includes(f.fixture.status?.short)));
+        }
+
+        // Predicciones en paralelo (acotado); el orden de los resultados es el de los partidos
+        const predict = config.predict || (fixture => getMatchPrediction(
+            fixture.teams.home.id,
+            fixture.teams.away.id,
+            fixture.league.id,
+            fixture.league.season,
+            fixture.fixture.id, // <-- importante pasar el fixtureId!
+            {},
+            { kickoff: fixture.fixture.date }
+        ));
+        const predictions = await mapWithConcurrency(fixtures, DEFAULT_CONCURRENCY, predict);
+        predictions.forEach((outcome, i) => {
+            // Si falla la predicción de un partido se sigue con los demás
+            if (outcome.status !== 'fulfilled') return;
+            const fixture = fixtures[i];
+            const predictionResult = outcome.value;
+            predictionsByFixture.set(fixture.fixture.id, { fixture, prediction: predictionResult });
+            matricesByFixture.set(fixture.fixture.id, predictionResult.predictions.score_matrix.probabilities);
+            if (predictionResult.predictions.corners && predictionResult.predictions.cards) {
+                countTotals.set(fixture.fixture.id, {
+                    corners: predictionResult.predictions.corners.total,
+                    cards: predictionResult.predictions.cards.total,
+                });
+            }
+            allCandidateLegs.push(...listCandidateLegs(fixture, predictionResult, config));
+        });
+
+        allCandidateLegs.sort((a, b) => b.confidence_percent - a.confidence_percent);
+        const { legs: finalSelectedLegs, rejected } = selectLegs(allCandidateLegs, matricesByFixture, config, countTotals);
+
+        if (finalSelectedLegs.length < config.legs) {
+            result = {
+                status: config.emptyStatus,
+                complete: false,
+                ttl: INCOMPLETE_PARLEY_TTL,
+                body: {
+                    parley_id: parleyId,
+                    title: config.emptyTitle || 'Parley',
+                    advice: config.emptyAdvice ?? "No hay suficientes picks que cumplan la configuración.",
+                    legs: config.emptyStatus === 404 ? [] : finalSelectedLegs,
+                    message: config.emptyMessage || "Intenta más tarde o con otra configuración.",
+                    total_real_odd: null,
+                    total_confidence_percent: null,
+                    rejected_combinations: rejected,
+                },
+            };
+        } else {
+            // --- Probabilidad conjunta y valor esperado contra la cuota total REAL ---
+            const simulation = simulateParley(finalSelectedLegs, matricesByFixture, { simulations: config.simulations, countTotals });
+
+            recordParleyLegs(source, finalSelectedLegs, predictionsByFixture);
+            result = {
+                status: 200,
+                complete: true,
+                // Un parley completo se mantiene fijo el resto del día (la clave incluye la fecha)
+                ttl: 24 * 3600 * 1000,
+                body: {
+                    parley_id: parleyId,
+                    title: config.title || `Parley de ${config.legs} piernas`,
+                    advice: config.advice || "¡Apuesta responsable! Picks generados por modelo estadístico y cuotas reales.",
+                    legs: finalSelectedLegs,
+                    total_real_odd: parseFloat(simulation.total_real_odd.toFixed(2)),
+                    total_confidence_percent: parseFloat((simulation.joint_probability * 100).toFixed(1)),
+                    independent_confidence_percent: parseFloat((simulation.independent_probability * 100).toFixed(1)),
+                    correlation_factor: simulation.correlation_factor === null ? null : parseFloat(simulation.correlation_factor.toFixed(3)),
+                    fair_total_odd: simulation.joint_probability > 0 ? parseFloat((1 / simulation.joint_probability).toFixed(2)) : null,
+                    expected_value_percent: parseFloat((simulation.expected_value * 100).toFixed(2)),
+                    simulations: simulation.simulations,
+                    rejected_combinations: rejected,
+                },
+            };
+        }
+    } catch (err) {
+        // Los errores no se cachean: la siguiente petición (o el precálculo) vuelve a intentarlo
+        return {
+            status: 500,
+            complete: false,
+            body: {
+                parley_id: parleyId,
+                title: config.emptyTitle || 'Parley',
+                advice: "",
+                legs: [],
+                message: config.errorMessage || config.emptyMessage || "Error generando el parley.",
+                error: err.message || err,
+            },
+        };
+    }
+
+    const built = { status: result.status, body: result.body, complete: result.complete };
+    parleyCache.set(cacheKey, { data: built, timestamp: Date.now(), ttl: result.ttl });
+    return built;
+}
+
+/**
+ * Datos del fixture (formato API-Football) que guarda el ledger.
+ * @param {object} fixture
+ * @returns {object}
+ */
+function ledgerFixture(fixture) {
+    return {
+        id: fixture.fixture.id,
+        date: fixture.fixture.date,
+        leagueId: fixture.league.id,
+        season: fixture.league.season,
+        homeTeamId: fixture.teams.home.id,
+        awayTeamId: fixture.teams.away.id,
+        homeTeam: fixture.teams.home.name,
+        awayTeam: fixture.teams.away.name,
+    };
+}
+
+/**
+ * Registra en el ledger cada pierna de un parley con el pick y la cuota usados.
+ * @param {string} source - Endpoint o preset del parley.
+ * @param {object[]} legs - Piernas seleccionadas.
+ * @param {Map<number, {fixture: object, prediction: object}>} predictionsByFixture
+ */
+function recordParleyLegs(source, legs, predictionsByFixture) {
+    // Las piernas del mismo partido van juntas en una sola entrada
+    const legsByFixture = new Map();
+    for (const leg of legs) {
+        if (!legsByFixture.has(leg.match_id)) legsByFixture.set(leg.match_id, []);
+        legsByFixture.get(leg.match_id).push(leg);
+    }
+    for (const [matchId, fixtureLegs] of legsByFixture) {
+        const served = predictionsByFixture.get(matchId);
+        if (!served) continue;
+        recordPrediction({
+            source,
+            fixture: ledgerFixture(served.fixture),
+            prediction: served.prediction,
+            picks: fixtureLegs.map(leg => ({
+                market: leg.market,
+                selection: leg.selection,
+                line: leg.line,
+                probability: leg.confidence_percent / 100,
+                odd: leg.real_odd,
+            })),
+            appendPicks: true,
+        });
+    }
+}
+
+module.exports = {
+    PARLEY_MARKETS,
+    NOT_STARTED_STATUSES,
+    PARLEY_PRESETS,
+    DEFAULT_PARLEY_CONFIG,
+    describeSelection,
+    resolveParleyConfig,
+    buildParley,
+    ledgerFixture,
+};
@@ -0,0 +1,211 @@
+// backend/lib/parleySimulation.js
+// Probabilidad conjunta y valor esperado de un parley por Monte Carlo sobre las matrices de marcadores.
+// Las piernas del mismo partido comparten el marcador simulado, así que su correlación
+// (ej: local gana + más de 2.5) queda recogida; partidos distintos se simulan de forma independiente.
+// Córners y tarjetas se muestrean aparte con su total Poisson (independientes del marcador).
+const { settleSelection, settleCountSelection, poissonDistribution, COUNT_MARKETS } = require('./markets');
+
+const DEFAULT_SIMULATIONS = parseInt(process.env.PARLEY_SIMULATIONS) || 20000;
+// Factor de correlación mínimo aceptado (probabilidad conjunta / producto de probabilidades).
+// Las casas multiplican las cuotas como si las piernas fueran independientes: por debajo de este
+// factor la correlación negativa hace que la cuota combinada pague menos de lo que debería.
+// Se deja margen sobre 1 para no rechazar parleys por el ruido de la simulación.
+const DEFAULT_MIN_CORRELATION_FACTOR = 0.95;
+
+/**
+ * Generador pseudoaleatorio determinista (mulberry32) para que un mismo parley dé el mismo resultado.
+ * @param {number} seed
+ * @returns {function(): number} Números en [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Distribución acumulada de una matriz de marcadores para muestrear con búsqueda binaria.
+ * @param {number[][]} matrix - probabilities[golesLocal][golesVisitante].
+ * @returns {{cdf: number[], scores: Array<[number, number]>}}
+ */
+function buildScoreSampler(matrix) {
+    const cdf = [];
+    const scores = [];
+    let acc = 0;
+    for (let hg = 0; hg < matrix.length; hg++) {
+        for (let ag = 0; ag < matrix[hg].length; ag++) {
+            if (!(matrix[hg][ag] > 0)) continue;
+            acc += matrix[hg][ag];
+            cdf.push(acc);
+            scores.push([hg, ag]);
+        }
+    }
+    // Normaliza por si la matriz viene redondeada
+    for (let i = 0; i < cdf.length; i++) cdf[i] /= acc;
+    return { cdf, scores };
+}
+
+/**
+ * Muestrea un marcador.
+ * @param {{cdf: number[], scores: Array<[number, number]>}} sampler
+ * @param {number} u - Número aleatorio en [0, 1).
+ * @returns {[number, number]}
+ */
+function sampleScore(sampler, u) {
+    let lo = 0;
+    let hi = sampler.cdf.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sampler.cdf[mid] > u) hi = mid;
+        else lo = mid + 1;
+    }
+    return sampler.scores[lo];
+}
+
+/**
+ * Distribución acumulada de un total Poisson (córners, tarjetas).
+ * @param {number} lambda
+ * @returns {number[]} cdf[total]
+ */
+function buildCountSampler(lambda) {
+    const distribution = poissonDistribution(lambda);
+    const total = distribution.reduce((a, b) => a + b, 0);
+    let acc = 0;
+    return distribution.map(p => (acc += p) / total);
+}
+
+/**
+ * Muestrea un total.
+ * @param {number[]} cdf - Ver buildCountSampler.
+ * @param {number} u - Número aleatorio en [0, 1).
+ * @returns {number}
+ */
+function sampleCount(cdf, u) {
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (cdf[mid] > u) hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+}
+
+/**
+ * Multiplicador de una pierna según su resultado (incluye pushes y medias apuestas asiáticas).
+ * @param {string} result - win | half_win | push | half_loss | loss
+ * @param {number} odd - Cuota decimal.
+ * @returns {number}
+ */
+function legMultiplier(result, odd) {
+    switch (result) {
+        case 'win': return odd;
+        case 'half_win': return (odd + 1) / 2;
+        case 'push': return 1;
+        case 'half_loss': return 0.5;
+        default: return 0;
+    }
+}
+
+/**
+ * Simula un parley sobre las matrices de marcadores de sus partidos.
+ * Una pierna "cobra" si no pierde (ganada, media ganada o push).
+ * @param {Array<{match_id:number, market:string, selection:string, line:number|null, real_odd:number}>} legs
+ * @param {Map<number, number[][]>} matricesByFixture - Matriz de marcadores por fixture.
+ * @param {object} [options]
+ * @param {number} [options.simulations]
+ * @param {number} [options.seed]
+ * @param {Map<number, {corners:number, cards:number}>} [options.countTotals] - Totales esperados por fixture
+ *   para las piernas de córners y tarjetas.
+ * @returns {{simulations:number, joint_probability:number, independent_probability:number, correlation_factor:number|null, expected_return:number, expected_value:number, total_real_odd:number}}
+ */
+function simulateParley(legs, matricesByFixture, options = {}) {
+    const simulations = options.simulations || DEFAULT_SIMULATIONS;
+    const random = createRandom(options.seed ?? legs.reduce((acc, leg) => (acc * 31 + leg.match_id) >>> 0, 17));
+
+    const fixtureIds = [...new Set(legs.map(leg => leg.match_id))];
+    const samplers = fixtureIds.map(id => {
+        const matrix = matricesByFixture.get(id);
+        if (!matrix) throw new Error(`Sin matriz de marcadores para el fixture ${id}`);
+        return buildScoreSampler(matrix);
+    });
+    const legFixtureIndex = legs.map(leg => fixtureIds.indexOf(leg.match_id));
+    // Un muestreador por partido y estadística de conteo usada en alguna pierna
+    const countSamplers = new Map();
+    const legCountKey = legs.map(leg => {
+        const countMarket = COUNT_MARKETS[leg.market];
+        if (!countMarket) return null;
+        const key = `${leg.match_id}|${countMarket.stat}`;
+        if (!countSamplers.has(key)) {
+            const lambda = options.countTotals?.get(leg.match_id)?.[countMarket.stat];
+            if (!(lambda > 0)) throw new Error(`Sin ${countMarket.stat} esperados para el fixture ${leg.match_id}`);
+            countSamplers.set(key, buildCountSampler(lambda));
+        }
+        return key;
+    });
+    const counts = new Map();
+
+    let hits = 0;
+    let totalReturn = 0;
+    // Aciertos de cada pierna y de cada partido, para comparar con la hipótesis de independencia
+    const legHits = new Array(legs.length).fill(0);
+    const fixtureHits = new Array(fixtureIds.length).fill(0);
+    const fixtureCashed = new Array(fixtureIds.length);
+    const scores = new Array(fixtureIds.length);
+    for (let s = 0; s < simulations; s++) {
+        for (let f = 0; f < samplers.length; f++) scores[f] = sampleScore(samplers[f], random());
+        for (const [key, cdf] of countSamplers) counts.set(key, sampleCount(cdf, random()));
+
+        let payout = 1;
+        fixtureCashed.fill(true);
+        for (let l = 0; l < legs.length; l++) {
+            const [hg, ag] = scores[legFixtureIndex[l]];
+            const result = legCountKey[l]
+                ? settleCountSelection(legs[l].selection, legs[l].line, counts.get(legCountKey[l]))
+                : settleSelection(legs[l].market, legs[l].selection, legs[l].line, hg, ag);
+            if (result === 'loss' || result === 'half_loss') fixtureCashed[legFixtureIndex[l]] = false;
+            else legHits[l]++;
+            payout *= legMultiplier(result, legs[l].real_odd);
+        }
+        for (let f = 0; f < fixtureIds.length; f++) if (fixtureCashed[f]) fixtureHits[f]++;
+        if (fixtureCashed.every(Boolean)) hits++;
+        totalReturn += payout;
+    }
+
+    const jointProbability = hits / simulations;
+    const independentProbability = legHits.reduce((acc, count) => acc * count / simulations, 1);
+    // Correlación solo dentro de cada partido: entre partidos distintos es 1 por construcción
+    // y medirla con la simulación solo añadiría ruido
+    let correlationFactor = 1;
+    for (let f = 0; f < fixtureIds.length; f++) {
+        const marginals = legs.reduce((acc, leg, l) => legFixtureIndex[l] === f ? acc * legHits[l] / simulations : acc, 1);
+        if (marginals === 0) {
+            correlationFactor = null;
+            break;
+        }
+        correlationFactor *= (fixtureHits[f] / simulations) / marginals;
+    }
+    const expectedReturn = totalReturn / simulations;
+    return {
+        simulations,
+        joint_probability: jointProbability,
+        independent_probability: independentProbability,
+        correlation_factor: correlationFactor,
+        expected_return: expectedReturn,
+        expected_value: expectedReturn - 1,
+        total_real_odd: legs.reduce((acc, leg) => acc * leg.real_odd, 1),
+    };
+}
+
+module.exports = {
+    DEFAULT_SIMULATIONS,
+    DEFAULT_MIN_CORRELATION_FACTOR,
+    createRandom,
+    buildScoreSampler,
+    simulateParley,
+};
@@ -0,0 +1,238 @@
+// backend/lib/playerProps.js
+// Goleadores: reparte los goles esperados de cada equipo entre sus jugadores probables según su
+// ritmo goleador y los minutos que se espera que jueguen, y deriva anytime, primer goleador y 2+ goles.
+const { getMatchPrediction, fetchFixtureOdds } = require('./prediction');
+const { fetchFixtureInjuries, fetchFixtureLineups, fetchTeamPlayers, fetchTeamSquad } = require('./absences');
+
+// Goles por 90 minutos que se suponen a priori según la posición (se mezclan con los reales)
+const PRIOR_GOALS_PER_90 = { Attacker: 0.35, Midfielder: 0.12, Defender: 0.04, Goalkeeper: 0 };
+// Minutos "virtuales" del prior: con pocos minutos jugados pesa más la posición
+const PRIOR_MINUTES = 450;
+// Fracción de goles en propia puerta (no se asignan a ningún jugador del equipo)
+const OWN_GOAL_SHARE = 0.03;
+// Minutos esperados con alineación publicada
+const STARTER_MINUTES = 80;
+const SUBSTITUTE_MINUTES = 10;
+// Posiciones de /fixtures/lineups
+const LINEUP_POSITIONS = { G: 'Goalkeeper', D: 'Defender', M: 'Midfielder', F: 'Attacker' };
+
+/**
+ * Normaliza un nombre para cruzarlo con el de la casa de apuestas (sin acentos, minúsculas).
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Busca la cuota de un jugador en un mercado de goleadores: primero por nombre completo,
+ * luego por inicial y apellido ("L. Messi" ↔ "Lionel Messi") si solo hay un candidato.
+ * @param {object|undefined} oddsByName - { [nombre]: cuota }.
+ * @param {string} playerName
+ * @returns {number|null}
+ */
+function findScorerOdd(oddsByName, playerName) {
+    if (!oddsByName) return null;
+    const target = normalizeName(playerName);
+    const targetTokens = target.split(' ');
+    const partial = [];
+    for (const [name, odd] of Object.entries(oddsByName)) {
+        const candidate = normalizeName(name);
+        if (candidate === target) return odd;
+        const tokens = candidate.split(' ');
+        const abbreviated = tokens[0].length === 1 || targetTokens[0].length === 1;
+        if (abbreviated && tokens.length > 1 && targetTokens.length > 1
+            && tokens[tokens.length - 1] === targetTokens[targetTokens.length - 1]
+            && tokens[0][0] === targetTokens[0][0]) {
+            partial.push(odd);
+        }
+    }
+    return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Estadísticas de temporada de cada jugador con el equipo.
+ * @param {object[]} players - Respuesta de /players.
+ * @param {number} teamId
+ * @returns {Map<number, {name:string, position:string|null, minutes:number, appearances:number, goals:number}>}
+ */
+function seasonStatsByPlayer(players, teamId) {
+    const stats = new Map();
+    for (const item of players) {
+        const entry = { name: item.player.name, position: null, minutes: 0, appearances: 0, goals: 0 };
+        for (const stat of item.statistics || []) {
+            if (stat.team?.id !== teamId) continue;
+            entry.position = entry.position || stat.games?.position || null;
+            entry.minutes += stat.games?.minutes || 0;
+            entry.appearances += stat.games?.appearences || 0;
+            entry.goals += stat.goals?.total || 0;
+        }
+        stats.set(item.player.id, entry);
+    }
+    return stats;
+}
+
+/**
+ * Minutos esperados por jugador: de la alineación si está publicada; si no, de su promedio
+ * en la temporada descontando bajas (lesionado 0, duda la mitad) y solo para la plantilla actual.
+ * @param {Map} stats - Ver seasonStatsByPlayer.
+ * @param {object|undefined} lineup - Entrada del equipo en /fixtures/lineups.
+ * @param {object[]} injuries - Bajas del equipo en /injuries.
+ * @param {Set<number>|null} [squadIds] - Plantilla actual (ver fetchTeamSquad); null = todos.
+ * @returns {Array<{player_id:number, name:string, position:string|null, starter:boolean|null, minutes:number}>}
+ */
+function expectedMinutes(stats, lineup, injuries, squadIds = null) {
+    if (lineup) {
+        const fromLineup = (entries, starter) => (entries || []).map(({ player }) => ({
+            player_id: player.id,
+            name: stats.get(player.id)?.name || player.name,
+            position: stats.get(player.id)?.position || LINEUP_POSITIONS[player.pos] || null,
+            starter,
+            minutes: starter ? STARTER_MINUTES : SUBSTITUTE_MINUTES,
+        }));
+        return [...fromLineup(lineup.startXI, true), ...fromLineup(lineup.substitutes, false)];
+    }
+
+    const totalMinutes = [...stats.values()].reduce((sum, s) => sum + s.minutes, 0);
+    const teamMatches = Math.max(...[...stats.values()].map(s => s.appearances), totalMinutes / (11 * 90), 1);
+    const availability = new Map(injuries.map(item => [item.player.id, /questionable/i.test(item.player.type || '') ? 0.5 : 0]));
+    return [...stats.entries()]
+        // Los que se fueron del club siguen en /players de la temporada
+        .filter(([playerId]) => !squadIds || squadIds.has(playerId))
+        .map(([playerId, s]) => ({
+            player_id: playerId,
+            name: s.name,
+            position: s.position,
+            starter: null,
+            minutes: Math.min(90, s.minutes / teamMatches) * (availability.has(playerId) ? availability.get(playerId) : 1),
+        }))
+        .filter(p => p.minutes > 0);
+}
+
+/**
+ * Reparte los goles esperados de un equipo entre sus jugadores.
+ * @param {number} teamExpectedGoals
+ * @param {Array} squad - Ver expectedMinutes.
+ * @param {Map} stats - Ver seasonStatsByPlayer.
+ * @returns {Array<object>} Jugadores con expectedGoals.
+ */
+function distributeGoals(teamExpectedGoals, squad, stats) {
+    const weighted = squad.map(player => {
+        const s = stats.get(player.player_id) || { minutes: 0, goals: 0 };
+        const prior = PRIOR_GOALS_PER_90[player.position] ?? PRIOR_GOALS_PER_90.Midfielder;
+        const ratePer90 = (s.goals + prior * PRIOR_MINUTES / 90) / (s.minutes + PRIOR_MINUTES) * 90;
+        return { ...player, weight: ratePer90 * player.minutes / 90 };
+    });
+    const totalWeight = weighted.reduce((sum, p) => sum + p.weight, 0);
+    const assignable = teamExpectedGoals * (1 - OWN_GOAL_SHARE);
+    return weighted.map(p => ({ ...p, expectedGoals: totalWeight > 0 ? assignable * p.weight / totalWeight : 0 }));
+}
+
+/**
+ * Probabilidad, cuota justa y comparación con la cuota de la casa.
+ * @param {number} probability - 0-1.
+ * @param {number|null} [bookmakerOdd]
+ * @returns {object}
+ */
+function priceProp(probability, bookmakerOdd) {
+    const result = {
+        probability: parseFloat((probability * 100).toFixed(2)),
+        fair_odd: probability > 0 ? parseFloat((1 / probability).toFixed(2)) : null,
+    };
+    if (bookmakerOdd !== undefined) {
+        result.bookmaker_odd = bookmakerOdd || null;
+        result.edge_percent = bookmakerOdd ? parseFloat(((probability * bookmakerOdd - 1) * 100).toFixed(1)) : null;
+    }
+    return result;
+}
+
+/**
+ * Probabilidades de goleador de un partido.
+ * @param {object} fixture - Fixture de API-Football.
+ * @param {object} [options]
+ * @param {string} [options.model] - Modelo del registro para los goles esperados del equipo.
+ * @returns {Promise<object>}
+ */
+async function getPlayerProps(fixture, options = {}) {
+    const fixtureId = fixture.fixture.id;
+    const season = fixture.league.season;
+    const prediction = await getMatchPrediction(
+        fixture.teams.home.id,
+        fixture.teams.away.id,
+        fixture.league.id,
+        season,
+        fixtureId,
+        {},
+        { model: options.model, kickoff: fixture.fixture.date }
+    );
+    const teamGoals = {
+        home: parseFloat(prediction.predictions.goals.home),
+        away: parseFloat(prediction.predictions.goals.away),
+    };
+    const totalGoals = teamGoals.home + teamGoals.away;
+
+    const injuries = await fetchFixtureInjuries(fixtureId);
+    const lineups = await fetchFixtureLineups(fixtureId);
+    const odds = await fetchFixtureOdds(fixtureId);
+    const scorerOdds = odds?.goalscorers || {};
+
+    const teams = {};
+    for (const side of ['home', 'away']) {
+        const team = fixture.teams[side];
+        // Al empezar la temporada aún no hay minutos: se usa la anterior
+        let players = await fetchTeamPlayers(team.id, season);
+        let stats = seasonStatsByPlayer(players, team.id);
+        if (![...stats.values()].some(s => s.minutes > 0)) {
+            players = await fetchTeamPlayers(team.id, season - 1);
+            stats = seasonStatsByPlayer(players, team.id);
+        }
+
+        const lineup = lineups.find(l => l.team?.id === team.id);
+        const squadIds = lineup ? null : await fetchTeamSquad(team.id);
+        const squad = expectedMinutes(stats, lineup, injuries.filter(item => item.team?.id === team.id), squadIds);
+        const distributed = distributeGoals(teamGoals[side], squad, stats);
+
+        teams[side] = {
+            team_id: team.id,
+            name: team.name,
+            expected_goals: teamGoals[side],
+            source: lineup ? 'lineups' : 'season_stats',
+            players: distributed
+                .map(p => {
+                    const anytime = 1 - Math.exp(-p.expectedGoals);
+                    const twoOrMore = 1 - Math.exp(-p.expectedGoals) * (1 + p.expectedGoals);
+                    // Primer goleador: su parte del total de goles por la probabilidad de que haya alguno
+                    const first = totalGoals > 0 ? p.expectedGoals / totalGoals * (1 - Math.exp(-totalGoals)) : 0;
+                    return {
+                        player_id: p.player_id,
+                        name: p.name,
+                        position: p.position,
+                        starter: p.starter,
+                        expected_minutes: Math.round(p.minutes),
+                        expected_goals: parseFloat(p.expectedGoals.toFixed(3)),
+                        anytime: priceProp(anytime, scorerOdds.anytime ? findScorerOdd(scorerOdds.anytime, p.name) : undefined),
+                        first: priceProp(first, scorerOdds.first ? findScorerOdd(scorerOdds.first, p.name) : undefined),
+                        two_or_more: priceProp(twoOrMore),
+                    };
+                })
+                .sort((a, b) => b.expected_goals - a.expected_goals),
+        };
+    }
+
+    return {
+        fixture_id: fixtureId,
+        home_team: fixture.teams.home.name,
+        away_team: fixture.teams.away.name,
+        model: prediction.predictions.model.name,
+        no_goalscorer: priceProp(Math.exp(-totalGoals)),
+        bookmaker_markets: Object.keys(scorerOdds),
+        home: teams.home,
+        away: teams.away,
+    };
+}
+
+module.exports = {
+    findScorerOdd,
+    getPlayerProps,
+};
@@ -0,0 +1,357 @@
+// backend/lib/precompute.js
+// Precálculo programado (config/precompute.json): los partidos, predicciones y parleys del día de
+// las ligas configuradas se calculan a horas fijas (expresiones cron), con reintentos, y las
+// predicciones se refrescan cerca del inicio de cada partido porque las cuotas se mueven.
+// Los endpoints de los presets solo sirven estos resultados ya completos (nunca calculan en la petición).
+// Un parley publicado completo no cambia en todo el día; los incompletos se rehacen en cada pasada.
+//   { "jobs": [{ "name": "diario", "task": "daily", "cron": "0 5 * * *" }], "presets": ["parley-del-dia"], ... }
+const path = require('path');
+const { cachedApiCall } = require('./apiFootball');
+const { getMatchPrediction } = require('./prediction');
+const { buildParley, ledgerFixture, NOT_STARTED_STATUSES } = require('./parley');
+const { resolveLeagues } = require('./leagues');
+const { DEFAULT_TIMEZONE, dateInTimeZone, currentTime } = require('./timezone');
+const { DEFAULT_CONCURRENCY, mapWithConcurrency } = require('./concurrency');
+const { runWithPriority } = require('./quota');
+const { parseCron, startCron } = require('./cron');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const PRECOMPUTE_CONFIG_FILE = process.env.PRECOMPUTE_CONFIG || path.join(__dirname, '..', 'config', 'precompute.json');
+const PRECOMPUTED_FILE = path.join(DATA_DIR, 'precomputed.json');
+// Días de resultados anteriores que se conservan
+const KEEP_DAYS = 2;
+// Mínimo entre dos lanzamientos a petición (presets aún sin calcular)
+const ON_DEMAND_INTERVAL = 10 * 60 * 1000;
+
+const DEFAULT_PRECOMPUTE_CONFIG = {
+    enabled: true,
+    // Zonas horarias en las que se sirven los presets ("hoy" cambia según la zona; null = la de por defecto)
+    timezones: null,
+    // IDs de ligas (null = las escaneadas del registro)
+    leagues: null,
+    presets: ['parley-del-dia', 'parley-1x2'],
+    retries: 3,
+    // Espera antes del primer reintento (se duplica en cada uno)
+    retryDelayMinutes: 5,
+    // Se refrescan las predicciones de partidos que empiezan dentro de esta ventana...
+    kickoffWindowMinutes: 120,
+    // ...si tienen más de estos minutos (las cuotas se cachean 30 minutos); después se rehacen los parleys
+    kickoffRefreshMinutes: 30,
+    jobs: [],
+};
+
+const precomputeConfig = { ...DEFAULT_PRECOMPUTE_CONFIG, ...readJsonFile(PRECOMPUTE_CONFIG_FILE, {}) };
+const PRECOMPUTE_ENABLED = precomputeConfig.enabled !== false;
+const PRECOMPUTE_TIMEZONES = precomputeConfig.timezones?.length > 0 ? precomputeConfig.timezones : [DEFAULT_TIMEZONE];
+// Las tareas programadas se evalúan en la primera zona
+const SCHEDULE_TIMEZONE = PRECOMPUTE_TIMEZONES[0];
+
+// Resultados completos: predicciones por fixture y parleys por preset|fecha|zona
+const store = readJsonFile(PRECOMPUTED_FILE, { predictions: {}, parleys: {} });
+// Estado de cada tarea (daily, kickoff)
+const taskStates = {};
+
+/**
+ * Clave de un parley precalculado.
+ * @param {string} preset
+ * @param {string} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+function parleyKey(preset, date, timezone) {
+    return `${preset}|${date}|${timezone}`;
+}
+
+/**
+ * Borra los resultados de días anteriores y guarda el almacén.
+ */
+function saveStore() {
+    const cutoff = currentTime() - KEEP_DAYS * 24 * 3600 * 1000;
+    const cutoffDate = dateInTimeZone(SCHEDULE_TIMEZONE, new Date(cutoff));
+    for (const [fixtureId, entry] of Object.entries(store.predictions)) {
+        if (Date.parse(entry.kickoff) < cutoff) delete store.predictions[fixtureId];
+    }
+    for (const [key, entry] of Object.entries(store.parleys)) {
+        if (entry.date < cutoffDate) delete store.parleys[key];
+    }
+    writeJsonFile(PRECOMPUTED_FILE, store);
+}
+
+/**
+ * Calcula y guarda la predicción de un partido.
+ * @param {object} fixture - Fixture de API-Football.
+ * @param {string} date - Día (en la zona en que se listó) al que pertenece.
+ * @returns {Promise<object>}
+ */
+async function predictFixture(fixture, date) {
+    const prediction = await getMatchPrediction(
+        fixture.teams.home.id,
+        fixture.teams.away.id,
+        fixture.league.id,
+        fixture.league.season,
+        fixture.fixture.id,
+        {},
+        { kickoff: fixture.fixture.date }
+    );
+    store.predictions[fixture.fixture.id] = {
+        date,
+        kickoff: fixture.fixture.date,
+        fixture: ledgerFixture(fixture),
+        computed_at: new Date().toISOString(),
+        prediction,
+    };
+    return prediction;
+}
+
+/**
+ * Predicción guardada de un fixture (para construir los parleys sin volver a predecir).
+ * @param {object} fixture
+ * @returns {Promise<object>}
+ */
+async function storedPrediction(fixture) {
+    const entry = store.predictions[fixture.fixture.id];
+    if (!entry) throw new Error(`Sin predicción precalculada para el fixture ${fixture.fixture.id}`);
+    return entry.prediction;
+}
+
+/**
+ * Construye y guarda los parleys de los presets para hoy en una zona horaria, con las predicciones
+ * guardadas. Los ya publicados completos se dejan como están.
+ * @param {string} timezone
+ * @param {object[]} leagues - Resultado de resolveLeagues.
+ * @param {boolean} [refresh] - Rehacerlos aunque estén en la cache de buildParley.
+ * @returns {Promise<string[]>} Presets que fallaron, con su error.
+ */
+async function precomputeParleys(timezone, leagues, refresh = false) {
+    const date = dateInTimeZone(timezone);
+    const failed = [];
+    for (const preset of precomputeConfig.presets) {
+        if (store.parleys[parleyKey(preset, date, timezone)]?.complete) continue;
+        const { status, body, complete } = await buildParley({ preset, timezone, date, leagues, refresh, predict: storedPrediction });
+        if (status === 500) {
+            failed.push(`${preset} (${timezone}): ${body.error}`);
+            continue;
+        }
+        store.parleys[parleyKey(preset, date, timezone)] = { date, status, body, complete, computed_at: new Date().toISOString() };
+    }
+    return failed;
+}
+
+/**
+ * Ligas del precálculo (las configuradas o las escaneadas del registro).
+ * @returns {Promise<object[]>}
+ */
+function precomputeLeagues() {
+    return resolveLeagues(precomputeConfig.leagues ? precomputeConfig.leagues.join(',') : undefined);
+}
+
+/**
+ * Tarea "daily": en cada zona, partidos del día, sus predicciones (las que faltan) y los parleys
+ * de los presets. Las predicciones que fallan (ej: equipo recién ascendido sin estadísticas) quedan
+ * en el resumen y se reintentan en la siguiente pasada; solo un parley fallido hace fallar la tarea.
+ * @returns {Promise<object>} Resumen.
+ */
+async function precomputeDay() {
+    const leagues = await precomputeLeagues();
+    const summary = { fixtures: 0, predicted: 0, parleys: 0, failed: [] };
+    const failedParleys = [];
+
+    for (const timezone of PRECOMPUTE_TIMEZONES) {
+        const date = dateInTimeZone(timezone);
+        // Mismos parámetros que buildParley: los partidos quedan en la cache para los parleys
+        const fixtures = [];
+        for (const leagueInfo of leagues) {
+            const data = await cachedApiCall('/fixtures', { league: leagueInfo.league, season: leagueInfo.season, date, timezone }, 60 * 60 * 1000);
+            fixtures.push(...(data.response || []).filter(f => f.teams.home.id && f.teams.away.id));
+        }
+        const pending = fixtures.filter(f => !store.predictions[f.fixture.id] && NOT_STARTED_STATUSES.includes(f.fixture.status?.short));
+        const outcomes = await mapWithConcurrency(pending, DEFAULT_CONCURRENCY, fixture => predictFixture(fixture, date));
+        outcomes.forEach((outcome, i) => {
+            if (outcome.status === 'fulfilled') summary.predicted++;
+            else summary.failed.push({ fixture_id: pending[i].fixture.id, error: outcome.reason.message });
+        });
+        failedParleys.push(...await precomputeParleys(timezone, leagues));
+
+        summary.fixtures += fixtures.length;
+        summary.parleys += precomputeConfig.presets.length;
+    }
+    saveStore();
+
+    if (failedParleys.length > 0) {
+        throw new Error(`Precálculo incompleto: ${failedParleys.join('; ')}`);
+    }
+    return summary;
+}
+
+/**
+ * Tarea "kickoff": recalcula las predicciones de los partidos que empiezan pronto (cuotas nuevas)
+ * y rehace con ellas los parleys de los presets que aún no estén completos. Una predicción que no
+ * se puede refrescar conserva la anterior y queda en el resumen.
+ * @returns {Promise<object>} Resumen.
+ */
+async function refreshNearKickoff() {
+    const now = Date.now();
+    // Con REPLAY_DATE los partidos grabados empiezan "pronto" según el reloj de reproducción
+    const clock = currentTime();
+    const due = Object.values(store.predictions).filter(entry => {
+        const untilKickoff = Date.parse(entry.kickoff) - clock;
+        return untilKickoff > 0
+            && untilKickoff <= precomputeConfig.kickoffWindowMinutes * 60 * 1000
+            && now - Date.parse(entry.computed_at) >= precomputeConfig.kickoffRefreshMinutes * 60 * 1000;
+    });
+    if (due.length === 0) return { refreshed: 0 };
+
+    const outcomes = await mapWithConcurrency(due, DEFAULT_CONCURRENCY, async entry => {
+        const prediction = await getMatchPrediction(
+            entry.fixture.homeTeamId,
+            entry.fixture.awayTeamId,
+            entry.fixture.leagueId,
+            entry.fixture.season,
+            entry.fixture.id,
+            {},
+            { kickoff: entry.kickoff }
+        );
+        Object.assign(entry, { prediction, computed_at: new Date().toISOString() });
+    });
+    const failed = [];
+    outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'rejected') failed.push({ fixture_id: due[i].fixture.id, error: outcome.reason.message });
+    });
+
+    const leagues = await precomputeLeagues();
+    const failedParleys = [];
+    for (const timezone of PRECOMPUTE_TIMEZONES) {
+        failedParleys.push(...await precomputeParleys(timezone, leagues, true));
+    }
+    saveStore();
+
+    if (failedParleys.length > 0) {
+        throw new Error(`Parleys no rehechos antes del partido: ${failedParleys.join('; ')}`);
+    }
+    return { refreshed: due.length - failed.length, failed };
+}
+
+const TASKS = { daily: precomputeDay, kickoff: refreshNearKickoff };
+
+/**
+ * Lanza una tarea (en segundo plano y con prioridad de fondo en la cuota). Si falla se reintenta
+ * con espera creciente; una tarea que ya está corriendo no se lanza otra vez.
+ * @param {string} taskName - 'daily' o 'kickoff'.
+ * @returns {boolean} false si ya estaba corriendo.
+ */
+function runTask(taskName) {
+    const state = taskStates[taskName] = taskStates[taskName] || {
+        running: false, attempts: 0, last_started_at: null, last_success_at: null, last_error: null, last_result: null, retry_at: null,
+    };
+    if (state.running) return false;
+    state.running = true;
+    state.retry_at = null;
+    state.last_started_at = new Date().toISOString();
+
+    runWithPriority('background', TASKS[taskName])
+        .then(result => {
+            Object.assign(state, { attempts: 0, last_success_at: new Date().toISOString(), last_error: null, last_result: result });
+        })
+        .catch(error => {
+            state.attempts++;
+            state.last_error = error.message;
+            if (state.attempts > precomputeConfig.retries) {
+                console.error(`❌ Precálculo ${taskName}: sin más reintentos:`, error.message);
+                state.attempts = 0;
+                return;
+            }
+            const delay = precomputeConfig.retryDelayMinutes * 60 * 1000 * Math.pow(2, state.attempts - 1);
+            state.retry_at = new Date(Date.now() + delay).toISOString();
+            console.warn(`⚠️ Precálculo ${taskName} fallido (intento ${state.attempts}), reintento en ${Math.round(delay / 60000)} min:`, error.message);
+            setTimeout(() => runTask(taskName), delay).unref();
+        })
+        .finally(() => {
+            state.running = false;
+        });
+    return true;
+}
+
+/**
+ * Lanza una tarea a petición (ej: un preset que aún no está calculado). No hace nada si la tarea
+ * está corriendo, tiene un reintento programado o se lanzó a petición hace menos de ON_DEMAND_INTERVAL.
+ * @param {string} taskName
+ * @returns {boolean} true si se lanzó.
+ */
+function requestTask(taskName) {
+    const state = taskStates[taskName];
+    if (state && (state.running || state.retry_at)) return false;
+    if (state?.last_requested_at && Date.now() - Date.parse(state.last_requested_at) < ON_DEMAND_INTERVAL) return false;
+    if (!runTask(taskName)) return false;
+    taskStates[taskName].last_requested_at = new Date().toISOString();
+    return true;
+}
+
+/**
+ * Arranca las tareas programadas y, si aún no hay nada calculado para hoy, el precálculo del día.
+ */
+function startPrecomputeLoop() {
+    if (!PRECOMPUTE_ENABLED) return;
+    const jobs = [];
+    for (const job of precomputeConfig.jobs) {
+        try {
+            if (!TASKS[job.task]) throw new Error(`tarea desconocida "${job.task}" (usa ${Object.keys(TASKS).join(', ')})`);
+            jobs.push({ name: job.name, cron: parseCron(job.cron), run: () => runTask(job.task) });
+        } catch (error) {
+            console.error(`❌ Precálculo: tarea ${job.name || '(sin nombre)'} ignorada:`, error.message);
+        }
+    }
+    startCron(jobs, SCHEDULE_TIMEZONE);
+
+    if (PRECOMPUTE_TIMEZONES.some(timezone => precomputeConfig.presets.some(preset => !getPrecomputedParley(preset, timezone)))) {
+        runTask('daily');
+    }
+}
+
+/**
+ * Predicción precalculada (modelo por defecto) de un partido.
+ * @param {number|string} fixtureId
+ * @returns {{fixture:object, prediction:object, computed_at:string}|null}
+ */
+function getPrecomputedPrediction(fixtureId) {
+    return store.predictions[fixtureId] || null;
+}
+
+/**
+ * Parley precalculado de un preset para hoy (en la zona indicada), o null si aún no se ha calculado.
+ * @param {string} preset
+ * @param {string} timezone
+ * @returns {{status:number, body:object, computed_at:string}|null}
+ */
+function getPrecomputedParley(preset, timezone) {
+    return store.parleys[parleyKey(preset, dateInTimeZone(timezone), timezone)] || null;
+}
+
+/**
+ * Configuración, estado de las tareas y resultados guardados (para /api/admin/precompute).
+ * @returns {object}
+ */
+function getPrecomputeStatus() {
+    return {
+        enabled: PRECOMPUTE_ENABLED,
+        timezones: PRECOMPUTE_TIMEZONES,
+        presets: precomputeConfig.presets,
+        jobs: precomputeConfig.jobs,
+        tasks: taskStates,
+        stored: {
+            predictions: Object.keys(store.predictions).length,
+            parleys: Object.entries(store.parleys).map(([key, entry]) => ({ key, status: entry.status, complete: entry.complete, computed_at: entry.computed_at })),
+        },
+    };
+}
+
+module.exports = {
+    PRECOMPUTE_ENABLED,
+    PRECOMPUTE_TIMEZONES,
+    PRECOMPUTE_TASKS: Object.keys(TASKS),
+    startPrecomputeLoop,
+    runTask,
+    requestTask,
+    getPrecomputedPrediction,
+    getPrecomputedParley,
+    getPrecomputeStatus,
+};
@@ -0,0 +1,790 @@
+// backend/lib/prediction.js
+// Obtención de datos de API-Football y modelo de predicción de partidos.
+const { cachedApiCall } = require('./apiFootball');
+const { priceMarkets, priceCountMarkets, priceHalfMarkets, parseBookmakerLines, formatMarkets } = require('./markets');
+const { buildScoreMatrix, summarizeScoreMatrix, rescaleToOutcomes, mostProbableScore: findMostProbableScore } = require('./scoreMatrix');
+const { getTeamRating } = require('./ratings');
+const { DEFAULT_MODEL_PARAMS, resolveModelParams, runModel } = require('./models');
+const { parseH2HResults } = require('./models/h2h');
+const { FORM_LAST_FIXTURES, matchFormStrengths } = require('./models/form');
+const { getMatchAbsences, applyAbsences } = require('./absences');
+const { getMatchStatRates } = require('./matchStats');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { splitExpectedGoals, buildHalfMatrices } = require('./halves');
+const { convertOddToImpliedProbability } = require('./models/market');
+const { SECONDARY_PROVIDER, secondaryApiCall, fetchSecondaryBookmakers } = require('./secondarySource');
+
+// Datos que vinieron de la fuente secundaria (para indicarlo en la predicción)
+const secondaryResults = new WeakSet();
+const markSecondary = (value) => {
+    secondaryResults.add(value);
+    return value;
+};
+
+// Las cuotas se cachean 30 minutos y nunca se sirven caducadas: se mueven hasta el inicio del partido
+const ODDS_TTL = 30 * 60 * 1000;
+const ODDS_STALE_MS = 0;
+
+// ======================================================
+// === FUNCIONES PARA OBTENER DATOS DE LA API-FOOTBALL ===
+// ======================================================
+
+/**
+ * Obtiene partidos futuros de una liga y temporada (ahora con cache).
+ * @param {number} leagueId - ID de la liga.
+ * @param {number} season - Año de la temporada.
+ * @param {number} next - Número de partidos futuros a obtener.
+ * @param {string} [timezone] - Zona horaria IANA de las fechas de los partidos.
+ * @returns {Promise<object>} Datos de partidos.
+ */
+const fetchFixtures = async (leagueId, season, next = 5, timezone = DEFAULT_TIMEZONE) => {
+    const fixturesTtl = 60 * 60 * 1000; // Cachear fixtures por 1 hora
+    const responseData = await cachedApiCall('/fixtures', { league: leagueId, season: season, next: next, timezone }, fixturesTtl);
+
+    if (responseData.errors && Object.keys(responseData.errors).length > 0) {
+        const apiErrorMessage = Object.values(responseData.errors).join(', ');
+        throw new Error(`API-Football Error: ${apiErrorMessage}`);
+    }
+    return responseData;
+};
+
+/**
+ * Obtiene las temporadas disponibles para un equipo.
+ * Endpoint: /teams/seasons
+ * @param {number} teamId - ID del equipo.
+ * @returns {Promise<number[]>} Array de años de temporada disponibles.
+ */
+const fetchTeamAvailableSeasons = async (teamId) => {
+    try {
+        const responseData = await cachedApiCall('/teams/seasons', { team: teamId }, 24 * 3600 * 1000); // Cachear por 24 horas
+        if (responseData.response && Array.isArray(responseData.response)) {
+            // Asegurarse de que son números y filtrarlos si hay nulos o inválidos
+            return responseData.response.filter(s => typeof s === 'number' && !isNaN(s));
+        }
+        // console.warn(`⚠️ No se encontraron temporadas disponibles para el equipo ${teamId} o respuesta inesperada.`); // Descomentar para depuración
+        return [];
+    } catch (error) {
+        console.error(`❌ Error al obtener temporadas para el equipo ${teamId}:`, error.message);
+        return [];
+    }
+};
+
+/**
+ * Obtiene estadísticas detalladas de un equipo (ahora con cache).
+ * Si API-Football no tiene partidos del equipo, se completan con la fuente secundaria.
+ * @param {number} teamId - ID del equipo.
+ * @param {number} leagueId - ID de la liga.
+ * @param {number} season - Año de la temporada.
+ * @returns {Promise<object>} Datos de estadísticas del equipo.
+ */
+const getTeamStatistics = async (teamId, leagueId, season) => {
+    const statsTtl = 6 * 3600 * 1000; // Cachear estadísticas por 6 horas
+    let stats = null;
+    let primaryError = null;
+    try {
+        const responseData = await cachedApiCall('/teams/statistics', { team: teamId, league: leagueId, season: season }, statsTtl);
+
+        // DEBUG: Log de la respuesta cruda de la API para estadísticas del equipo
+        // const teamName = responseData.response?.team?.name || 'Unknown Team'; // Descomentar para depuración
+        // const playedTotal = responseData.response?.fixtures?.played?.total || 0; // Descomentar para depuración
+        // console.log(`DEBUG: Team Stats for ${teamName} (ID: ${teamId}), League ${leagueId}, Season ${season}: Played (Total): ${playedTotal}`); // Descomentar para depuración
+
+        if (responseData.errors && Object.keys(responseData.errors).length > 0) {
+            const apiErrorMessage = Object.values(responseData.errors).join(', ');
+            throw new Error(`API-Football Error for /teams/statistics: ${apiErrorMessage}`);
+        }
+        if (responseData.response && Object.keys(responseData.response).length > 0) {
+            stats = responseData.response;
+        }
+    } catch (error) {
+        primaryError = error;
+    }
+    if ((stats?.fixtures?.played?.total || 0) > 0) return stats;
+
+    const fallback = await secondaryApiCall('/teams/statistics', { team: teamId, league: leagueId, season }, { teams: [teamId], leagueId });
+    if ((fallback?.response?.fixtures?.played?.total || 0) > 0) return markSecondary(fallback.response);
+    if (stats) return stats;
+    throw primaryError || new Error(`No statistics found for team ${teamId} in league ${leagueId} season ${season}. API response was empty or malformed.`);
+};
+
+/**
+ * Indica si una clasificación tiene algún equipo con partidos jugados.
+ * @param {object[][]} groups - Grupos de /standings.
+ * @returns {boolean}
+ */
+const standingsHavePlayed = (groups) => Array.isArray(groups)
+    && groups.some(group => Array.isArray(group) && group.some(teamStat => (teamStat.all?.played || 0) > 0));
+
+/**
+ * Obtiene la clasificación (standings) de una liga (ahora con cache).
+ * Si API-Football la tiene vacía (ej: copas cortas), se calcula con la fuente secundaria.
+ * @param {number} leagueId - ID de la liga.
+ * @param {number} season - Año de la temporada.
+ * @returns {Promise<object>} Datos de clasificación de la liga.
+ */
+const getStandings = async (leagueId, season) => {
+    const standingsTtl = 6 * 3600 * 1000; // Cachear clasificaciones por 6 horas
+    let standings = null;
+    let primaryError = null;
+    try {
+        const responseData = await cachedApiCall('/standings', { league: leagueId, season: season }, standingsTtl);
+
+        // DEBUG: Log de la respuesta cruda de la API para clasificación de la liga
+        // const leagueName = responseData.response?.[0]?.league?.name || 'Unknown League'; // Descomentar para depuración
+        // console.log(`DEBUG: Standings for ${leagueName} (ID: ${leagueId}), Season ${season}: Total Groups: ${responseData.response?.[0]?.league?.standings?.length || 0}`); // Descomentar para depuración
+
+        if (responseData.errors && Object.keys(responseData.errors).length > 0) {
+            const apiErrorMessage = Object.values(responseData.errors).join(', ');
+            throw new Error(`API-Football Error for /standings: ${apiErrorMessage}`);
+        }
+        if (responseData.response && responseData.response.length > 0 &&
+            responseData.response[0].league && responseData.response[0].league.standings &&
+            responseData.response[0].league.standings.length > 0) {
+            standings = responseData.response[0].league.standings; // Array completo de grupos
+        }
+    } catch (error) {
+        primaryError = error;
+    }
+    if (standingsHavePlayed(standings)) return standings;
+
+    const fallback = await secondaryApiCall('/standings', { league: leagueId, season });
+    const fallbackStandings = fallback?.response?.[0]?.league?.standings;
+    if (standingsHavePlayed(fallbackStandings)) return markSecondary(fallbackStandings);
+    if (standings) return standings;
+    throw primaryError || new Error(`No standings found for league ${leagueId} season ${season}. API response was empty or malformed.`);
+};
+
+/**
+ * Obtiene estadísticas Cara a Cara (Head-to-Head) entre dos equipos.
+ * Endpoint: /fixtures/headtohead
+ * @param {number} teamId1 - ID del primer equipo.
+ * @param {number} teamId2 - ID del segundo equipo.
+ * @returns {Promise<any[]>} Array de partidos H2H.
+ */
+const fetchHeadToHeadStats = async (teamId1, teamId2) => {
+    let h2h = [];
+    try {
+        const responseData = await cachedApiCall('/fixtures/headtohead', { h2h: `${teamId1}-${teamId2}` }, 12 * 3600 * 1000);
+        if (responseData.response && Array.isArray(responseData.response)) {
+            h2h = responseData.response.filter(fixture => fixture.fixture?.status?.short === 'FT');
+        }
+        // console.warn(`⚠️ No se encontraron datos H2H para ${teamId1} vs ${teamId2} o respuesta inesperada.`); // Descomentar para depuración
+    } catch (error) {
+        console.error(`❌ Error al obtener H2H para ${teamId1} vs ${teamId2}:`, error.message);
+    }
+    if (h2h.length > 0) return h2h;
+
+    // Sin historial en API-Football: probar con la fuente secundaria
+    const fallback = await secondaryApiCall('/fixtures/headtohead', { h2h: `${teamId1}-${teamId2}` }, { teams: [teamId1, teamId2] });
+    const fallbackH2H = (fallback?.response || []).filter(fixture => fixture.fixture?.status?.short === 'FT');
+    return fallbackH2H.length > 0 ? markSecondary(fallbackH2H) : h2h;
+};
+
+/**
+ * Obtiene los últimos partidos terminados de un equipo en todas las competiciones.
+ * Endpoint: /fixtures?team=&last=
+ * @param {number} teamId - ID del equipo.
+ * @param {number} [last] - Número de partidos.
+ * @returns {Promise<object[]>} Fixtures terminados (vacío si falla).
+ */
+const fetchTeamRecentFixtures = async (teamId, last = FORM_LAST_FIXTURES) => {
+    let fixtures = [];
+    try {
+        const responseData = await cachedApiCall('/fixtures', { team: teamId, last: last }, 6 * 3600 * 1000);
+        if (responseData.response && Array.isArray(responseData.response)) {
+            fixtures = responseData.response.filter(fixture => ['FT', 'AET', 'PEN'].includes(fixture.fixture?.status?.short));
+        }
+    } catch (error) {
+        console.error(`❌ Error al obtener los últimos partidos del equipo ${teamId}:`, error.message);
+    }
+    if (fixtures.length > 0) return fixtures;
+
+    // Sin resultados en API-Football: probar con la fuente secundaria
+    const fallback = await secondaryApiCall('/fixtures', { team: teamId, last }, { teams: [teamId] });
+    const fallbackFixtures = (fallback?.response || []).filter(fixture => fixture.fixture?.status?.short === 'FT');
+    return fallbackFixtures.length > 0 ? markSecondary(fallbackFixtures) : fixtures;
+};
+
+// ===========================================
+// === FUNCIONES PARA EL MODELO DE PREDICIÓN ===
+// === (AHORA CON H2H INTEGRADO) ===
+// ===========================================
+
+function parseForm(formString) { if (!formString) return { win: 0, draw: 0, lose: 0 }; const wins = (formString.match(/W/g) || []).length; const draws = (formString.match(/D/g) || []).length; const losses = (formString.match(/L/g) || []).length; return { win: wins, draw: draws, lose: losses };}
+
+/**
+ * Extrae las cuotas de los mercados soportados de las apuestas de una casa.
+ * @param {object[]} betsArr - Array `bets` de un bookmaker de /odds.
+ * @returns {object} Cuotas por selección (home, draw, away, btts_yes, btts_no, over25, under25).
+ */
+function parseBookmakerOdds(betsArr) {
+    // --- Buscar mercados ---
+    let odds = {};
+
+    // 1X2
+    const main1X2 = betsArr.find(bet =>
+        ["Match Winner", "Fulltime Result", "Resultado Final", "1X2"].includes(bet.name)
+    );
+    if (main1X2) {
+        main1X2.values.forEach(val => {
+            if (["Home", "1"].includes(val.value)) odds.home = parseFloat(val.odd);
+            if (["Draw", "X"].includes(val.value)) odds.draw = parseFloat(val.odd);
+            if (["Away", "2"].includes(val.value)) odds.away = parseFloat(val.odd);
+        });
+    }
+
+    // BTTS (Both Teams to Score)
+    const bttsBet = betsArr.find(bet =>
+        ["Both Teams Score", "Both Teams To Score", "Ambos equipos anotarán", "BTTS"].includes(bet.name)
+    );
+    if (bttsBet) {
+        bttsBet.values.forEach(val => {
+            if (val.value.toLowerCase().includes('yes') || val.value.toLowerCase().includes('sí')) odds.btts_yes = parseFloat(val.odd);
+            if (val.value.toLowerCase().includes('no')) odds.btts_no = parseFloat(val.odd);
+        });
+    }
+
+    // Over/Under 2.5 Goals
+    const ou25Bet = betsArr.find(bet =>
+        bet.name.toLowerCase().includes("over/under") && bet.values.some(v => v.value === "Over 2.5" || v.value === "Under 2.5")
+    );
+    if (ou25Bet) {
+        ou25Bet.values.forEach(val => {
+            if (val.value === "Over 2.5") odds.over25 = parseFloat(val.odd);
+            if (val.value === "Under 2.5") odds.under25 = parseFloat(val.odd);
+        });
+    }
+
+    // Goleadores (cuota por nombre de jugador tal como lo publica la casa)
+    const scorerMarkets = { anytime: ["Anytime Goal Scorer", "Anytime Goalscorer"], first: ["First Goal Scorer", "First Goalscorer"] };
+    for (const [key, names] of Object.entries(scorerMarkets)) {
+        const scorerBet = betsArr.find(bet => names.includes(bet.name));
+        if (!scorerBet) continue;
+        odds.goalscorers = odds.goalscorers || {};
+        odds.goalscorers[key] = {};
+        scorerBet.values.forEach(val => {
+            const odd = parseFloat(val.odd);
+            if (val.value && odd > 1) odds.goalscorers[key][val.value] = odd;
+        });
+    }
+
+    // Puedes agregar Double Chance, etc., igual que arriba
+
+    return odds;
+}
+
+/**
+ * Obtiene las cuotas de 1X2 mercado principal para un fixture.
+ * @param {number} fixtureId 
+ * @returns {Promise<{home:number, draw:number, away:number}|null>}
+ */
+async function fetchFixtureOdds(fixtureId) {
+    try {
+        // Llama a la API para obtener mercados de apuestas
+        const res = await cachedApiCall('/odds', { fixture: fixtureId }, ODDS_TTL, { staleMs: ODDS_STALE_MS });
+        if (!res || !res.response || res.response.length === 0) return null;
+
+        const betsArr = res.response[0]?.bookmakers?.[0]?.bets || [];
+        return parseBookmakerOdds(betsArr);
+    } catch (err) {
+        console.error("Error obteniendo cuotas para fixture", fixtureId, err.message);
+        return null;
+    }
+}
+
+/**
+ * Obtiene todas las líneas (formato uniforme de markets.js) de la casa principal para un fixture.
+ * Usa la misma casa que fetchFixtureOdds para que market_odds y markets sean coherentes.
+ * @param {number} fixtureId
+ * @returns {Promise<Array<{market:string, selection:string, line:number|null, odd:number}>>}
+ */
+async function fetchFixtureOddsLines(fixtureId) {
+    try {
+        const res = await cachedApiCall('/odds', { fixture: fixtureId }, ODDS_TTL, { staleMs: ODDS_STALE_MS });
+        return parseBookmakerLines(res?.response?.[0]?.bookmakers?.[0]?.bets || []);
+    } catch (err) {
+        console.error("Error obteniendo líneas de cuotas para fixture", fixtureId, err.message);
+        return [];
+    }
+}
+
+/**
+ * Obtiene las cuotas de todas las casas de apuestas disponibles para un fixture.
+ * @param {number} fixtureId
+ * @returns {Promise<Array<{bookmaker: {id:number, name:string}, odds: object, lines: object[]}>>}
+ */
+async function fetchFixtureBookmakerOdds(fixtureId) {
+    try {
+        const res = await cachedApiCall('/odds', { fixture: fixtureId }, ODDS_TTL, { staleMs: ODDS_STALE_MS });
+        const bookmakers = res?.response?.[0]?.bookmakers || [];
+        return bookmakers.map(bookmaker => ({
+            bookmaker: { id: bookmaker.id, name: bookmaker.name },
+            odds: parseBookmakerOdds(bookmaker.bets || []),
+            lines: parseBookmakerLines(bookmaker.bets || []),
+        }));
+    } catch (err) {
+        console.error("Error obteniendo cuotas por casa para fixture", fixtureId, err.message);
+        return [];
+    }
+}
+
+/**
+ * Genera una predicción de partido utilizando un modelo simplificado basado en Poisson.
+ * Obtiene estadísticas de temporadas anteriores si no están disponibles para la temporada actual.
+ * @param {number} homeTeamId - ID del equipo local.
+ * @param {number} awayTeamId - ID del equipo visitante.
+ * @param {number} leagueId - ID de la liga del partido actual.
+ * @param {number} season - Año de la temporada del partido actual.
+ * @param {number} [fixtureId] - ID del partido (para integrar las cuotas del mercado).
+ * @param {object} [params] - Parámetros del modelo (ver DEFAULT_MODEL_PARAMS); tienen prioridad sobre config/models.json.
+ * @param {object} [options]
+ * @param {string} [options.model] - Modelo del registro ('ensemble' por defecto).
+ * @param {string} [options.kickoff] - Fecha del partido (ISO): la forma reciente decae desde ella.
+ * @returns {Promise<object>} Objeto con las predicciones del partido.
+ */
+async function getMatchPrediction(homeTeamId, awayTeamId, leagueId, season, fixtureId, params = {}, options = {}) {
+    let homeTeamStatsRes;
+    let awayTeamStatsRes;
+    let leagueStandingsRes;
+    let statsSeasonUsed = season;
+
+    const homeTeamAvailableSeasons = await fetchTeamAvailableSeasons(homeTeamId);
+    const awayTeamAvailableSeasons = await fetchTeamAvailableSeasons(awayTeamId);
+    const commonAvailableSeasons = homeTeamAvailableSeasons.filter(s => awayTeamAvailableSeasons.includes(s));
+
+    let seasonsToTry = [];
+    if (season >= 2015) { seasonsToTry.push(season); }
+    for (let i = 1; i <= 10; i++) { 
+        const prevSeason = season - i; 
+        if (prevSeason >= 2015) { 
+            if (!seasonsToTry.includes(prevSeason)) { 
+                seasonsToTry.push(prevSeason); 
+            } 
+        } else { break; } 
+    }
+    seasonsToTry.sort((a, b) => b - a); 
+
+    let statsFetchedSuccessfully = false;
+    if (seasonsToTry.length === 0) { 
+        throw new Error(`No se pudieron obtener estadísticas válidas para los equipos en el rango requerido (>=2015).`); 
+    }
+
+    for (const s of seasonsToTry) {
+        if (statsFetchedSuccessfully) { break; }
+        if (s < 2015) { break; }
+        try {
+            homeTeamStatsRes = await getTeamStatistics(homeTeamId, leagueId, s);
+            awayTeamStatsRes = await getTeamStatistics(awayTeamId, leagueId, s);
+            leagueStandingsRes = await getStandings(leagueId, s); 
+
+            const homePlayed = homeTeamStatsRes.fixtures?.played?.total || 0;
+            const awayPlayed = awayTeamStatsRes.fixtures?.played?.total || 0;
+
+            if (homePlayed > 0 && awayPlayed > 0 && standingsHavePlayed(leagueStandingsRes)) {
+                statsSeasonUsed = s;
+                statsFetchedSuccessfully = true;
+                break; 
+            }
+        } catch (error) { /* continue to next season */ }
+    }
+
+    if (!statsFetchedSuccessfully || !homeTeamStatsRes || !awayTeamStatsRes || !leagueStandingsRes) {
+        throw new Error(`No se pudieron obtener estadísticas válidas para los equipos en ninguna de las temporadas disponibles o intentadas (${seasonsToTry.join(', ')}). Asegúrate de que los IDs de equipos y liga sean correctos y que la API tenga datos sustanciales para esas temporadas.`);
+    }
+
+    const homeTeamName = homeTeamStatsRes.team?.name || 'Equipo Local';
+    const awayTeamName = awayTeamStatsRes.team?.name || 'Equipo Visitante';
+    const homePlayedHome = homeTeamStatsRes.fixtures?.played?.home || 1;
+    const homeGoalsForHome = homeTeamStatsRes.goals?.for?.total?.home || 0;
+    const homeGoalsAgainstHome = homeTeamStatsRes.goals?.against?.total?.home || 0;
+    const awayPlayedAway = awayTeamStatsRes.fixtures?.played?.away || 1;
+    const awayGoalsForAway = awayTeamStatsRes.goals?.for?.total?.away || 0;
+    const awayGoalsAgainstAway = awayTeamStatsRes.goals?.against?.total?.away || 0;
+
+    let totalLeagueGoals = 0; let totalLeagueMatches = 0;
+    if (Array.isArray(leagueStandingsRes)) { 
+        for (const group of leagueStandingsRes) { 
+            if (Array.isArray(group)) { 
+                for (const teamStat of group) { 
+                    if (teamStat.all) { 
+                        totalLeagueGoals += (teamStat.all.goals.for || 0) + (teamStat.all.goals.against || 0); 
+                        totalLeagueMatches += (teamStat.all.played || 0); 
+                    } 
+                } 
+            } 
+        } 
+    }
+    else if (leagueStandingsRes && typeof leagueStandingsRes === 'object' && leagueStandingsRes.all) { 
+        totalLeagueGoals += (leagueStandingsRes.all.goals.for || 0) + (leagueStandingsRes.all.goals.against || 0); 
+        totalLeagueMatches += (leagueStandingsRes.all.played || 0); 
+    }
+
+    const leagueAvgGoalsPerMatch = totalLeagueMatches > 0 ? totalLeagueGoals / totalLeagueMatches : 2.5;
+
+    const h2hFixtures = await fetchHeadToHeadStats(homeTeamId, awayTeamId);
+
+    // Forma reciente (todas las competiciones) y rating Elo de cada rival para el ajuste por fuerza
+    const recentFixtures = {
+        home: await fetchTeamRecentFixtures(homeTeamId),
+        away: await fetchTeamRecentFixtures(awayTeamId),
+    };
+    const opponentRatings = {};
+    for (const fixture of [...recentFixtures.home, ...recentFixtures.away]) {
+        for (const team of [fixture.teams.home, fixture.teams.away]) {
+            const rating = getTeamRating(team.id);
+            if (rating) opponentRatings[team.id] = rating.rating;
+        }
+    }
+
+    // Córners y tarjetas esperados (ritmos recientes de cada equipo y árbitro asignado)
+    let statRates = null;
+    try {
+        statRates = await getMatchStatRates({ homeTeamId, awayTeamId, recentFixtures, leagueId, season, fixtureId });
+    } catch (error) {
+        console.warn(`⚠️ No se pudieron calcular córners y tarjetas (${homeTeamId} vs ${awayTeamId}):`, error.message);
+    }
+
+    // === INTEGRACIÓN DE ODDS DEL MERCADO ===
+    let marketOdds = null;
+    let marketLines = [];
+    // Bajas anunciadas y, cuando se publican, alineaciones
+    let absences = null;
+    if (typeof fixtureId !== 'undefined' && fixtureId !== null) {
+        marketOdds = await fetchFixtureOdds(fixtureId);
+        marketLines = await fetchFixtureOddsLines(fixtureId);
+        // Sin cuotas en API-Football: las de la fuente secundaria para el mismo enfrentamiento
+        if (!marketOdds && SECONDARY_PROVIDER) {
+            const bets = (await fetchSecondaryBookmakers(homeTeamId, awayTeamId, leagueId))[0]?.bets;
+            if (bets) {
+                marketOdds = markSecondary(parseBookmakerOdds(bets));
+                marketLines = parseBookmakerLines(bets);
+            }
+        }
+        try {
+            absences = await getMatchAbsences(fixtureId, homeTeamId, awayTeamId, statsSeasonUsed);
+        } catch (error) {
+            console.warn(`⚠️ No se pudieron obtener las bajas del fixture ${fixtureId}:`, error.message);
+        }
+    }
+
+    // Qué datos se completaron con la fuente secundaria
+    const secondaryData = Object.entries({
+        team_statistics: [homeTeamStatsRes, awayTeamStatsRes],
+        standings: [leagueStandingsRes],
+        head_to_head: [h2hFixtures],
+        recent_fixtures: [recentFixtures.home, recentFixtures.away],
+        odds: [marketOdds],
+    }).filter(([, values]) => values.some(value => value && secondaryResults.has(value))).map(([key]) => key);
+
+    return computePrediction({
+        homeTeamId,
+        awayTeamId,
+        homeTeamName,
+        awayTeamName,
+        statsSeasonUsed,
+        // Sin estadísticas de esta temporada la base es de otra: el ensemble da más peso a la forma
+        statsFromPreviousSeason: statsSeasonUsed < season,
+        homePlayedHome,
+        homeGoalsForHome,
+        homeGoalsAgainstHome,
+        awayPlayedAway,
+        awayGoalsForAway,
+        awayGoalsAgainstAway,
+        leagueAvgGoalsPerMatch,
+        homeForm: homeTeamStatsRes.form,
+        awayForm: awayTeamStatsRes.form,
+        // Goles por tramos de minutos para repartir los esperados entre las dos mitades
+        goalMinutes: {
+            home: { for: homeTeamStatsRes.goals?.for?.minute, against: homeTeamStatsRes.goals?.against?.minute },
+            away: { for: awayTeamStatsRes.goals?.for?.minute, against: awayTeamStatsRes.goals?.against?.minute },
+        },
+        h2hFixtures,
+        recentFixtures,
+        opponentRatings,
+        kickoff: options.kickoff || null,
+        // Ratings Elo (null si el equipo aún no tiene suficientes partidos)
+        ratings: { home: getTeamRating(homeTeamId), away: getTeamRating(awayTeamId) },
+        absences,
+        statRates,
+        marketOdds,
+        marketLines,
+        secondaryData,
+    }, resolveModelParams(leagueId, params), options);
+}
+
+/**
+ * Goles esperados de una mitad para la respuesta.
+ * @param {{home:number, away:number}} goals
+ * @returns {{home:number, away:number, total:number}}
+ */
+function describeHalfGoals(goals) {
+    return {
+        home: parseFloat(goals.home.toFixed(2)),
+        away: parseFloat(goals.away.toFixed(2)),
+        total: parseFloat((goals.home + goals.away).toFixed(2)),
+    };
+}
+
+/**
+ * Esperados de un mercado de conteo (córners o tarjetas) para la respuesta.
+ * @param {{home:number, away:number, total:number, matches:object}} rates
+ * @returns {object}
+ */
+function describeCountRates(rates) {
+    return {
+        home: parseFloat(rates.home.toFixed(2)),
+        away: parseFloat(rates.away.toFixed(2)),
+        total: parseFloat(rates.total.toFixed(2)),
+        matches: rates.matches,
+    };
+}
+
+/**
+ * Núcleo del modelo: calcula la predicción a partir de datos ya obtenidos.
+ * No hace llamadas a la API, por lo que sirve también para el backtesting
+ * (con datos limitados a lo conocido antes de cada partido).
+ * @param {object} inputs - Estadísticas de local/visitante, media de goles de la liga, H2H, bajas y cuotas.
+ * @param {object} [params] - Parámetros del modelo (ver DEFAULT_MODEL_PARAMS).
+ * @param {object} [options]
+ * @param {string} [options.model] - Modelo del registro ('ensemble' por defecto).
+ * @returns {object} Objeto con las predicciones del partido.
+ */
+function computePrediction(inputs, params = {}, options = {}) {
+    const modelParams = { ...DEFAULT_MODEL_PARAMS, ...params };
+    const { rho } = modelParams;
+    const {
+        homeTeamId, awayTeamId, homeTeamName, awayTeamName, statsSeasonUsed,
+        homeGoalsForHome, awayGoalsForAway,
+        h2hFixtures, marketOdds, marketLines = [], statRates = null, goalMinutes = null, secondaryData = [],
+    } = inputs;
+
+    // Declaración de variables para el ámbito (scope)
+    let homeWinProb;
+    let awayWinProb;
+    let drawProb;
+    let bttsProb;
+    let over2_5Prob;
+
+    const h2hParsed = parseH2HResults(h2hFixtures || [], homeTeamId, awayTeamId);
+
+    // === MODELOS: base Poisson + componentes (H2H, Elo, mercado) según el registro ===
+    const modelResult = runModel(inputs, modelParams, options.model);
+
+    // === BAJAS: escalan los goles esperados de cada equipo según su peso en los goles ===
+    const adjusted = applyAbsences(modelResult, inputs.absences, rho);
+    const expectedGoalsHome = adjusted.expectedGoals.home;
+    const expectedGoalsAway = adjusted.expectedGoals.away;
+    homeWinProb = adjusted.probabilities.home;
+    awayWinProb = adjusted.probabilities.away;
+    drawProb = adjusted.probabilities.draw;
+    const eloComponent = modelResult.components.find(c => c.model === 'elo' && c.probabilities);
+    const ratingProbs = eloComponent ? eloComponent.probabilities : null;
+    const formStrengths = matchFormStrengths(inputs, modelParams);
+
+    // --- Matriz final: lambdas ajustadas + reescalado al 1X2 combinado ---
+    // Todos los mercados (1X2, BTTS, over/under, marcador) se derivan de esta única matriz
+    const finalScoreModel = buildScoreMatrix(expectedGoalsHome, expectedGoalsAway, { rho });
+    const scoreMatrix = rescaleToOutcomes(finalScoreModel.matrix, { home: homeWinProb, draw: drawProb, away: awayWinProb });
+    const finalScores = summarizeScoreMatrix(scoreMatrix);
+    homeWinProb = finalScores.homeWin;
+    awayWinProb = finalScores.awayWin;
+    drawProb = finalScores.draw;
+    bttsProb = finalScores.btts;
+    over2_5Prob = finalScores.over2_5;
+
+    // Córners y tarjetas: Poisson sobre el total esperado del partido, con las líneas de la casa
+    const countMarkets = statRates
+        ? priceCountMarkets({ corners: statRates.corners.total, cards: statRates.cards.total }, marketLines)
+        : [];
+
+    // Primer y segundo tiempo: reparto de los goles esperados según los tramos por minuto
+    const halfSplit = goalMinutes ? splitExpectedGoals({ home: expectedGoalsHome, away: expectedGoalsAway }, goalMinutes) : null;
+    let halfMarkets = [];
+    if (halfSplit) {
+        const halfMatrices = buildHalfMatrices(halfSplit);
+        halfMarkets = priceHalfMarkets(halfMatrices.first, halfMatrices.second, marketLines, { home: homeWinProb, draw: drawProb, away: awayWinProb });
+    }
+
+    let predictedWinnerName = "Empate";
+    let advice = `Predicción basada en nuestro modelo de IA/Bayes (estadísticas de la temporada ${statsSeasonUsed}).`;
+    const maxResultProb = Math.max(homeWinProb, awayWinProb, drawProb);
+
+    if (maxResultProb === homeWinProb) { 
+        predictedWinnerName = homeTeamName; 
+        advice = `${homeTeamName} es el favorito según el modelo (estadísticas de la temporada ${statsSeasonUsed}).`; 
+    }
+    else if (maxResultProb === awayWinProb) { 
+        predictedWinnerName = awayTeamName; 
+        advice = `${awayTeamName} es el favorito según el modelo (estadísticas de la temporada ${statsSeasonUsed}).`; 
+    }
+    else if (maxResultProb === drawProb) { 
+        predictedWinnerName = "Empate"; 
+        advice = `El modelo sugiere un partido muy parejo con alta probabilidad de empate (estadísticas de la temporada ${statsSeasonUsed}).`; 
+    }
+
+    if (bttsProb > 0.5) { advice += " Se espera que ambos equipos anoten."; } 
+    else { advice += " Es probable que un equipo no anote o el partido termine 0-0."; }
+    if (over2_5Prob > 0.5) { advice += " Se anticipan más de 2.5 goles en total."; } 
+    else { advice += " Se anticipan menos de 2.5 goles en total."; }
+
+    const homeComparisonForm = inputs.homeForm ? parseForm(inputs.homeForm) : { win: 0, draw: 0, lose: 0 };
+    const awayComparisonForm = inputs.awayForm ? parseForm(inputs.awayForm) : { win: 0, draw: 0, lose: 0 };
+    const totalHomeFormGames = homeComparisonForm.win + homeComparisonForm.draw + homeComparisonForm.lose;
+    const totalAwayFormGames = awayComparisonForm.win + awayComparisonForm.draw + awayComparisonForm.lose;
+
+    let mostProbableScore = `${finalScores.mostProbable.home} - ${finalScores.mostProbable.away}`;
+
+    // ===== AJUSTE: coherencia entre BTTS y marcador =====
+    let bttsNote = "";
+    if (bttsProb < 0.4 && finalScores.mostProbable.home > 0 && finalScores.mostProbable.away > 0) {
+        // Si el marcador más probable tiene goles de ambos pero el BTTS es bajo,
+        // usar el marcador más probable en el que algún equipo se queda en cero
+        const cleanSheetScore = findMostProbableScore(scoreMatrix, (hg, ag) => hg === 0 || ag === 0);
+        mostProbableScore = `${cleanSheetScore.home} - ${cleanSheetScore.away}`;
+        bttsNote = "El modelo predice pocos goles de ambos equipos, es poco probable que ambos anoten.";
+    }
+    return {
+           predictions: {
+        advice: advice,
+        winner: { name: predictedWinnerName },
+        mostProbableScore,        // ← así
+        btts: bttsProb > 0.5,
+        under_over: over2_5Prob > 0.5 ? '+2.5' : '-2.5',
+        goals: { home: expectedGoalsHome.toFixed(2), away: expectedGoalsAway.toFixed(2), },
+        percent: { home: (homeWinProb * 100).toFixed(0) + '%', draw: (drawProb * 100).toFixed(0) + '%', away: (awayWinProb * 100).toFixed(0) + '%', },
+        btts_probability: parseFloat((bttsProb * 100).toFixed(1)),
+        over_2_5_probability: parseFloat((over2_5Prob * 100).toFixed(1)),
+        under_2_5_probability: parseFloat(((1 - over2_5Prob) * 100).toFixed(1)),
+        btts_note: bttsNote,       // ← así
+        // Probabilidades sin redondear (0-1) para el ledger y cálculos posteriores
+        probabilities: {
+            home: parseFloat(homeWinProb.toFixed(4)),
+            draw: parseFloat(drawProb.toFixed(4)),
+            away: parseFloat(awayWinProb.toFixed(4)),
+            btts: parseFloat(bttsProb.toFixed(4)),
+            over_2_5: parseFloat(over2_5Prob.toFixed(4)),
+        },
+        score_matrix: {
+            model: 'dixon-coles',
+            rho: parseFloat(finalScoreModel.rho.toFixed(4)),
+            max_goals: finalScoreModel.maxGoals,
+            residual_mass: finalScoreModel.residualMass,
+            // probabilities[golesLocal][golesVisitante]
+            probabilities: scoreMatrix.map(row => row.map(p => parseFloat(p.toFixed(6)))),
+        },
+        // Todos los mercados soportados, derivados de la matriz y cruzados con las cuotas
+        markets: formatMarkets([...priceMarkets(scoreMatrix, marketLines), ...halfMarkets, ...countMarkets], marketLines),
+        // Goles esperados de cada mitad (null sin tramos por minuto)
+        halves: halfSplit ? {
+            first_half: describeHalfGoals(halfSplit.first),
+            second_half: describeHalfGoals(halfSplit.second),
+            first_half_share: {
+                home: parseFloat(halfSplit.shares.home.toFixed(3)),
+                away: parseFloat(halfSplit.shares.away.toFixed(3)),
+            },
+        } : null,
+        // Córners y tarjetas esperados (null sin estadísticas recientes)
+        corners: statRates ? describeCountRates(statRates.corners) : null,
+        cards: statRates ? {
+            ...describeCountRates(statRates.cards),
+            referee: statRates.cards.referee ? {
+                name: statRates.cards.referee.name,
+                matches: statRates.cards.referee.matches,
+                average: statRates.cards.referee.average !== null ? parseFloat(statRates.cards.referee.average.toFixed(2)) : null,
+                factor: parseFloat(statRates.cards.referee.factor.toFixed(3)),
+            } : null,
+        } : null,
+        // Datos completados con la fuente secundaria (null si todo vino de API-Football)
+        data_sources: secondaryData.length > 0 ? { secondary: SECONDARY_PROVIDER, filled: secondaryData } : null,
+        // Modelo usado y distribución 1X2 de cada componente (null si no tenía datos)
+        model: {
+            name: modelResult.model,
+            components: modelResult.components.map(c => ({
+                model: c.model,
+                weight: c.weight,
+                probabilities: c.probabilities ? {
+                    home: parseFloat(c.probabilities.home.toFixed(4)),
+                    draw: parseFloat(c.probabilities.draw.toFixed(4)),
+                    away: parseFloat(c.probabilities.away.toFixed(4)),
+                } : null,
+            })),
+        },
+    },
+        comparison: {
+            form: { 
+                home: totalHomeFormGames > 0 ? ((homeComparisonForm.win + homeComparisonForm.draw / 2) / totalHomeFormGames * 100).toFixed(0) + "%" : "50%", 
+                away: totalAwayFormGames > 0 ? ((awayComparisonForm.win + awayComparisonForm.draw / 2) / totalAwayFormGames * 100).toFixed(0) + "%" : "50%" 
+            },
+            att: { 
+                home: ((expectedGoalsHome / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%", 
+                away: ((expectedGoalsAway / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%" 
+            },
+            def: { 
+                home: ((expectedGoalsAway / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%", 
+                away: ((expectedGoalsHome / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%" 
+            },
+            poisson_distribution: { 
+                home: (homeWinProb * 100).toFixed(0) + "%", 
+                away: (awayWinProb * 100).toFixed(0) + "%" 
+            },
+            h2h: { 
+                home: (h2hParsed.homeWinPercentage * 100).toFixed(0) + "%", 
+                away: (h2hParsed.awayWinPercentage * 100).toFixed(0) + "%", 
+                draw: (h2hParsed.drawPercentage * 100).toFixed(0) + "%", 
+                totalGames: h2hParsed.totalGames 
+            },
+            elo: ratingProbs ? {
+                home_rating: parseFloat(inputs.ratings.home.rating.toFixed(1)),
+                away_rating: parseFloat(inputs.ratings.away.rating.toFixed(1)),
+                home: (ratingProbs.home * 100).toFixed(0) + "%",
+                draw: (ratingProbs.draw * 100).toFixed(0) + "%",
+                away: (ratingProbs.away * 100).toFixed(0) + "%",
+                weight: eloComponent.weight,
+            } : null,
+            // Fuerzas (1 = media de la liga) de los últimos partidos, con decaimiento y ajuste por rival
+            recent_form: formStrengths ? {
+                home: {
+                    attack: parseFloat(formStrengths.home.attack.toFixed(3)),
+                    defense: parseFloat(formStrengths.home.defense.toFixed(3)),
+                    matches: formStrengths.home.matches,
+                },
+                away: {
+                    attack: parseFloat(formStrengths.away.attack.toFixed(3)),
+                    defense: parseFloat(formStrengths.away.defense.toFixed(3)),
+                    matches: formStrengths.away.matches,
+                },
+            } : null,
+            goals: { 
+                home: ((homeGoalsForHome / (homeGoalsForHome + awayGoalsForAway || 1)) * 100).toFixed(0) + "%", 
+                away: ((awayGoalsForAway / (homeGoalsForHome + awayGoalsForAway || 1)) * 100).toFixed(0) + "%" 
+            },
+            total: { 
+                home: ((homeWinProb + (drawProb / 2)) * 100).toFixed(0) + "%", 
+                away: ((awayWinProb + (drawProb / 2)) * 100).toFixed(0) + "%" 
+            },
+        },
+        market_odds: marketOdds ? marketOdds : null,
+        // Bajas que movieron los goles esperados (null si no hay bajas ni alineaciones)
+        adjustments: adjusted.adjustments,
+
+    };
+}
+
+module.exports = {
+    DEFAULT_MODEL_PARAMS,
+    fetchFixtures,
+    fetchTeamAvailableSeasons,
+    getTeamStatistics,
+    getStandings,
+    fetchHeadToHeadStats,
+    fetchTeamRecentFixtures,
+    parseBookmakerOdds,
+    fetchFixtureOdds,
+    fetchFixtureOddsLines,
+    fetchFixtureBookmakerOdds,
+    convertOddToImpliedProbability,
+    parseForm,
+    parseH2HResults,
+    getMatchPrediction,
+    computePrediction,
+};
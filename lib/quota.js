@@ -0,0 +1,262 @@
+// backend/lib/quota.js
+// Planificador de peticiones a la API-Football: respeta el presupuesto por minuto y por día
+// (leído de las cabeceras de RapidAPI), ordena la cola por prioridad y descarta el trabajo de
+// baja prioridad cuando queda poca cuota.
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Prioridades: menor número = antes. Datos en vivo > peticiones de usuarios > tareas de fondo
+const PRIORITIES = { live: 0, user: 1, background: 2 };
+const DEFAULT_PRIORITY = 'user';
+// Fracción de la cuota diaria por debajo de la cual se descarta cada prioridad
+const SHED_BELOW_DAILY_FRACTION = { live: 0, user: 0.02, background: 0.15 };
+// Peticiones de fondo en cola a partir de las cuales se descartan las nuevas
+const MAX_BACKGROUND_QUEUE = 100;
+const MINUTE_MS = 60 * 1000;
+
+// Prioridad de la petición en curso (la heredan todas las llamadas que haga)
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función con una prioridad para todas las llamadas a la API que haga.
+ * @param {'live'|'user'|'background'} priority
+ * @param {function(): any} fn
+ * @returns {any} Lo que devuelva fn.
+ */
+function runWithPriority(priority, fn) {
+    return priorityContext.run(priority, fn);
+}
+
+/**
+ * Prioridad del contexto actual ('user' si no se indicó ninguna).
+ * @returns {'live'|'user'|'background'}
+ */
+function currentPriority() {
+    return priorityContext.getStore() || DEFAULT_PRIORITY;
+}
+
+/**
+ * Error de cuota agotada o trabajo descartado (se responde con 503).
+ * @param {string} message
+ * @returns {Error}
+ */
+function quotaError(message) {
+    const error = new Error(message);
+    error.status = 503;
+    error.code = 'QUOTA_EXHAUSTED';
+    return error;
+}
+
+/**
+ * Lee un entero de las cabeceras (axios las normaliza a minúsculas).
+ * @param {object|undefined} headers
+ * @param {string} name
+ * @returns {number|null}
+ */
+function headerInt(headers, name) {
+    const value = headers ? parseInt(headers[name]) : NaN;
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Próxima medianoche UTC (la cuota diaria de API-Football se reinicia a las 00:00 UTC).
+ * @param {number} now
+ * @returns {number}
+ */
+function nextUtcMidnight(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Crea un planificador de peticiones.
+ * @param {object} [options]
+ * @param {number} [options.perMinute] - Peticiones por minuto (se actualiza con X-RateLimit-Limit).
+ * @param {number} [options.daily] - Peticiones por día (se actualiza con X-RateLimit-Requests-Limit).
+ * @param {number} [options.maxConcurrent] - Peticiones simultáneas.
+ * @returns {{schedule: Function, getState: Function}}
+ */
+function createRequestScheduler(options = {}) {
+    const limits = {
+        perMinute: options.perMinute || 30,
+        daily: options.daily || 7500,
+        maxConcurrent: options.maxConcurrent || 6,
+    };
+    const queues = { live: [], user: [], background: [] };
+    const counters = {
+        dispatched: { live: 0, user: 0, background: 0 },
+        shed: { live: 0, user: 0, background: 0 },
+        rateLimited: 0,
+    };
+    // Instantes de envío del último minuto (ventana deslizante)
+    let sent = [];
+    let inFlight = 0;
+    let blockedUntil = 0;
+    let timer = null;
+    // Cuota diaria: de las cabeceras si llegaron, si no contada localmente
+    const daily = { remaining: null, used: 0, resetAt: nextUtcMidnight(Date.now()), headersAt: null };
+
+    /**
+     * Peticiones diarias que quedan según lo último que se sabe.
+     * @param {number} now
+     * @returns {number}
+     */
+    function dailyRemaining(now) {
+        if (now >= daily.resetAt) {
+            daily.remaining = null;
+            daily.used = 0;
+            daily.resetAt = nextUtcMidnight(now);
+        }
+        return daily.remaining !== null ? daily.remaining : limits.daily - daily.used;
+    }
+
+    /**
+     * Indica si una prioridad debe descartarse con la cuota diaria actual.
+     * @param {string} priority
+     * @param {number} now
+     * @returns {boolean}
+     */
+    function shouldShed(priority, now) {
+        const remaining = dailyRemaining(now);
+        if (remaining <= 0) return true;
+        return remaining < limits.daily * SHED_BELOW_DAILY_FRACTION[priority];
+    }
+
+    /**
+     * Actualiza límites y cuota restante con las cabeceras de RapidAPI.
+     * @param {object|undefined} headers
+     * @param {number} now
+     */
+    function readHeaders(headers, now) {
+        const minuteLimit = headerInt(headers, 'x-ratelimit-limit');
+        const minuteRemaining = headerInt(headers, 'x-ratelimit-remaining');
+        const dailyLimit = headerInt(headers, 'x-ratelimit-requests-limit');
+        const dailyLeft = headerInt(headers, 'x-ratelimit-requests-remaining');
+        const dailyReset = headerInt(headers, 'x-ratelimit-requests-reset');
+        if (minuteLimit) limits.perMinute = minuteLimit;
+        // Sin margen en el minuto: esperar a que salga de la ventana el envío más antiguo
+        if (minuteRemaining !== null && minuteRemaining <= 0) {
+            blockedUntil = Math.max(blockedUntil, (sent[0] || now) + MINUTE_MS);
+        }
+        if (dailyLimit) limits.daily = dailyLimit;
+        if (dailyLeft !== null) {
+            daily.remaining = dailyLeft;
+            daily.headersAt = now;
+        }
+        if (dailyReset !== null) daily.resetAt = now + dailyReset * 1000;
+    }
+
+    /**
+     * Despacha las peticiones en cola que quepan en el presupuesto y programa el siguiente intento.
+     */
+    function pump() {
+        const now = Date.now();
+        sent = sent.filter(t => now - t < MINUTE_MS);
+        while (inFlight < limits.maxConcurrent && now >= blockedUntil && sent.length < limits.perMinute) {
+            const priority = Object.keys(PRIORITIES).find(p => queues[p].length > 0);
+            if (!priority) break;
+            const job = queues[priority].shift();
+            if (shouldShed(priority, now)) {
+                counters.shed[priority]++;
+                job.reject(quotaError(`Cuota diaria de API-Football casi agotada: petición de prioridad ${priority} descartada`));
+                continue;
+            }
+            run(job, priority, now);
+        }
+
+        const pending = Object.values(queues).some(q => q.length > 0);
+        if (!pending || timer || inFlight >= limits.maxConcurrent) return;
+        // Esperar al bloqueo por 429 o a que se libere un hueco en la ventana del minuto
+        const wait = Math.max(blockedUntil - now, sent.length >= limits.perMinute ? sent[0] + MINUTE_MS - now : 0, 10);
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, wait);
+    }
+
+    /**
+     * Ejecuta una petición y libera su hueco al terminar.
+     */
+    function run(job, priority, now) {
+        inFlight++;
+        sent.push(now);
+        daily.used++;
+        if (daily.remaining !== null) daily.remaining--;
+        counters.dispatched[priority]++;
+        Promise.resolve()
+            .then(job.fn)
+            .then(response => {
+                readHeaders(response?.headers, Date.now());
+                job.resolve(response);
+            }, error => {
+                const response = error?.response;
+                readHeaders(response?.headers, Date.now());
+                if (response?.status === 429) {
+                    counters.rateLimited++;
+                    const retryAfter = headerInt(response.headers, 'retry-after');
+                    blockedUntil = Math.max(blockedUntil, Date.now() + (retryAfter !== null ? retryAfter * 1000 : MINUTE_MS / 4));
+                }
+                job.reject(error);
+            })
+            .finally(() => {
+                inFlight--;
+                pump();
+            });
+    }
+
+    /**
+     * Encola una petición con su prioridad.
+     * @param {function(): Promise<object>} fn - Hace la petición (devuelve la respuesta de axios).
+     * @param {'live'|'user'|'background'} [priority]
+     * @returns {Promise<object>}
+     */
+    function schedule(fn, priority = currentPriority()) {
+        const level = PRIORITIES[priority] !== undefined ? priority : DEFAULT_PRIORITY;
+        const now = Date.now();
+        if (shouldShed(level, now) || (level === 'background' && queues.background.length >= MAX_BACKGROUND_QUEUE)) {
+            counters.shed[level]++;
+            return Promise.reject(quotaError(`Presupuesto de API-Football insuficiente: petición de prioridad ${level} descartada`));
+        }
+        return new Promise((resolve, reject) => {
+            queues[level].push({ fn, resolve, reject });
+            pump();
+        });
+    }
+
+    /**
+     * Estado actual de la cuota y de la cola.
+     * @returns {object}
+     */
+    function getState() {
+        const now = Date.now();
+        sent = sent.filter(t => now - t < MINUTE_MS);
+        const remaining = dailyRemaining(now);
+        return {
+            limits: { per_minute: limits.perMinute, daily: limits.daily, max_concurrent: limits.maxConcurrent },
+            minute: { used: sent.length, remaining: Math.max(0, limits.perMinute - sent.length) },
+            daily: {
+                used_by_this_process: daily.used,
+                remaining,
+                remaining_percent: parseFloat((remaining / limits.daily * 100).toFixed(1)),
+                source: daily.headersAt ? 'headers' : 'local',
+                headers_at: daily.headersAt ? new Date(daily.headersAt).toISOString() : null,
+                resets_at: new Date(daily.resetAt).toISOString(),
+            },
+            in_flight: inFlight,
+            blocked_until: blockedUntil > now ? new Date(blockedUntil).toISOString() : null,
+            queued: { live: queues.live.length, user: queues.user.length, background: queues.background.length },
+            shedding: Object.fromEntries(Object.keys(PRIORITIES).map(p => [p, shouldShed(p, now)])),
+            dispatched: { ...counters.dispatched },
+            shed: { ...counters.shed },
+            rate_limited: counters.rateLimited,
+        };
+    }
+
+    return { schedule, getState };
+}
+
+module.exports = {
+    PRIORITIES,
+    runWithPriority,
+    currentPriority,
+    createRequestScheduler,
+};
@@ -0,0 +1,280 @@
+// backend/lib/ratings.js
+// Ratings Elo de equipos con ventaja de local y margen de victoria, construidos con los
+// resultados históricos de /fixtures (varias temporadas y competiciones) y guardados en disco.
+const path = require('path');
+const { cachedApiCall } = require('./apiFootball');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+const { REGISTERED_LEAGUES, resolveCurrentSeason } = require('./leagues');
+const { runWithPriority } = require('./quota');
+
+const RATINGS_FILE = process.env.RATINGS_FILE || path.join(DATA_DIR, 'team-ratings.json');
+
+const INITIAL_RATING = 1500;
+const K_FACTOR = 20;
+// Ventaja de local en puntos Elo
+const HOME_ADVANTAGE_ELO = 65;
+// Al empezar temporada nueva el rating regresa esta fracción hacia la media
+const SEASON_REGRESSION = 0.2;
+// Probabilidad de empate máxima (equipos iguales) y cómo decae con la diferencia de rating
+const DRAW_MAX = 0.28;
+const DRAW_WIDTH = 600;
+// Partidos mínimos para que un rating se use en las predicciones
+const MIN_RATED_MATCHES = 10;
+// Temporadas hacia atrás que se cargan al arrancar
+const BOOTSTRAP_SEASONS = 3;
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+// { teams: { [teamId]: {...} }, results: { [fixtureId]: {...} }, last_result_at, updated_at }
+// Se guardan los resultados aplicados para poder recalcular en orden si llega uno más antiguo
+let store = readJsonFile(RATINGS_FILE, { teams: {}, results: {}, last_result_at: null, updated_at: null });
+// Archivo del formato anterior (solo IDs procesados): se reconstruye con los resultados que se carguen
+if (!store.results) store = { teams: {}, results: {}, last_result_at: null, updated_at: null };
+let saveTimer = null;
+
+const saveRatings = () => {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        writeJsonFile(RATINGS_FILE, store);
+    } catch (error) {
+        console.error(`❌ Error al guardar los ratings de equipos:`, error.message);
+    }
+};
+
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveRatings, 2000);
+    saveTimer.unref();
+};
+process.on('exit', () => { if (saveTimer) saveRatings(); });
+
+/**
+ * Multiplicador por margen de victoria (World Football Elo).
+ * @param {number} goalDiff - Diferencia de goles absoluta.
+ * @returns {number}
+ */
+function marginMultiplier(goalDiff) {
+    if (goalDiff <= 1) return 1;
+    if (goalDiff === 2) return 1.5;
+    return (11 + goalDiff) / 8;
+}
+
+/**
+ * Resultado esperado (0-1) del local según la diferencia de rating.
+ * @param {number} homeRating
+ * @param {number} awayRating
+ * @returns {number}
+ */
+function expectedHomeScore(homeRating, awayRating) {
+    return 1 / (1 + Math.pow(10, -(homeRating + HOME_ADVANTAGE_ELO - awayRating) / 400));
+}
+
+/**
+ * Probabilidades 1X2 a partir de los ratings: el empate decae con la diferencia
+ * y el resto se reparte para respetar el resultado esperado del Elo.
+ * @param {number} homeRating
+ * @param {number} awayRating
+ * @returns {{home:number, draw:number, away:number}}
+ */
+function ratingProbabilities(homeRating, awayRating) {
+    const diff = homeRating + HOME_ADVANTAGE_ELO - awayRating;
+    const expected = expectedHomeScore(homeRating, awayRating);
+    const draw = DRAW_MAX * Math.exp(-Math.pow(diff / DRAW_WIDTH, 2));
+    const home = Math.max(0.01, expected - draw / 2);
+    const away = Math.max(0.01, 1 - expected - draw / 2);
+    const total = home + draw + away;
+    return { home: home / total, draw: draw / total, away: away / total };
+}
+
+/**
+ * Rating (creándolo si no existe) de un equipo.
+ * @param {object} team - { id, name } de API-Football.
+ * @returns {object}
+ */
+function teamEntry(team) {
+    if (!store.teams[team.id]) {
+        store.teams[team.id] = { team_id: team.id, name: team.name, rating: INITIAL_RATING, matches: 0, last_season: null, last_match: null, leagues: [] };
+    }
+    const entry = store.teams[team.id];
+    if (team.name) entry.name = team.name;
+    return entry;
+}
+
+/**
+ * Aplica una temporada nueva: el rating regresa parcialmente a la media.
+ * @param {object} entry
+ * @param {number} season
+ */
+function applySeasonRegression(entry, season) {
+    if (entry.last_season !== null && season > entry.last_season) {
+        entry.rating = INITIAL_RATING + (entry.rating - INITIAL_RATING) * (1 - SEASON_REGRESSION);
+    }
+    entry.last_season = Math.max(entry.last_season ?? season, season);
+}
+
+/**
+ * Resultado compacto (marcador de 90 minutos) de un fixture terminado, o null si no tiene marcador.
+ * @param {object} fixture - Fixture de API-Football.
+ * @returns {object|null}
+ */
+function toResult(fixture) {
+    const homeGoals = fixture.score?.fulltime?.home ?? fixture.goals?.home;
+    const awayGoals = fixture.score?.fulltime?.away ?? fixture.goals?.away;
+    if (homeGoals === null || homeGoals === undefined || awayGoals === null || awayGoals === undefined) return null;
+    return {
+        id: fixture.fixture.id,
+        date: fixture.fixture.date,
+        season: fixture.league?.season || null,
+        league_id: fixture.league?.id || null,
+        home: { id: fixture.teams.home.id, name: fixture.teams.home.name },
+        away: { id: fixture.teams.away.id, name: fixture.teams.away.name },
+        home_goals: homeGoals,
+        away_goals: awayGoals,
+    };
+}
+
+/**
+ * Aplica un resultado a los ratings de los dos equipos.
+ * @param {object} result - Resultado de toResult.
+ */
+function applyResult(result) {
+    const homeEntry = teamEntry(result.home);
+    const awayEntry = teamEntry(result.away);
+    if (result.season) {
+        applySeasonRegression(homeEntry, result.season);
+        applySeasonRegression(awayEntry, result.season);
+    }
+
+    const expected = expectedHomeScore(homeEntry.rating, awayEntry.rating);
+    const actual = result.home_goals > result.away_goals ? 1 : result.home_goals === result.away_goals ? 0.5 : 0;
+    const change = K_FACTOR * marginMultiplier(Math.abs(result.home_goals - result.away_goals)) * (actual - expected);
+    homeEntry.rating += change;
+    awayEntry.rating -= change;
+
+    for (const entry of [homeEntry, awayEntry]) {
+        entry.matches++;
+        entry.last_match = result.date;
+        if (result.league_id && !entry.leagues.includes(result.league_id)) entry.leagues.push(result.league_id);
+    }
+    if (!store.last_result_at || Date.parse(result.date) > Date.parse(store.last_result_at)) store.last_result_at = result.date;
+}
+
+/**
+ * Recalcula todos los ratings desde cero aplicando los resultados guardados en orden de fecha.
+ */
+function rebuildRatings() {
+    store.teams = {};
+    store.last_result_at = null;
+    Object.values(store.results)
+        .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+        .forEach(applyResult);
+}
+
+/**
+ * Actualiza los ratings con partidos terminados (ignora los ya aplicados).
+ * El Elo depende del orden: si llega algún partido anterior al último aplicado (temporadas pasadas
+ * de una liga nueva, resultados liquidados antes de la carga inicial) se recalcula todo en orden.
+ * @param {object[]} fixtures - Fixtures de API-Football.
+ * @returns {number} Partidos aplicados.
+ */
+function applyResults(fixtures) {
+    const fresh = fixtures
+        .filter(f => FINISHED_STATUSES.includes(f.fixture?.status?.short) && !store.results[f.fixture.id])
+        .map(toResult)
+        .filter(Boolean)
+        .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    if (fresh.length === 0) return 0;
+
+    for (const result of fresh) store.results[result.id] = result;
+    if (store.last_result_at && Date.parse(fresh[0].date) < Date.parse(store.last_result_at)) {
+        rebuildRatings();
+    } else {
+        fresh.forEach(applyResult);
+    }
+
+    store.updated_at = new Date().toISOString();
+    scheduleSave();
+    return fresh.length;
+}
+
+/**
+ * Descarga los resultados de una liga en varias temporadas y actualiza los ratings.
+ * @param {number} leagueId
+ * @param {number[]} seasons
+ * @returns {Promise<number>} Partidos aplicados.
+ */
+async function updateLeagueRatings(leagueId, seasons) {
+    const fixtures = [];
+    for (const season of [...seasons].sort((a, b) => a - b)) {
+        const data = await cachedApiCall('/fixtures', { league: leagueId, season }, 6 * 3600 * 1000);
+        fixtures.push(...(data.response || []));
+    }
+    return applyResults(fixtures);
+}
+
+/**
+ * Rating de un equipo, o null si no tiene suficientes partidos para usarse.
+ * @param {number} teamId
+ * @returns {{rating:number, matches:number}|null}
+ */
+function getTeamRating(teamId) {
+    const entry = store.teams[teamId];
+    if (!entry || entry.matches < MIN_RATED_MATCHES) return null;
+    return { rating: entry.rating, matches: entry.matches };
+}
+
+/**
+ * Tabla de ratings de los equipos que han jugado en una liga.
+ * @param {number} leagueId
+ * @returns {object[]}
+ */
+function getLeagueRatings(leagueId) {
+    return Object.values(store.teams)
+        .filter(entry => entry.leagues.includes(leagueId))
+        .sort((a, b) => b.rating - a.rating)
+        .map((entry, index) => ({
+            rank: index + 1,
+            team_id: entry.team_id,
+            name: entry.name,
+            rating: parseFloat(entry.rating.toFixed(1)),
+            matches: entry.matches,
+            last_match: entry.last_match,
+        }));
+}
+
+/**
+ * Carga las últimas temporadas de las ligas escaneadas y las refresca periódicamente.
+ * @param {number} [intervalMs]
+ */
+function startRatingsLoop(intervalMs = 6 * 3600 * 1000) {
+    const run = () => runWithPriority('background', async () => {
+        for (const leagueInfo of REGISTERED_LEAGUES.filter(l => l.scan)) {
+            try {
+                const currentSeason = await resolveCurrentSeason(leagueInfo.id);
+                const seasons = Array.from({ length: BOOTSTRAP_SEASONS }, (_, i) => currentSeason - i);
+                const applied = await updateLeagueRatings(leagueInfo.id, seasons);
+                if (applied > 0) console.log(`📈 Ratings: ${applied} partidos aplicados (liga ${leagueInfo.id}).`);
+            } catch (error) {
+                console.error(`❌ Error actualizando ratings de la liga ${leagueInfo.id}:`, error.message);
+            }
+        }
+    });
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+}
+
+module.exports = {
+    INITIAL_RATING,
+    HOME_ADVANTAGE_ELO,
+    MIN_RATED_MATCHES,
+    expectedHomeScore,
+    ratingProbabilities,
+    applyResults,
+    updateLeagueRatings,
+    getTeamRating,
+    getLeagueRatings,
+    startRatingsLoop,
+};
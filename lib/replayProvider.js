@@ -0,0 +1,105 @@
+// backend/lib/replayProvider.js
+// Grabación y reproducción de respuestas de la API: DATA_PROVIDER=record guarda en disco cada
+// respuesta real y DATA_PROVIDER=replay las sirve sin red, siempre iguales para la misma petición.
+// Un archivo por petición: <RECORDINGS_DIR>/<sha1 de la petición>.json
+// Las rutas del día piden /fixtures con la fecha de hoy: para reproducir otro día arranca con
+// REPLAY_DATE=<día de la grabación> (o pasa ?date= en las rutas que lo aceptan).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(DATA_DIR, 'recordings');
+
+/**
+ * Clave canónica de una petición: endpoint y parámetros ordenados (sin los vacíos).
+ * @param {string} endpoint
+ * @param {object} [params]
+ * @returns {string} Ej: '/fixtures?date=2025-06-01&league=253&season=2025'
+ */
+function recordingKey(endpoint, params = {}) {
+    const query = new URLSearchParams(Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map(key => [key, String(params[key])]));
+    return `${endpoint}?${query}`;
+}
+
+/**
+ * Ruta del archivo de grabación de una petición.
+ * @param {string} dir
+ * @param {string} key
+ * @returns {string}
+ */
+function recordingPath(dir, key) {
+    return path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Envuelve un proveedor y graba en disco sus respuestas correctas.
+ * @param {import('./dataProvider').DataProvider} inner
+ * @param {string} dir
+ * @returns {import('./dataProvider').DataProvider}
+ */
+function createRecordingProvider(inner, dir) {
+    return {
+        name: `record:${inner.name}`,
+        metered: inner.metered,
+        supports: endpoint => inner.supports(endpoint),
+        request: async (endpoint, params) => {
+            const response = await inner.request(endpoint, params);
+            // Las respuestas con 'errors' no se graban: al reproducirlas fallarían igual
+            const errors = response.data?.errors;
+            if (!errors || Object.keys(errors).length === 0) {
+                const key = recordingKey(endpoint, params);
+                try {
+                    writeJsonFile(recordingPath(dir, key), {
+                        key,
+                        endpoint,
+                        params,
+                        recorded_at: new Date().toISOString(),
+                        data: response.data,
+                    });
+                } catch (error) {
+                    console.warn(`⚠️ No se pudo grabar ${key}:`, error.message);
+                }
+            }
+            return response;
+        },
+    };
+}
+
+/**
+ * Proveedor que solo sirve respuestas grabadas (sin red ni cuota).
+ * Una petición sin grabación falla con estado 503.
+ * @param {string} dir
+ * @returns {import('./dataProvider').DataProvider}
+ */
+function createReplayProvider(dir) {
+    if (!fs.existsSync(dir)) {
+        console.warn(`⚠️ DATA_PROVIDER=replay: no existe la carpeta de grabaciones ${dir}`);
+    }
+    return {
+        name: 'replay',
+        metered: false,
+        supports: () => true,
+        request: async (endpoint, params) => {
+            const key = recordingKey(endpoint, params);
+            const recording = readJsonFile(recordingPath(dir, key), null);
+            if (!recording) {
+                const error = new Error(`Sin grabación para ${key}`);
+                error.status = 503;
+                error.code = 'RECORDING_NOT_FOUND';
+                throw error;
+            }
+            return { data: recording.data, headers: {} };
+        },
+    };
+}
+
+module.exports = {
+    RECORDINGS_DIR,
+    recordingKey,
+    createRecordingProvider,
+    createReplayProvider,
+};
@@ -0,0 +1,184 @@
+// backend/lib/scoreMatrix.js
+// Modelo de marcador Dixon-Coles: matriz completa de probabilidades por marcador exacto.
+
+// Parámetro de dependencia por defecto (valor típico en ligas europeas, ρ < 0 favorece 0-0 y 1-1)
+const DEFAULT_RHO = -0.13;
+// Masa residual máxima que aceptamos fuera de la matriz antes de dejar de ampliarla
+const RESIDUAL_EPSILON = 1e-6;
+// Límite duro de goles por equipo para no crecer indefinidamente con lambdas absurdas
+const MAX_GOALS_CAP = 25;
+
+function factorial(n) { if (n === 0) return 1; let res = 1; for (let i = 2; i <= n; i++) res *= i; return res;}
+function poissonPMF(k, lambda) { if (lambda < 0) return 0; return (Math.pow(lambda, k) * Math.exp(-lambda)) / factorial(k);}
+
+/**
+ * Función de acumulación de Poisson P(X <= k).
+ * @param {number} k
+ * @param {number} lambda
+ * @returns {number}
+ */
+function poissonCDF(k, lambda) {
+    let total = 0;
+    for (let i = 0; i <= k; i++) total += poissonPMF(i, lambda);
+    return total;
+}
+
+/**
+ * Restringe ρ al rango donde todas las correcciones τ son no negativas.
+ * @param {number} rho
+ * @param {number} lambdaHome
+ * @param {number} lambdaAway
+ * @returns {number}
+ */
+function clampRho(rho, lambdaHome, lambdaAway) {
+    const lower = Math.max(-1 / (lambdaHome || 1), -1 / (lambdaAway || 1));
+    const upper = Math.min(1 / ((lambdaHome * lambdaAway) || 1), 1);
+    return Math.min(Math.max(rho, lower), upper);
+}
+
+/**
+ * Factor de corrección τ de Dixon-Coles para marcadores bajos.
+ * @param {number} hg - Goles del local.
+ * @param {number} ag - Goles del visitante.
+ * @param {number} lambdaHome
+ * @param {number} lambdaAway
+ * @param {number} rho
+ * @returns {number}
+ */
+function dixonColesTau(hg, ag, lambdaHome, lambdaAway, rho) {
+    if (hg === 0 && ag === 0) return 1 - lambdaHome * lambdaAway * rho;
+    if (hg === 0 && ag === 1) return 1 + lambdaHome * rho;
+    if (hg === 1 && ag === 0) return 1 + lambdaAway * rho;
+    if (hg === 1 && ag === 1) return 1 - rho;
+    return 1;
+}
+
+/**
+ * Construye la matriz de marcadores exactos con el modelo Dixon-Coles.
+ * La rejilla crece hasta que la masa que queda fuera es despreciable y después se renormaliza.
+ * @param {number} lambdaHome - Goles esperados del local.
+ * @param {number} lambdaAway - Goles esperados del visitante.
+ * @param {object} [options]
+ * @param {number} [options.rho] - Parámetro de dependencia de Dixon-Coles.
+ * @param {number} [options.epsilon] - Masa residual tolerada fuera de la rejilla.
+ * @returns {{matrix: number[][], maxGoals: number, rho: number, residualMass: number}}
+ */
+function buildScoreMatrix(lambdaHome, lambdaAway, options = {}) {
+    const epsilon = options.epsilon ?? RESIDUAL_EPSILON;
+    const lh = Math.max(0.01, lambdaHome);
+    const la = Math.max(0.01, lambdaAway);
+    const rho = clampRho(options.rho ?? DEFAULT_RHO, lh, la);
+
+    // Las correcciones τ no cambian la masa total, así que el residual sale de las marginales de Poisson
+    let maxGoals = 5;
+    let residualMass = 1 - poissonCDF(maxGoals, lh) * poissonCDF(maxGoals, la);
+    while (residualMass > epsilon && maxGoals < MAX_GOALS_CAP) {
+        maxGoals++;
+        residualMass = 1 - poissonCDF(maxGoals, lh) * poissonCDF(maxGoals, la);
+    }
+
+    const matrix = [];
+    let total = 0;
+    for (let hg = 0; hg <= maxGoals; hg++) {
+        const row = [];
+        for (let ag = 0; ag <= maxGoals; ag++) {
+            const p = poissonPMF(hg, lh) * poissonPMF(ag, la) * dixonColesTau(hg, ag, lh, la, rho);
+            row.push(p);
+            total += p;
+        }
+        matrix.push(row);
+    }
+    if (total > 0) {
+        for (const row of matrix) for (let ag = 0; ag < row.length; ag++) row[ag] /= total;
+    }
+
+    return { matrix, maxGoals, rho, residualMass: Math.max(0, residualMass) };
+}
+
+/**
+ * Suma la probabilidad de todos los marcadores que cumplen una condición.
+ * @param {number[][]} matrix
+ * @param {(hg: number, ag: number) => boolean} predicate
+ * @returns {number}
+ */
+function sumWhere(matrix, predicate) {
+    let total = 0;
+    for (let hg = 0; hg < matrix.length; hg++) {
+        for (let ag = 0; ag < matrix[hg].length; ag++) {
+            if (predicate(hg, ag)) total += matrix[hg][ag];
+        }
+    }
+    return total;
+}
+
+/**
+ * Reescala la matriz para que sus probabilidades 1X2 coincidan con las indicadas,
+ * conservando la forma relativa de los marcadores dentro de cada resultado.
+ * @param {number[][]} matrix
+ * @param {{home:number, draw:number, away:number}} target
+ * @returns {number[][]} Nueva matriz.
+ */
+function rescaleToOutcomes(matrix, target) {
+    const current = {
+        home: sumWhere(matrix, (hg, ag) => hg > ag),
+        draw: sumWhere(matrix, (hg, ag) => hg === ag),
+        away: sumWhere(matrix, (hg, ag) => hg < ag),
+    };
+    const targetTotal = (target.home + target.draw + target.away) || 1;
+    const factor = (key) => current[key] > 0 ? (target[key] / targetTotal) / current[key] : 0;
+    const factors = { home: factor('home'), draw: factor('draw'), away: factor('away') };
+
+    return matrix.map((row, hg) => row.map((p, ag) => {
+        if (hg > ag) return p * factors.home;
+        if (hg < ag) return p * factors.away;
+        return p * factors.draw;
+    }));
+}
+
+/**
+ * Marcador exacto más probable, opcionalmente restringido por una condición.
+ * @param {number[][]} matrix
+ * @param {(hg: number, ag: number) => boolean} [predicate]
+ * @returns {{home:number, away:number, probability:number}}
+ */
+function mostProbableScore(matrix, predicate = () => true) {
+    let best = { home: 0, away: 0, probability: -1 };
+    for (let hg = 0; hg < matrix.length; hg++) {
+        for (let ag = 0; ag < matrix[hg].length; ag++) {
+            if (predicate(hg, ag) && matrix[hg][ag] > best.probability) {
+                best = { home: hg, away: ag, probability: matrix[hg][ag] };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Deriva los mercados principales a partir de una única matriz de marcadores.
+ * @param {number[][]} matrix
+ * @returns {{homeWin:number, draw:number, awayWin:number, btts:number, over2_5:number, under2_5:number, mostProbable:{home:number, away:number, probability:number}}}
+ */
+function summarizeScoreMatrix(matrix) {
+    const over2_5 = sumWhere(matrix, (hg, ag) => hg + ag > 2.5);
+    return {
+        homeWin: sumWhere(matrix, (hg, ag) => hg > ag),
+        draw: sumWhere(matrix, (hg, ag) => hg === ag),
+        awayWin: sumWhere(matrix, (hg, ag) => hg < ag),
+        btts: sumWhere(matrix, (hg, ag) => hg > 0 && ag > 0),
+        over2_5,
+        under2_5: 1 - over2_5,
+        mostProbable: mostProbableScore(matrix),
+    };
+}
+
+module.exports = {
+    DEFAULT_RHO,
+    poissonPMF,
+    poissonCDF,
+    dixonColesTau,
+    buildScoreMatrix,
+    sumWhere,
+    rescaleToOutcomes,
+    mostProbableScore,
+    summarizeScoreMatrix,
+};
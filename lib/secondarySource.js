@@ -0,0 +1,70 @@
+// backend/lib/secondarySource.js
+// Fuente de datos secundaria (SECONDARY_PROVIDER, ej: football-data-csv) para completar lo que
+// API-Football no tiene: estadísticas, clasificación, resultados y cuotas de ligas con huecos.
+// Los equipos se traducen con la tabla de equivalencias (idMappings.js), que se completa sola por nombre.
+const { cachedApiCall } = require('./apiFootball');
+const { createDataProvider } = require('./dataProvider');
+
+const SECONDARY_PROVIDER = process.env.SECONDARY_PROVIDER || null;
+const secondaryProvider = SECONDARY_PROVIDER ? createDataProvider(SECONDARY_PROVIDER) : null;
+// Los nombres de los equipos no cambian
+const TEAM_TTL = 7 * 24 * 3600 * 1000;
+
+/**
+ * Aprende la equivalencia de los equipos que aún no la tienen (por su nombre en API-Football).
+ * Endpoint: /teams?id=
+ * @param {number[]} teamIds
+ * @param {number} [leagueId]
+ */
+async function ensureTeamsMapped(teamIds, leagueId) {
+    if (!secondaryProvider.mapTeam) return;
+    for (const teamId of teamIds) {
+        if (secondaryProvider.hasTeam(teamId)) continue;
+        const data = await cachedApiCall('/teams', { id: teamId }, TEAM_TTL);
+        const name = data.response?.[0]?.team?.name;
+        if (name) secondaryProvider.mapTeam(teamId, name, leagueId);
+    }
+}
+
+/**
+ * Llama a la fuente secundaria con parámetros de API-Football.
+ * @param {string} endpoint
+ * @param {object} params
+ * @param {object} [options]
+ * @param {number[]} [options.teams] - Equipos de la petición (se mapean antes si hace falta).
+ * @param {number} [options.leagueId] - Liga donde buscar esos equipos.
+ * @returns {Promise<object|null>} Respuesta en formato API-Football, o null sin fuente secundaria o si falla.
+ */
+async function secondaryApiCall(endpoint, params, options = {}) {
+    if (!secondaryProvider || !secondaryProvider.supports(endpoint)) return null;
+    try {
+        await ensureTeamsMapped(options.teams || [], options.leagueId);
+        const { data } = await secondaryProvider.request(endpoint, params);
+        return data;
+    } catch (error) {
+        console.warn(`⚠️ Fuente secundaria ${secondaryProvider.name} falló en ${endpoint}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Cuotas del próximo partido entre dos equipos en la fuente secundaria (sus partidos tienen otros IDs,
+ * así que se busca por enfrentamiento).
+ * @param {number} homeTeamId
+ * @param {number} awayTeamId
+ * @param {number} [leagueId]
+ * @returns {Promise<object[]>} Bookmakers en formato /odds (vacío si no hay).
+ */
+async function fetchSecondaryBookmakers(homeTeamId, awayTeamId, leagueId) {
+    const upcoming = await secondaryApiCall('/fixtures/headtohead', { h2h: `${homeTeamId}-${awayTeamId}`, next: 1 }, { teams: [homeTeamId, awayTeamId], leagueId });
+    const fixture = upcoming?.response?.[0];
+    if (!fixture || fixture.teams.home.id !== homeTeamId) return [];
+    const odds = await secondaryApiCall('/odds', { fixture: fixture.fixture.id });
+    return odds?.response?.[0]?.bookmakers || [];
+}
+
+module.exports = {
+    SECONDARY_PROVIDER,
+    secondaryApiCall,
+    fetchSecondaryBookmakers,
+};
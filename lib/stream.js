@@ -0,0 +1,274 @@
+// backend/lib/stream.js
+// Server-Sent Events: un único poller de partidos en vivo reparte los cambios a todos los suscriptores,
+// así las llamadas a API-Football no crecen con el número de clientes conectados.
+const { cachedApiCall } = require('./apiFootball');
+const { fetchLiveFixtures, priceLiveFixture, LIVE_FIXTURES_TTL } = require('./live');
+const { runWithPriority } = require('./quota');
+
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_MS || LIVE_FIXTURES_TTL);
+// Comentario periódico para que proxies y navegadores no corten la conexión
+const HEARTBEAT_MS = 25 * 1000;
+// Cambio mínimo (0-1) en alguna probabilidad 1X2 para emitir una predicción nueva
+const PREDICTION_CHANGE_THRESHOLD = 0.01;
+// Estados finales que emitimos cuando un partido sale de la lista en vivo
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN', 'ABD', 'AWD', 'WO', 'CANC', 'PST'];
+
+const subscribers = new Set();
+// Último estado conocido por fixture: { match, odds }
+const fixtureStates = new Map();
+let nextSubscriberId = 1;
+let pollTimer = null;
+let heartbeatTimer = null;
+let polling = false;
+let lastPollAt = null;
+
+/**
+ * Escribe un evento SSE.
+ * @param {object} res - Respuesta de Express.
+ * @param {string} event
+ * @param {object} data
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * ¿Le interesa este partido al suscriptor?
+ * @param {object} subscriber
+ * @param {number} fixtureId
+ * @param {number} leagueId
+ * @returns {boolean}
+ */
+function isSubscribed(subscriber, fixtureId, leagueId) {
+    return subscriber.fixtureIds.has(fixtureId) || subscriber.leagueIds.has(leagueId);
+}
+
+/**
+ * Envía un evento a todos los suscriptores interesados en el partido.
+ * @param {string} event
+ * @param {number} fixtureId
+ * @param {number} leagueId
+ * @param {object} data
+ */
+function broadcast(event, fixtureId, leagueId, data) {
+    for (const subscriber of subscribers) {
+        if (isSubscribed(subscriber, fixtureId, leagueId)) writeEvent(subscriber.res, event, data);
+    }
+}
+
+/**
+ * Cuotas 1X2 en vivo de todos los partidos (una sola llamada a /odds/live).
+ * @returns {Promise<Map<number, {home:number, draw:number, away:number}>>}
+ */
+async function fetchLiveOdds() {
+    const oddsByFixture = new Map();
+    const data = await cachedApiCall('/odds/live', {}, LIVE_FIXTURES_TTL, { staleMs: LIVE_FIXTURES_TTL });
+    for (const item of data.response || []) {
+        const bet = (item.odds || []).find(b => ['Fulltime Result', 'Match Winner', '1x2'].includes(b.name));
+        if (!bet) continue;
+        const odds = {};
+        for (const v of bet.values || []) {
+            if (v.suspended) continue;
+            const key = { Home: 'home', Draw: 'draw', Away: 'away' }[v.value];
+            if (key) odds[key] = parseFloat(v.odd);
+        }
+        if (odds.home && odds.draw && odds.away) oddsByFixture.set(item.fixture.id, odds);
+    }
+    return oddsByFixture;
+}
+
+/**
+ * ¿Cambió alguna probabilidad 1X2 más que el umbral?
+ * @param {object|undefined} previous
+ * @param {object} current
+ * @returns {boolean}
+ */
+function predictionChanged(previous, current) {
+    if (!current.priced) return false;
+    if (!previous || !previous.priced) return true;
+    return ['home', 'draw', 'away'].some(key =>
+        Math.abs(previous.probabilities[key] - current.probabilities[key]) >= PREDICTION_CHANGE_THRESHOLD);
+}
+
+/**
+ * Datos comunes de cada evento.
+ * @param {object} match
+ * @returns {object}
+ */
+function eventBase(match) {
+    return {
+        fixture_id: match.fixture_id,
+        league_id: match.league_id,
+        home_team: match.home_team,
+        away_team: match.away_team,
+        status: match.status,
+        elapsed: match.elapsed,
+        score: match.score,
+    };
+}
+
+/**
+ * Emite el estado final de los partidos seguidos que ya no aparecen en vivo.
+ * @param {number[]} fixtureIds
+ */
+async function emitFinished(fixtureIds) {
+    for (let i = 0; i < fixtureIds.length; i += 20) {
+        const chunk = fixtureIds.slice(i, i + 20);
+        const data = await cachedApiCall('/fixtures', { ids: chunk.join('-') }, LIVE_FIXTURES_TTL, { staleMs: 0 });
+        for (const fixture of data.response || []) {
+            const status = fixture.fixture.status?.short;
+            const state = fixtureStates.get(fixture.fixture.id);
+            if (!state || !FINISHED_STATUSES.includes(status)) continue;
+            const match = {
+                ...state.match,
+                status,
+                elapsed: fixture.fixture.status?.elapsed ?? state.match.elapsed,
+                score: { home: fixture.goals.home ?? 0, away: fixture.goals.away ?? 0 },
+            };
+            broadcast('status', match.fixture_id, match.league_id, { ...eventBase(match), previous_status: state.match.status });
+        }
+        chunk.forEach(id => fixtureStates.delete(id));
+    }
+}
+
+/**
+ * Un ciclo del poller: pide los partidos en vivo y las cuotas una sola vez,
+ * reprecia los partidos que alguien sigue y emite los cambios.
+ */
+async function pollOnce() {
+    if (polling || subscribers.size === 0) return;
+    polling = true;
+    try {
+        const fixtures = await fetchLiveFixtures();
+        const oddsByFixture = await fetchLiveOdds().catch(error => {
+            console.warn('⚠️ Stream: cuotas en vivo no disponibles:', error.message);
+            return new Map();
+        });
+        const liveIds = new Set(fixtures.map(f => f.fixture.id));
+        const seen = new Set();
+
+        for (const fixture of fixtures) {
+            const fixtureId = fixture.fixture.id;
+            const leagueId = fixture.league.id;
+            if (![...subscribers].some(s => isSubscribed(s, fixtureId, leagueId))) continue;
+            seen.add(fixtureId);
+
+            let match;
+            try {
+                match = await priceLiveFixture(fixture);
+            } catch (error) {
+                console.warn(`⚠️ Stream: no se pudo repreciar el fixture ${fixtureId}:`, error.message);
+                continue;
+            }
+            const previous = fixtureStates.get(fixtureId);
+            const odds = oddsByFixture.get(fixtureId) || previous?.odds || null;
+
+            if (previous && (previous.match.score.home !== match.score.home || previous.match.score.away !== match.score.away)) {
+                broadcast('score', fixtureId, leagueId, { ...eventBase(match), previous_score: previous.match.score });
+            }
+            if (previous && previous.match.status !== match.status) {
+                broadcast('status', fixtureId, leagueId, { ...eventBase(match), previous_status: previous.match.status });
+            }
+            if (odds && previous?.odds && ['home', 'draw', 'away'].some(k => odds[k] !== previous.odds[k])) {
+                broadcast('odds', fixtureId, leagueId, { ...eventBase(match), odds, previous_odds: previous.odds });
+            }
+            if (predictionChanged(previous?.match, match)) {
+                broadcast('prediction', fixtureId, leagueId, match);
+            }
+            fixtureStates.set(fixtureId, { match, odds });
+        }
+
+        // Partidos que salieron de la lista en vivo: normalmente terminaron (FT)
+        const gone = [...fixtureStates.keys()].filter(id => !liveIds.has(id));
+        if (gone.length > 0) await emitFinished(gone);
+        // Partidos que ya nadie sigue
+        for (const id of fixtureStates.keys()) {
+            if (liveIds.has(id) && !seen.has(id)) fixtureStates.delete(id);
+        }
+        lastPollAt = new Date().toISOString();
+    } catch (error) {
+        console.error('❌ Stream: error consultando partidos en vivo:', error.message);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * Arranca el poller y el heartbeat si aún no están corriendo.
+ */
+function ensurePolling() {
+    if (pollTimer) return;
+    // Las llamadas del poller van por delante en la cola de la API
+    const poll = () => runWithPriority('live', pollOnce);
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    heartbeatTimer = setInterval(() => {
+        for (const subscriber of subscribers) subscriber.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    poll();
+}
+
+/**
+ * Detiene el poller cuando no quedan suscriptores (sin clientes no se gasta cuota).
+ */
+function stopPollingIfIdle() {
+    if (subscribers.size > 0 || !pollTimer) return;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = null;
+    heartbeatTimer = null;
+    fixtureStates.clear();
+}
+
+/**
+ * Suscribe una respuesta SSE a partidos y/o ligas.
+ * Envía de inmediato un "snapshot" con el último estado conocido de lo suscrito.
+ * @param {object} res - Respuesta de Express con las cabeceras SSE ya enviadas.
+ * @param {object} filters
+ * @param {number[]} [filters.fixtureIds]
+ * @param {number[]} [filters.leagueIds]
+ * @returns {function(): void} Función para cancelar la suscripción.
+ */
+function subscribe(res, { fixtureIds = [], leagueIds = [] }) {
+    const subscriber = {
+        id: nextSubscriberId++,
+        res,
+        fixtureIds: new Set(fixtureIds),
+        leagueIds: new Set(leagueIds),
+    };
+    subscribers.add(subscriber);
+
+    const snapshot = [...fixtureStates.values()]
+        .filter(state => isSubscribed(subscriber, state.match.fixture_id, state.match.league_id))
+        .map(state => ({ ...state.match, odds: state.odds }));
+    writeEvent(res, 'snapshot', {
+        subscriber_id: subscriber.id,
+        fixtures: [...subscriber.fixtureIds],
+        leagues: [...subscriber.leagueIds],
+        matches: snapshot,
+    });
+    ensurePolling();
+
+    return () => {
+        subscribers.delete(subscriber);
+        stopPollingIfIdle();
+    };
+}
+
+/**
+ * Estado del stream (para monitoreo).
+ * @returns {{subscribers:number, tracked_fixtures:number, poll_interval_ms:number, last_poll_at:string|null}}
+ */
+function getStreamStats() {
+    return {
+        subscribers: subscribers.size,
+        tracked_fixtures: fixtureStates.size,
+        poll_interval_ms: POLL_INTERVAL_MS,
+        last_poll_at: lastPollAt,
+    };
+}
+
+module.exports = {
+    POLL_INTERVAL_MS,
+    subscribe,
+    getStreamStats,
+};
@@ -0,0 +1,62 @@
+// backend/lib/timezone.js
+// Zonas horarias IANA: validación y fecha de "hoy" en la zona del usuario (no en UTC).
+// REPLAY_DATE=YYYY-MM-DD fija "hoy" para reproducir grabaciones de otro día (DATA_PROVIDER=replay):
+// las peticiones por fecha del día (parleys, value bets, precálculo) usan entonces esa fecha.
+
+// Zona por defecto de fechas y horarios de partidos
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Mexico_City';
+
+// Reloj de reproducción: fecha fija de "hoy" o null para usar la real
+const REPLAY_DATE = process.env.REPLAY_DATE || null;
+if (REPLAY_DATE && !/^\d{4}-\d{2}-\d{2}$/.test(REPLAY_DATE)) {
+    throw new Error(`REPLAY_DATE inválida: ${REPLAY_DATE} (usa YYYY-MM-DD)`);
+}
+
+/**
+ * Indica si una zona horaria IANA es válida (ej: 'America/Bogota', 'Europe/Madrid', 'UTC').
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Instante actual según el reloj de reproducción: la hora real trasladada a REPLAY_DATE
+ * (días completos), o la hora real si no hay REPLAY_DATE.
+ * @returns {number} Milisegundos desde epoch.
+ */
+function currentTime() {
+    const now = Date.now();
+    if (!REPLAY_DATE) return now;
+    const dayMs = 24 * 3600 * 1000;
+    return Date.parse(`${REPLAY_DATE}T00:00:00Z`) + (now % dayMs);
+}
+
+/**
+ * Fecha (YYYY-MM-DD) de un instante en una zona horaria.
+ * Sin instante es la fecha de hoy, o REPLAY_DATE si está fijada.
+ * @param {string} [timeZone]
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function dateInTimeZone(timeZone = DEFAULT_TIMEZONE, date) {
+    if (!date && REPLAY_DATE) return REPLAY_DATE;
+    date = date || new Date();
+    // en-CA formatea como YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    REPLAY_DATE,
+    isValidTimeZone,
+    currentTime,
+    dateInTimeZone,
+};
@@ -0,0 +1,152 @@
+// backend/lib/valueBets.js
+// Detector de value bets: compara el modelo con las cuotas de todas las casas y sugiere stake Kelly.
+const { cachedApiCall } = require('./apiFootball');
+const { getMatchPrediction, fetchFixtureBookmakerOdds } = require('./prediction');
+const { priceMarkets, priceCountMarkets, expectedValue, selectionKey } = require('./markets');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { DEFAULT_CONCURRENCY, mapWithConcurrency } = require('./concurrency');
+
+// Fracción de Kelly por defecto (Kelly completo es demasiado agresivo con errores de modelo)
+const DEFAULT_KELLY_FRACTION = 0.25;
+// Stake máximo sugerido, en fracción del bankroll
+const MAX_STAKE_FRACTION = 0.05;
+
+/**
+ * Fracción de Kelly completa para una apuesta.
+ * En mercados con push se usa la probabilidad equivalente (acierto / (acierto + fallo)).
+ * @param {number} probability - Probabilidad estimada de acierto (0-1).
+ * @param {number} odd - Cuota decimal.
+ * @returns {number} Fracción del bankroll (0 si no hay ventaja).
+ */
+function kellyFraction(probability, odd) {
+    if (!odd || odd <= 1) return 0;
+    return Math.max(0, (probability * odd - 1) / (odd - 1));
+}
+
+/**
+ * Compara la predicción de un partido con las cuotas de todas las casas.
+ * @param {object} fixture - Fixture de API-Football.
+ * @param {object} prediction - Respuesta de getMatchPrediction.
+ * @param {Array<{bookmaker: object, lines: object[]}>} bookmakerOdds - Salida de fetchFixtureBookmakerOdds.
+ * @param {object} [options]
+ * @param {number} [options.minEdge] - Valor esperado mínimo (0.05 = 5%).
+ * @param {number} [options.kellyMultiplier] - Fracción de Kelly a aplicar.
+ * @returns {object[]} Selecciones con valor esperado >= minEdge.
+ */
+function evaluateFixtureValueBets(fixture, prediction, bookmakerOdds, options = {}) {
+    const minEdge = options.minEdge ?? 0;
+    const kellyMultiplier = options.kellyMultiplier ?? DEFAULT_KELLY_FRACTION;
+    const allLines = bookmakerOdds.flatMap(b => b.lines);
+    const { corners, cards } = prediction.predictions;
+    const priced = [
+        ...priceMarkets(prediction.predictions.score_matrix.probabilities, allLines),
+        ...priceCountMarkets({ corners: corners?.total, cards: cards?.total }, allLines),
+    ];
+    const valueBets = [];
+
+    // Cotizaciones por selección de todas las casas
+    const quotesByKey = new Map();
+    for (const b of bookmakerOdds) {
+        for (const line of b.lines) {
+            const key = selectionKey(line.market, line.selection, line.line);
+            if (!quotesByKey.has(key)) quotesByKey.set(key, []);
+            quotesByKey.get(key).push({ bookmaker: b.bookmaker.name, odd: line.odd });
+        }
+    }
+
+    for (const entry of priced) {
+        const quotes = quotesByKey.get(selectionKey(entry.market, entry.selection, entry.line)) || [];
+        if (quotes.length === 0) continue;
+
+        const best = quotes.reduce((a, b) => b.odd > a.odd ? b : a);
+        const edge = expectedValue(entry.outcomes, best.odd);
+        if (edge < minEdge) continue;
+
+        const fullKelly = kellyFraction(entry.probability, best.odd);
+        valueBets.push({
+            fixture_id: fixture.fixture.id,
+            home_team: fixture.teams.home.name,
+            away_team: fixture.teams.away.name,
+            competition_name: fixture.league.name,
+            starting_at: fixture.fixture.date,
+            market: entry.market,
+            selection: entry.selection,
+            line: entry.line,
+            model_probability: parseFloat((entry.probability * 100).toFixed(1)),
+            fair_odd: entry.fair_odd ? parseFloat(entry.fair_odd.toFixed(2)) : null,
+            best_odd: best.odd,
+            best_bookmaker: best.bookmaker,
+            average_odd: parseFloat((quotes.reduce((sum, q) => sum + q.odd, 0) / quotes.length).toFixed(2)),
+            bookmakers_quoted: quotes.length,
+            implied_probability: parseFloat((100 / best.odd).toFixed(1)),
+            edge_percent: parseFloat((edge * 100).toFixed(2)),
+            kelly_full_percent: parseFloat((fullKelly * 100).toFixed(2)),
+            suggested_stake_percent: parseFloat((Math.min(fullKelly * kellyMultiplier, MAX_STAKE_FRACTION) * 100).toFixed(2)),
+            quotes: quotes.sort((a, b) => b.odd - a.odd),
+        });
+    }
+    return valueBets;
+}
+
+/**
+ * Busca value bets en los partidos de una fecha para varias ligas.
+ * @param {object} options
+ * @param {string} options.date - Fecha YYYY-MM-DD.
+ * @param {Array<{league:number, season:number}>} options.leagues
+ * @param {number} [options.minEdge]
+ * @param {number} [options.kellyMultiplier]
+ * @param {string} [options.timezone] - Zona horaria IANA en la que se interpreta la fecha.
+ * @returns {Promise<{value_bets: object[], fixtures_scanned: number, errors: object[]}>}
+ */
+async function scanValueBets({ date, leagues, minEdge, kellyMultiplier, timezone = DEFAULT_TIMEZONE }) {
+    const valueBets = [];
+    const errors = [];
+    let fixturesScanned = 0;
+
+    for (const leagueInfo of leagues) {
+        let fixturesData;
+        try {
+            fixturesData = await cachedApiCall('/fixtures', {
+                league: leagueInfo.league,
+                season: leagueInfo.season,
+                date,
+                timezone,
+            }, 60 * 60 * 1000);
+        } catch (error) {
+            errors.push({ league: leagueInfo.league, error: error.message });
+            continue;
+        }
+
+        // Solo partidos que no han empezado
+        const upcoming = (fixturesData.response || []).filter(f => ['NS', 'TBD'].includes(f.fixture?.status?.short));
+        fixturesScanned += upcoming.length;
+        const evaluated = await mapWithConcurrency(upcoming, DEFAULT_CONCURRENCY, async fixture => {
+            const bookmakerOdds = await fetchFixtureBookmakerOdds(fixture.fixture.id);
+            if (bookmakerOdds.length === 0) return [];
+            const prediction = await getMatchPrediction(
+                fixture.teams.home.id,
+                fixture.teams.away.id,
+                fixture.league.id,
+                fixture.league.season,
+                fixture.fixture.id,
+                {},
+                { kickoff: fixture.fixture.date }
+            );
+            return evaluateFixtureValueBets(fixture, prediction, bookmakerOdds, { minEdge, kellyMultiplier });
+        });
+        evaluated.forEach((outcome, i) => {
+            if (outcome.status === 'fulfilled') valueBets.push(...outcome.value);
+            else errors.push({ fixture_id: upcoming[i].fixture.id, error: outcome.reason.message });
+        });
+    }
+
+    valueBets.sort((a, b) => b.edge_percent - a.edge_percent);
+    return { value_bets: valueBets, fixtures_scanned: fixturesScanned, errors };
+}
+
+module.exports = {
+    DEFAULT_KELLY_FRACTION,
+    kellyFraction,
+    evaluateFixtureValueBets,
+    scanValueBets,
+};
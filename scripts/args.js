@@ -0,0 +1,27 @@
+// backend/scripts/args.js
+// Argumentos de línea de comandos compartidos por los scripts de consola (backtest, calibrate).
+
+/**
+ * Convierte los argumentos "--clave valor" / "--bandera" en un objeto con claves camelCase.
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2).replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+        const next = argv[i + 1];
+        if (next === undefined || (next.startsWith('--') && isNaN(parseFloat(next)))) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+module.exports = {
+    parseArgs,
+};
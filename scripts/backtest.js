@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// backend/scripts/backtest.js
+// Backtesting desde consola:
+//   node scripts/backtest.js --league 253 --season 2024 [--home-advantage 1.3] [--form-weight 0.3] [--h2h-weight 0.3]
+//     [--market-weight 0.3] [--rho -0.1] [--min-matches 3] [--no-h2h] [--odds] [--min-edge 0.05]
+//     [--matches] [--json]
+require('dotenv').config();
+const { runBacktest, parseModelParams } = require('../lib/backtest');
+const { parseArgs } = require('./args');
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.league || !args.season) {
+        console.error('Uso: node scripts/backtest.js --league <id> --season <año> [--home-advantage n] [--h2h-weight n] [--market-weight n] [--rho n] [--odds] [--json]');
+        process.exit(1);
+    }
+
+    const report = await runBacktest({
+        league: args.league,
+        season: args.season,
+        params: parseModelParams(args),
+        minMatches: args.minMatches !== undefined ? parseInt(args.minMatches) : undefined,
+        useH2H: !args.noH2h,
+        useOdds: args.odds === true,
+        minEdge: args.minEdge !== undefined ? parseFloat(args.minEdge) : undefined,
+        includeMatches: args.matches === true,
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`📊 Backtest liga ${report.league}, temporada ${report.season}`);
+    console.log(`   Parámetros: ${JSON.stringify(report.params)}`);
+    console.log(`   Partidos: ${report.fixtures} (predichos ${report.predicted}, omitidos ${report.skipped})`);
+    console.log(`   Acierto 1X2: ${report.metrics.accuracy_1x2}%  |  Log loss: ${report.metrics.log_loss_1x2}  |  Brier: ${report.metrics.brier_1x2}`);
+    console.log(`   Acierto BTTS: ${report.metrics.btts_accuracy}%  |  Acierto +/-2.5: ${report.metrics.over_2_5_accuracy}%`);
+    if (report.options.useOdds) {
+        console.log(`   Apuestas: ${report.betting.bets} (${report.betting.wins} ganadas) sobre ${report.betting.fixtures_with_odds} partidos con cuotas`);
+        console.log(`   Beneficio: ${report.betting.profit} u  |  ROI: ${report.betting.roi_percent}%`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error en el backtest:', error.message);
+    process.exit(1);
+});
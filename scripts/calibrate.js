@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// backend/scripts/calibrate.js
+// Calibración de parámetros por liga desde consola:
+//   node scripts/calibrate.js --league 253[,98,128] [--seasons 2022,2023,2024] [--no-h2h] [--odds]
+//     [--min-matches 3] [--dry-run] [--force] [--json]
+// La última temporada queda fuera de muestra. Los parámetros se guardan en config/model-params.json
+// (versionado en git junto con el código) y el servidor los carga al arrancar.
+require('dotenv').config();
+const { calibrateLeague } = require('../lib/calibration');
+const { getCalibrationReport } = require('../lib/modelParams');
+const { parseLeagueIds } = require('../lib/leagues');
+const { parseArgs } = require('./args');
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.league === true) {
+        console.error('Uso: node scripts/calibrate.js [--league <id>[,<id>...]] [--seasons 2022,2023,2024] [--no-h2h] [--odds] [--dry-run] [--force] [--json]');
+        process.exit(1);
+    }
+
+    // Sin --league se calibran todas las ligas escaneadas
+    const leagues = parseLeagueIds(args.league);
+    const seasons = typeof args.seasons === 'string' ? args.seasons.split(',').map(s => parseInt(s)).filter(s => !isNaN(s)) : undefined;
+    const reports = [];
+
+    for (const league of leagues) {
+        try {
+            reports.push(await calibrateLeague({
+                league,
+                seasons,
+                useH2H: !args.noH2h,
+                useOdds: args.odds === true,
+                minMatches: args.minMatches !== undefined ? parseInt(args.minMatches) : undefined,
+                save: !args.dryRun,
+                force: args.force === true,
+            }));
+        } catch (error) {
+            reports.push({ league, error: error.message });
+        }
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({ fits: reports, history: getCalibrationReport().history }, null, 2));
+        return;
+    }
+
+    for (const report of reports) {
+        if (report.error) {
+            console.log(`⚠️ Liga ${report.league}: ${report.error}`);
+            continue;
+        }
+        const { stats } = report;
+        const oos = stats.out_of_sample;
+        console.log(`📐 Calibración liga ${report.league} (temporadas ${stats.seasons.join(', ')})${report.version ? ` → versión ${report.version}` : ' (sin guardar)'}`);
+        console.log(`   Partidos: ${stats.train_samples} de entrenamiento (${stats.train_samples_with_odds} con cuotas), ${stats.test_samples} fuera de muestra`);
+        for (const key of stats.fitted) {
+            console.log(`   ${key}: ${report.previous_params[key]} → ${report.params[key]}`);
+        }
+        console.log(`   Log loss entrenamiento: ${stats.train_log_loss.before} → ${stats.train_log_loss.after}`);
+        console.log(`   Log loss fuera de muestra${oos.season ? ` (${oos.season})` : ''}: ${oos.log_loss_before} → ${oos.log_loss_after} (${oos.change >= 0 ? '+' : ''}${oos.change})`);
+        console.log(`   ${report.applied ? '✅ Aplicado' : '⏸️ No aplicado: empeora fuera de muestra (usa --force para aplicarlo)'}`);
+    }
+
+    // Historial: cómo cambió el log loss fuera de muestra en cada reajuste
+    const history = getCalibrationReport().history.filter(h => leagues.includes(h.league));
+    if (history.length > 0) {
+        console.log('\n🕘 Historial de reajustes:');
+        for (const entry of history) {
+            const oos = entry.out_of_sample;
+            console.log(`   v${entry.version}  liga ${entry.league}  ${entry.fitted_at.slice(0, 10)}  ${oos.log_loss_before} → ${oos.log_loss_after} (${oos.change >= 0 ? '+' : ''}${oos.change})${entry.applied ? '' : '  [no aplicado]'}`);
+        }
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error en la calibración:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// backend/scripts/check-csv-provider.js
+// Comprueba el proveedor de CSV de football-data.co.uk con los archivos de ejemplo de
+// scripts/samples/football-data (extractos con el formato de E0.csv y MEX.csv y su tabla de equivalencias):
+//   node scripts/check-csv-provider.js
+// La tabla se copia a una carpeta temporal porque mapTeam la modifica.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SAMPLES_DIR = path.join(__dirname, 'samples', 'football-data');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'football-data-'));
+process.env.FOOTBALL_DATA_CSV_DIR = SAMPLES_DIR;
+process.env.ID_MAPPINGS_FILE = path.join(workDir, 'id-mappings.json');
+fs.copyFileSync(path.join(SAMPLES_DIR, 'id-mappings.json'), process.env.ID_MAPPINGS_FILE);
+
+const { parseCsv, rowToMatch, createCsvProvider } = require('../lib/csvProvider');
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('parseCsv: comillas, comas dentro de campos, \\r\\n y líneas vacías', () => {
+    const rows = parseCsv('a,b,c\r\n"x, y","di ""hola""",3\r\n\r\n4,5,\n');
+    assert.deepStrictEqual(rows, [['a', 'b', 'c'], ['x, y', 'di "hola"', '3'], ['4', '5', '']]);
+});
+
+check('rowToMatch: formato de ligas principales (E0)', () => {
+    const match = rowToMatch({
+        Div: 'E0', Date: '16/08/24', Time: '20:00', HomeTeam: 'Man United', AwayTeam: 'Fulham',
+        FTHG: '1', FTAG: '0', HC: '7', AC: '8', HY: '2', AY: '3', B365H: '1.6', B365D: '4.2', B365A: '5.25',
+    });
+    assert.strictEqual(match.code, 'E0');
+    assert.strictEqual(match.season, 2024);
+    assert.strictEqual(match.date.toISOString(), '2024-08-16T20:00:00.000Z');
+    assert.deepStrictEqual(match.goals, { home: 1, away: 0 });
+    assert.deepStrictEqual(match.corners, { home: 7, away: 8 });
+    assert.strictEqual(match.odds[0].name, 'Bet365');
+    assert.ok(match.id < 0);
+});
+
+check('rowToMatch: formato de ligas extra (MEX) con cuotas de cierre', () => {
+    const match = rowToMatch({
+        Country: 'Mexico', League: 'Liga MX', Season: '2024/2025', Date: '06/07/2024', Time: '03:05',
+        Home: 'Club America', Away: 'Club Leon', HG: '1', AG: '1', PSCH: '1.5', PSCD: '4.4', PSCA: '6.3',
+    });
+    assert.strictEqual(match.code, 'Mexico/Liga MX');
+    assert.strictEqual(match.season, 2024);
+    assert.deepStrictEqual(match.odds, [{ id: 4, name: 'Pinnacle', home: 1.5, draw: 4.4, away: 6.3, over25: null, under25: null }]);
+    assert.strictEqual(rowToMatch({ Div: 'E0', Date: 'mañana', HomeTeam: 'A', AwayTeam: 'B' }), null);
+});
+
+const provider = createCsvProvider(SAMPLES_DIR);
+const request = async (endpoint, params) => (await provider.request(endpoint, params)).data.response;
+
+check('/fixtures: partidos con IDs de API-Football y estadísticas', async () => {
+    const fixtures = await request('/fixtures', { league: 39, season: 2024 });
+    assert.strictEqual(fixtures.length, 8);
+    const opener = fixtures[0];
+    assert.strictEqual(opener.league.id, 39);
+    assert.deepStrictEqual([opener.teams.home.id, opener.teams.away.id], [33, 36]);
+    assert.strictEqual(opener.fixture.status.short, 'FT');
+    assert.strictEqual(opener.statistics[0].statistics.find(s => s.type === 'Corner Kicks').value, 7);
+});
+
+check('mapTeam: equivalencia por nombre (abreviaturas) y solo con coincidencia única', async () => {
+    assert.deepStrictEqual(provider.listUnmapped(), { leagues: [], teams: ["Nott'm Forest"] });
+    assert.strictEqual(provider.hasTeam(65), false);
+    assert.strictEqual(provider.mapTeam(65, 'Nottingham Forest', 39), true);
+    assert.strictEqual(provider.hasTeam(65), true);
+    assert.deepStrictEqual(provider.listUnmapped().teams, []);
+    // Ya no quedan equipos sin equivalencia con los que comparar
+    assert.strictEqual(provider.mapTeam(1000, 'Manchester United', 39), false);
+    const fixtures = await request('/fixtures', { team: 65, season: 2024 });
+    assert.strictEqual(fixtures.length, 1);
+    assert.strictEqual(fixtures[0].teams.home.id, 65);
+});
+
+check('/standings: puntos, diferencia de goles y forma', async () => {
+    const [table] = await request('/standings', { league: 262, season: 2024 });
+    const rows = table.league.standings[0];
+    assert.deepStrictEqual(rows.map(r => [r.team.id, r.points, r.goalsDiff]), [[2281, 6, 3], [2287, 4, 2], [2289, 1, -2], [2282, 0, -3]]);
+    assert.strictEqual(rows[1].form, 'WD');
+    assert.deepStrictEqual(rows[0].away, { played: 1, win: 1, draw: 0, lose: 0, goals: { for: 3, against: 1 } });
+});
+
+check('/teams/statistics: partidos, goles y promedios por local/visitante', async () => {
+    const stats = await request('/teams/statistics', { team: 33, league: 39, season: 2024 });
+    assert.deepStrictEqual(stats.fixtures.played, { home: 1, away: 1, total: 2 });
+    assert.deepStrictEqual(stats.goals.for.total, { home: 1, away: 1, total: 2 });
+    assert.strictEqual(stats.goals.against.average.total, '1.0');
+    assert.strictEqual(stats.form, 'WL');
+    assert.deepStrictEqual(await request('/teams/statistics', { team: 33, league: 39, season: 2023 }), []);
+});
+
+check('/odds: 1X2 y más/menos 2.5 de Pinnacle y Bet365', async () => {
+    const [fixture] = await request('/fixtures', { league: 39, season: 2024, date: '2024-08-16' });
+    const [odds] = await request('/odds', { fixture: fixture.fixture.id });
+    assert.deepStrictEqual(odds.bookmakers.map(b => b.name), ['Pinnacle', 'Bet365']);
+    const overUnder = odds.bookmakers[0].bets.find(b => b.name === 'Goals Over/Under');
+    assert.deepStrictEqual(overUnder.values.map(v => v.odd), ['1.65', '2.33']);
+});
+
+async function main() {
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}\n   ${error.message}`);
+        }
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log(failed === 0 ? `\n${checks.length} comprobaciones correctas.` : `\n${failed} de ${checks.length} comprobaciones fallidas.`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// backend/scripts/check-markets.js
+// Comprueba la liquidación de los mercados derivados (lib/markets.js) con marcadores conocidos:
+//   node scripts/check-markets.js
+const assert = require('assert');
+
+const { settleLine, settleSelection, settleHalfSelection } = require('../lib/markets');
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('settleLine: líneas enteras y medias', () => {
+    assert.strictEqual(settleLine(1, -0.5), 'win');
+    assert.strictEqual(settleLine(0, -0.5), 'loss');
+    assert.strictEqual(settleLine(1, -1), 'push');
+    assert.strictEqual(settleLine(2, -1), 'win');
+    assert.strictEqual(settleLine(-1, 1), 'push');
+    assert.strictEqual(settleLine(0, 0), 'push');
+});
+
+check('AH -0.25 / +0.25: media apuesta a la línea 0 con el empate', () => {
+    assert.strictEqual(settleSelection('AH', 'home', -0.25, 0, 0), 'half_loss');
+    assert.strictEqual(settleSelection('AH', 'away', 0.25, 0, 0), 'half_win');
+    assert.strictEqual(settleSelection('AH', 'home', -0.25, 1, 0), 'win');
+    assert.strictEqual(settleSelection('AH', 'away', 0.25, 1, 0), 'loss');
+    assert.strictEqual(settleSelection('AH', 'home', 0.25, 0, 1), 'loss');
+});
+
+check('AH -0.75 / +0.75: media apuesta a la línea -1 con un gol de diferencia', () => {
+    assert.strictEqual(settleSelection('AH', 'home', -0.75, 1, 0), 'half_win');
+    assert.strictEqual(settleSelection('AH', 'away', 0.75, 1, 0), 'half_loss');
+    assert.strictEqual(settleSelection('AH', 'home', -0.75, 2, 0), 'win');
+    assert.strictEqual(settleSelection('AH', 'away', 0.75, 2, 0), 'loss');
+    assert.strictEqual(settleSelection('AH', 'home', -0.75, 1, 1), 'loss');
+    assert.strictEqual(settleSelection('AH', 'away', 0.75, 1, 1), 'win');
+});
+
+check('DNB: push con el empate', () => {
+    assert.strictEqual(settleSelection('DNB', 'home', null, 1, 1), 'push');
+    assert.strictEqual(settleSelection('DNB', 'away', null, 0, 0), 'push');
+    assert.strictEqual(settleSelection('DNB', 'home', null, 2, 1), 'win');
+    assert.strictEqual(settleSelection('DNB', 'away', null, 2, 1), 'loss');
+});
+
+check('OU: líneas enteras devuelven la apuesta con el total exacto', () => {
+    assert.strictEqual(settleSelection('OU', 'over', 2, 1, 1), 'push');
+    assert.strictEqual(settleSelection('OU', 'under', 2, 2, 0), 'push');
+    assert.strictEqual(settleSelection('OU', 'over', 2, 2, 1), 'win');
+    assert.strictEqual(settleSelection('OU', 'under', 3, 1, 1), 'win');
+    assert.strictEqual(settleSelection('OU', 'over', 2.25, 1, 1), 'half_loss');
+    assert.strictEqual(settleSelection('OU', 'under', 2.75, 2, 1), 'half_loss');
+});
+
+check('Totales por equipo, doble oportunidad y marcador exacto', () => {
+    assert.strictEqual(settleSelection('TT_HOME', 'over', 1, 1, 3), 'push');
+    assert.strictEqual(settleSelection('TT_AWAY', 'under', 1.5, 1, 3), 'loss');
+    assert.strictEqual(settleSelection('DC', '1X', null, 1, 1), 'win');
+    assert.strictEqual(settleSelection('DC', '12', null, 1, 1), 'loss');
+    assert.strictEqual(settleSelection('CS', '2-1', null, 2, 1), 'win');
+    assert.strictEqual(settleSelection('CS', '2-1', null, 1, 2), 'loss');
+    assert.throws(() => settleSelection('XYZ', 'home', null, 0, 0), /Mercado no soportado/);
+});
+
+check('HT/FT: resultado al descanso y al final', () => {
+    const halftime = { home: 0, away: 1 };
+    const fulltime = { home: 2, away: 1 };
+    assert.strictEqual(settleHalfSelection('HTFT', 'away/home', null, halftime, fulltime), 'win');
+    assert.strictEqual(settleHalfSelection('HTFT', 'draw/home', null, halftime, fulltime), 'loss');
+    assert.strictEqual(settleHalfSelection('HTFT', 'home/home', null, halftime, fulltime), 'loss');
+    assert.strictEqual(settleHalfSelection('HTFT', 'draw/draw', null, { home: 0, away: 0 }, { home: 1, away: 1 }), 'win');
+});
+
+check('Mercados por mitades: 1X2 y goles del primer tiempo, mitad con más goles', () => {
+    const halftime = { home: 1, away: 0 };
+    const fulltime = { home: 2, away: 2 };
+    assert.strictEqual(settleHalfSelection('HT_1X2', 'home', null, halftime, fulltime), 'win');
+    assert.strictEqual(settleHalfSelection('HT_OU', 'over', 1, halftime, fulltime), 'push');
+    assert.strictEqual(settleHalfSelection('HT_OU', 'under', 1.5, halftime, fulltime), 'win');
+    assert.strictEqual(settleHalfSelection('HIGHEST_HALF', 'second', null, halftime, fulltime), 'win');
+    assert.strictEqual(settleHalfSelection('HIGHEST_HALF', 'equal', null, { home: 1, away: 0 }, { home: 1, away: 1 }), 'win');
+    assert.throws(() => settleHalfSelection('AH', 'home', 0, halftime, fulltime), /Mercado no soportado/);
+});
+
+async function main() {
+    let failed = 0;
+    for (const { name, fn } of checks) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}\n   ${error.message}`);
+        }
+    }
+    console.log(failed === 0 ? `\n${checks.length} comprobaciones correctas.` : `\n${failed} de ${checks.length} comprobaciones fallidas.`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
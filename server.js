@@ -7,77 +7,18 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configuración de la API-Football
-const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY; // Clave obtenida de .env
-const RAPIDAPI_HOST = "api-football-v1.p.rapidapi.com";
-const API_BASE_URL = `https://${RAPIDAPI_HOST}/v3`;
-
-// Instancia de Axios configurada para la API-Football
-const apiFootball = axios.create({
-    baseURL: API_BASE_URL,
-    headers: {
-        'x-rapidapi-key': RAPIDAPI_KEY,
-        'x-rapidapi-host': RAPIDAPI_HOST,
-    },
-});
-
-// --- CONFIGURACIÓN DE LA CACHE EN MEMORIA ---
-const cache = {}; // Objeto global para almacenar la cache
-
-/**
- * Función genérica para manejar llamadas a la API-Football con cache.
- * @param {string} endpoint - El endpoint de la API-Football (ej: '/fixtures').
- * @param {object} params - Los parámetros de la solicitud.
- * @param {number} ttl - Tiempo de vida de la cache en milisegundos.
- * @returns {Promise<object>} La respuesta de la API-Football (desde cache o nueva).
- */
-const cachedApiCall = async (endpoint, params, ttl = 3600 * 1000) => { // TTL por defecto: 1 hora
-    const cacheKey = `${endpoint}-${JSON.stringify(params)}`; // Clave única para esta petición
-    const now = Date.now();
-
-    // Comprobar si los datos están en cache y no han expirado
-    if (cache[cacheKey] && (now - cache[cacheKey].timestamp < cache[cacheKey].ttl)) {
-        // console.log(`⚡️ Cache HIT: ${endpoint} - ${cacheKey.substring(0, 50)}...`); // Descomentar para depuración
-        return cache[cacheKey].data;
-    }
-
-    // console.log(`🌍 Cache MISS: ${endpoint} - ${cacheKey.substring(0, 50)}... Fetching from API...`); // Descomentar para depuración
-
-    const MAX_RETRIES = 3;
-    let currentRetry = 0;
-    while (currentRetry < MAX_RETRIES) {
-        try {
-            const response = await apiFootball.get(endpoint, { params });
-
-            // Si la API devuelve un objeto 'errors' no vacío, lo tratamos como un error y no lo cacheamos
-            if (response.data.errors && Object.keys(response.data.errors).length > 0) {
-                const apiErrorMessage = Object.values(response.data.errors).join(', ');
-                throw new Error(`API-Football Error: ${apiErrorMessage}`);
-            }
-
-            // Almacenar la respuesta exitosa en cache
-            cache[cacheKey] = {
-                data: response.data,
-                timestamp: now,
-                ttl: ttl,
-            };
-            return response.data;
-
-        } catch (error) {
-            if (axios.isAxiosError(error) && error.response && error.response.status === 429) {
-                currentRetry++;
-                const delayTime = Math.pow(2, currentRetry) * 1000 + Math.random() * 500; // Retraso exponencial con jitter
-                console.warn(`⚠️ Rate limit exceeded (429) for ${endpoint}. Retrying in ${delayTime / 1000} seconds... (Attempt ${currentRetry}/${MAX_RETRIES})`);
-                await new Promise(resolve => setTimeout(resolve, delayTime));
-            } else {
-                // Otro tipo de error, lanzar directamente
-                console.error(`❌ Error en cachedApiCall para ${endpoint}:`, error.message);
-                throw error;
-            }
-        }
-    }
-    throw new Error(`Failed to fetch from ${endpoint} after ${MAX_RETRIES} retries due to rate limits.`);
-};
+// Datos de fútbol con cache (memoria LRU o archivo, con stale-while-revalidate).
+// DATA_PROVIDER elige la fuente: API-Football, grabación o reproducción sin red
+const { RAPIDAPI_KEY, cachedApiCall, getQuotaState, dataProvider } = require('./lib/apiFootball');
+// Prioridad de las llamadas a la API (en vivo > usuarios > tareas de fondo)
+const { runWithPriority } = require('./lib/quota');
+// Equivalencias de IDs con la fuente secundaria (SECONDARY_PROVIDER)
+const { ID_MAPPINGS_FILE, MAPPING_KINDS, getMappings, setMapping } = require('./lib/idMappings');
+const { SECONDARY_PROVIDER } = require('./lib/secondarySource');
+// Claves de API por cliente, niveles de suscripción y orígenes CORS permitidos
+const { REQUIRE_API_KEY, CORS_ORIGINS, TIERS, issueApiKey, revokeApiKey, listApiKeys, checkAccess, isAllowedOrigin } = require('./lib/apiKeys');
+// Ledger de predicciones servidas (liquidación automática y métricas)
+const { recordPrediction, computePerformance, startSettlementLoop, MARKETS } = require('./lib/ledger');
 
 // ======================================================
 // === MIDDLEWARE DE LA APLICACIÓN ===
@@ -85,589 +26,102 @@ const cachedApiCall = async (endpoint, params, ttl = 3600 * 1000) => { // TTL po
 
 // PRIMERO: Middleware para parsear cuerpos JSON (¡ESENCIAL PARA req.body!)
 app.use(express.json());
-// SEGUNDO: Middleware CORS
-app.use(cors());
+// SEGUNDO: Middleware CORS (solo los orígenes de config/access.json o CORS_ORIGINS)
+app.use(cors({ origin: (origin, callback) => callback(null, isAllowedOrigin(origin)) }));
 
 // Middleware para depuración (opcional, puedes quitarlo después)
+// La clave de API de ?api_key= (stream SSE) no se escribe en los logs
 app.use((req, res, next) => {
-    console.log(`[${req.method}] ${req.url} - Content-Type: ${req.headers['content-type']}`);
+    const url = req.url.replace(/([?&]api_key=)[^&]*/gi, '$1***');
+    console.log(`[${req.method}] ${url} - Content-Type: ${req.headers['content-type']}`);
     next();
 });
 
-// ======================================================
-// === FUNCIONES PARA OBTENER DATOS DE LA API-FOOTBALL ===
-// ======================================================
-
-/**
- * Obtiene partidos futuros de una liga y temporada (ahora con cache).
- * @param {number} leagueId - ID de la liga.
- * @param {number} season - Año de la temporada.
- * @param {number} next - Número de partidos futuros a obtener.
- * @returns {Promise<object>} Datos de partidos.
- */
-const fetchFixtures = async (leagueId, season, next = 5) => {
-    const fixturesTtl = 60 * 60 * 1000; // Cachear fixtures por 1 hora
-    const responseData = await cachedApiCall('/fixtures', { league: leagueId, season: season, next: next, timezone: 'America/Mexico_City' }, fixturesTtl);
-
-    if (responseData.errors && Object.keys(responseData.errors).length > 0) {
-        const apiErrorMessage = Object.values(responseData.errors).join(', ');
-        throw new Error(`API-Football Error: ${apiErrorMessage}`);
-    }
-    return responseData;
-};
-
-/**
- * Obtiene las temporadas disponibles para un equipo.
- * Endpoint: /teams/seasons
- * @param {number} teamId - ID del equipo.
- * @returns {Promise<number[]>} Array de años de temporada disponibles.
- */
-const fetchTeamAvailableSeasons = async (teamId) => {
-    try {
-        const responseData = await cachedApiCall('/teams/seasons', { team: teamId }, 24 * 3600 * 1000); // Cachear por 24 horas
-        if (responseData.response && Array.isArray(responseData.response)) {
-            // Asegurarse de que son números y filtrarlos si hay nulos o inválidos
-            return responseData.response.filter(s => typeof s === 'number' && !isNaN(s));
-        }
-        // console.warn(`⚠️ No se encontraron temporadas disponibles para el equipo ${teamId} o respuesta inesperada.`); // Descomentar para depuración
-        return [];
-    } catch (error) {
-        console.error(`❌ Error al obtener temporadas para el equipo ${teamId}:`, error.message);
-        return [];
-    }
-};
-
-/**
- * Obtiene estadísticas detalladas de un equipo (ahora con cache).
- * @param {number} teamId - ID del equipo.
- * @param {number} leagueId - ID de la liga.
- * @param {number} season - Año de la temporada.
- * @returns {Promise<object>} Datos de estadísticas del equipo.
- */
-const getTeamStatistics = async (teamId, leagueId, season) => {
-    const statsTtl = 6 * 3600 * 1000; // Cachear estadísticas por 6 horas
-    const responseData = await cachedApiCall('/teams/statistics', { team: teamId, league: leagueId, season: season }, statsTtl);
-
-    // DEBUG: Log de la respuesta cruda de la API para estadísticas del equipo
-    // const teamName = responseData.response?.team?.name || 'Unknown Team'; // Descomentar para depuración
-    // const playedTotal = responseData.response?.fixtures?.played?.total || 0; // Descomentar para depuración
-    // console.log(`DEBUG: Team Stats for ${teamName} (ID: ${teamId}), League ${leagueId}, Season ${season}: Played (Total): ${playedTotal}`); // Descomentar para depuración
-
-    if (responseData.errors && Object.keys(responseData.errors).length > 0) {
-        const apiErrorMessage = Object.values(responseData.errors).join(', ');
-        throw new Error(`API-Football Error for /teams/statistics: ${apiErrorMessage}`);
-    }
-
-    if (responseData.response && Object.keys(responseData.response).length > 0) {
-        return responseData.response;
-    }
-    
-    throw new Error(`No statistics found for team ${teamId} in league ${leagueId} season ${season}. API response was empty or malformed.`);
-};
+// Datos de API-Football y modelo de predicción
+const { fetchFixtures, getMatchPrediction } = require('./lib/prediction');
+// Registro de modelos y pesos del ensemble por liga
+const { ENSEMBLE, isKnownModel, listModels } = require('./lib/models');
+// Registro de ligas (temporada actual de cada una) y zona horaria de las fechas
+const { REGISTERED_LEAGUES, parseLeagueIds, resolveLeagues, resolveCurrentSeason, listLeagues } = require('./lib/leagues');
+const { DEFAULT_TIMEZONE, isValidTimeZone, dateInTimeZone } = require('./lib/timezone');
+// Detector de value bets (line shopping entre casas + Kelly)
+const { scanValueBets, DEFAULT_KELLY_FRACTION } = require('./lib/valueBets');
+// Backtesting de temporadas pasadas
+const { runBacktest, parseModelParams } = require('./lib/backtest');
+const { getCalibrationReport } = require('./lib/modelParams');
+const { getPlayerProps } = require('./lib/playerProps');
+// Predicciones por lote con concurrencia acotada
+const { predictBatch, MAX_BATCH_FIXTURES, MAX_BATCH_CONCURRENCY } = require('./lib/batch');
+// Motor de parleys configurable (los endpoints diarios son presets)
+const { buildParley, ledgerFixture, PARLEY_MARKETS } = require('./lib/parley');
+// Predicción en vivo (marcador, minuto y rojas)
+const { getLivePredictions, LIVE_FIXTURES_TTL } = require('./lib/live');
+// Stream SSE con un único poller compartido
+const { subscribe, getStreamStats, POLL_INTERVAL_MS: STREAM_POLL_INTERVAL_MS } = require('./lib/stream');
+// Ratings Elo de equipos
+const { getLeagueRatings, updateLeagueRatings, startRatingsLoop } = require('./lib/ratings');
+// Precálculo programado de predicciones y parleys del día
+const { PRECOMPUTE_ENABLED, PRECOMPUTE_TIMEZONES, PRECOMPUTE_TASKS, startPrecomputeLoop, runTask, requestTask, getPrecomputedPrediction, getPrecomputedParley, getPrecomputeStatus } = require('./lib/precompute');
 
 /**
- * Obtiene la clasificación (standings) de una liga (ahora con cache).
- * @param {number} leagueId - ID de la liga.
- * @param {number} season - Año de la temporada.
- * @returns {Promise<object>} Datos de clasificación de la liga.
+ * Zona horaria de la petición (?timezone=, nombre IANA) o la de por defecto.
+ * @param {object} req - Petición de Express.
+ * @returns {string|null} null si la zona no es válida.
  */
-const getStandings = async (leagueId, season) => {
-    const standingsTtl = 6 * 3600 * 1000; // Cachear clasificaciones por 6 horas
-    const responseData = await cachedApiCall('/standings', { league: leagueId, season: season }, standingsTtl);
+function requestTimezone(req) {
+    const timezone = req.query.timezone ? String(req.query.timezone) : DEFAULT_TIMEZONE;
+    return isValidTimeZone(timezone) ? timezone : null;
+}
 
-    // DEBUG: Log de la respuesta cruda de la API para clasificación de la liga
-    // const leagueName = responseData.response?.[0]?.league?.name || 'Unknown League'; // Descomentar para depuración
-    // console.log(`DEBUG: Standings for ${leagueName} (ID: ${leagueId}), Season ${season}: Total Groups: ${responseData.response?.[0]?.league?.standings?.length || 0}`); // Descomentar para depuración
-
-    if (responseData.errors && Object.keys(responseData.errors).length > 0) {
-        const apiErrorMessage = Object.values(responseData.errors).join(', ');
-        throw new Error(`API-Football Error for /standings: ${apiErrorMessage}`);
-    }
-    
-    if (responseData.response && responseData.response.length > 0 && 
-        responseData.response[0].league && responseData.response[0].league.standings && 
-        responseData.response[0].league.standings.length > 0) {
-        return responseData.response[0].league.standings; // Devuelve el array completo de grupos
-    }
-    throw new Error(`No standings found for league ${leagueId} season ${season}. API response was empty or malformed.`);
-};
+const INVALID_TIMEZONE_ERROR = { error: 'Zona horaria inválida, usa un nombre IANA (ej: America/Bogota, Europe/Madrid, UTC)' };
 
 /**
- * Obtiene estadísticas Cara a Cara (Head-to-Head) entre dos equipos.
- * Endpoint: /fixtures/headtohead
- * @param {number} teamId1 - ID del primer equipo.
- * @param {number} teamId2 - ID del segundo equipo.
- * @returns {Promise<any[]>} Array de partidos H2H.
+ * Middleware de los endpoints de administración: exige la cabecera X-Admin-Token igual a ADMIN_TOKEN.
+ * Sin ADMIN_TOKEN configurado los endpoints de administración quedan deshabilitados.
  */
-const fetchHeadToHeadStats = async (teamId1, teamId2) => {
-    try {
-        const responseData = await cachedApiCall('/fixtures/headtohead', { h2h: `${teamId1}-${teamId2}` }, 12 * 3600 * 1000);
-        if (responseData.response && Array.isArray(responseData.response)) {
-            return responseData.response.filter(fixture => fixture.fixture?.status?.short === 'FT');
-        }
-        // console.warn(`⚠️ No se encontraron datos H2H para ${teamId1} vs ${teamId2} o respuesta inesperada.`); // Descomentar para depuración
-        return [];
-    } catch (error) {
-        console.error(`❌ Error al obtener H2H para ${teamId1} vs ${teamId2}:`, error.message);
-        return [];
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken || req.get('x-admin-token') !== adminToken) {
+        return res.status(403).json({ error: 'Acceso de administrador requerido' });
     }
-};
-
-// ===========================================
-// === FUNCIONES PARA EL MODELO DE PREDICIÓN ===
-// === (AHORA CON H2H INTEGRADO) ===
-// ===========================================
-
-function factorial(n) { if (n === 0) return 1; let res = 1; for (let i = 2; i <= n; i++) res *= i; return res;}
-function poissonPMF(k, lambda) { if (lambda < 0) return 0; return (Math.pow(lambda, k) * Math.exp(-lambda)) / factorial(k);}
-function parseForm(formString) { if (!formString) return { win: 0, draw: 0, lose: 0 }; const wins = (formString.match(/W/g) || []).length; const draws = (formString.match(/D/g) || []).length; const losses = (formString.match(/L/g) || []).length; return { win: wins, draw: draws, lose: losses };}
-
-function parseH2HResults(fixtures, homeTeamId, awayTeamId) {
-    let homeWins = 0; let awayWins = 0; let draws = 0; let totalGames = 0;
-    const recentFixtures = fixtures.slice(0, 10); 
-    for (const fixture of recentFixtures) {
-        totalGames++;
-        const homeScore = fixture.score?.fulltime?.home;
-        const awayScore = fixture.score?.fulltime?.away;
-        if (homeScore !== null && awayScore !== null) {
-            const fixtureHomeTeamId = fixture.teams.home.id;
-            const fixtureAwayTeamId = fixture.teams.away.id;
-            if (fixtureHomeTeamId === homeTeamId && fixtureAwayTeamId === awayTeamId) {
-                if (homeScore > awayScore) homeWins++;
-                else if (awayScore > homeScore) awayWins++;
-                else draws++;
-            } else if (fixtureHomeTeamId === awayTeamId && fixtureAwayTeamId === homeTeamId) {
-                if (homeScore > awayScore) awayWins++; 
-                else if (awayScore > homeScore) homeWins++; 
-                else draws++;
-            }
-        }
-    }
-    const homeWinPercentage = totalGames > 0 ? (homeWins / totalGames) : 0.5;
-    const awayWinPercentage = totalGames > 0 ? (awayWins / totalGames) : 0.5;
-    const drawPercentage = totalGames > 0 ? (draws / totalGames) : 0.0; 
-    return { homeWins, awayWins, draws, totalGames, homeWinPercentage, awayWinPercentage, drawPercentage };
+    next();
 }
 
-
-/**
- * Genera una predicción de partido utilizando un modelo simplificado basado en Poisson.
- * Obtiene estadísticas de temporadas anteriores si no están disponibles para la temporada actual.
- * @param {number} homeTeamId - ID del equipo local.
- * @param {number} awayTeamId - ID del equipo visitante.
- * @param {number} leagueId - ID de la liga del partido actual.
- * @param {number} season - Año de la temporada del partido actual.
- * @returns {Promise<object>} Objeto con las predicciones del partido.
- */
 /**
- * Obtiene las cuotas de 1X2 mercado principal para un fixture.
- * @param {number} fixtureId 
- * @returns {Promise<{home:number, draw:number, away:number}|null>}
+ * Middleware de la API para clientes: clave (cabecera X-API-Key, o ?api_key= para EventSource, que no
+ * envía cabeceras), endpoints de su nivel y límite de peticiones por clave.
+ * Los endpoints de administración se protegen con requireAdmin.
  */
-/**
- * Convierte una cuota decimal (ej. 2.00) a probabilidad implícita.
- * @param {number} odd 
- * @returns {number} probabilidad (0-1)
- */
-function convertOddToImpliedProbability(odd) {
-    if (!odd || odd <= 1) return 0;
-    return 1 / odd;
-}
-
-async function fetchFixtureOdds(fixtureId) {
-    try {
-        // Llama a la API para obtener mercados de apuestas
-        const res = await cachedApiCall('/odds', { fixture: fixtureId }, 30 * 60 * 1000);
-        if (!res || !res.response || res.response.length === 0) return null;
-
-        const betsArr = res.response[0]?.bookmakers?.[0]?.bets || [];
-
-        // --- Buscar mercados ---
-        let odds = {};
-
-        // 1X2
-        const main1X2 = betsArr.find(bet =>
-            ["Match Winner", "Fulltime Result", "Resultado Final", "1X2"].includes(bet.name)
-        );
-        if (main1X2) {
-            main1X2.values.forEach(val => {
-                if (["Home", "1"].includes(val.value)) odds.home = parseFloat(val.odd);
-                if (["Draw", "X"].includes(val.value)) odds.draw = parseFloat(val.odd);
-                if (["Away", "2"].includes(val.value)) odds.away = parseFloat(val.odd);
-            });
-        }
-
-        // BTTS (Both Teams to Score)
-        const bttsBet = betsArr.find(bet =>
-            ["Both Teams To Score", "Ambos equipos anotarán", "BTTS"].includes(bet.name)
-        );
-        if (bttsBet) {
-            bttsBet.values.forEach(val => {
-                if (val.value.toLowerCase().includes('yes') || val.value.toLowerCase().includes('sí')) odds.btts_yes = parseFloat(val.odd);
-                if (val.value.toLowerCase().includes('no')) odds.btts_no = parseFloat(val.odd);
-            });
-        }
-
-        // Over/Under 2.5 Goals
-        const ou25Bet = betsArr.find(bet =>
-            bet.name.toLowerCase().includes("over/under") && bet.values.some(v => v.value === "Over 2.5" || v.value === "Under 2.5")
-        );
-        if (ou25Bet) {
-            ou25Bet.values.forEach(val => {
-                if (val.value === "Over 2.5") odds.over25 = parseFloat(val.odd);
-                if (val.value === "Under 2.5") odds.under25 = parseFloat(val.odd);
-            });
-        }
-
-        // Puedes agregar Double Chance, etc., igual que arriba
-
-        return odds;
-    } catch (err) {
-        console.error("Error obteniendo cuotas para fixture", fixtureId, err.message);
-        return null;
-    }
+function requireApiKey(req, res, next) {
+    const routePath = req.baseUrl + req.path;
+    if (routePath.startsWith('/api/admin/')) return next();
+    const access = checkAccess(req.get('x-api-key') || req.query.api_key, routePath);
+    if (access.rateLimit) {
+        res.set({ 'X-RateLimit-Limit': String(access.rateLimit.limit), 'X-RateLimit-Remaining': String(access.rateLimit.remaining) });
+    }
+    if (access.status !== 200) {
+        if (access.status === 429) res.set('Retry-After', String(access.rateLimit.retryAfter));
+        return res.status(access.status).json({ error: access.error });
+    }
+    req.client = access.client || null;
+    next();
 }
 
-async function getMatchPrediction(homeTeamId, awayTeamId, leagueId, season, fixtureId) {
-    let homeTeamStatsRes;
-    let awayTeamStatsRes;
-    let leagueStandingsRes;
-    let statsSeasonUsed = season;
-
-    // Declaración de variables para el ámbito (scope)
-    let expectedGoalsHome;
-    let expectedGoalsAway;
-    let homeWinProb;
-    let awayWinProb;
-    let drawProb;
-    let bttsProb;
-    let over2_5Prob;
-
-    const homeTeamAvailableSeasons = await fetchTeamAvailableSeasons(homeTeamId);
-    const awayTeamAvailableSeasons = await fetchTeamAvailableSeasons(awayTeamId);
-    const commonAvailableSeasons = homeTeamAvailableSeasons.filter(s => awayTeamAvailableSeasons.includes(s));
-
-    let seasonsToTry = [];
-    if (season >= 2015) { seasonsToTry.push(season); }
-    for (let i = 1; i <= 10; i++) { 
-        const prevSeason = season - i; 
-        if (prevSeason >= 2015) { 
-            if (!seasonsToTry.includes(prevSeason)) { 
-                seasonsToTry.push(prevSeason); 
-            } 
-        } else { break; } 
-    }
-    seasonsToTry.sort((a, b) => b - a); 
-
-    let statsFetchedSuccessfully = false;
-    if (seasonsToTry.length === 0) { 
-        throw new Error(`No se pudieron obtener estadísticas válidas para los equipos en el rango requerido (>=2015).`); 
-    }
-
-    for (const s of seasonsToTry) {
-        if (statsFetchedSuccessfully) { break; }
-        if (s < 2015) { break; }
-        try {
-            homeTeamStatsRes = await getTeamStatistics(homeTeamId, leagueId, s);
-            awayTeamStatsRes = await getTeamStatistics(awayTeamId, leagueId, s);
-            leagueStandingsRes = await getStandings(leagueId, s); 
-
-            const homePlayed = homeTeamStatsRes.fixtures?.played?.total || 0;
-            const awayPlayed = awayTeamStatsRes.fixtures?.played?.total || 0;
-            let standingsHasData = false;
-            if (Array.isArray(leagueStandingsRes)) { 
-                for (const group of leagueStandingsRes) { 
-                    if (Array.isArray(group)) { 
-                        for (const teamStat of group) { 
-                            if ((teamStat.all?.played || 0) > 0) { 
-                                standingsHasData = true; break; 
-                            } 
-                        } 
-                    } 
-                    if (standingsHasData) break; 
-                } 
-            }
-
-            if (homePlayed > 0 && awayPlayed > 0 && standingsHasData) {
-                statsSeasonUsed = s;
-                statsFetchedSuccessfully = true;
-                break; 
-            }
-        } catch (error) { /* continue to next season */ }
-    }
-
-    if (!statsFetchedSuccessfully || !homeTeamStatsRes || !awayTeamStatsRes || !leagueStandingsRes) {
-        throw new Error(`No se pudieron obtener estadísticas válidas para los equipos en ninguna de las temporadas disponibles o intentadas (${seasonsToTry.join(', ')}). Asegúrate de que los IDs de equipos y liga sean correctos y que la API tenga datos sustanciales para esas temporadas.`);
-    }
-
-    const homeTeamName = homeTeamStatsRes.team?.name || 'Equipo Local';
-    const awayTeamName = awayTeamStatsRes.team?.name || 'Equipo Visitante';
-    const homePlayedHome = homeTeamStatsRes.fixtures?.played?.home || 1;
-    const homeGoalsForHome = homeTeamStatsRes.goals?.for?.total?.home || 0;
-    const homeGoalsAgainstHome = homeTeamStatsRes.goals?.against?.total?.home || 0;
-    const awayPlayedAway = awayTeamStatsRes.fixtures?.played?.away || 1;
-    const awayGoalsForAway = awayTeamStatsRes.goals?.for?.total?.away || 0;
-    const awayGoalsAgainstAway = awayTeamStatsRes.goals?.against?.total?.away || 0;
-
-    let totalLeagueGoals = 0; let totalLeagueMatches = 0;
-    if (Array.isArray(leagueStandingsRes)) { 
-        for (const group of leagueStandingsRes) { 
-            if (Array.isArray(group)) { 
-                for (const teamStat of group) { 
-                    if (teamStat.all) { 
-                        totalLeagueGoals += (teamStat.all.goals.for || 0) + (teamStat.all.goals.against || 0); 
-                        totalLeagueMatches += (teamStat.all.played || 0); 
-                    } 
-                } 
-            } 
-        } 
-    }
-    else if (leagueStandingsRes && typeof leagueStandingsRes === 'object' && leagueStandingsRes.all) { 
-        totalLeagueGoals += (leagueStandingsRes.all.goals.for || 0) + (leagueStandingsRes.all.goals.against || 0); 
-        totalLeagueMatches += (leagueStandingsRes.all.played || 0); 
-    }
-
-    const leagueAvgGoalsPerMatch = totalLeagueMatches > 0 ? totalLeagueGoals / totalLeagueMatches : 2.5;
-
-    const homeAttackStrength = (homeGoalsForHome / (homePlayedHome || 1)) / (leagueAvgGoalsPerMatch || 1);
-    const homeDefenseStrength = (homeGoalsAgainstHome / (homePlayedHome || 1)) / (leagueAvgGoalsPerMatch || 1);
-    const awayAttackStrength = (awayGoalsForAway / (awayPlayedAway || 1)) / (leagueAvgGoalsPerMatch || 1);
-    const awayDefenseStrength = (awayGoalsAgainstAway / (awayPlayedAway || 1)) / (leagueAvgGoalsPerMatch || 1);
-    const HOME_ADVANTAGE_FACTOR = 1.2;
-
-    expectedGoalsHome = homeAttackStrength * (1 / (awayDefenseStrength || 1)) * HOME_ADVANTAGE_FACTOR;
-    expectedGoalsAway = awayAttackStrength * (1 / (homeDefenseStrength || 1));
-
-    const h2hFixtures = await fetchHeadToHeadStats(homeTeamId, awayTeamId);
-    const h2hParsed = parseH2HResults(h2hFixtures, homeTeamId, awayTeamId);
-
-    const maxGoalsConsidered = 5;
-    let initialHomeWinProb = 0; let initialAwayWinProb = 0; let initialDrawProb = 0; let initialBttsProb = 0; let initialOver2_5Prob = 0;
-    for (let hg = 0; hg <= maxGoalsConsidered; hg++) {
-        for (let ag = 0; ag <= maxGoalsConsidered; ag++) {
-            const probHomeGoals = poissonPMF(hg, expectedGoalsHome); 
-            const probAwayGoals = poissonPMF(ag, expectedGoalsAway); 
-            const scoreProb = probHomeGoals * probAwayGoals;
-            if (hg > ag) initialHomeWinProb += scoreProb; 
-            else if (ag > hg) initialAwayWinProb += scoreProb; 
-            else initialDrawProb += scoreProb;
-            if (hg > 0 && ag > 0) initialBttsProb += scoreProb; 
-            if (hg + ag > 2.5) initialOver2_5Prob += scoreProb;
-        }
-    }
-    const initialTotalResultProb = initialHomeWinProb + initialAwayWinProb + initialDrawProb;
-    if (initialTotalResultProb > 0) { 
-        initialHomeWinProb /= initialTotalResultProb; 
-        initialAwayWinProb /= initialTotalResultProb; 
-        initialDrawProb /= initialTotalResultProb; 
-    } else { 
-        initialHomeWinProb = 0.33; initialAwayWinProb = 0.33; initialDrawProb = 0.34; 
-    }
-    
-    homeWinProb = initialHomeWinProb; 
-    awayWinProb = initialAwayWinProb; 
-    drawProb = initialDrawProb;
-    bttsProb = initialBttsProb; 
-    over2_5Prob = initialOver2_5Prob;
-
-    if (h2hParsed.totalGames >= 3) { 
-        const H2H_WEIGHT = 0.4; 
-        homeWinProb = (homeWinProb * (1 - H2H_WEIGHT)) + (h2hParsed.homeWinPercentage * H2H_WEIGHT);
-        awayWinProb = (awayWinProb * (1 - H2H_WEIGHT)) + (h2hParsed.awayWinPercentage * H2H_WEIGHT);
-        drawProb = (drawProb * (1 - H2H_WEIGHT)) + (h2hParsed.drawPercentage * H2H_WEIGHT);
-        const sumCombinedProbs = homeWinProb + awayWinProb + drawProb;
-        if (sumCombinedProbs > 0) { 
-            homeWinProb /= sumCombinedProbs; 
-            awayWinProb /= sumCombinedProbs; 
-            drawProb /= sumCombinedProbs; 
-        } else { 
-            homeWinProb = 0.33; awayWinProb = 0.33; drawProb = 0.34; 
-        }
-
-        const originalTotalLambda = expectedGoalsHome + expectedGoalsAway; 
-        const totalProbSum = homeWinProb + awayWinProb + drawProb; 
-        const homeLambdaRatio = (homeWinProb + (drawProb / 2)) / (totalProbSum || 1);
-        const awayLambdaRatio = (awayWinProb + (drawProb / 2)) / (totalProbSum || 1);
-        expectedGoalsHome = originalTotalLambda * homeLambdaRatio;
-        expectedGoalsAway = originalTotalLambda * awayLambdaRatio;
-        expectedGoalsHome = Math.max(0.1, expectedGoalsHome); 
-        expectedGoalsAway = Math.max(0.1, expectedGoalsAway);
-    }
-
-    // === INTEGRACIÓN DE ODDS DEL MERCADO ===
-    let marketOdds = null;
-    if (typeof fixtureId !== 'undefined' && fixtureId !== null) {
-        marketOdds = await fetchFixtureOdds(fixtureId);
-        if (marketOdds) {
-            const marketProbHome = convertOddToImpliedProbability(marketOdds.home);
-            const marketProbDraw = convertOddToImpliedProbability(marketOdds.draw);
-            const marketProbAway = convertOddToImpliedProbability(marketOdds.away);
-
-            const marketTotalProb = marketProbHome + marketProbDraw + marketProbAway;
-            // Normaliza
-            const normalizedMarketProbHome = marketProbHome / (marketTotalProb || 1);
-            const normalizedMarketProbDraw = marketProbDraw / (marketTotalProb || 1);
-            const normalizedMarketProbAway = marketProbAway / (marketTotalProb || 1);
-
-            const MARKET_WEIGHT = 0.3; // 30% mercado, 70% modelo
-            const MODEL_WEIGHT = 1 - MARKET_WEIGHT;
-
-            homeWinProb = (homeWinProb * MODEL_WEIGHT) + (normalizedMarketProbHome * MARKET_WEIGHT);
-            awayWinProb = (awayWinProb * MODEL_WEIGHT) + (normalizedMarketProbAway * MARKET_WEIGHT);
-            drawProb  = (drawProb * MODEL_WEIGHT) + (normalizedMarketProbDraw * MARKET_WEIGHT);
-
-            // Renormaliza
-            const finalSumProb = homeWinProb + awayWinProb + drawProb;
-            if (finalSumProb > 0) {
-                homeWinProb /= finalSumProb;
-                awayWinProb /= finalSumProb;
-                drawProb /= finalSumProb;
-            }
-
-            // Ajusta lambdas
-            const currentTotalLambda = expectedGoalsHome + expectedGoalsAway;
-            const currentTotalProbSum = homeWinProb + awayWinProb + drawProb;
-            const currentHomeLambdaRatio = (homeWinProb + (drawProb / 2)) / (currentTotalProbSum || 1);
-            const currentAwayLambdaRatio = (awayWinProb + (drawProb / 2)) / (currentTotalProbSum || 1);
-            expectedGoalsHome = currentTotalLambda * currentHomeLambdaRatio;
-            expectedGoalsAway = currentTotalLambda * currentAwayLambdaRatio;
-            expectedGoalsHome = Math.max(0.1, expectedGoalsHome);
-            expectedGoalsAway = Math.max(0.1, expectedGoalsAway);
-        }
-    }
-
-    // --- Vuelve a calcular los mercados dependientes de la lambda si metiste market odds ---
-    const maxGoalsConsideredFinal = 5;
-    let finalBttsProb = 0; let finalOver2_5Prob = 0;
-    for (let hg = 0; hg <= maxGoalsConsideredFinal; hg++) {
-        for (let ag = 0; ag <= maxGoalsConsideredFinal; ag++) {
-            const probHomeGoals = poissonPMF(hg, expectedGoalsHome); 
-            const probAwayGoals = poissonPMF(ag, expectedGoalsAway); 
-            const scoreProb = probHomeGoals * probAwayGoals;
-            if (hg > 0 && ag > 0) finalBttsProb += scoreProb; 
-            if (hg + ag > 2.5) finalOver2_5Prob += scoreProb;
-        }
-    }
-    bttsProb = finalBttsProb; 
-    over2_5Prob = finalOver2_5Prob;
-
-    let predictedWinnerName = "Empate";
-    let advice = `Predicción basada en nuestro modelo de IA/Bayes (estadísticas de la temporada ${statsSeasonUsed}).`;
-    const maxResultProb = Math.max(homeWinProb, awayWinProb, drawProb);
-
-    if (maxResultProb === homeWinProb) { 
-        predictedWinnerName = homeTeamName; 
-        advice = `${homeTeamName} es el favorito según el modelo (estadísticas de la temporada ${statsSeasonUsed}).`; 
-    }
-    else if (maxResultProb === awayWinProb) { 
-        predictedWinnerName = awayTeamName; 
-        advice = `${awayTeamName} es el favorito según el modelo (estadísticas de la temporada ${statsSeasonUsed}).`; 
-    }
-    else if (maxResultProb === drawProb) { 
-        predictedWinnerName = "Empate"; 
-        advice = `El modelo sugiere un partido muy parejo con alta probabilidad de empate (estadísticas de la temporada ${statsSeasonUsed}).`; 
-    }
-
-    if (bttsProb > 0.5) { advice += " Se espera que ambos equipos anoten."; } 
-    else { advice += " Es probable que un equipo no anote o el partido termine 0-0."; }
-    if (over2_5Prob > 0.5) { advice += " Se anticipan más de 2.5 goles en total."; } 
-    else { advice += " Se anticipan menos de 2.5 goles en total."; }
-
-    const homeComparisonForm = homeTeamStatsRes.form ? parseForm(homeTeamStatsRes.form) : { win: 0, draw: 0, lose: 0 };
-    const awayComparisonForm = awayTeamStatsRes.form ? parseForm(awayTeamStatsRes.form) : { win: 0, draw: 0, lose: 0 };
-    const totalHomeFormGames = homeComparisonForm.win + homeComparisonForm.draw + homeComparisonForm.lose;
-    const totalAwayFormGames = awayComparisonForm.win + awayComparisonForm.draw + awayComparisonForm.lose;
-
-    let mostProbableScoreHome = 0; 
-let mostProbableScoreAway = 0; 
-let maxScoreProb = -1;
-for (let hg = 0; hg <= maxGoalsConsidered; hg++) {
-    for (let ag = 0; ag <= maxGoalsConsidered; ag++) {
-        const probHomeGoals = poissonPMF(hg, expectedGoalsHome);
-        const probAwayGoals = poissonPMF(ag, expectedGoalsAway);
-        const scoreProb = probHomeGoals * probAwayGoals;
-        if (scoreProb > maxScoreProb) { 
-            maxScoreProb = scoreProb; 
-            mostProbableScoreHome = hg; 
-            mostProbableScoreAway = ag; 
-        }
-    }
-}
-let mostProbableScore = `${mostProbableScoreHome} - ${mostProbableScoreAway}`;
-
-// ===== AJUSTE: coherencia entre BTTS y marcador =====
-let bttsNote = "";
-if (bttsProb < 0.4 && mostProbableScoreHome > 0 && mostProbableScoreAway > 0) {
-  // Si el modelo Poisson da resultado de ambos anotan pero el cálculo de btts es bajo
-  // Ajustar el marcador más probable para reflejarlo
-  if (homeXG >= awayXG) {
-    mostProbableScore = `${Math.max(1, Math.round(homeXG))} - 0`;
-  } else {
-    mostProbableScore = `0 - ${Math.max(1, Math.round(awayXG))}`;
-  }
-  bttsNote = "El modelo predice pocos goles de ambos equipos, es poco probable que ambos anoten.";
-}
-    return {
-           predictions: {
-        advice: advice,
-        winner: { name: predictedWinnerName },
-        mostProbableScore,        // ← así
-        btts: bttsProb > 0.5,
-        under_over: over2_5Prob > 0.5 ? '+2.5' : '-2.5',
-        goals: { home: expectedGoalsHome.toFixed(2), away: expectedGoalsAway.toFixed(2), },
-        percent: { home: (homeWinProb * 100).toFixed(0) + '%', draw: (drawProb * 100).toFixed(0) + '%', away: (awayWinProb * 100).toFixed(0) + '%', },
-        btts_probability: parseFloat((bttsProb * 100).toFixed(1)),
-        over_2_5_probability: parseFloat((over2_5Prob * 100).toFixed(1)),
-        under_2_5_probability: parseFloat(((1 - over2_5Prob) * 100).toFixed(1)),
-        btts_note: bttsNote,       // ← así
-    },
-        comparison: {
-            form: { 
-                home: totalHomeFormGames > 0 ? ((homeComparisonForm.win + homeComparisonForm.draw / 2) / totalHomeFormGames * 100).toFixed(0) + "%" : "50%", 
-                away: totalAwayFormGames > 0 ? ((awayComparisonForm.win + awayComparisonForm.draw / 2) / totalAwayFormGames * 100).toFixed(0) + "%" : "50%" 
-            },
-            att: { 
-                home: ((expectedGoalsHome / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%", 
-                away: ((expectedGoalsAway / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%" 
-            },
-            def: { 
-                home: ((expectedGoalsAway / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%", 
-                away: ((expectedGoalsHome / (expectedGoalsHome + expectedGoalsAway || 1)) * 100).toFixed(0) + "%" 
-            },
-            poisson_distribution: { 
-                home: (homeWinProb * 100).toFixed(0) + "%", 
-                away: (awayWinProb * 100).toFixed(0) + "%" 
-            },
-            h2h: { 
-                home: (h2hParsed.homeWinPercentage * 100).toFixed(0) + "%", 
-                away: (h2hParsed.awayWinPercentage * 100).toFixed(0) + "%", 
-                draw: (h2hParsed.drawPercentage * 100).toFixed(0) + "%", 
-                totalGames: h2hParsed.totalGames 
-            },
-            goals: { 
-                home: ((homeGoalsForHome / (homeGoalsForHome + awayGoalsForAway || 1)) * 100).toFixed(0) + "%", 
-                away: ((awayGoalsForAway / (homeGoalsForHome + awayGoalsForAway || 1)) * 100).toFixed(0) + "%" 
-            },
-            total: { 
-                home: ((homeWinProb + (drawProb / 2)) * 100).toFixed(0) + "%", 
-                away: ((awayWinProb + (drawProb / 2)) * 100).toFixed(0) + "%" 
-            },
-        },
-        market_odds: marketOdds ? marketOdds : null,
-
-    };
-}
+app.use('/api', requireApiKey);
 
 // --- ENDPOINTS DE LA API ---
 
 // Endpoint para obtener partidos futuros
+// ?league=39&season= (por defecto la actual de la liga) &next=10&timezone=America/Mexico_City
 app.get('/api/all-fixtures', async (req, res) => {
     const league = parseInt(req.query.league || 39);
-    const season = parseInt(req.query.season || 2025);
     const next = parseInt(req.query.next || 10);
+    const timezone = requestTimezone(req);
+    if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
 
     try {
-        const data = await fetchFixtures(league, season, next);
+        const season = req.query.season ? parseInt(req.query.season) : await resolveCurrentSeason(league);
+        const data = await fetchFixtures(league, season, next, timezone);
         if (!data.response || data.response.length === 0) {
             return res.json({ response: [], message: "No se encontraron partidos para la liga/temporada especificada." });
         }
@@ -691,6 +145,52 @@ app.get('/api/all-fixtures', async (req, res) => {
     }
 });
 
+// --- ENDPOINT: PREDICCIONES POR LOTE ---
+// Body: { fixtureIds: [1, 2, ...] } o { date: 'YYYY-MM-DD', leagues: '253,128' }
+//  y opcionales { model, timezone, concurrency }. Cada partido trae su predicción o su error.
+app.post('/api/predict-batch', async (req, res) => {
+    const body = req.body || {};
+    const model = body.model || ENSEMBLE;
+    if (!isKnownModel(model)) {
+        return res.status(400).json({ error: `Modelo desconocido: ${model}`, models: listModels().map(m => m.name) });
+    }
+    const timezone = body.timezone ? String(body.timezone) : DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timezone)) return res.status(400).json(INVALID_TIMEZONE_ERROR);
+    if (body.concurrency !== undefined && !(parseInt(body.concurrency) >= 1 && parseInt(body.concurrency) <= MAX_BATCH_CONCURRENCY)) {
+        return res.status(400).json({ error: `concurrency debe ser un entero entre 1 y ${MAX_BATCH_CONCURRENCY}` });
+    }
+
+    const options = { model, timezone, concurrency: body.concurrency };
+    if (body.fixtureIds !== undefined) {
+        const ids = Array.isArray(body.fixtureIds) ? body.fixtureIds.map(id => parseInt(id)) : [];
+        if (ids.length === 0 || ids.some(id => isNaN(id))) {
+            return res.status(400).json({ error: 'fixtureIds debe ser una lista de IDs numéricos' });
+        }
+        if (ids.length > MAX_BATCH_FIXTURES) {
+            return res.status(400).json({ error: `Máximo ${MAX_BATCH_FIXTURES} partidos por lote` });
+        }
+        options.fixtureIds = ids;
+    } else if (body.date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(body.date))) {
+            return res.status(400).json({ error: 'Fecha inválida, usa el formato YYYY-MM-DD' });
+        }
+        options.date = String(body.date);
+    } else {
+        return res.status(400).json({ error: 'Faltan parámetros requeridos: fixtureIds o date' });
+    }
+
+    try {
+        if (options.date) {
+            const leagues = Array.isArray(body.leagues) ? body.leagues.join(',') : body.leagues;
+            options.leagues = await resolveLeagues(leagues);
+        }
+        res.json({ model, ...(await predictBatch(options)) });
+    } catch (err) {
+        console.error("[/api/predict-batch] Error:", err.message);
+        res.status(500).json({ error: "Error al generar las predicciones del lote", details: err.message });
+    }
+});
+
 // Nuevo Endpoint para obtener predicciones personalizadas
 app.post('/api/predict-match', async (req, res) => {
     const { homeTeamId, awayTeamId, leagueId, season } = req.body;
@@ -701,6 +201,11 @@ app.post('/api/predict-match', async (req, res) => {
 
     try {
         const prediction = await getMatchPrediction(homeTeamId, awayTeamId, leagueId, season);
+        recordPrediction({
+            source: 'predict-match',
+            fixture: { id: null, leagueId, season, homeTeamId, awayTeamId },
+            prediction,
+        });
         res.json(prediction);
     } catch (error) {
         console.error('Error en /api/predict-match:', error.message);
@@ -712,401 +217,462 @@ app.post('/api/predict-match', async (req, res) => {
     }
 });
 
-// --- CACHÉ GLOBAL PARA PARLEY DEL DÍA ---
-let parleyCache = {
-    data: null,
-    timestamp: 0,
-    ttl: 20 * 60 * 1000 // 20 minutos en milisegundos
-};
+/**
+ * Responde con el parley construido por el motor configurable.
+ * @param {object} res - Respuesta de Express.
+ * @param {object} config - Configuración para buildParley.
+ */
+async function sendParley(res, config) {
+    const { status, body } = await buildParley(config);
+    res.status(status).json(body);
+}
 
-// --- ENDPOINT: PARLEY DEL DÍA ---
-// Coloca esto en tu server.js (reemplaza el endpoint anterior)
-app.get('/api/parley-del-dia', async (req, res) => {
-    const now = Date.now();
-    const today = new Date();
-    const dateISO = today.toISOString().slice(0, 10);
+/**
+ * Responde con el parley de un preset ya calculado por el precálculo programado (nunca lo calcula
+ * en la petición). Si aún no está, pide el precálculo (si no está ya en marcha) y responde 503.
+ * Sin precálculo (enabled: false) se construye en la petición.
+ * @param {object} res - Respuesta de Express.
+ * @param {string} preset
+ * @param {string} timezone
+ */
+async function sendPresetParley(res, preset, timezone) {
+    if (!PRECOMPUTE_ENABLED) return sendParley(res, { preset, timezone });
+    if (!PRECOMPUTE_TIMEZONES.includes(timezone)) {
+        return res.status(400).json({ error: `Zona horaria no disponible para este parley, usa una de: ${PRECOMPUTE_TIMEZONES.join(', ')}` });
+    }
+    const precomputed = getPrecomputedParley(preset, timezone);
+    if (precomputed) return res.status(precomputed.status).json(precomputed.body);
+    requestTask('daily');
+    res.set('Retry-After', '120').status(503).json({ error: 'El parley de hoy se está calculando, vuelve a intentarlo en unos minutos' });
+}
+
+// --- ENDPOINT: PARLEY CONFIGURABLE ---
+// ?legs=3&markets=1X2,BTTS,OU&minOdd=1.3&maxOdd=3&minConfidence=0.55&leagues=253,128&date=YYYY-MM-DD
+//  &maxLegsPerFixture=2&minCorrelationFactor=0.95 (combinaciones del mismo partido)
+//  &timezone=America/Bogota (la fecha por defecto es "hoy" en esa zona)
+app.get('/api/parley', async (req, res) => {
+    const timezone = requestTimezone(req);
+    if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
+    const date = req.query.date || dateInTimeZone(timezone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Fecha inválida, usa el formato YYYY-MM-DD' });
+    }
+    const config = { date, timezone };
+
+    if (req.query.legs !== undefined) {
+        config.legs = parseInt(req.query.legs);
+        if (!(config.legs >= 1 && config.legs <= 10)) {
+            return res.status(400).json({ error: 'legs debe ser un entero entre 1 y 10' });
+        }
+    }
+    if (req.query.maxLegsPerFixture !== undefined) {
+        config.maxLegsPerFixture = parseInt(req.query.maxLegsPerFixture);
+        if (!(config.maxLegsPerFixture >= 1)) {
+            return res.status(400).json({ error: 'maxLegsPerFixture debe ser un entero >= 1' });
+        }
+    }
+    for (const key of ['minOdd', 'maxOdd', 'minConfidence', 'minCorrelationFactor']) {
+        if (req.query[key] === undefined) continue;
+        config[key] = parseFloat(req.query[key]);
+        if (isNaN(config[key])) {
+            return res.status(400).json({ error: `${key} debe ser numérico` });
+        }
+    }
+    if (req.query.markets) {
+        config.markets = String(req.query.markets).split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+        const unknown = config.markets.filter(m => !PARLEY_MARKETS.includes(m));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Mercados no soportados: ${unknown.join(', ')}`, markets: PARLEY_MARKETS });
+        }
+    }
+    if (req.query.onlyFavorite !== undefined) config.onlyFavorite = req.query.onlyFavorite === 'true';
 
-    // Mantener el parley fijo para todo el día (mismo comportamiento)
-    if (parleyCache.data && parleyCache.data.parley_id === `daily-parley-${dateISO}`) {
-        return res.json(parleyCache.data);
+    try {
+        if (req.query.leagues) config.leagues = await resolveLeagues(req.query.leagues);
+        await sendParley(res, config);
+    } catch (err) {
+        console.error("[/api/parley] Error:", err.message);
+        res.status(500).json({ error: "Error al construir el parley", details: err.message });
     }
+});
 
-    const leaguesToScanForParley = [
-        { league: 253, season: 2025, name: "Major League Soccer" },
-        { league: 128, season: 2025, name: "Liga Profesional Argentina" },
-        { league: 265, season: 2025, name: "Primera División" },
-        { league: 98, season: 2025, name: "J1 League" },
-        { league: 857, season: 2025, name: "Campeón de Campeones" },
-    ];
+// --- ENDPOINT: PARLEY DEL DÍA (preset) ---
+// ?timezone= (una de las zonas de config/precompute.json). Se sirve el parley ya precalculado
+app.get('/api/parley-del-dia', async (req, res) => {
+    const timezone = requestTimezone(req);
+    if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
+    await sendPresetParley(res, 'parley-del-dia', timezone);
+});
 
-    let allCandidateLegs = [];
-    let targetLegs = 2; // Puedes poner 3 para parley triple
+// --- ENDPOINT: PARLEY 1X2 TRIPLE (preset) ---
+app.get('/api/parley-1x2', async (req, res) => {
+    const timezone = requestTimezone(req);
+    if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
+    await sendPresetParley(res, 'parley-1x2', timezone);
+});
 
-    try {
-        for (const leagueInfo of leaguesToScanForParley) {
-            const fixturesData = await cachedApiCall(
-                '/fixtures',
-                {
-                    league: leagueInfo.league,
-                    season: leagueInfo.season,
-                    date: dateISO,
-                    timezone: 'America/Mexico_City'
-                },
-                60 * 60 * 1000
-            );
-
-            if (fixturesData.response && fixturesData.response.length > 0) {
-                for (const fixture of fixturesData.response) {
-                    if (
-                        fixture.teams.home.id &&
-                        fixture.teams.away.id
-                    ) {
-                        try {
-                            const predictionResult = await getMatchPrediction(
-                                fixture.teams.home.id,
-                                fixture.teams.away.id,
-                                fixture.league.id,
-                                fixture.league.season,
-                                fixture.fixture.id // <-- importante pasar el fixtureId!
-                            );
-
-                            // 1. Calcular los picks candidatos con confianza suficiente
-                            const homeProb = parseFloat(predictionResult.predictions.percent.home) / 100;
-                            const awayProb = parseFloat(predictionResult.predictions.percent.away) / 100;
-                            const drawProb = parseFloat(predictionResult.predictions.percent.draw) / 100;
-                            const bttsProb = predictionResult.predictions.btts_probability / 100;
-                            const over2_5Prob = predictionResult.predictions.over_2_5_probability / 100;
-                            const under2_5Prob = predictionResult.predictions.under_2_5_probability / 100;
-
-                            // --- OBTENER LAS CUOTAS DEL MERCADO DE LA API ---
-                            const marketOdds = predictionResult.market_odds;
-                            let candidatePick = null;
-
-                            // --- Selección profesional: elige el mejor pick y cuota real ---
-                            if (marketOdds && homeProb >= 0.60) {
-                                candidatePick = {
-                                    type: 'Ganador Local',
-                                    description: `${fixture.teams.home.name} gana el partido`,
-                                    confidence: homeProb,
-                                    odd: marketOdds.home,
-                                    market: '1X2'
-                                };
-                            } else if (marketOdds && awayProb >= 0.60) {
-                                candidatePick = {
-                                    type: 'Ganador Visitante',
-                                    description: `${fixture.teams.away.name} gana el partido`,
-                                    confidence: awayProb,
-                                    odd: marketOdds.away,
-                                    market: '1X2'
-                                };
-                            } else if (marketOdds && drawProb >= 0.40 && drawProb > homeProb && drawProb > awayProb && marketOdds.draw > 2.0) {
-                                candidatePick = {
-                                    type: 'Empate',
-                                    description: `Empate`,
-                                    confidence: drawProb,
-                                    odd: marketOdds.draw,
-                                    market: '1X2'
-                                };
-                            }
-                            // BTTS/OverUnder: Puedes agregar si también tienes la cuota desde la API
-                            // Ejemplo: Si tienes cuotas para BTTS y Over/Under en la respuesta market_odds (extiéndelo)
-                            // ... aquí iría la lógica si quieres agregar otros mercados con cuota
-
-                            // Doble oportunidad: Si tienes ese mercado en tu backend, agrégalo aquí
-
-                            if (candidatePick && candidatePick.odd > 1.4) {
-                                allCandidateLegs.push({
-                                    match_id: fixture.fixture.id,
-                                    home_team: fixture.teams.home.name,
-                                    away_team: fixture.teams.away.name,
-                                    home_logo: fixture.teams.home.logo,
-                                    away_logo: fixture.teams.away.logo,
-                                    competition_name: fixture.league.name,
-                                    starting_at: fixture.fixture.date,
-                                    pick_type: candidatePick.type,
-                                    pick_description: candidatePick.description,
-                                    confidence_percent: parseFloat((candidatePick.confidence * 100).toFixed(1)),
-                                    real_odd: parseFloat(candidatePick.odd.toFixed(2)),
-                                    market: candidatePick.market
-                                });
-                            }
-                        } catch (predictionError) {
-                            // Continúa con el siguiente partido si falla la predicción
-                        }
-                    }
-                }
-            }
-        }
 
-        allCandidateLegs.sort((a, b) => b.confidence_percent - a.confidence_percent);
 
-        const finalSelectedLegs = [];
-        const usedMatchIds = new Set();
-        for (const leg of allCandidateLegs) {
-            if (finalSelectedLegs.length < targetLegs && !usedMatchIds.has(leg.match_id)) {
-                finalSelectedLegs.push(leg);
-                usedMatchIds.add(leg.match_id);
-            }
-        }
+// --- ENDPOINT GET para obtener predicción por fixtureId ---
+// ?model=ensemble|poisson|h2h|elo|market (ver /api/models) &timezone= (fecha del partido en el ledger)
+app.get('/api/prediction/:fixtureId', async (req, res) => {
+  const fixtureId = req.params.fixtureId;
+  const model = req.query.model || ENSEMBLE;
+  if (!isKnownModel(model)) {
+    return res.status(400).json({ error: `Modelo desconocido: ${model}`, models: listModels().map(m => m.name) });
+  }
+  const timezone = requestTimezone(req);
+  if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
 
-        if (finalSelectedLegs.length < targetLegs) {
-            parleyCache.data = {
-                parley_id: `daily-parley-${dateISO}`,
-                title: `Parley del Día`,
-                advice: "",
-                legs: [],
-                message: "Estamos generando el Parley del Día, vuelve en unos minutos. Si ya hay partidos, muy pronto estará disponible aquí.",
-                total_real_odd: null,
-                total_confidence_percent: null
-            };
-            parleyCache.timestamp = now;
-            return res.status(404).json(parleyCache.data);
-        }
+  try {
+    // Predicción ya calculada por el precálculo programado (solo el modelo por defecto)
+    const precomputed = model === ENSEMBLE ? getPrecomputedPrediction(fixtureId) : null;
+    if (precomputed) {
+      recordPrediction({ source: 'prediction', fixture: precomputed.fixture, prediction: precomputed.prediction });
+      return res.json(precomputed.prediction);
+    }
 
-        // --- Cálculo de cuota total REAL ---
-        let totalRealOdd = 1;
-        let totalConfidencePercent = 1;
-        finalSelectedLegs.forEach(leg => {
-            totalRealOdd *= leg.real_odd;
-            totalConfidencePercent *= (leg.confidence_percent / 100);
-        });
+    // Busca el fixture en la API-Football usando el fixtureId
+    const fixtureResp = await cachedApiCall('/fixtures', { ids: fixtureId, timezone });
+    if (!fixtureResp.response || fixtureResp.response.length === 0) {
+      return res.status(404).json({ error: "Fixture no encontrado" });
+    }
+    const fixture = fixtureResp.response[0];
+    const homeTeamId = fixture.teams.home.id;
+    const awayTeamId = fixture.teams.away.id;
+    const leagueId = fixture.league.id;
+    const season = fixture.league.season;
+
+    // Llama al modelo de predicción con los datos correctos
+    const prediction = await getMatchPrediction(homeTeamId, awayTeamId, leagueId, season, fixtureId, {}, { model, kickoff: fixture.fixture.date });
+    // Cada modelo alternativo se registra con su propia fuente para poder comparar su rendimiento
+    recordPrediction({ source: model === ENSEMBLE ? 'prediction' : `prediction:${model}`, fixture: ledgerFixture(fixture), prediction });
 
-        const responseData = {
-            parley_id: `daily-parley-${dateISO}`,
-            title: `🏆 Parley del Día - Picks con valor`,
-            advice: "¡Apuesta responsable! Picks generados por modelo estadístico y cuotas reales.",
-            legs: finalSelectedLegs,
-            total_real_odd: parseFloat(totalRealOdd.toFixed(2)),
-            total_confidence_percent: parseFloat((totalConfidencePercent * 100).toFixed(1)),
-        };
+    res.json(prediction);
+  } catch (err) {
+    console.error("[/api/prediction/:fixtureId] Error:", err.message);
+    res.status(err.status || 500).json({ error: "Error al obtener la predicción", details: err.message });
+  }
+});
 
-        parleyCache.data = responseData;
-        parleyCache.timestamp = now;
-        return res.json(responseData);
+// --- ENDPOINT: GOLEADORES DE UN PARTIDO ---
+// Anytime, primer goleador y 2+ goles por jugador; ?model= y ?timezone= como en /api/prediction/:fixtureId
+app.get('/api/prediction/:fixtureId/players', async (req, res) => {
+  const fixtureId = req.params.fixtureId;
+  const model = req.query.model || ENSEMBLE;
+  if (!isKnownModel(model)) {
+    return res.status(400).json({ error: `Modelo desconocido: ${model}`, models: listModels().map(m => m.name) });
+  }
+  const timezone = requestTimezone(req);
+  if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
 
+  try {
+    const fixtureResp = await cachedApiCall('/fixtures', { ids: fixtureId, timezone });
+    if (!fixtureResp.response || fixtureResp.response.length === 0) {
+      return res.status(404).json({ error: "Fixture no encontrado" });
+    }
+    res.json(await getPlayerProps(fixtureResp.response[0], { model }));
+  } catch (err) {
+    console.error("[/api/prediction/:fixtureId/players] Error:", err.message);
+    res.status(err.status || 500).json({ error: "Error al calcular las probabilidades de goleador", details: err.message });
+  }
+});
+
+// --- ENDPOINT: LIGAS DEL REGISTRO ---
+// Ligas configuradas (config/leagues.json) con su temporada actual según la API
+app.get('/api/leagues', async (req, res) => {
+  try {
+    res.json({ leagues: await listLeagues() });
+  } catch (err) {
+    console.error("[/api/leagues] Error:", err.message);
+    res.status(500).json({ error: "Error al obtener las ligas", details: err.message });
+  }
+});
+
+// --- ENDPOINT: MODELOS DISPONIBLES ---
+// ?league=253 muestra los pesos del ensemble para esa liga
+app.get('/api/models', (req, res) => {
+  const league = req.query.league ? parseInt(req.query.league) : undefined;
+  res.json({ league: league ?? null, models: listModels(league) });
+});
+
+// --- ENDPOINT: RENDIMIENTO DEL MODELO (ledger de predicciones) ---
+// Filtros opcionales: ?league=&market=&from=YYYY-MM-DD&to=YYYY-MM-DD&source=
+// Se calcula con el ledger guardado; la liquidación corre en segundo plano (startSettlementLoop)
+app.get('/api/performance', (req, res) => {
+    const filters = {};
+    if (req.query.league) filters.league = parseInt(req.query.league);
+    if (req.query.market) {
+        if (!MARKETS.includes(req.query.market)) {
+            return res.status(400).json({ error: `Mercado no soportado. Usa uno de: ${MARKETS.join(', ')}` });
+        }
+        filters.market = req.query.market;
+    }
+    if (req.query.from) filters.from = String(req.query.from);
+    if (req.query.to) filters.to = String(req.query.to);
+    if (req.query.source) filters.source = String(req.query.source);
+
+    try {
+        res.json(computePerformance(filters));
     } catch (err) {
-        parleyCache.data = {
-            parley_id: `daily-parley-${dateISO}`,
-            title: `Parley del Día`,
-            advice: "",
-            legs: [],
-            message: "Estamos generando el Parley del Día, vuelve en unos minutos. Si ya hay partidos, muy pronto estará disponible aquí.",
-            error: err.message || err
-        };
-        parleyCache.timestamp = now;
-        return res.status(500).json(parleyCache.data);
+        console.error("[/api/performance] Error:", err.message);
+        res.status(500).json({ error: "Error al calcular el rendimiento del modelo", details: err.message });
     }
 });
-// --- ENDPOINT: PARLEY 1X2 TRIPLE ---
-app.get('/api/parley-1x2', async (req, res) => {
-    const now = Date.now();
-    const today = new Date();
-    const dateISO = today.toISOString().slice(0, 10);
 
-    // Usar cache diaria para este endpoint
-    if (parleyCache.data && parleyCache.data.parley_id === `daily-parley-1x2-${dateISO}`) {
-        return res.json(parleyCache.data);
+// --- ENDPOINT: VALUE BETS ---
+// ?date=YYYY-MM-DD&leagues=253,128&minEdge=0.05&kellyFraction=0.25&timezone=America/Mexico_City
+app.get('/api/value-bets', async (req, res) => {
+    const timezone = requestTimezone(req);
+    if (!timezone) return res.status(400).json(INVALID_TIMEZONE_ERROR);
+    const date = req.query.date || dateInTimeZone(timezone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'Fecha inválida, usa el formato YYYY-MM-DD' });
+    }
+    const minEdge = req.query.minEdge !== undefined ? parseFloat(req.query.minEdge) : 0;
+    const kellyMultiplier = req.query.kellyFraction !== undefined ? parseFloat(req.query.kellyFraction) : DEFAULT_KELLY_FRACTION;
+    if (isNaN(minEdge) || isNaN(kellyMultiplier)) {
+        return res.status(400).json({ error: 'minEdge y kellyFraction deben ser numéricos' });
     }
 
-    const leaguesToScan = [
-        { league: 253, season: 2025, name: "Major League Soccer" },
-        { league: 128, season: 2025, name: "Liga Profesional Argentina" },
-        { league: 265, season: 2025, name: "Primera División" },
-        { league: 98, season: 2025, name: "J1 League" },
-        { league: 857, season: 2025, name: "Campeón de Campeones" },
-    ];
+    try {
+        const leagues = await resolveLeagues(req.query.leagues);
+        const result = await scanValueBets({ date, leagues, minEdge, kellyMultiplier, timezone });
+        res.json({
+            date,
+            timezone,
+            leagues: leagues.map(l => l.league),
+            min_edge: minEdge,
+            kelly_fraction: kellyMultiplier,
+            ...result,
+        });
+    } catch (err) {
+        console.error("[/api/value-bets] Error:", err.message);
+        res.status(500).json({ error: "Error al buscar value bets", details: err.message });
+    }
+});
 
-    let allCandidateLegs = [];
-    let targetLegs = 3; // Triple
+// --- ENDPOINT: PREDICCIÓN EN VIVO ---
+// ?leagues=253,128 (leagues=all para todas las del registro, no las de todo el mundo) &fixture=
+app.get('/api/live', async (req, res) => {
+    const leagueIds = req.query.leagues === 'all' ? REGISTERED_LEAGUES.map(l => l.id) : parseLeagueIds(req.query.leagues);
+    const fixtureId = req.query.fixture !== undefined ? parseInt(req.query.fixture) : undefined;
+    if (fixtureId !== undefined && isNaN(fixtureId)) {
+        return res.status(400).json({ error: 'fixture debe ser numérico' });
+    }
 
     try {
-        for (const leagueInfo of leaguesToScan) {
-            const fixturesData = await cachedApiCall(
-                '/fixtures',
-                {
-                    league: leagueInfo.league,
-                    season: leagueInfo.season,
-                    date: dateISO,
-                    timezone: 'America/Mexico_City'
-                },
-                60 * 60 * 1000
-            );
-
-            if (fixturesData.response && fixturesData.response.length > 0) {
-                for (const fixture of fixturesData.response) {
-                    if (
-                        fixture.teams.home.id &&
-                        fixture.teams.away.id
-                    ) {
-                        try {
-                            const predictionResult = await getMatchPrediction(
-                                fixture.teams.home.id,
-                                fixture.teams.away.id,
-                                fixture.league.id,
-                                fixture.league.season,
-                                fixture.fixture.id
-                            );
-
-                            // Solo picks 1X2
-                            const homeProb = parseFloat(predictionResult.predictions.percent.home) / 100;
-                            const awayProb = parseFloat(predictionResult.predictions.percent.away) / 100;
-                            const drawProb = parseFloat(predictionResult.predictions.percent.draw) / 100;
-
-                            const marketOdds = predictionResult.market_odds;
-                            let candidatePick = null;
-
-                            // Selecciona el pick de mayor confianza (de los 3 posibles 1X2)
-                            let maxConf = Math.max(homeProb, awayProb, drawProb);
-                            if (marketOdds && homeProb === maxConf && homeProb > 0.40) {
-                                candidatePick = {
-                                    type: 'Ganador Local',
-                                    description: `${fixture.teams.home.name} gana el partido`,
-                                    confidence: homeProb,
-                                    odd: marketOdds.home,
-                                    market: '1X2'
-                                };
-                            } else if (marketOdds && awayProb === maxConf && awayProb > 0.40) {
-                                candidatePick = {
-                                    type: 'Ganador Visitante',
-                                    description: `${fixture.teams.away.name} gana el partido`,
-                                    confidence: awayProb,
-                                    odd: marketOdds.away,
-                                    market: '1X2'
-                                };
-                            } else if (marketOdds && drawProb === maxConf && drawProb > 0.33 && marketOdds.draw > 2.0) {
-                                candidatePick = {
-                                    type: 'Empate',
-                                    description: `Empate`,
-                                    confidence: drawProb,
-                                    odd: marketOdds.draw,
-                                    market: '1X2'
-                                };
-                            }
-
-                            // Solo agregar si hay pick y cuota válida
-                            if (candidatePick && candidatePick.odd > 1.25) {
-                                allCandidateLegs.push({
-                                    match_id: fixture.fixture.id,
-                                    home_team: fixture.teams.home.name,
-                                    away_team: fixture.teams.away.name,
-                                    home_logo: fixture.teams.home.logo,
-                                    away_logo: fixture.teams.away.logo,
-                                    competition_name: fixture.league.name,
-                                    starting_at: fixture.fixture.date,
-                                    pick_type: candidatePick.type,
-                                    pick_description: candidatePick.description,
-                                    confidence_percent: parseFloat((candidatePick.confidence * 100).toFixed(1)),
-                                    real_odd: parseFloat(candidatePick.odd.toFixed(2)),
-                                    market: candidatePick.market
-                                });
-                            }
-                        } catch (predictionError) {
-                            // Continua si falla predicción
-                        }
-                    }
-                }
-            }
-        }
+        const result = await runWithPriority('live', () => getLivePredictions({ leagueIds, fixtureId }));
+        // Datos en vivo: que los clientes/CDN no los guarden más que el ciclo de actualización
+        res.set('Cache-Control', `public, max-age=${LIVE_FIXTURES_TTL / 1000}`);
+        res.json({ updated_at: new Date().toISOString(), ...result });
+    } catch (err) {
+        console.error("[/api/live] Error:", err.message);
+        res.status(500).json({ error: "Error al obtener los partidos en vivo", details: err.message });
+    }
+});
 
-        // Ordenar por confianza
-        allCandidateLegs.sort((a, b) => b.confidence_percent - a.confidence_percent);
+// --- ENDPOINT: STREAM SSE DE PARTIDOS EN VIVO ---
+// ?fixtures=123,456&leagues=253,128 (sin filtros: ligas por defecto)
+// Eventos: snapshot, score, status, odds, prediction
+app.get('/api/stream', (req, res) => {
+    const fixtureIds = String(req.query.fixtures || '').split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+    const leagueIds = req.query.leagues || fixtureIds.length === 0
+        ? parseLeagueIds(req.query.leagues)
+        : [];
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Evita el buffering de nginx
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_POLL_INTERVAL_MS}\n\n`);
+
+    const unsubscribe = subscribe(res, { fixtureIds, leagueIds });
+    req.on('close', unsubscribe);
+});
 
-        // Selecciona los mejores 3 (sin repetir partidos)
-        const finalSelectedLegs = [];
-        const usedMatchIds = new Set();
-        for (const leg of allCandidateLegs) {
-            if (finalSelectedLegs.length < targetLegs && !usedMatchIds.has(leg.match_id)) {
-                finalSelectedLegs.push(leg);
-                usedMatchIds.add(leg.match_id);
-            }
-        }
+app.get('/api/stream/stats', (req, res) => {
+    res.json(getStreamStats());
+});
+
+// --- ENDPOINT: RATINGS ELO POR LIGA ---
+// ?league=253[&refresh=true]
+app.get('/api/ratings', async (req, res) => {
+    const league = parseInt(req.query.league);
+    if (!league) {
+        return res.status(400).json({ error: 'Falta el parámetro requerido: league' });
+    }
 
-        if (finalSelectedLegs.length < targetLegs) {
-            parleyCache.data = {
-                parley_id: `daily-parley-1x2-${dateISO}`,
-                title: `Parley 1X2 Triple`,
-                advice: "No hay suficientes partidos de confianza para el parley triple 1X2 hoy.",
-                legs: finalSelectedLegs,
-                message: "Intenta más tarde o en otra fecha.",
-                total_real_odd: null,
-                total_confidence_percent: null
-            };
-            parleyCache.timestamp = now;
-            return res.json(parleyCache.data);
+    try {
+        let teams = getLeagueRatings(league);
+        // Liga no cargada todavía (o refresco pedido): traer sus últimas temporadas
+        if (teams.length === 0 || req.query.refresh === 'true') {
+            const currentSeason = await resolveCurrentSeason(league);
+            await updateLeagueRatings(league, [currentSeason - 2, currentSeason - 1, currentSeason]);
+            teams = getLeagueRatings(league);
         }
+        res.json({ league, teams });
+    } catch (err) {
+        console.error("[/api/ratings] Error:", err.message);
+        res.status(500).json({ error: "Error al obtener los ratings", details: err.message });
+    }
+});
+
+// --- ENDPOINT: BACKTEST DE UNA TEMPORADA ---
+// ?league=&season=&homeAdvantage=&formWeight=&h2hWeight=&marketWeight=&rho=&minMatches=&h2h=false&odds=true&minEdge=&matches=true
+app.get('/api/backtest', async (req, res) => {
+    const league = parseInt(req.query.league);
+    const season = parseInt(req.query.season);
+    if (!league || !season) {
+        return res.status(400).json({ error: 'Faltan parámetros requeridos: league, season' });
+    }
 
-        // --- Cálculo de cuota total ---
-        let totalRealOdd = 1;
-        let totalConfidencePercent = 1;
-        finalSelectedLegs.forEach(leg => {
-            totalRealOdd *= leg.real_odd;
-            totalConfidencePercent *= (leg.confidence_percent / 100);
+    try {
+        const report = await runBacktest({
+            league,
+            season,
+            params: parseModelParams(req.query),
+            minMatches: req.query.minMatches !== undefined ? parseInt(req.query.minMatches) : undefined,
+            useH2H: req.query.h2h !== 'false',
+            useOdds: req.query.odds === 'true',
+            minEdge: req.query.minEdge !== undefined ? parseFloat(req.query.minEdge) : undefined,
+            includeMatches: req.query.matches === 'true',
         });
+        res.json(report);
+    } catch (err) {
+        console.error("[/api/backtest] Error:", err.message);
+        res.status(500).json({ error: "Error al ejecutar el backtest", details: err.message });
+    }
+});
+
+// --- ENDPOINT: PARÁMETROS AJUSTADOS POR LA CALIBRACIÓN ---
+// ?league= (opcional). Los ajustes se lanzan con `npm run calibrate`.
+app.get('/api/calibration', (req, res) => {
+    const league = req.query.league !== undefined ? parseInt(req.query.league) : undefined;
+    if (req.query.league !== undefined && !league) {
+        return res.status(400).json({ error: 'Parámetro league inválido' });
+    }
+    res.json(getCalibrationReport(league));
+});
+
+// --- ENDPOINT: ESTADO DE LA CUOTA DE API-FOOTBALL (ADMIN) ---
+// Cabecera X-Admin-Token. Presupuesto por minuto y diario, cola por prioridad y trabajo descartado.
+app.get('/api/admin/quota', requireAdmin, (req, res) => {
+    res.json(getQuotaState());
+});
 
-        const responseData = {
-            parley_id: `daily-parley-1x2-${dateISO}`,
-            title: `🎯 Parley 1X2 Triple`,
-            advice: "¡Picks solo del mercado 1X2 (Local, Empate o Visitante)!",
-            legs: finalSelectedLegs,
-            total_real_odd: parseFloat(totalRealOdd.toFixed(2)),
-            total_confidence_percent: parseFloat((totalConfidencePercent * 100).toFixed(1)),
-        };
+// --- ENDPOINTS: EQUIVALENCIAS DE IDS ENTRE PROVEEDORES (ADMIN) ---
+// GET ?source=football-data-csv (opcional)
+app.get('/api/admin/mappings', requireAdmin, (req, res) => {
+    res.json(getMappings(req.query.source ? String(req.query.source) : undefined));
+});
 
-        parleyCache.data = responseData;
-        parleyCache.timestamp = now;
-        return res.json(responseData);
+// PUT { source, kind: 'leagues'|'teams', externalId, apiId } (apiId null borra la equivalencia)
+app.put('/api/admin/mappings', requireAdmin, (req, res) => {
+    const { source, kind, externalId, apiId } = req.body || {};
+    if (!source || !externalId || !MAPPING_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `Faltan parámetros requeridos: source, kind (${MAPPING_KINDS.join(', ')}), externalId` });
+    }
+    if (apiId !== null && !Number.isInteger(apiId)) {
+        return res.status(400).json({ error: 'apiId debe ser un ID entero de API-Football o null' });
+    }
 
+    try {
+        setMapping(String(source), kind, String(externalId), apiId);
+        res.json(getMappings(String(source)));
     } catch (err) {
-        parleyCache.data = {
-            parley_id: `daily-parley-1x2-${dateISO}`,
-            title: `Parley 1X2 Triple`,
-            advice: "",
-            legs: [],
-            message: "Error generando el Parley 1X2 Triple.",
-            error: err.message || err
-        };
-        parleyCache.timestamp = now;
-        return res.status(500).json(parleyCache.data);
+        console.error("[/api/admin/mappings] Error:", err.message);
+        res.status(500).json({ error: "Error al guardar la equivalencia", details: err.message });
     }
 });
 
+// --- ENDPOINTS: PRECÁLCULO PROGRAMADO (ADMIN) ---
+// Configuración (config/precompute.json), estado de cada tarea y resultados guardados
+app.get('/api/admin/precompute', requireAdmin, (req, res) => {
+    res.json(getPrecomputeStatus());
+});
 
+// POST { task: 'daily'|'kickoff' }: lanza la tarea ahora (en segundo plano)
+app.post('/api/admin/precompute/run', requireAdmin, (req, res) => {
+    const { task } = req.body || {};
+    if (!PRECOMPUTE_TASKS.includes(task)) {
+        return res.status(400).json({ error: `Tarea desconocida, usa: ${PRECOMPUTE_TASKS.join(', ')}` });
+    }
+    if (!runTask(task)) {
+        return res.status(409).json({ error: `La tarea ${task} ya se está ejecutando` });
+    }
+    res.status(202).json({ task, started: true });
+});
 
-// --- ENDPOINT GET para obtener predicción por fixtureId ---
-app.get('/api/prediction/:fixtureId', async (req, res) => {
-  const fixtureId = req.params.fixtureId;
+// --- ENDPOINTS: CLAVES DE API (ADMIN) ---
+// Niveles configurados y claves emitidas (sin la clave en claro) con su uso actual
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({ require_api_key: REQUIRE_API_KEY, tiers: TIERS, keys: listApiKeys() });
+});
 
-  try {
-    // Busca el fixture en la API-Football usando el fixtureId
-    const fixtureResp = await cachedApiCall('/fixtures', { ids: fixtureId });
-    if (!fixtureResp.response || fixtureResp.response.length === 0) {
-      return res.status(404).json({ error: "Fixture no encontrado" });
+// POST { name, tier }: la respuesta incluye la clave en claro, que no se vuelve a mostrar
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+    const { name, tier } = req.body || {};
+    if (!name || !tier) {
+        return res.status(400).json({ error: `Faltan parámetros requeridos: name, tier (${Object.keys(TIERS).join(', ')})` });
     }
-    const fixture = fixtureResp.response[0];
-    const homeTeamId = fixture.teams.home.id;
-    const awayTeamId = fixture.teams.away.id;
-    const leagueId = fixture.league.id;
-    const season = fixture.league.season;
 
-    // Llama al modelo de predicción con los datos correctos
-    const prediction = await getMatchPrediction(homeTeamId, awayTeamId, leagueId, season, fixtureId);
+    try {
+        res.status(201).json(issueApiKey(String(name), String(tier)));
+    } catch (err) {
+        console.error("[/api/admin/keys] Error:", err.message);
+        res.status(err.status || 500).json({ error: "Error al emitir la clave", details: err.message });
+    }
+});
 
-    res.json(prediction);
-  } catch (err) {
-    console.error("[/api/prediction/:fixtureId] Error:", err.message);
-    res.status(500).json({ error: "Error al obtener la predicción", details: err.message });
-  }
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    try {
+        const revoked = revokeApiKey(req.params.id);
+        if (!revoked) return res.status(404).json({ error: "Clave no encontrada" });
+        res.json(revoked);
+    } catch (err) {
+        console.error("[/api/admin/keys/:id] Error:", err.message);
+        res.status(500).json({ error: "Error al revocar la clave", details: err.message });
+    }
 });
 
 // ===================
 // === INICIO DEL SERVIDOR ===
 // ===================
 
+// Una fuente principal con otros IDs necesita la equivalencia de todas sus ligas y equipos:
+// sin ella los partidos saldrían con IDs null y no se podrían pedir
+const unmapped = dataProvider.listUnmapped ? dataProvider.listUnmapped() : null;
+if (unmapped && (unmapped.leagues.length > 0 || unmapped.teams.length > 0)) {
+    console.error(`❌ DATA_PROVIDER=${dataProvider.name}: faltan equivalencias de IDs de API-Football en ${ID_MAPPINGS_FILE}`);
+    if (unmapped.leagues.length > 0) console.error(`   Ligas: ${unmapped.leagues.join(', ')}`);
+    if (unmapped.teams.length > 0) console.error(`   Equipos: ${unmapped.teams.join(', ')}`);
+    process.exit(1);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`✅ Servidor backend corriendo en http://0.0.0.0:${PORT}`);
-    console.log(`🔑 Clave API cargada: ${RAPIDAPI_KEY ? 'Sí' : 'No (verifica .env)'}`);
-    if (!RAPIDAPI_KEY) {
+    console.log(`📦 Proveedor de datos: ${dataProvider.name}${SECONDARY_PROVIDER ? ` (secundario: ${SECONDARY_PROVIDER})` : ''}`);
+    if (dataProvider.name === 'replay') {
+        console.log('📼 Modo sin red: solo se sirven respuestas grabadas.');
+    } else if (!RAPIDAPI_KEY) {
         console.warn('⚠️ ADVERTENCIA: La clave RAPIDAPI_KEY no está configurada. Las llamadas a la API-Football fallarán.');
-    }
+    } else {
+        console.log('🔑 Clave API cargada: Sí');
+    }
+    if (REQUIRE_API_KEY) {
+        console.log(`🔐 Clave de API requerida para los clientes. CORS: ${CORS_ORIGINS.join(', ') || 'ningún origen'}`);
+    } else {
+        console.warn('⚠️ REQUIRE_API_KEY=false: la API está abierta sin claves ni límites por cliente.');
+    }
+    // Liquidación periódica de las predicciones registradas
+    startSettlementLoop();
+    // Ratings Elo de las ligas escaneadas
+    startRatingsLoop();
+    // Predicciones y parleys del día a las horas de config/precompute.json
+    startPrecomputeLoop();
 });
 //update 
\ No newline at end of file